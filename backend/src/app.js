@@ -11,6 +11,8 @@ import submissionRoutes from './routes/submissionRoutes.js';
 import evaluationRoutes from './routes/evaluationRoutes.js';
 import progressRoutes from './routes/progressRoutes.js';
 import rubricRoutes from './routes/rubricRoutes.js';
+import questionBankRoutes from './routes/questionBankRoutes.js';
+import grammarRuleRoutes from './routes/grammarRuleRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 
 // Load environment variables
@@ -54,6 +56,8 @@ app.use('/api/submissions', submissionRoutes);
 app.use('/api/evaluations', evaluationRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/rubrics', rubricRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/grammar-rules', grammarRuleRoutes);
 app.use('/api/admin', adminRoutes);
 
 // API Documentation route
@@ -70,6 +74,8 @@ app.get('/api', (req, res) => {
       progress: '/api/progress',
       activities: '/api/activities',
       rubrics: '/api/rubrics',
+      questionBank: '/api/question-bank',
+      grammarRules: '/api/grammar-rules',
       notifications: '/api/notifications',
       admin: '/api/admin',
     },
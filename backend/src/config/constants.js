@@ -10,6 +10,62 @@ export const ACTIVITY_TYPES = {
   QUIZ: 'quiz',
 };
 
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple-choice',
+  TRUE_FALSE: 'true-false',
+  SHORT_ANSWER: 'short-answer',
+  MULTI_SELECT: 'multi-select', // Several correct options, partial credit
+  NUMERIC: 'numeric', // Number with tolerance and optional unit
+  CLOZE: 'cloze', // Fill in the blanks (___ in the question text)
+  MATCHING: 'matching', // Match each left item to its right item
+  ORDERING: 'ordering', // Put items in sequence
+};
+
+// Common European Framework of Reference levels, for question bank items
+export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+export const LANGUAGE_SKILLS = {
+  GRAMMAR: 'grammar',
+  VOCABULARY: 'vocabulary',
+  READING: 'reading',
+  LISTENING: 'listening',
+  WRITING: 'writing',
+  SPEAKING: 'speaking',
+};
+
+export const QUIZ_MODES = {
+  FIXED: 'fixed', // Every student answers the questions drawn for them
+  ADAPTIVE: 'adaptive', // Questions picked one at a time from the student's ability (IRT)
+};
+
+export const IRT_MODELS = {
+  ONE_PL: '1pl', // Difficulty only
+  TWO_PL: '2pl', // Difficulty and discrimination
+};
+
+// Quiz question types graded in parts (options, blanks, pairs, items)
+export const MULTI_PART_QUESTION_TYPES = [
+  QUESTION_TYPES.MULTI_SELECT,
+  QUESTION_TYPES.CLOZE,
+  QUESTION_TYPES.MATCHING,
+  QUESTION_TYPES.ORDERING,
+];
+
+// Quiz scoring policy used when an activity does not set its own (see QuizGradingService)
+export const DEFAULT_SCORING_POLICY = {
+  negativeMarking: 0, // Share of the points deducted for a wrong multiple-choice/true-false answer
+  penalizeBlank: false, // Blank answers score 0 without the deduction
+  multiPartCredit: 'proportional', // Or 'all-or-nothing': partly right multi-part answers score 0
+  // Similarity to the expected short answer needed for full, 75% and 50% credit
+  shortAnswerThresholds: { full: 0.9, close: 0.7, partial: 0.5 },
+};
+
+export const EXPLANATION_REVEAL = {
+  IMMEDIATELY: 'immediately',
+  AFTER_DUE_DATE: 'after-due-date',
+  AFTER_FINAL_ATTEMPT: 'after-final-attempt',
+};
+
 export const SUBMISSION_STATUS = {
   PENDING: 'pending',
   EVALUATING: 'evaluating',
@@ -17,6 +73,55 @@ export const SUBMISSION_STATUS = {
   FAILED: 'failed',
 };
 
+export const EVALUATOR_PROVIDERS = {
+  RULE_BASED: 'rule-based',
+  LLM: 'llm', // OpenAI-compatible chat completions
+};
+
+export const ASR_ENGINES = {
+  NONE: 'none', // Transcription disabled
+  WHISPER_CPP: 'whisper-cpp', // Local whisper.cpp CLI
+  FAKE: 'fake', // Deterministic stand-in for tests
+};
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  DEAD: 'dead', // Retries exhausted (dead-letter)
+};
+
+export const QUIZ_SESSION_STATUS = {
+  IN_PROGRESS: 'in-progress',
+  SUBMITTED: 'submitted', // Submitted by the student before the deadline
+  EXPIRED: 'expired', // Closed after the deadline; saved answers were auto-submitted
+};
+
+// Quiz item analysis thresholds (see AnalyticsService.getQuizItemAnalysis)
+export const ITEM_ANALYSIS = {
+  MIN_RESPONSES: 5, // Fewer responses than this are too noisy to flag
+  LOW_DISCRIMINATION: 0.2, // Point-biserial below this separates students poorly
+  EASY_P_VALUE: 0.9, // Answered correctly by nearly everyone
+  HARD_P_VALUE: 0.2, // Answered correctly by almost no one
+};
+
+// Adaptive quiz defaults (see IRTService and AdaptiveQuizService)
+export const ADAPTIVE_QUIZ = {
+  STANDARD_ERROR_THRESHOLD: 0.3, // Stop once the ability estimate is this precise
+  MIN_QUESTIONS: 3,
+  MIN_CALIBRATION_RESPONSES: 20, // Fewer responses keep a question's provisional parameters
+  CONFIDENCE_LEVEL: 0.95,
+  // Provisional difficulty for questions not yet calibrated, by their difficulty label
+  DIFFICULTY_PRIORS: { beginner: -1, intermediate: 0, advanced: 1 },
+};
+
+export const EVALUATION_REVISION_TYPES = {
+  AI: 'ai', // First AI evaluation
+  RERUN: 'rerun', // AI re-evaluation (retry, scorer upgrade)
+  TEACHER_OVERRIDE: 'teacher-override',
+  RESTORE: 'restore', // Copy of an earlier revision
+};
+
 export const ERROR_TYPES = {
   GRAMMAR: 'grammar',
   VOCABULARY: 'vocabulary',
@@ -85,12 +190,37 @@ export const FILE_LIMITS = {
   ALLOWED_AUDIO_FORMATS: ['mp3', 'wav', 'ogg', 'm4a'],
   ALLOWED_IMAGE_FORMATS: ['jpg', 'jpeg', 'png', 'gif'],
   ALLOWED_DOCUMENT_FORMATS: ['pdf', 'doc', 'docx'],
+  ALLOWED_PACKAGE_FORMATS: ['zip'], // QTI content packages
+};
+
+export const EVALUATION_QUEUE = {
+  CONCURRENCY: parseInt(process.env.EVALUATION_WORKER_CONCURRENCY) || 2,
+  POLL_INTERVAL_MS: parseInt(process.env.EVALUATION_POLL_INTERVAL_MS) || 5000,
+  MAX_ATTEMPTS: parseInt(process.env.EVALUATION_MAX_ATTEMPTS) || 5,
+  BACKOFF_BASE_MS: parseInt(process.env.EVALUATION_BACKOFF_BASE_MS) || 10 * 1000, // 10 seconds
+  BACKOFF_MAX_MS: parseInt(process.env.EVALUATION_BACKOFF_MAX_MS) || 30 * 60 * 1000, // 30 minutes
+  LOCK_TIMEOUT_MS: parseInt(process.env.EVALUATION_LOCK_TIMEOUT_MS) || 10 * 60 * 1000, // 10 minutes
 };
 
 export default {
   USER_ROLES,
   ACTIVITY_TYPES,
+  QUESTION_TYPES,
+  CEFR_LEVELS,
+  LANGUAGE_SKILLS,
+  QUIZ_MODES,
+  IRT_MODELS,
+  MULTI_PART_QUESTION_TYPES,
+  DEFAULT_SCORING_POLICY,
+  EXPLANATION_REVEAL,
   SUBMISSION_STATUS,
+  EVALUATOR_PROVIDERS,
+  ASR_ENGINES,
+  JOB_STATUS,
+  QUIZ_SESSION_STATUS,
+  ITEM_ANALYSIS,
+  ADAPTIVE_QUIZ,
+  EVALUATION_REVISION_TYPES,
   ERROR_TYPES,
   SEVERITY_LEVELS,
   NOTIFICATION_TYPES,
@@ -98,4 +228,5 @@ export default {
   HTTP_STATUS,
   RATE_LIMITS,
   FILE_LIMITS,
+  EVALUATION_QUEUE,
 };
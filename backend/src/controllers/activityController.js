@@ -1,11 +1,59 @@
 import Activity from '../models/Activity.js';
+import Student from '../models/Student.js';
+import Teacher from '../models/Teacher.js';
+import QuizDeliveryService from '../services/QuizDeliveryService.js';
+import QuizSessionService from '../services/QuizSessionService.js';
+import AnalyticsService from '../services/AnalyticsService.js';
+import AdaptiveQuizService from '../services/AdaptiveQuizService.js';
+import QuestionBankService from '../services/QuestionBankService.js';
+import QtiService from '../services/QtiService.js';
+import { USER_ROLES } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
 
+// Copy the question bank items a quiz references into it (see QuestionBankService)
+// Returns the questions to save, or null after responding when an item cannot be used
+const snapshotBankQuestions = async (req, res) => {
+  const teacher =
+    req.user.role === 'admin' ? null : await Teacher.findOne({ userId: req.user._id });
+  const { questions, missing } = await QuestionBankService.snapshotQuestions(
+    req.body.questions,
+    teacher?._id || null
+  );
+
+  if (missing.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Question bank items not found or not shared with you: ${missing.join(', ')}`,
+    });
+    return null;
+  }
+
+  return questions;
+};
+
+// An activity as the current user may see it
+// Students get quiz questions only through GET /:id/quiz, drawn and without answer keys
+const activityForUser = (activity, user) => {
+  if (user.role !== USER_ROLES.STUDENT) {
+    return activity;
+  }
+
+  const details = activity.toObject();
+  delete details.questions;
+  return details;
+};
+
 // @desc    Create new activity
 // @route   POST /api/activities
 // @access  Private/Teacher
 export const createActivity = async (req, res, next) => {
   try {
+    if (Array.isArray(req.body.questions)) {
+      const questions = await snapshotBankQuestions(req, res);
+      if (!questions) return;
+      req.body.questions = questions;
+    }
+
     const activityData = {
       ...req.body,
       createdBy: req.user._id,
@@ -47,7 +95,7 @@ export const getAllActivities = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: activities.length,
-      data: { activities },
+      data: { activities: activities.map((activity) => activityForUser(activity, req.user)) },
     });
   } catch (error) {
     logger.error(`Error fetching activities: ${error.message}`);
@@ -73,7 +121,7 @@ export const getActivityById = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: { activity },
+      data: { activity: activityForUser(activity, req.user) },
     });
   } catch (error) {
     logger.error(`Error fetching activity: ${error.message}`);
@@ -81,6 +129,229 @@ export const getActivityById = async (req, res, next) => {
   }
 };
 
+// @desc    Get a quiz as the current student sees it (drawn, shuffled, no answer keys)
+// @route   GET /api/activities/:id/quiz
+// @access  Private/Student
+export const getStudentQuiz = async (req, res, next) => {
+  try {
+    const activity = await Activity.findById(req.params.id);
+
+    if (!activity || !activity.isActive || activity.activityType !== 'quiz') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const seed = QuizDeliveryService.createSeed(activity._id, student._id);
+    const details = activityForUser(activity, req.user);
+
+    // Timed quizzes only show their questions once an attempt is started, so the clock is
+    // running whenever the questions are visible (POST /api/submissions/quiz/start).
+    // Adaptive quizzes pick their questions during the attempt.
+    const timed = !!activity.timeLimit;
+    const adaptive = activity.quizMode === 'adaptive';
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activity: details,
+        questions: timed || adaptive ? null : QuizDeliveryService.buildQuiz(activity, seed),
+        timeAllowed: timed ? QuizSessionService.timeAllowed(activity, student).seconds : null,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching quiz: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get item analysis for a quiz (p-values, discrimination, distractor choices)
+// @route   GET /api/activities/:id/item-analysis
+// @access  Private/Teacher
+export const getQuizItemAnalysis = async (req, res, next) => {
+  try {
+    const activity = await Activity.findById(req.params.id);
+
+    if (!activity || activity.activityType !== 'quiz') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Check if user is the creator or admin
+    if (activity.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this analysis',
+      });
+    }
+
+    const analysis = await AnalyticsService.getQuizItemAnalysis(activity);
+
+    res.status(200).json({
+      success: true,
+      data: analysis,
+    });
+  } catch (error) {
+    logger.error(`Error fetching item analysis: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Calibrate a quiz's questions for adaptive mode (IRT parameters from past responses)
+// @route   POST /api/activities/:id/calibrate
+// @access  Private/Teacher
+export const calibrateQuiz = async (req, res, next) => {
+  try {
+    const activity = await Activity.findById(req.params.id);
+
+    if (!activity || activity.activityType !== 'quiz') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Check if user is the creator or admin
+    if (activity.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to calibrate this quiz',
+      });
+    }
+
+    const { model } = req.body;
+    if (model && !['1pl', '2pl'].includes(model)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Model must be 1pl or 2pl',
+      });
+    }
+
+    const calibration = await AdaptiveQuizService.calibrate(activity, model ? { model } : {});
+
+    res.status(200).json({
+      success: true,
+      message: `${calibration.calibrated} of ${activity.questions.length} questions calibrated`,
+      data: calibration,
+    });
+  } catch (error) {
+    logger.error(`Error calibrating quiz: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Export a quiz as an IMS QTI 2.1 package (zip)
+// @route   GET /api/activities/:id/export/qti
+// @access  Private/Teacher
+export const exportQtiPackage = async (req, res, next) => {
+  try {
+    const activity = await Activity.findById(req.params.id);
+
+    if (!activity || activity.activityType !== 'quiz') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Check if user is the creator or admin
+    if (activity.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this quiz',
+      });
+    }
+
+    if (activity.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The quiz has no questions to export',
+      });
+    }
+
+    const { buffer, fileName, itemCount, warnings } = QtiService.exportActivity(activity);
+
+    warnings.forEach((warning) => logger.warn(`QTI export of ${activity._id}: ${warning}`));
+    logger.info(
+      `Quiz exported as QTI: ${activity._id} (${itemCount} items) by user: ${req.user._id}`
+    );
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-QTI-Warning-Count': String(warnings.length),
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    logger.error(`Error exporting quiz as QTI: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Create a quiz from an IMS QTI 2.x package (zip, field "package")
+//          Items with unsupported interactions are skipped and listed in the report
+// @route   POST /api/activities/import/qti
+// @access  Private/Teacher
+export const importQtiPackage = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a QTI package (.zip) in the "package" field',
+      });
+    }
+
+    let imported;
+    try {
+      imported = QtiService.importPackage(req.file.buffer, { fileName: req.file.originalname });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the QTI package: ${error.message}`,
+      });
+    }
+
+    const { report } = imported;
+    if (report.imported === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The package has no questions that can be imported',
+        data: { report },
+      });
+    }
+
+    const activity = await Activity.create({
+      ...imported.activity,
+      createdBy: req.user._id,
+      activityId: `ACT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    });
+
+    logger.info(
+      `Activity imported from QTI: ${activity._id} (${report.imported} of ${report.total} items) by user: ${req.user._id}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${report.imported} of ${report.total} questions`,
+      data: { activity, report },
+    });
+  } catch (error) {
+    logger.error(`Error importing QTI package: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Update activity
 // @route   PUT /api/activities/:id
 // @access  Private/Teacher
@@ -103,6 +374,12 @@ export const updateActivity = async (req, res, next) => {
       });
     }
 
+    if (Array.isArray(req.body.questions)) {
+      const questions = await snapshotBankQuestions(req, res);
+      if (!questions) return;
+      req.body.questions = questions;
+    }
+
     activity = await Activity.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
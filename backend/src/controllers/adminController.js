@@ -1,6 +1,11 @@
 import UserRepository from '../repositories/UserRepository.js';
 import AuditLogRepository from '../repositories/AuditLogRepository.js';
 import AnalyticsService from '../services/AnalyticsService.js';
+import EvaluationJobRepository from '../repositories/EvaluationJobRepository.js';
+import EvaluationQueueService from '../services/EvaluationQueueService.js';
+import AIModelConfigRepository from '../repositories/AIModelConfigRepository.js';
+import AIEvaluationService from '../services/AIEvaluationService.js';
+import { getProvider, listProviders } from '../services/evaluators/index.js';
 import User from '../models/User.js';
 import Student from '../models/Student.js';
 import Teacher from '../models/Teacher.js';
@@ -159,6 +164,40 @@ export const updateUser = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Set a student's accommodations (extra time on timed quizzes)
+ * @route   PUT /api/admin/users/:id/accommodations
+ * @access  Private (Admin)
+ */
+export const updateStudentAccommodations = asyncHandler(async (req, res) => {
+  const { timeMultiplier, extraMinutes, note } = req.body;
+
+  const updateData = {};
+
+  if (timeMultiplier !== undefined) updateData['accommodations.timeMultiplier'] = timeMultiplier;
+  if (extraMinutes !== undefined) updateData['accommodations.extraMinutes'] = extraMinutes;
+  if (note !== undefined) updateData['accommodations.note'] = note;
+
+  const student = await Student.findOneAndUpdate(
+    { userId: req.params.id },
+    { $set: updateData },
+    { new: true, runValidators: true }
+  );
+
+  if (!student) {
+    throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  logger.info(`Accommodations updated for student ${student.studentId}`);
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      { studentId: student.studentId, accommodations: student.accommodations },
+      'Accommodations updated successfully'
+    )
+  );
+});
+
 /**
  * @desc    Delete user (FR18)
  * @route   DELETE /api/admin/users/:id
@@ -335,6 +374,282 @@ export const exportAnalytics = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Get evaluation queue jobs
+ * @route   GET /api/admin/evaluation-jobs
+ * @access  Private (Admin)
+ */
+export const getEvaluationJobs = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const [result, stats] = await Promise.all([
+    EvaluationJobRepository.findAll({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    }),
+    EvaluationJobRepository.getStats(),
+  ]);
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        jobs: result.jobs,
+        stats,
+        pagination: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          totalPages: Math.ceil(result.total / result.limit),
+        },
+      },
+      'Evaluation jobs retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Requeue a dead-lettered evaluation job
+ * @route   POST /api/admin/evaluation-jobs/:id/requeue
+ * @access  Private (Admin)
+ */
+export const requeueEvaluationJob = asyncHandler(async (req, res) => {
+  const job = await EvaluationQueueService.requeue(req.params.id);
+
+  if (!job) {
+    throw new AppError('Dead-lettered evaluation job not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  logger.info(`Evaluation job ${job.jobId} requeued by admin ${req.user._id}`);
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse({ job }, 'Evaluation job requeued successfully')
+  );
+});
+
+/**
+ * @desc    Get evaluator providers and per-activity assignments
+ * @route   GET /api/admin/evaluators
+ * @access  Private (Admin)
+ */
+export const getEvaluators = asyncHandler(async (req, res) => {
+  const settings = await AIModelConfigRepository.getActive();
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        providers: listProviders(),
+        assignments: settings.providers,
+      },
+      'Evaluator providers retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Set active evaluator provider for an activity type
+ * @route   PUT /api/admin/evaluators/:activityType
+ * @access  Private (Admin)
+ */
+export const setEvaluatorProvider = asyncHandler(async (req, res) => {
+  const { activityType } = req.params;
+  const { provider: providerName } = req.body;
+
+  const provider = getProvider(providerName);
+
+  if (!provider) {
+    throw new AppError(`Unknown evaluator provider: ${providerName}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!provider.supports(activityType)) {
+    throw new AppError(
+      `Provider ${providerName} does not support ${activityType} activities`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const settings = await AIModelConfigRepository.setProvider(
+    activityType,
+    providerName,
+    req.user._id
+  );
+
+  logger.info(`Evaluator for ${activityType} set to ${providerName} by admin ${req.user._id}`);
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      { assignments: settings.providers },
+      'Evaluator provider updated successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Get active AI model configuration (FR17)
+ * @route   GET /api/admin/ai-models
+ * @access  Private (Admin)
+ */
+export const getAIModelConfig = asyncHandler(async (req, res) => {
+  const active = await AIModelConfigRepository.getActive();
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        version: active.version || 0,
+        providers: active.providers,
+        config: active.config,
+        promptTemplates: active.promptTemplates,
+        availableProviders: listProviders(),
+        updatedAt: active.createdAt || null,
+      },
+      'AI model configuration retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Save AI model configuration as a new version (FR17)
+ * @route   POST /api/admin/ai-models
+ * @access  Private (Admin)
+ */
+export const saveAIModelConfig = asyncHandler(async (req, res) => {
+  const { config, promptTemplates, providers, changeNote } = req.body;
+
+  Object.entries(providers || {}).forEach(([activityType, providerName]) => {
+    const provider = getProvider(providerName);
+    if (!provider || !provider.supports(activityType)) {
+      throw new AppError(
+        `Provider ${providerName} cannot be used for ${activityType} activities`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  });
+
+  const saved = await AIModelConfigRepository.createVersion(
+    { config, promptTemplates, providers },
+    req.user._id,
+    { changeNote }
+  );
+
+  logger.info(`AI model configuration version ${saved.version} saved by admin ${req.user._id}`);
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(
+      {
+        version: saved.version,
+        providers: saved.providers,
+        config: saved.config,
+        promptTemplates: saved.promptTemplates,
+      },
+      'AI model configuration saved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Get AI model configuration history (FR17)
+ * @route   GET /api/admin/ai-models/history
+ * @access  Private (Admin)
+ */
+export const getAIModelHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await AIModelConfigRepository.findHistory({
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        versions: result.versions,
+        pagination: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          totalPages: Math.ceil(result.total / result.limit),
+        },
+      },
+      'AI model configuration history retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Roll back to an earlier AI model configuration version (FR17)
+ * @route   POST /api/admin/ai-models/rollback/:version
+ * @access  Private (Admin)
+ */
+export const rollbackAIModelConfig = asyncHandler(async (req, res) => {
+  const version = parseInt(req.params.version);
+
+  if (!version || version < 1) {
+    throw new AppError('Invalid configuration version', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const restored = await AIModelConfigRepository.rollback(version, req.user._id, req.body.changeNote);
+
+  if (!restored) {
+    throw new AppError(`Configuration version ${version} not found`, HTTP_STATUS.NOT_FOUND);
+  }
+
+  logger.info(
+    `AI model configuration rolled back to version ${version} (now ${restored.version}) by admin ${req.user._id}`
+  );
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse(
+      {
+        version: restored.version,
+        rolledBackFrom: restored.rolledBackFrom,
+        providers: restored.providers,
+        config: restored.config,
+        promptTemplates: restored.promptTemplates,
+      },
+      'AI model configuration rolled back successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Test AI model on sample input without saving (FR17)
+ * @route   POST /api/admin/ai-models/test
+ * @access  Private (Admin)
+ */
+export const testAIModel = asyncHandler(async (req, res) => {
+  const { input, activityType = 'writing', config, promptTemplates, providers } = req.body;
+
+  let preview;
+  try {
+    preview = await AIEvaluationService.previewEvaluation(input, {
+      activityType,
+      overrides: { config, promptTemplates, providers },
+    });
+  } catch (error) {
+    throw new AppError(`Model test failed: ${error.message}`, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+  }
+
+  const { result } = preview;
+  const lines = [
+    `Provider: ${preview.provider} (${preview.scorerVersion})`,
+    `Overall score: ${result.overallScore}/100`,
+  ];
+  ['grammarScore', 'vocabularyScore', 'pronunciationScore'].forEach((field) => {
+    if (result[field] !== undefined) lines.push(`${field}: ${result[field]}/100`);
+  });
+  Object.entries(result.scoreBreakdown || {}).forEach(([criterion, score]) => {
+    lines.push(`${criterion}: ${score}`);
+  });
+  lines.push(`Confidence: ${Math.round(result.aiConfidence * 100)}%`);
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      { ...preview, output: lines.join('\n') },
+      'Model test completed successfully'
+    )
+  );
+});
+
 /**
  * @desc    Mock AI model retraining (FR17)
  * @route   POST /api/admin/model/retrain
@@ -381,6 +696,7 @@ export default {
   getUserById,
   createUser,
   updateUser,
+  updateStudentAccommodations,
   deleteUser,
   getAuditLogs,
   getAuditStats,
@@ -390,5 +706,14 @@ export default {
   getTeacherPerformance,
   getPerformanceDistribution,
   exportAnalytics,
+  getEvaluationJobs,
+  requeueEvaluationJob,
+  getEvaluators,
+  setEvaluatorProvider,
+  getAIModelConfig,
+  saveAIModelConfig,
+  getAIModelHistory,
+  rollbackAIModelConfig,
+  testAIModel,
   retrainModel,
 };
@@ -1,9 +1,12 @@
 import EvaluationRepository from '../repositories/EvaluationRepository.js';
 import Teacher from '../models/Teacher.js';
 import Evaluation from '../models/Evaluation.js';
+import Activity from '../models/Activity.js';
 import AIEvaluationService from '../services/AIEvaluationService.js';
+import EvaluationRevisionService from '../services/EvaluationRevisionService.js';
+import ExplanationRevealService from '../services/ExplanationRevealService.js';
 import NotificationService from '../services/NotificationService.js';
-import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
+import { EVALUATION_REVISION_TYPES, HTTP_STATUS, USER_ROLES } from '../config/constants.js';
 import { asyncHandler, formatSuccessResponse } from '../utils/helpers.js';
 import { AppError } from '../middleware/errorMiddleware.js';
 import { logger } from '../utils/logger.js';
@@ -40,6 +43,7 @@ export const getEvaluationBySubmission = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get mistakes for evaluation
+ *          Students see quiz explanations only once the activity's reveal policy allows
  * @route   GET /api/evaluations/:id/mistakes
  * @access  Private
  */
@@ -52,11 +56,25 @@ export const getEvaluationMistakes = asyncHandler(async (req, res) => {
     throw new AppError('Evaluation not found', HTTP_STATUS.NOT_FOUND);
   }
 
-  const mistakes = await Mistake.find({ evaluationId: evaluation._id }).sort({ severity: 1 });
+  let mistakes = await Mistake.find({ evaluationId: evaluation._id }).sort({ severity: 1 });
+
+  const submission = evaluation.submissionId;
+  let explanations;
+  if (submission?.contentType === 'quiz') {
+    const activity = await Activity.findById(submission.activityId);
+
+    if (activity) {
+      explanations = await ExplanationRevealService.status(activity, submission.studentId);
+
+      if (req.user.role === USER_ROLES.STUDENT) {
+        mistakes = ExplanationRevealService.redactMistakes(mistakes, explanations.revealed);
+      }
+    }
+  }
 
   res.status(HTTP_STATUS.OK).json(
     formatSuccessResponse(
-      { mistakes, count: mistakes.length },
+      { mistakes, count: mistakes.length, explanations },
       'Mistakes retrieved successfully'
     )
   );
@@ -64,6 +82,7 @@ export const getEvaluationMistakes = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Teacher review evaluation (FR11)
+ *          Saved as a teacher-override revision; the reviewed revision is kept
  * @route   PUT /api/evaluations/:id/review
  * @access  Private (Teacher, Admin)
  */
@@ -83,11 +102,14 @@ export const reviewEvaluation = asyncHandler(async (req, res) => {
     throw new AppError('Evaluation not found', HTTP_STATUS.NOT_FOUND);
   }
 
-  if (evaluation.reviewedByTeacher) {
-    throw new AppError('This evaluation has already been reviewed', HTTP_STATUS.BAD_REQUEST);
+  if (!evaluation.isCurrent) {
+    throw new AppError(
+      'Only the current revision can be reviewed. Restore this revision first.',
+      HTTP_STATUS.BAD_REQUEST
+    );
   }
 
-  // Update evaluation with teacher's review
+  // Teacher's review on top of the reviewed revision
   const updateData = {
     reviewedByTeacher: true,
     teacherId: teacher?._id || null,
@@ -101,18 +123,22 @@ export const reviewEvaluation = asyncHandler(async (req, res) => {
   if (pronunciationScore !== undefined) updateData.pronunciationScore = pronunciationScore;
   if (logicScore !== undefined) updateData.logicScore = logicScore;
 
-  const updatedEvaluation = await EvaluationRepository.update(evaluation._id, updateData);
+  const updatedEvaluation = await EvaluationRevisionService.createRevisionFrom(evaluation, {
+    revisionType: EVALUATION_REVISION_TYPES.TEACHER_OVERRIDE,
+    createdBy: req.user._id,
+    overrides: updateData,
+  });
 
   // Notify student
   const submission = evaluation.submissionId;
   await NotificationService.notifyTeacherReview(
     submission.studentId,
-    evaluation._id,
+    updatedEvaluation._id,
     teacherNotes
   );
 
   logger.info(
-    `Evaluation ${evaluation.evaluationId} reviewed by teacher ${teacher?.teacherId || 'admin'}`
+    `Evaluation ${evaluation.evaluationId} reviewed by teacher ${teacher?.teacherId || 'admin'} (revision ${updatedEvaluation.revision})`
   );
 
   res.status(HTTP_STATUS.OK).json(
@@ -154,7 +180,11 @@ export const triggerEvaluation = asyncHandler(async (req, res) => {
 
   logger.info(`Manual evaluation triggered for submission ${submissionId} by ${req.user._id}`);
 
-  const evaluation = await AIEvaluationService.evaluateSubmission(submissionId);
+  const evaluation = await AIEvaluationService.evaluateSubmission(submissionId, {
+    createdBy: req.user._id,
+    note: req.body?.note,
+    applyCurrentPolicy: req.body?.applyCurrentPolicy === true, // Regrade under the edited policy
+  });
 
   res.status(HTTP_STATUS.CREATED).json(
     formatSuccessResponse(
@@ -174,7 +204,10 @@ export const retryEvaluation = asyncHandler(async (req, res) => {
 
   logger.info(`Evaluation retry triggered for submission ${submissionId} by ${req.user._id}`);
 
-  const evaluation = await AIEvaluationService.retryEvaluation(submissionId);
+  const evaluation = await AIEvaluationService.retryEvaluation(submissionId, {
+    createdBy: req.user._id,
+    note: req.body?.note,
+  });
 
   res.status(HTTP_STATUS.OK).json(
     formatSuccessResponse(
@@ -184,6 +217,79 @@ export const retryEvaluation = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    List evaluation revisions for submission
+ * @route   GET /api/evaluations/submission/:submissionId/revisions
+ * @access  Private
+ */
+export const getEvaluationRevisions = asyncHandler(async (req, res) => {
+  const revisions = await EvaluationRevisionService.listRevisions(req.params.submissionId);
+
+  if (revisions.length === 0) {
+    throw new AppError('Evaluation not found for this submission', HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        revisions,
+        currentRevision: revisions.find((revision) => revision.isCurrent)?.revision || null,
+        count: revisions.length,
+      },
+      'Evaluation revisions retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Diff two evaluation revisions
+ * @route   GET /api/evaluations/submission/:submissionId/revisions/diff?from=1&to=2
+ * @access  Private
+ */
+export const diffEvaluationRevisions = asyncHandler(async (req, res) => {
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+
+  const diff = await EvaluationRevisionService.diff(req.params.submissionId, from, to);
+
+  if (!diff) {
+    throw new AppError('Evaluation revision not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(diff, 'Evaluation revisions compared successfully')
+  );
+});
+
+/**
+ * @desc    Restore an earlier evaluation revision
+ * @route   POST /api/evaluations/submission/:submissionId/revisions/:revision/restore
+ * @access  Private (Teacher, Admin)
+ */
+export const restoreEvaluationRevision = asyncHandler(async (req, res) => {
+  const { submissionId } = req.params;
+  const revision = parseInt(req.params.revision);
+
+  const evaluation = await EvaluationRevisionService.restore(
+    submissionId,
+    revision,
+    req.user._id,
+    req.body?.note
+  );
+
+  if (!evaluation) {
+    throw new AppError('Evaluation revision not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  logger.info(
+    `Evaluation revision ${revision} restored for submission ${submissionId} by ${req.user._id}`
+  );
+
+  res.status(HTTP_STATUS.CREATED).json(
+    formatSuccessResponse({ evaluation }, 'Evaluation revision restored successfully')
+  );
+});
+
 export default {
   getEvaluation,
   getEvaluationBySubmission,
@@ -192,4 +298,7 @@ export default {
   getPendingReviews,
   triggerEvaluation,
   retryEvaluation,
+  getEvaluationRevisions,
+  diffEvaluationRevisions,
+  restoreEvaluationRevision,
 };
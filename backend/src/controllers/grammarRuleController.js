@@ -0,0 +1,256 @@
+import GrammarRuleRepository, { RULE_FIELDS } from '../repositories/GrammarRuleRepository.js';
+import GrammarRuleService from '../services/GrammarRuleService.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
+import { asyncHandler, formatSuccessResponse } from '../utils/helpers.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { logger } from '../utils/logger.js';
+
+const pickRuleFields = (body) =>
+  Object.fromEntries(
+    RULE_FIELDS.filter((field) => field in body).map((field) => [field, body[field]])
+  );
+
+/**
+ * Rule the current user may change: teachers only their own, built-in rules are admin only
+ */
+const findOwnRule = async (req, action) => {
+  const rule = await GrammarRuleRepository.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Grammar rule not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (
+    req.user.role !== USER_ROLES.ADMIN &&
+    (rule.isBuiltIn || rule.createdBy?._id.toString() !== req.user._id.toString())
+  ) {
+    throw new AppError(`You can only ${action} your own grammar rules`, HTTP_STATUS.FORBIDDEN);
+  }
+
+  return rule;
+};
+
+/**
+ * Run a rule on sample text; a pattern that fails on it is a bad request, not a server error
+ */
+const runTest = (rule, text) => {
+  try {
+    return GrammarRuleService.test(rule, text);
+  } catch (error) {
+    throw new AppError(error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+/**
+ * @desc    Create grammar rule
+ *          New rules are disabled unless isEnabled is set, so they can be tested first
+ * @route   POST /api/grammar-rules
+ * @access  Private (Teacher, Admin)
+ */
+export const createGrammarRule = asyncHandler(async (req, res) => {
+  const rule = await GrammarRuleRepository.create(pickRuleFields(req.body), req.user._id, {
+    changeNote: req.body.changeNote,
+  });
+  GrammarRuleService.invalidate();
+
+  logger.info(`Grammar rule created: ${rule.ruleId} by ${req.user.email}`);
+
+  res
+    .status(HTTP_STATUS.CREATED)
+    .json(formatSuccessResponse({ rule }, 'Grammar rule created successfully'));
+});
+
+/**
+ * @desc    Get grammar rules (?errorType, ?language, ?isEnabled, ?search)
+ * @route   GET /api/grammar-rules
+ * @access  Private (Teacher, Admin)
+ */
+export const getGrammarRules = asyncHandler(async (req, res) => {
+  const { errorType, language, isEnabled, search, page = 1, limit = 20 } = req.query;
+
+  const result = await GrammarRuleRepository.findAll(
+    {
+      errorType,
+      language,
+      isEnabled: isEnabled === undefined ? undefined : isEnabled === 'true',
+      search: search?.trim(),
+    },
+    { page: parseInt(page), limit: parseInt(limit) }
+  );
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        rules: result.rules,
+        pagination: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          totalPages: Math.ceil(result.total / result.limit),
+        },
+      },
+      'Grammar rules retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Get grammar rule by ID
+ * @route   GET /api/grammar-rules/:id
+ * @access  Private (Teacher, Admin)
+ */
+export const getGrammarRule = asyncHandler(async (req, res) => {
+  const rule = await GrammarRuleRepository.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Grammar rule not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ rule }));
+});
+
+/**
+ * @desc    Update grammar rule (saved as a new version)
+ * @route   PUT /api/grammar-rules/:id
+ * @access  Private (Teacher - own, Admin - all)
+ */
+export const updateGrammarRule = asyncHandler(async (req, res) => {
+  const rule = await findOwnRule(req, 'update');
+
+  await GrammarRuleRepository.update(rule, pickRuleFields(req.body), req.user._id, {
+    changeNote: req.body.changeNote,
+  });
+  GrammarRuleService.invalidate();
+
+  logger.info(`Grammar rule updated: ${rule.ruleId} (v${rule.version}) by ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ rule }, 'Grammar rule updated'));
+});
+
+/**
+ * @desc    Delete grammar rule (soft delete; its versions are kept)
+ * @route   DELETE /api/grammar-rules/:id
+ * @access  Private (Teacher - own, Admin - all)
+ */
+export const deleteGrammarRule = asyncHandler(async (req, res) => {
+  const rule = await findOwnRule(req, 'delete');
+
+  await GrammarRuleRepository.softDelete(rule, req.user._id);
+  GrammarRuleService.invalidate();
+
+  logger.info(`Grammar rule deleted (soft): ${rule.ruleId} by ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse(null, 'Grammar rule deleted'));
+});
+
+/**
+ * @desc    Version history of a grammar rule
+ * @route   GET /api/grammar-rules/:id/versions
+ * @access  Private (Teacher, Admin)
+ */
+export const getGrammarRuleVersions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const rule = await GrammarRuleRepository.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Grammar rule not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const result = await GrammarRuleRepository.findVersions(rule._id, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse({
+      versions: result.versions,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: Math.ceil(result.total / result.limit),
+      },
+    })
+  );
+});
+
+/**
+ * @desc    Roll a grammar rule back to an earlier version (saved as a new version)
+ * @route   POST /api/grammar-rules/:id/rollback/:version
+ * @access  Private (Teacher - own, Admin - all)
+ */
+export const rollbackGrammarRule = asyncHandler(async (req, res) => {
+  const version = parseInt(req.params.version);
+
+  if (!/^\d+$/.test(req.params.version) || version < 1) {
+    throw new AppError('Version must be a positive integer', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const rule = await findOwnRule(req, 'roll back');
+
+  if (version === rule.version) {
+    throw new AppError(`Version ${version} is the current version`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const restored = await GrammarRuleRepository.rollback(
+    rule,
+    version,
+    req.user._id,
+    req.body?.changeNote
+  );
+
+  if (!restored) {
+    throw new AppError(`Version ${version} not found`, HTTP_STATUS.NOT_FOUND);
+  }
+  GrammarRuleService.invalidate();
+
+  logger.info(
+    `Grammar rule ${rule.ruleId} rolled back to v${version} (now v${rule.version}) by ${req.user.email}`
+  );
+
+  res
+    .status(HTTP_STATUS.OK)
+    .json(formatSuccessResponse({ rule }, `Grammar rule rolled back to version ${version}`));
+});
+
+/**
+ * @desc    Try a draft rule on sample text before saving it
+ * @route   POST /api/grammar-rules/test
+ * @access  Private (Teacher, Admin)
+ */
+export const testDraftGrammarRule = asyncHandler(async (req, res) => {
+  const { rule, text } = req.body;
+
+  const result = runTest({ flags: 'gi', ...pickRuleFields(rule) }, text);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse(result));
+});
+
+/**
+ * @desc    Try a saved rule on sample text, enabled or not
+ * @route   POST /api/grammar-rules/:id/test
+ * @access  Private (Teacher, Admin)
+ */
+export const testGrammarRule = asyncHandler(async (req, res) => {
+  const rule = await GrammarRuleRepository.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Grammar rule not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const result = runTest(rule.toObject(), req.body.text);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ ruleId: rule.ruleId, ...result }));
+});
+
+export default {
+  createGrammarRule,
+  getGrammarRules,
+  getGrammarRule,
+  updateGrammarRule,
+  deleteGrammarRule,
+  getGrammarRuleVersions,
+  rollbackGrammarRule,
+  testDraftGrammarRule,
+  testGrammarRule,
+};
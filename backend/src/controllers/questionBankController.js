@@ -0,0 +1,221 @@
+import QuestionBank from '../models/QuestionBank.js';
+import Teacher from '../models/Teacher.js';
+import QuestionBankRepository from '../repositories/QuestionBankRepository.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
+import { asyncHandler, formatSuccessResponse } from '../utils/helpers.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { logger } from '../utils/logger.js';
+
+// Fields a teacher may set on a bank item; the rest are managed by the server
+const EDITABLE_FIELDS = [
+  'questionText',
+  'questionType',
+  'options',
+  'correctAnswer',
+  'acceptedAnswers',
+  'answerPatterns',
+  'caseSensitive',
+  'accentSensitive',
+  'correctAnswers',
+  'numericAnswer',
+  'blanks',
+  'pairs',
+  'sequence',
+  'tags',
+  'difficulty',
+  'points',
+  'explanation',
+  'reference',
+  'skill',
+  'cefrLevel',
+  'isShared',
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => field in body).map((field) => [field, body[field]])
+  );
+
+/**
+ * Teacher profile of the current user; admins may act without one
+ */
+const findTeacher = async (req) => {
+  const teacher = await Teacher.findOne({ userId: req.user._id });
+
+  if (!teacher && req.user.role !== USER_ROLES.ADMIN) {
+    throw new AppError('Teacher profile not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return teacher;
+};
+
+/**
+ * Bank item the current user may change: teachers only their own
+ */
+const findOwnItem = async (req, action) => {
+  const item = await QuestionBank.findById(req.params.id);
+
+  if (!item || !item.isActive) {
+    throw new AppError('Question bank item not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (req.user.role === USER_ROLES.TEACHER) {
+    const teacher = await Teacher.findOne({ userId: req.user._id });
+    if (!teacher || item.createdBy.toString() !== teacher._id.toString()) {
+      throw new AppError(`You can only ${action} your own bank questions`, HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  return item;
+};
+
+/**
+ * @desc    Add a question to the bank
+ * @route   POST /api/question-bank
+ * @access  Private (Teacher, Admin)
+ */
+export const createBankQuestion = asyncHandler(async (req, res) => {
+  const teacher = await findTeacher(req);
+
+  const item = await QuestionBankRepository.create({
+    ...pickEditable(req.body),
+    createdBy: teacher?._id || req.user._id,
+  });
+
+  logger.info(`Question bank item created: ${item.itemId} by ${req.user.email}`);
+
+  res
+    .status(HTTP_STATUS.CREATED)
+    .json(formatSuccessResponse({ item }, 'Question added to the bank'));
+});
+
+/**
+ * @desc    Search and filter bank questions
+ *          Teachers see their own questions and shared ones
+ * @route   GET /api/question-bank
+ * @access  Private (Teacher, Admin)
+ */
+export const getBankQuestions = asyncHandler(async (req, res) => {
+  const {
+    search,
+    tags,
+    skill,
+    cefrLevel,
+    difficulty,
+    questionType,
+    mine,
+    page = 1,
+    limit = 20,
+  } = req.query;
+  const teacher = req.user.role === USER_ROLES.TEACHER ? await findTeacher(req) : null;
+
+  const result = await QuestionBankRepository.search(
+    {
+      search: search?.trim(),
+      tags: tags
+        ? tags
+            .split(',')
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+        : [],
+      skill,
+      cefrLevel,
+      difficulty,
+      questionType,
+      mine: mine === 'true',
+    },
+    { teacherId: teacher?._id || null, page: parseInt(page), limit: parseInt(limit) }
+  );
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse(
+      {
+        items: result.items,
+        pagination: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          totalPages: Math.ceil(result.total / result.limit),
+        },
+      },
+      'Bank questions retrieved successfully'
+    )
+  );
+});
+
+/**
+ * @desc    Tags, skills, CEFR levels, difficulties and types in the bank, with counts
+ * @route   GET /api/question-bank/facets
+ * @access  Private (Teacher, Admin)
+ */
+export const getBankFacets = asyncHandler(async (req, res) => {
+  const teacher = req.user.role === USER_ROLES.TEACHER ? await findTeacher(req) : null;
+  const facets = await QuestionBankRepository.facets(teacher?._id || null);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ facets }));
+});
+
+/**
+ * @desc    Get bank question by ID
+ * @route   GET /api/question-bank/:id
+ * @access  Private (Teacher - own and shared, Admin - all)
+ */
+export const getBankQuestion = asyncHandler(async (req, res) => {
+  const item = await QuestionBankRepository.findById(req.params.id);
+
+  if (!item || !item.isActive) {
+    throw new AppError('Question bank item not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (req.user.role === USER_ROLES.TEACHER && !item.isShared) {
+    const teacher = await findTeacher(req);
+    if (item.createdBy._id.toString() !== teacher._id.toString()) {
+      throw new AppError('Question bank item not found', HTTP_STATUS.NOT_FOUND);
+    }
+  }
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ item }));
+});
+
+/**
+ * @desc    Update bank question
+ *          Quizzes keep the copy they were saved with; the new version is used from then on
+ * @route   PUT /api/question-bank/:id
+ * @access  Private (Teacher - own, Admin - all)
+ */
+export const updateBankQuestion = asyncHandler(async (req, res) => {
+  const item = await findOwnItem(req, 'update');
+
+  item.set(pickEditable(req.body));
+  item.version += 1;
+  await item.save();
+
+  logger.info(`Question bank item updated: ${item.itemId} (v${item.version}) by ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ item }, 'Bank question updated'));
+});
+
+/**
+ * @desc    Delete bank question (soft delete; quizzes keep their copies)
+ * @route   DELETE /api/question-bank/:id
+ * @access  Private (Teacher - own, Admin - all)
+ */
+export const deleteBankQuestion = asyncHandler(async (req, res) => {
+  const item = await findOwnItem(req, 'delete');
+
+  item.isActive = false;
+  await item.save();
+
+  logger.info(`Question bank item deleted (soft): ${item.itemId} by ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json(formatSuccessResponse(null, 'Bank question deleted'));
+});
+
+export default {
+  createBankQuestion,
+  getBankQuestions,
+  getBankFacets,
+  getBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+};
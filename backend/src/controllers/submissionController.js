@@ -1,10 +1,24 @@
+import fs from 'fs/promises';
 import SubmissionRepository from '../repositories/SubmissionRepository.js';
 import Student from '../models/Student.js';
 import Activity from '../models/Activity.js';
-import { HTTP_STATUS, SUBMISSION_STATUS, USER_ROLES } from '../config/constants.js';
+import EvaluationQueueService from '../services/EvaluationQueueService.js';
+import QuizDeliveryService from '../services/QuizDeliveryService.js';
+import QuizSessionService from '../services/QuizSessionService.js';
+import AdaptiveQuizService from '../services/AdaptiveQuizService.js';
+import QuizSessionRepository from '../repositories/QuizSessionRepository.js';
+import {
+  HTTP_STATUS,
+  QUIZ_MODES,
+  QUIZ_SESSION_STATUS,
+  SUBMISSION_STATUS,
+  USER_ROLES,
+} from '../config/constants.js';
 import { asyncHandler, formatSuccessResponse } from '../utils/helpers.js';
 import { AppError } from '../middleware/errorMiddleware.js';
 import { logger } from '../utils/logger.js';
+import { parseAudioMetadata } from '../utils/audioMetadata.js';
+import { countWords } from '../utils/nlp.js';
 
 /**
  * @desc    Submit Speaking Activity (FR2)
@@ -36,8 +50,14 @@ export const submitSpeakingActivity = asyncHandler(async (req, res) => {
     throw new AppError('Audio file is required for speaking activity', HTTP_STATUS.BAD_REQUEST);
   }
 
-  // Calculate audio duration (mock - in real app would use audio processing library)
-  const duration = Math.floor(Math.random() * 180) + 60; // Mock: 60-240 seconds
+  // Read duration and format details from the uploaded container
+  let audioMetadata;
+  try {
+    audioMetadata = parseAudioMetadata(await fs.readFile(audioFile.path));
+  } catch (error) {
+    await fs.unlink(audioFile.path).catch(() => {});
+    throw new AppError(`Invalid audio file: ${error.message}`, HTTP_STATUS.BAD_REQUEST);
+  }
 
   // Create submission
   const submission = await SubmissionRepository.create({
@@ -47,8 +67,13 @@ export const submitSpeakingActivity = asyncHandler(async (req, res) => {
     content: {
       audioUrl: audioFile.path,
       originalName: audioFile.originalname,
-      duration: duration,
+      duration: audioMetadata.duration,
       fileSize: audioFile.size,
+      format: audioMetadata.format,
+      codec: audioMetadata.codec,
+      sampleRate: audioMetadata.sampleRate,
+      channels: audioMetadata.channels,
+      bitrate: audioMetadata.bitrate,
       transcript: content?.transcript || '', // Optional transcript from speech-to-text
     },
     status: SUBMISSION_STATUS.PENDING,
@@ -62,6 +87,9 @@ export const submitSpeakingActivity = asyncHandler(async (req, res) => {
     `Speaking submission created: ${submission.submissionId} by student ${student.studentId}`
   );
 
+  // Queue for background AI evaluation
+  await EvaluationQueueService.enqueue(submission._id);
+
   res.status(HTTP_STATUS.CREATED).json(
     formatSuccessResponse(
       {
@@ -113,7 +141,7 @@ export const submitWritingActivity = asyncHandler(async (req, res) => {
 
   // Calculate word count and character count
   const text = content.text.trim();
-  const wordCount = text.split(/\s+/).filter((word) => word.length > 0).length;
+  const wordCount = countWords(text);
   const characterCount = text.length;
 
   // Create submission
@@ -138,6 +166,9 @@ export const submitWritingActivity = asyncHandler(async (req, res) => {
     `Writing submission created: ${submission.submissionId} by student ${student.studentId}`
   );
 
+  // Queue for background AI evaluation
+  await EvaluationQueueService.enqueue(submission._id);
+
   res.status(HTTP_STATUS.CREATED).json(
     formatSuccessResponse(
       {
@@ -158,20 +189,14 @@ export const submitWritingActivity = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Submit Quiz Activity (FR4)
- * @route   POST /api/submissions/quiz
- * @access  Private (Student)
+ * The current student and the active quiz they are taking
  */
-export const submitQuizActivity = asyncHandler(async (req, res) => {
-  const { activityId, content } = req.body;
-
-  // Verify user is a student
+const findStudentQuiz = async (req, activityId) => {
   const student = await Student.findOne({ userId: req.user._id });
   if (!student) {
     throw new AppError('Only students can submit activities', HTTP_STATUS.FORBIDDEN);
   }
 
-  // Verify activity exists and is active
   const activity = await Activity.findById(activityId);
   if (!activity || !activity.isActive) {
     throw new AppError('Activity not found or inactive', HTTP_STATUS.NOT_FOUND);
@@ -181,66 +206,408 @@ export const submitQuizActivity = asyncHandler(async (req, res) => {
     throw new AppError('This activity is not a quiz activity', HTTP_STATUS.BAD_REQUEST);
   }
 
-  // Validate quiz answers
-  if (!content || !content.answers || !Array.isArray(content.answers)) {
-    throw new AppError('Quiz answers are required', HTTP_STATUS.BAD_REQUEST);
+  return { student, activity };
+};
+
+/**
+ * Map of question ID to answer for the questions a student was given
+ * Answers are keyed by question ID ({ questionId, answer }); plain values are matched to
+ * questions by position for older clients
+ */
+const collectAnswers = (questions, answers) => {
+  const delivered = new Set(questions.map((question) => String(question._id)));
+  const keyed = answers.every(
+    (item) => item && typeof item === 'object' && !Array.isArray(item) && 'questionId' in item
+  );
+
+  const answersById = new Map();
+  if (keyed) {
+    for (const item of answers) {
+      const questionId = String(item.questionId);
+      if (!delivered.has(questionId)) {
+        throw new AppError(`Unknown question ${questionId}`, HTTP_STATUS.BAD_REQUEST);
+      }
+      if (answersById.has(questionId)) {
+        throw new AppError(`Question ${questionId} answered twice`, HTTP_STATUS.BAD_REQUEST);
+      }
+      answersById.set(questionId, item.answer);
+    }
+  } else if (answers.length === questions.length) {
+    questions.forEach((question, index) => {
+      answersById.set(String(question._id), answers[index]);
+    });
+  }
+
+  return answersById;
+};
+
+/**
+ * Timed or adaptive session details sent to the student
+ */
+const formatQuizSession = (session) => ({
+  id: session._id,
+  sessionId: session.sessionId,
+  mode: session.mode,
+  status: session.status,
+  startedAt: session.startedAt,
+  deadline: session.deadline,
+  timeAllowed: session.timeAllowed,
+  gracePeriod: QuizSessionService.gracePeriodMs() / 1000,
+  serverTime: new Date(), // Lets the client correct for clock skew
+  savedAnswers: session.savedAnswers.map(({ questionId, answer }) => ({ questionId, answer })),
+});
+
+/**
+ * Quiz submission details sent back on submit
+ */
+const formatQuizSubmission = (submission) => ({
+  submission: {
+    id: submission._id,
+    submissionId: submission.submissionId,
+    activityId: submission.activityId,
+    contentType: submission.contentType,
+    status: submission.status,
+    totalQuestions: submission.content.totalQuestions,
+    autoSubmitted: !!submission.content.autoSubmitted,
+    submittedAt: submission.submittedAt,
+  },
+});
+
+/**
+ * A submission as the current user may see it
+ * Students do not get the IRT parameters an adaptive quiz was scored with: they show how
+ * the question selector rates each question
+ */
+const submissionForUser = (submission, user) => {
+  if (user.role !== USER_ROLES.STUDENT || !submission.content?.adaptive) {
+    return submission;
   }
 
-  // Verify all questions are answered
-  const questionCount = activity.questions.length;
-  const answeredCount = content.answers.length;
+  const details = submission.toObject();
+  delete details.content.adaptive.itemParameters;
+  return details;
+};
+
+/**
+ * @desc    Start (or resume) a timed or adaptive quiz attempt
+ * @route   POST /api/submissions/quiz/start
+ * @access  Private (Student)
+ */
+export const startQuizAttempt = asyncHandler(async (req, res) => {
+  const { student, activity } = await findStudentQuiz(req, req.body.activityId);
+  const adaptive = activity.quizMode === QUIZ_MODES.ADAPTIVE;
 
-  if (answeredCount !== questionCount) {
+  if (!activity.timeLimit && !adaptive) {
     throw new AppError(
-      `All ${questionCount} questions must be answered. You answered ${answeredCount}.`,
+      'This quiz has no time limit; it can be taken without starting an attempt',
       HTTP_STATUS.BAD_REQUEST
     );
   }
 
-  // Create submission
-  const submission = await SubmissionRepository.create({
-    studentId: student._id,
-    activityId: activityId,
-    contentType: 'quiz',
-    content: {
-      answers: content.answers.map((answer, index) => ({
-        questionIndex: index,
-        questionId: activity.questions[index]._id,
-        answer: answer,
-        submittedAt: new Date(),
-      })),
-      totalQuestions: questionCount,
-      timeTaken: content.timeTaken || null, // Time in seconds
-    },
-    status: SUBMISSION_STATUS.PENDING,
-    metadata: {
-      ipAddress: req.ip,
-      userAgent: req.headers['user-agent'],
-    },
-  });
+  let session = await QuizSessionRepository.findLatest(activity._id, student._id);
 
-  logger.info(
-    `Quiz submission created: ${submission.submissionId} by student ${student.studentId}`
-  );
+  if (
+    session?.status === QUIZ_SESSION_STATUS.IN_PROGRESS &&
+    QuizSessionService.isExpired(session)
+  ) {
+    await QuizSessionService.expire(session, activity);
+    session = await QuizSessionRepository.findById(session._id);
+  }
 
-  res.status(HTTP_STATUS.CREATED).json(
+  if (session && session.status !== QUIZ_SESSION_STATUS.IN_PROGRESS) {
+    throw new AppError(
+      adaptive
+        ? 'You have already completed this quiz'
+        : 'You have already completed this timed quiz',
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  let resumed = !!session;
+  if (!session) {
+    try {
+      session = adaptive
+        ? await AdaptiveQuizService.startAttempt(activity, student)
+        : await QuizSessionService.startAttempt(activity, student);
+    } catch (error) {
+      // Another request started this attempt first: a student has one open session per quiz
+      const started =
+        error.code === 11000 && (await QuizSessionRepository.findLatest(activity._id, student._id));
+
+      if (started?.status !== QUIZ_SESSION_STATUS.IN_PROGRESS) throw error;
+
+      session = started;
+      resumed = true;
+    }
+  }
+
+  // Adaptive quizzes are shown one question at a time
+  const quiz =
+    session.mode === QUIZ_MODES.ADAPTIVE
+      ? { question: AdaptiveQuizService.currentQuestion(activity, session) }
+      : { questions: QuizDeliveryService.buildQuiz(activity, session.seed) };
+
+  res
+    .status(resumed ? HTTP_STATUS.OK : HTTP_STATUS.CREATED)
+    .json(
+      formatSuccessResponse(
+        { session: formatQuizSession(session), ...quiz },
+        resumed ? 'Quiz attempt resumed' : 'Quiz attempt started'
+      )
+    );
+});
+
+/**
+ * @desc    Answer the current question of an adaptive quiz
+ * @route   POST /api/submissions/quiz/sessions/:id/responses
+ * @access  Private (Student)
+ */
+export const answerAdaptiveQuestion = asyncHandler(async (req, res) => {
+  const { questionId, answer } = req.body;
+
+  if (!questionId) {
+    throw new AppError('Question ID is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const session = await QuizSessionRepository.findById(req.params.id);
+  const student = await Student.findOne({ userId: req.user._id });
+
+  if (!session || !student || session.studentId.toString() !== student._id.toString()) {
+    throw new AppError('Quiz session not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (session.mode !== QUIZ_MODES.ADAPTIVE) {
+    throw new AppError('This quiz attempt is not adaptive', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (session.status !== QUIZ_SESSION_STATUS.IN_PROGRESS) {
+    throw new AppError('This quiz attempt is already closed', HTTP_STATUS.CONFLICT);
+  }
+
+  const activity = await Activity.findById(session.activityId);
+  if (!activity) {
+    throw new AppError('Activity not found or inactive', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (QuizSessionService.isExpired(session)) {
+    const submission = await QuizSessionService.expire(session, activity);
+
+    if (!submission) {
+      throw new AppError('This quiz attempt is already closed', HTTP_STATUS.CONFLICT);
+    }
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          formatQuizSubmission(submission),
+          'Time limit exceeded. Your earlier answers were submitted.'
+        )
+      );
+  }
+
+  if (String(questionId) !== String(session.adaptive.currentQuestionId)) {
+    throw new AppError('Answer the current question first', HTTP_STATUS.CONFLICT);
+  }
+
+  const result = await AdaptiveQuizService.respond(session, activity, answer ?? null);
+
+  if (!result) {
+    throw new AppError('This question has already been answered', HTTP_STATUS.CONFLICT);
+  }
+
+  if (result.submission) {
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          formatQuizSubmission(result.submission),
+          'Quiz submitted successfully. Evaluation in progress.'
+        )
+      );
+  }
+
+  res.status(HTTP_STATUS.OK).json(
     formatSuccessResponse(
       {
-        submission: {
-          id: submission._id,
-          submissionId: submission.submissionId,
-          activityId: submission.activityId,
-          contentType: submission.contentType,
-          status: submission.status,
-          totalQuestions: questionCount,
-          submittedAt: submission.submittedAt,
-        },
+        session: formatQuizSession(result.session),
+        question: AdaptiveQuizService.currentQuestion(activity, result.session),
       },
-      'Quiz submitted successfully. Evaluation in progress.'
+      'Answer recorded'
     )
   );
 });
 
+/**
+ * @desc    Save answers to a timed quiz attempt as the student works
+ * @route   PUT /api/submissions/quiz/sessions/:id/answers
+ * @access  Private (Student)
+ */
+export const saveQuizAnswers = asyncHandler(async (req, res) => {
+  const { answers } = req.body;
+
+  if (!Array.isArray(answers)) {
+    throw new AppError('Quiz answers are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const session = await QuizSessionRepository.findById(req.params.id);
+  const student = await Student.findOne({ userId: req.user._id });
+
+  if (!session || !student || session.studentId.toString() !== student._id.toString()) {
+    throw new AppError('Quiz session not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (session.mode === QUIZ_MODES.ADAPTIVE) {
+    throw new AppError(
+      'Adaptive quizzes are answered one question at a time',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  if (session.status !== QUIZ_SESSION_STATUS.IN_PROGRESS) {
+    throw new AppError('This quiz attempt is already closed', HTTP_STATUS.CONFLICT);
+  }
+
+  const activity = await Activity.findById(session.activityId);
+  if (!activity) {
+    throw new AppError('Activity not found or inactive', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (QuizSessionService.isExpired(session)) {
+    await QuizSessionService.expire(session, activity);
+    throw new AppError(
+      'Time is up. Your previously saved answers have been submitted.',
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const questions = QuizDeliveryService.drawQuestions(activity, session.seed);
+  const saved = await QuizSessionService.saveAnswers(session, collectAnswers(questions, answers));
+
+  if (!saved) {
+    throw new AppError('This quiz attempt is already closed', HTTP_STATUS.CONFLICT);
+  }
+
+  res
+    .status(HTTP_STATUS.OK)
+    .json(formatSuccessResponse({ session: formatQuizSession(saved) }, 'Answers saved'));
+});
+
+/**
+ * @desc    Submit Quiz Activity (FR4)
+ * @route   POST /api/submissions/quiz
+ * @access  Private (Student)
+ */
+export const submitQuizActivity = asyncHandler(async (req, res) => {
+  const { activityId, content } = req.body;
+  const { student, activity } = await findStudentQuiz(req, activityId);
+  const metadata = {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  };
+
+  if (activity.quizMode === QUIZ_MODES.ADAPTIVE) {
+    throw new AppError(
+      'Adaptive quizzes are answered one question at a time; start an attempt instead',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // Validate quiz answers
+  if (!content || !content.answers || !Array.isArray(content.answers)) {
+    throw new AppError('Quiz answers are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Timed quizzes are submitted through the attempt started at POST /api/submissions/quiz/start
+  let session = null;
+  if (activity.timeLimit) {
+    session = await QuizSessionRepository.findLatest(activity._id, student._id);
+
+    if (!session) {
+      throw new AppError('Start this timed quiz before submitting it', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (session.status !== QUIZ_SESSION_STATUS.IN_PROGRESS) {
+      throw new AppError('You have already completed this timed quiz', HTTP_STATUS.CONFLICT);
+    }
+
+    // Too late: the answers sent now are ignored and the saved ones submitted instead
+    if (QuizSessionService.isExpired(session)) {
+      const submission = await QuizSessionService.expire(session, activity);
+
+      if (!submission) {
+        throw new AppError('You have already completed this timed quiz', HTTP_STATUS.CONFLICT);
+      }
+
+      return res
+        .status(HTTP_STATUS.CREATED)
+        .json(
+          formatSuccessResponse(
+            formatQuizSubmission(submission),
+            'Time limit exceeded. Your saved answers were submitted instead.'
+          )
+        );
+    }
+  }
+
+  // Untimed quizzes may be retaken, up to the activity's attempt limit
+  if (!session) {
+    const attempts = await SubmissionRepository.countByStudentAndActivity(
+      student._id,
+      activity._id
+    );
+    const limit = QuizSessionService.attemptLimit(activity);
+
+    if (limit && attempts >= limit) {
+      throw new AppError(
+        `You have used all ${limit} ${limit === 1 ? 'attempt' : 'attempts'} at this quiz`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    metadata.attemptNumber = attempts + 1;
+  }
+
+  // The questions this student was given (see GET /api/activities/:id/quiz)
+  const seed = session?.seed || QuizDeliveryService.createSeed(activity._id, student._id);
+  const questions = QuizDeliveryService.drawQuestions(activity, seed);
+  const answersById = collectAnswers(questions, content.answers);
+
+  // Verify all questions are answered, unless the clock ran out (within the grace period)
+  const questionCount = questions.length;
+  const answeredCount = answersById.size;
+
+  if (answeredCount !== questionCount && !(session && QuizSessionService.isOverdue(session))) {
+    throw new AppError(
+      `All ${questionCount} questions must be answered. You answered ${answeredCount}.`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const submission = session
+    ? await QuizSessionService.submit(session, activity, answersById, metadata)
+    : await QuizSessionService.createSubmission(activity, {
+        studentId: student._id,
+        seed,
+        answersById,
+        timeTaken: content.timeTaken || null,
+        metadata,
+      });
+
+  if (!submission) {
+    throw new AppError('You have already completed this timed quiz', HTTP_STATUS.CONFLICT);
+  }
+
+  res
+    .status(HTTP_STATUS.CREATED)
+    .json(
+      formatSuccessResponse(
+        formatQuizSubmission(submission),
+        'Quiz submitted successfully. Evaluation in progress.'
+      )
+    );
+});
+
 /**
  * @desc    Get submission by ID
  * @route   GET /api/submissions/:id
@@ -262,7 +629,21 @@ export const getSubmission = asyncHandler(async (req, res) => {
     }
   }
 
-  res.status(HTTP_STATUS.OK).json(formatSuccessResponse({ submission }));
+  // Quizzes: the questions exactly as the student saw them, for review
+  let quizQuestions;
+  if (submission.contentType === 'quiz') {
+    const activity = await Activity.findById(submission.activityId._id);
+    if (activity) {
+      quizQuestions = QuizDeliveryService.reconstruct(activity, submission);
+    }
+  }
+
+  res.status(HTTP_STATUS.OK).json(
+    formatSuccessResponse({
+      submission: submissionForUser(submission, req.user),
+      ...(quizQuestions && { quizQuestions }),
+    })
+  );
 });
 
 /**
@@ -285,7 +666,15 @@ export const getMySubmissions = asyncHandler(async (req, res) => {
   });
 
   res.status(HTTP_STATUS.OK).json(
-    formatSuccessResponse(result, 'Submissions retrieved successfully')
+    formatSuccessResponse(
+      {
+        ...result,
+        submissions: result.submissions.map((submission) =>
+          submissionForUser(submission, req.user)
+        ),
+      },
+      'Submissions retrieved successfully'
+    )
   );
 });
 
@@ -343,6 +732,8 @@ export const deleteSubmission = asyncHandler(async (req, res) => {
 export default {
   submitSpeakingActivity,
   submitWritingActivity,
+  startQuizAttempt,
+  saveQuizAnswers,
   submitQuizActivity,
   getSubmission,
   getMySubmissions,
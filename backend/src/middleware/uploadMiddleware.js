@@ -71,6 +71,29 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// Content packages are unpacked in memory and never written to disk
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: FILE_LIMITS.MAX_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase().substring(1);
+
+    if (FILE_LIMITS.ALLOWED_PACKAGE_FORMATS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(
+        new AppError(
+          `Invalid package format. Allowed formats: ${FILE_LIMITS.ALLOWED_PACKAGE_FORMATS.join(', ')}`,
+          HTTP_STATUS.BAD_REQUEST
+        ),
+        false
+      );
+    }
+  },
+});
+
 /**
  * Middleware for single audio file upload
  */
@@ -81,6 +104,11 @@ export const uploadAudio = upload.single('audio');
  */
 export const uploadMultiple = upload.array('files', 5);
 
+/**
+ * Middleware for a single content package upload (QTI zip)
+ */
+export const uploadPackage = packageUpload.single('package');
+
 /**
  * Error handling for multer
  */
@@ -109,5 +137,6 @@ export const handleUploadError = (err, req, res, next) => {
 export default {
   uploadAudio,
   uploadMultiple,
+  uploadPackage,
   handleUploadError,
 };
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+const providerField = {
+  type: String,
+  enum: {
+    values: ['rule-based', 'llm'],
+    message: '{VALUE} is not a valid evaluator provider',
+  },
+  default: 'rule-based',
+};
+
+const aiModelConfigSchema = new mongoose.Schema(
+  {
+    configId: {
+      type: String,
+      required: [true, 'Config ID is required'],
+      unique: true,
+      trim: true,
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      unique: true,
+      min: [1, 'Version must be at least 1'],
+    },
+    // Active evaluator provider per activity type
+    providers: {
+      speaking: providerField,
+      writing: providerField,
+      quiz: providerField,
+    },
+    // Sampling parameters for the LLM provider
+    config: {
+      model: {
+        type: String,
+        trim: true,
+        default: 'gpt-4',
+      },
+      temperature: {
+        type: Number,
+        min: [0, 'Temperature cannot be less than 0'],
+        max: [2, 'Temperature cannot be more than 2'],
+        default: 0.7,
+      },
+      maxTokens: {
+        type: Number,
+        min: [100, 'Max tokens cannot be less than 100'],
+        max: [4000, 'Max tokens cannot be more than 4000'],
+        default: 2000,
+      },
+      topP: {
+        type: Number,
+        min: [0, 'Top P cannot be less than 0'],
+        max: [1, 'Top P cannot be more than 1'],
+        default: 1,
+      },
+      frequencyPenalty: {
+        type: Number,
+        min: [0, 'Frequency penalty cannot be less than 0'],
+        max: [2, 'Frequency penalty cannot be more than 2'],
+        default: 0,
+      },
+      presencePenalty: {
+        type: Number,
+        min: [0, 'Presence penalty cannot be less than 0'],
+        max: [2, 'Presence penalty cannot be more than 2'],
+        default: 0,
+      },
+    },
+    // System prompt per activity type for the LLM provider
+    promptTemplates: {
+      speaking: {
+        type: String,
+        maxlength: [5000, 'Prompt template cannot exceed 5000 characters'],
+        default:
+          'Evaluate the following transcript of a spoken English response for pronunciation, fluency, vocabulary and grammar...',
+      },
+      writing: {
+        type: String,
+        maxlength: [5000, 'Prompt template cannot exceed 5000 characters'],
+        default:
+          'Evaluate the following essay based on clarity, structure, grammar, vocabulary and content...',
+      },
+      quiz: {
+        type: String,
+        maxlength: [5000, 'Prompt template cannot exceed 5000 characters'],
+        default: 'Assess the following quiz answers against the expected answers...',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true, // Only the latest saved version is active
+    },
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Change note cannot exceed 500 characters'],
+    },
+    rolledBackFrom: {
+      type: Number, // Version this one was restored from, if a rollback
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+aiModelConfigSchema.index({ configId: 1 });
+aiModelConfigSchema.index({ version: -1 });
+// One active version at a time
+aiModelConfigSchema.index(
+  { isActive: 1 },
+  { name: 'one_active_version', unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Auto-generate config ID if not provided
+aiModelConfigSchema.pre('validate', async function (next) {
+  if (!this.configId) {
+    const count = await mongoose.model('AIModelConfig').countDocuments();
+    this.configId = `AICF${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+const AIModelConfig = mongoose.model('AIModelConfig', aiModelConfigSchema);
+
+export default AIModelConfig;
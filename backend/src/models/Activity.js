@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import quizQuestionFields from './quizQuestionFields.js';
 
 const activitySchema = new mongoose.Schema(
   {
@@ -53,26 +54,140 @@ const activitySchema = new mongoose.Schema(
     // Additional fields for quiz type
     questions: [
       {
-        questionText: String,
-        questionType: {
-          type: String,
-          enum: ['multiple-choice', 'true-false', 'short-answer'],
+        ...quizQuestionFields(),
+        bankItem: {
+          // Set when the question was snapshotted from the question bank (see QuestionBankService)
+          item: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'QuestionBank',
+          },
+          version: Number, // The bank item's version when it was copied
+          snapshotAt: Date,
         },
-        options: [String], // For multiple choice
-        correctAnswer: String,
-        points: {
-          type: Number,
-          default: 1,
+        irt: {
+          // Item response theory parameters for adaptive quizzes (see IRTService)
+          difficulty: Number, // b, on the ability scale
+          discrimination: Number, // a; 1 under the 1PL model
+          model: {
+            type: String,
+            enum: ['1pl', '2pl'],
+          },
+          calibrated: {
+            type: Boolean,
+            default: false, // False: provisional values from the difficulty label
+          },
+          responseCount: Number, // Responses the parameters were estimated from
+          calibratedAt: Date,
         },
       },
     ],
+    // How each student's quiz is drawn from the questions (see QuizDeliveryService)
+    questionPool: {
+      drawCount: {
+        type: Number,
+        min: [1, 'Draw count must be at least 1'], // Unset: every student gets every question
+      },
+      stratifyBy: {
+        type: String,
+        enum: ['none', 'tag', 'difficulty'],
+        default: 'none', // Keep each tag/difficulty's share of the pool in every draw
+      },
+      shuffleQuestions: {
+        type: Boolean,
+        default: true,
+      },
+      shuffleOptions: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // How quiz answers are marked (see QuizGradingService); unset settings use the defaults
+    scoringPolicy: {
+      negativeMarking: {
+        type: Number, // Share of a question's points deducted for a wrong choice, 0-1
+        min: [0, 'Negative marking cannot be less than 0'],
+        max: [1, 'Negative marking cannot be more than 1'],
+      },
+      penalizeBlank: Boolean, // Apply negative marking to blank answers too
+      multiPartCredit: {
+        type: String,
+        enum: ['proportional', 'all-or-nothing'],
+      },
+      shortAnswerThresholds: {
+        // Similarity (0-1) needed for full, 75% and 50% credit
+        full: { type: Number, min: 0, max: 1 },
+        close: { type: Number, min: 0, max: 1 },
+        partial: { type: Number, min: 0, max: 1 },
+      },
+    },
+    quizMode: {
+      type: String,
+      enum: {
+        values: ['fixed', 'adaptive'],
+        message: '{VALUE} is not a valid quiz mode',
+      },
+      default: 'fixed', // Adaptive quizzes pick each question from the student's answers so far
+    },
+    adaptive: {
+      model: {
+        type: String,
+        enum: ['1pl', '2pl'],
+        default: '2pl',
+      },
+      minQuestions: {
+        type: Number,
+        min: [1, 'Minimum questions must be at least 1'],
+      },
+      maxQuestions: {
+        type: Number,
+        min: [1, 'Maximum questions must be at least 1'], // Unset: up to the whole pool
+      },
+      standardErrorThreshold: {
+        type: Number,
+        min: [0.05, 'Standard error threshold must be at least 0.05'],
+      },
+    },
     // Additional fields for speaking/writing
     prompt: {
       type: String,
       trim: true,
     },
+    speakingMode: {
+      type: String,
+      enum: {
+        values: ['free', 'read-aloud'],
+        message: '{VALUE} is not a valid speaking mode',
+      },
+      default: 'free', // In read-aloud mode the prompt is the passage to read
+    },
+    // Writing: words the spell checker accepts, such as names and course terms
+    spellingAllowList: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Allowed spellings cannot exceed 100 characters'],
+      },
+    ],
     expectedDuration: {
-      type: Number, // in minutes
+      type: Number, // in minutes, informational only
+    },
+    timeLimit: {
+      type: Number, // in minutes; quizzes with a limit are taken in timed sessions
+      min: [1, 'Time limit must be at least 1 minute'],
+    },
+    dueDate: Date,
+    maxAttempts: {
+      type: Number, // Untimed quizzes only; timed and adaptive quizzes are taken once
+      min: [1, 'Maximum attempts must be at least 1'],
+    },
+    // When students see question explanations (see ExplanationRevealService)
+    explanationReveal: {
+      type: String,
+      enum: {
+        values: ['immediately', 'after-due-date', 'after-final-attempt'],
+        message: '{VALUE} is not a valid explanation reveal policy',
+      },
+      default: 'immediately',
     },
   },
   {
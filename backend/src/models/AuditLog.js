@@ -46,7 +46,10 @@ const auditLogSchema = new mongoose.Schema(
           'Evaluation',
           'Feedback',
           'Rubric',
+          'QuestionBank',
+          'GrammarRule',
           'Notification',
+          'AIModelConfig',
         ],
         message: '{VALUE} is not a valid entity type',
       },
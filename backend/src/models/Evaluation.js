@@ -12,7 +12,38 @@ const evaluationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Submission',
       required: [true, 'Submission ID is required'],
-      unique: true, // One evaluation per submission
+    },
+    // Each AI run, re-run, teacher override or restore is a new revision;
+    // exactly one revision per submission is current
+    revision: {
+      type: Number,
+      required: [true, 'Revision is required'],
+      min: [1, 'Revision must be at least 1'],
+      default: 1,
+    },
+    isCurrent: {
+      type: Boolean,
+      default: true,
+    },
+    revisionType: {
+      type: String,
+      enum: {
+        values: ['ai', 'rerun', 'teacher-override', 'restore'],
+        message: '{VALUE} is not a valid revision type',
+      },
+      default: 'ai',
+    },
+    basedOnRevision: {
+      type: Number, // Revision this one was overridden or restored from
+    },
+    revisionNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Revision note cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Who triggered the revision (empty for automatic runs)
     },
     overallScore: {
       type: Number,
@@ -51,6 +82,19 @@ const evaluationSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    provider: {
+      type: String, // Evaluator provider that produced the scores
+      trim: true,
+      default: 'rule-based',
+    },
+    scorerVersion: {
+      type: String, // Provider version the scores were produced with, e.g. rule-based@2.0.0
+      trim: true,
+    },
+    rulesetVersion: {
+      type: String, // Version of the enabled grammar rules at evaluation (GrammarRuleService)
+      trim: true,
+    },
     reviewedByTeacher: {
       type: Boolean,
       default: false,
@@ -67,6 +111,79 @@ const evaluationSchema = new mongoose.Schema(
       type: Map,
       of: Number, // Flexible score breakdown by criteria
     },
+    fluencyMetrics: {
+      // Speaking only, from word timestamps (see FluencyAnalysisService)
+      wordCount: Number,
+      totalTime: Number, // Seconds
+      phonationTime: Number, // Seconds of speech excluding pauses
+      speechRate: Number, // Words per minute over the whole recording
+      articulationRate: Number, // Words per minute of phonation time
+      pauseCount: Number,
+      longPauseCount: Number,
+      totalPauseTime: Number,
+      meanPauseLength: Number,
+      longestPause: Number,
+      filledPauseCount: Number, // um, uh, er...
+      repetitionCount: Number,
+    },
+    readAloud: {
+      // Read-aloud speaking activities only (see ReadAloudService)
+      referenceWordCount: Number,
+      correctWords: Number,
+      substitutions: Number,
+      deletions: Number,
+      insertions: Number,
+      wordErrorRate: Number, // (substitutions + deletions + insertions) / referenceWordCount
+      accuracy: Number, // correctWords / referenceWordCount
+    },
+    scoringPolicy: {
+      // Quizzes only: the scoring policy the scores were computed under, so editing the
+      // activity's policy later does not change what this evaluation means
+      negativeMarking: Number,
+      penalizeBlank: Boolean,
+      multiPartCredit: String,
+      shortAnswerThresholds: {
+        full: Number,
+        close: Number,
+        partial: Number,
+      },
+    },
+    abilityEstimate: {
+      // Adaptive quizzes only: IRT ability behind logicScore (see IRTService)
+      model: String, // '1pl' or '2pl'
+      theta: Number, // Ability on the logit scale; 0 is the average student
+      standardError: Number,
+      confidenceLevel: Number, // e.g. 0.95
+      lower: Number, // Confidence interval bounds for theta
+      upper: Number,
+      itemsAdministered: Number,
+      stoppedBy: String, // standard-error, max-questions, pool-exhausted or time-limit
+    },
+    rubricId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rubric', // Rubric the overall score was weighted by
+    },
+    criteriaScores: [
+      {
+        criterion: {
+          type: String,
+          required: true,
+        },
+        weight: {
+          type: Number,
+          required: true,
+        },
+        score: {
+          type: Number,
+          required: true,
+          min: [0, 'Criterion score cannot be less than 0'],
+          max: [100, 'Criterion score cannot be more than 100'],
+        },
+        source: String, // Evaluator field the score was taken from
+        level: String, // Matched rubric level
+        levelScore: Number,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -75,12 +192,13 @@ const evaluationSchema = new mongoose.Schema(
 
 // Indexes
 evaluationSchema.index({ evaluationId: 1 });
-evaluationSchema.index({ submissionId: 1 });
+evaluationSchema.index({ submissionId: 1, revision: -1 }, { unique: true });
+evaluationSchema.index({ submissionId: 1, isCurrent: 1 });
 evaluationSchema.index({ evaluatedAt: -1 });
 evaluationSchema.index({ reviewedByTeacher: 1 });
 
 // Auto-generate evaluation ID if not provided
-evaluationSchema.pre('save', async function (next) {
+evaluationSchema.pre('validate', async function (next) {
   if (!this.evaluationId) {
     const count = await mongoose.model('Evaluation').countDocuments();
     this.evaluationId = `EVAL${String(count + 1).padStart(8, '0')}`;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const evaluationJobSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: [true, 'Job ID is required'],
+      unique: true,
+      trim: true,
+    },
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission',
+      required: [true, 'Submission ID is required'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['queued', 'processing', 'completed', 'dead'],
+        message: '{VALUE} is not a valid job status',
+      },
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: [0, 'Attempts cannot be negative'],
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: [1, 'Max attempts must be at least 1'],
+    },
+    runAt: {
+      type: Date,
+      default: Date.now, // Earliest time the job may be picked up
+    },
+    lockedBy: {
+      type: String, // Worker identifier (hostname:pid)
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+      maxlength: [2000, 'Error message cannot exceed 2000 characters'],
+    },
+    errorHistory: [
+      {
+        attempt: Number,
+        message: String,
+        failedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    evaluationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Evaluation',
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+evaluationJobSchema.index({ jobId: 1 });
+evaluationJobSchema.index({ status: 1, runAt: 1 }); // Worker polling
+evaluationJobSchema.index({ status: 1, lockedAt: 1 }); // Stale lock recovery
+evaluationJobSchema.index({ submissionId: 1 });
+
+// Auto-generate job ID if not provided
+evaluationJobSchema.pre('validate', async function (next) {
+  if (!this.jobId) {
+    const count = await mongoose.model('EvaluationJob').countDocuments();
+    this.jobId = `EVJB${String(count + 1).padStart(8, '0')}`;
+  }
+  next();
+});
+
+const EvaluationJob = mongoose.model('EvaluationJob', evaluationJobSchema);
+
+export default EvaluationJob;
@@ -41,6 +41,15 @@ const feedbackSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    explanations: [
+      {
+        // Quiz feedback: worked solutions for the missed questions
+        _id: false,
+        questionNumber: Number,
+        explanation: String,
+        reference: String,
+      },
+    ],
     tone: {
       type: String,
       enum: ['encouraging', 'constructive', 'neutral'],
@@ -58,7 +67,7 @@ feedbackSchema.index({ evaluationId: 1 });
 feedbackSchema.index({ generatedAt: -1 });
 
 // Auto-generate feedback ID if not provided
-feedbackSchema.pre('save', async function (next) {
+feedbackSchema.pre('validate', async function (next) {
   if (!this.feedbackId) {
     const count = await mongoose.model('Feedback').countDocuments();
     this.feedbackId = `FDBK${String(count + 1).padStart(8, '0')}`;
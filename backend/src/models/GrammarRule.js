@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import grammarRuleFields from './grammarRuleFields.js';
+
+const grammarRuleSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: String,
+      required: [true, 'Rule ID is required'],
+      unique: true,
+      trim: true,
+    },
+    ...grammarRuleFields(),
+    version: {
+      type: Number,
+      default: 1,
+      min: [1, 'Version must be at least 1'],
+    },
+    isBuiltIn: {
+      type: Boolean,
+      default: false, // Seeded from the defaults in GrammarRuleService
+    },
+    isActive: {
+      type: Boolean,
+      default: true, // False once deleted; its versions are kept
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+grammarRuleSchema.index({ ruleId: 1 });
+grammarRuleSchema.index({ isActive: 1, isEnabled: 1, language: 1 });
+grammarRuleSchema.index({ errorType: 1 });
+
+// Auto-generate rule ID if not provided
+grammarRuleSchema.pre('validate', async function (next) {
+  if (!this.ruleId) {
+    const count = await mongoose.model('GrammarRule').countDocuments();
+    this.ruleId = `GRR${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+const GrammarRule = mongoose.model('GrammarRule', grammarRuleSchema);
+
+export default GrammarRule;
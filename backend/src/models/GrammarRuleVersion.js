@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import grammarRuleFields from './grammarRuleFields.js';
+
+/**
+ * Saved version of a grammar rule
+ * One is written whenever a rule is created, edited or rolled back, so every state a rule
+ * was in, and every mistake it reported, can be traced.
+ */
+const grammarRuleVersionSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GrammarRule',
+      required: [true, 'Rule is required'],
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: [1, 'Version must be at least 1'],
+    },
+    ...grammarRuleFields(),
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Change note cannot exceed 500 characters'],
+    },
+    rolledBackFrom: {
+      type: Number, // Version this one was restored from, if a rollback
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+grammarRuleVersionSchema.index({ rule: 1, version: -1 }, { unique: true });
+
+const GrammarRuleVersion = mongoose.model('GrammarRuleVersion', grammarRuleVersionSchema);
+
+export default GrammarRuleVersion;
@@ -61,6 +61,25 @@ const mistakeSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId, // Text mistakes: the grammar rule that reported it
+      ref: 'GrammarRule',
+    },
+    ruleVersion: {
+      type: Number,
+    },
+    questionNumber: {
+      type: Number, // Quiz mistakes: the question's position as the student saw it, from 1
+      min: [1, 'Question number must be at least 1'],
+    },
+    explanation: {
+      type: String, // Quiz mistakes: the question's worked solution, when it has one
+      trim: true,
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
   },
   {
     timestamps: true,
@@ -74,7 +93,7 @@ mistakeSchema.index({ errorType: 1 });
 mistakeSchema.index({ severity: 1 });
 
 // Auto-generate mistake ID if not provided
-mistakeSchema.pre('save', async function (next) {
+mistakeSchema.pre('validate', async function (next) {
   if (!this.mistakeId) {
     const count = await mongoose.model('Mistake').countDocuments();
     this.mistakeId = `MSTK${String(count + 1).padStart(8, '0')}`;
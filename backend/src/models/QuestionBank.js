@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import quizQuestionFields from './quizQuestionFields.js';
+
+// One reusable quiz question; quizzes copy it in when they are saved (see QuestionBankService)
+const questionBankSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: String,
+      required: [true, 'Item ID is required'],
+      unique: true,
+      trim: true,
+    },
+    ...quizQuestionFields(),
+    questionText: {
+      type: String,
+      required: [true, 'Question text is required'],
+      trim: true,
+    },
+    questionType: {
+      type: String,
+      enum: {
+        values: [
+          'multiple-choice',
+          'true-false',
+          'short-answer',
+          'multi-select',
+          'numeric',
+          'cloze',
+          'matching',
+          'ordering',
+        ],
+        message: '{VALUE} is not a valid question type',
+      },
+      required: [true, 'Question type is required'],
+    },
+    skill: {
+      type: String,
+      enum: {
+        values: ['grammar', 'vocabulary', 'reading', 'listening', 'writing', 'speaking'],
+        message: '{VALUE} is not a valid skill',
+      },
+    },
+    cefrLevel: {
+      type: String,
+      enum: {
+        values: ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'],
+        message: '{VALUE} is not a valid CEFR level',
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Teacher',
+      required: [true, 'Creator is required'],
+    },
+    isShared: {
+      type: Boolean,
+      default: false, // Shared items can be searched and used by every teacher
+    },
+    version: {
+      type: Number,
+      default: 1, // Bumped on every edit; quizzes record the version they copied
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+questionBankSchema.index({ itemId: 1 });
+questionBankSchema.index({ createdBy: 1 });
+questionBankSchema.index({ isShared: 1, isActive: 1 });
+questionBankSchema.index({ tags: 1 });
+questionBankSchema.index({ skill: 1, cefrLevel: 1, difficulty: 1 });
+
+// Auto-generate item ID if not provided
+questionBankSchema.pre('validate', async function (next) {
+  if (!this.itemId) {
+    const count = await mongoose.model('QuestionBank').countDocuments();
+    this.itemId = `QBK${String(count + 1).padStart(8, '0')}`;
+  }
+  next();
+});
+
+const QuestionBank = mongoose.model('QuestionBank', questionBankSchema);
+
+export default QuestionBank;
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import { IRT_MODELS, QUIZ_MODES, QUIZ_SESSION_STATUS } from '../config/constants.js';
+
+const quizSessionSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: [true, 'Session ID is required'],
+      unique: true,
+      trim: true,
+    },
+    activityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Activity',
+      required: [true, 'Activity ID is required'],
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: [true, 'Student ID is required'],
+    },
+    seed: {
+      type: String,
+      required: [true, 'Seed is required'], // Same seed as the submission (QuizDeliveryService)
+    },
+    mode: {
+      type: String,
+      enum: Object.values(QUIZ_MODES),
+      default: QUIZ_MODES.FIXED,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(QUIZ_SESSION_STATUS),
+        message: '{VALUE} is not a valid quiz session status',
+      },
+      default: QUIZ_SESSION_STATUS.IN_PROGRESS,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deadline: {
+      type: Date, // Unset for untimed (adaptive) sessions
+    },
+    timeAllowed: {
+      type: Number, // in seconds, accommodations included
+      min: [1, 'Time allowed must be positive'],
+    },
+    accommodation: {
+      // Snapshot of the student's plan when the attempt started
+      timeMultiplier: {
+        type: Number,
+        default: 1,
+      },
+      extraMinutes: {
+        type: Number,
+        default: 0,
+      },
+    },
+    savedAnswers: [
+      {
+        questionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        answer: mongoose.Schema.Types.Mixed,
+        savedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    adaptive: {
+      // Adaptive sessions only (see AdaptiveQuizService)
+      model: {
+        type: String,
+        enum: Object.values(IRT_MODELS),
+      },
+      // Parameters in force when the attempt started, so recalibration mid-attempt is ignored
+      itemParameters: [
+        {
+          _id: false,
+          questionId: mongoose.Schema.Types.ObjectId,
+          a: Number,
+          b: Number,
+        },
+      ],
+      administered: [mongoose.Schema.Types.ObjectId], // Questions given, in order
+      currentQuestionId: mongoose.Schema.Types.ObjectId, // Question awaiting an answer
+      ability: {
+        type: Number,
+        default: 0,
+      },
+      standardError: {
+        type: Number,
+        default: 1,
+      },
+      stoppedBy: String,
+    },
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission',
+    },
+    closedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+quizSessionSchema.index({ sessionId: 1 });
+quizSessionSchema.index({ activityId: 1, studentId: 1 });
+// At most one open attempt per student and quiz, however many start requests race
+quizSessionSchema.index(
+  { activityId: 1, studentId: 1 },
+  {
+    name: 'one_open_attempt',
+    unique: true,
+    partialFilterExpression: { status: QUIZ_SESSION_STATUS.IN_PROGRESS },
+  }
+);
+quizSessionSchema.index({ status: 1, deadline: 1 }); // Expiry sweep
+quizSessionSchema.index({ submissionId: 1, closedAt: 1 }); // Closed sessions left unsubmitted
+
+// Auto-generate session ID if not provided
+quizSessionSchema.pre('validate', async function (next) {
+  if (!this.sessionId) {
+    const count = await mongoose.model('QuizSession').countDocuments();
+    this.sessionId = `QZS${String(count + 1).padStart(8, '0')}`;
+  }
+  next();
+});
+
+const QuizSession = mongoose.model('QuizSession', quizSessionSchema);
+
+export default QuizSession;
@@ -32,6 +32,26 @@ const studentSchema = new mongoose.Schema(
         default: 'en',
       },
     },
+    accommodations: {
+      // Extra-time plan applied to timed quizzes: limit x timeMultiplier + extraMinutes
+      timeMultiplier: {
+        type: Number,
+        default: 1,
+        min: [1, 'Time multiplier cannot be less than 1'],
+        max: [4, 'Time multiplier cannot exceed 4'],
+      },
+      extraMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Extra minutes cannot be negative'],
+        max: [600, 'Extra minutes cannot exceed 600'],
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Accommodation note cannot exceed 500 characters'],
+      },
+    },
   },
   {
     timestamps: true,
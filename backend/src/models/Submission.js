@@ -30,9 +30,31 @@ const submissionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       required: [true, 'Content is required'],
     },
-    // For speaking: { audioUrl: String, duration: Number }
+    // For speaking: { audioUrl: String, duration: Number (seconds), format, codec,
+    //   sampleRate: Number (Hz), channels: Number, bitrate: Number (bps), transcript }
     // For writing: { text: String, wordCount: Number }
-    // For quiz: { answers: [{questionId: String, answer: String}] }
+    // For quiz: { answers: [{questionIndex, questionId, answer}], totalQuestions, seed,
+    //   timeTaken } - answers in the order shown and graded by questionId (answer shapes:
+    //   see QuizGradingService); seed rebuilds the student's draw (see QuizDeliveryService);
+    //   timed quizzes add sessionId and autoSubmitted (see QuizSessionService); adaptive
+    //   quizzes add adaptive: { model, stoppedBy, itemParameters } (see AdaptiveQuizService)
+    // Speech-to-text output for speaking submissions (see TranscriptionService)
+    transcription: {
+      engine: String,
+      language: String,
+      text: String,
+      confidence: Number, // Mean word confidence (0-1)
+      words: [
+        {
+          _id: false,
+          word: String,
+          start: Number, // Seconds from the start of the recording
+          end: Number,
+          confidence: Number,
+        },
+      ],
+      transcribedAt: Date,
+    },
     status: {
       type: String,
       enum: {
@@ -69,6 +91,12 @@ submissionSchema.index({ submittedAt: -1 });
 // Compound index for student submissions by activity
 submissionSchema.index({ studentId: 1, activityId: 1 });
 
+// One submission per quiz session (see QuizSessionService.recover)
+submissionSchema.index(
+  { 'content.sessionId': 1 },
+  { unique: true, partialFilterExpression: { 'content.sessionId': { $exists: true } } }
+);
+
 // Auto-generate submission ID if not provided
 submissionSchema.pre('save', async function (next) {
   if (!this.submissionId) {
@@ -0,0 +1,92 @@
+/**
+ * Field definitions of a grammar rule, shared by the rule and its saved versions
+ * A function, so each schema gets its own copy.
+ */
+const grammarRuleFields = () => ({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String, // Mistake description; defaults to "<Error type> error: <name>"
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  pattern: {
+    type: String, // JavaScript regular expression source
+    required: [true, 'Pattern is required'],
+    maxlength: [500, 'Pattern cannot exceed 500 characters'],
+  },
+  flags: {
+    type: String, // Regex flags; matching is always global
+    default: 'gi',
+    match: [/^[gimsuy]*$/, 'Flags may only contain g, i, m, s, u and y'],
+  },
+  errorType: {
+    type: String,
+    enum: {
+      values: ['grammar', 'vocabulary', 'pronunciation', 'logic', 'spelling', 'punctuation'],
+      message: '{VALUE} is not a valid error type',
+    },
+    required: [true, 'Error type is required'],
+  },
+  severity: {
+    type: String,
+    enum: {
+      values: ['critical', 'major', 'minor'],
+      message: '{VALUE} is not a valid severity level',
+    },
+    default: 'minor',
+  },
+  suggestion: {
+    type: String,
+    required: [true, 'Suggestion is required'],
+    trim: true,
+    maxlength: [500, 'Suggestion cannot exceed 500 characters'],
+  },
+  correctionTemplate: {
+    type: String, // Replacement for the matched text; $1..$9 insert groups, $& the whole match
+    maxlength: [200, 'Correction template cannot exceed 200 characters'],
+  },
+  language: {
+    type: String, // e.g. "en" (every English text) or "en-GB"
+    default: 'en',
+    trim: true,
+    match: [/^[a-z]{2,3}(-[A-Z]{2})?$/, 'Language must be a code like en or en-GB'],
+  },
+  appliesTo: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: ['writing', 'speaking'],
+          message: '{VALUE} is not a valid activity type for rules',
+        },
+      },
+    ],
+    default: ['writing'], // Speaking rules run on transcripts
+  },
+  weight: {
+    type: Number, // Grammar score deduction per match; 0 reports without scoring
+    default: 0,
+    min: [0, 'Weight cannot be negative'],
+    max: [5, 'Weight cannot be more than 5'],
+  },
+  aggregate: {
+    type: Boolean, // Report one possible error for the whole text instead of each match
+    default: false,
+  },
+  minMatches: {
+    type: Number, // Aggregate rules: matches needed before anything is reported
+    default: 1,
+    min: [1, 'Minimum matches must be at least 1'],
+  },
+  isEnabled: {
+    type: Boolean,
+    default: false, // New rules are tried out against sample text before they are enabled
+  },
+});
+
+export default grammarRuleFields;
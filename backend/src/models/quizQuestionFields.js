@@ -0,0 +1,80 @@
+/**
+ * Field definitions of a quiz question: its text, type, answer key and marking options
+ * Shared by questions embedded in quiz activities and by the question bank, so a bank item
+ * can be snapshotted into a quiz as is. A function, so each schema gets its own copy.
+ */
+const quizQuestionFields = () => ({
+  questionText: String,
+  questionType: {
+    type: String,
+    enum: [
+      'multiple-choice',
+      'true-false',
+      'short-answer',
+      'multi-select',
+      'numeric',
+      'cloze',
+      'matching',
+      'ordering',
+    ],
+  },
+  options: [String], // For multiple choice and multi-select
+  correctAnswer: String, // For multiple choice, true/false and short answer
+  acceptedAnswers: [String], // For short answer: other spellings earning full credit
+  answerPatterns: [String], // For short answer: regexes matching the whole answer
+  caseSensitive: {
+    type: Boolean,
+    default: false,
+  },
+  accentSensitive: {
+    type: Boolean,
+    default: false, // When false "café" and "cafe" are the same answer
+  },
+  correctAnswers: [String], // For multi-select: every option that should be ticked
+  numericAnswer: {
+    // For numeric
+    value: Number,
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tolerance cannot be negative'],
+    },
+    toleranceType: {
+      type: String,
+      enum: ['absolute', 'percent'],
+      default: 'absolute',
+    },
+    unit: String, // Expected unit, e.g. "cm"; omit for unitless answers
+  },
+  blanks: [String], // For cloze: answer for each ___ in questionText, variants split by |
+  pairs: [
+    {
+      // For matching: students pick the right item for each left item
+      _id: false,
+      left: String,
+      right: String,
+    },
+  ],
+  sequence: [String], // For ordering: items in the correct order
+  tags: [String], // Topic tags, used to stratify pool draws
+  difficulty: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced'],
+  },
+  points: {
+    type: Number,
+    default: 1,
+  },
+  explanation: {
+    type: String, // Worked solution shown with a missed question (see explanationReveal)
+    trim: true,
+    maxlength: [2000, 'Explanation cannot exceed 2000 characters'],
+  },
+  reference: {
+    type: String, // Where to read more, e.g. a textbook section or a link
+    trim: true,
+    maxlength: [500, 'Reference cannot exceed 500 characters'],
+  },
+});
+
+export default quizQuestionFields;
@@ -0,0 +1,140 @@
+import AIModelConfig from '../models/AIModelConfig.js';
+
+// Fields copied between versions
+const CONFIG_FIELDS = ['providers', 'config', 'promptTemplates'];
+
+// Saves that may lose the race for the next version number before giving up
+const MAX_VERSION_ATTEMPTS = 5;
+
+class AIModelConfigRepository {
+  /**
+   * Get the active configuration
+   * While a new version is being switched in, that is the newest version; falls back to an
+   * unsaved document holding the schema defaults
+   */
+  async getActive() {
+    const config =
+      (await AIModelConfig.findOne({ isActive: true })) ||
+      (await AIModelConfig.findOne().sort({ version: -1 }));
+    return config || new AIModelConfig();
+  }
+
+  /**
+   * Find configuration by version number
+   */
+  async findByVersion(version) {
+    return await AIModelConfig.findOne({ version }).populate('createdBy', 'name email');
+  }
+
+  /**
+   * Get version history with pagination (newest first)
+   */
+  async findHistory({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [versions, total] = await Promise.all([
+      AIModelConfig.find()
+        .populate('createdBy', 'name email')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit),
+      AIModelConfig.countDocuments(),
+    ]);
+
+    return { versions, total, page, limit };
+  }
+
+  /**
+   * Save a new version on top of the newest one and make it active
+   * Versions are never edited in place, so every change stays in the history. The unique
+   * version number makes concurrent saves take turns: a save that loses the race is applied
+   * again on top of the version that won it, so neither change is lost.
+   */
+  async createVersion(changes, userId, { changeNote, rolledBackFrom } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const latest = await AIModelConfig.findOne().sort({ version: -1 });
+      const base = (latest || new AIModelConfig()).toObject();
+
+      const data = {};
+      CONFIG_FIELDS.forEach((field) => {
+        data[field] = { ...(base[field] || {}), ...(changes[field] || {}) };
+      });
+
+      let created;
+      try {
+        created = await AIModelConfig.create({
+          ...data,
+          version: (latest?.version || 0) + 1,
+          isActive: false,
+          changeNote,
+          rolledBackFrom,
+          createdBy: userId,
+        });
+      } catch (error) {
+        if (error.code === 11000 && attempt < MAX_VERSION_ATTEMPTS) continue;
+        throw error;
+      }
+
+      created.isActive = await this.activate(created);
+      return created;
+    }
+  }
+
+  /**
+   * Make a version the active one unless a newer version went live first
+   * The partial unique index on isActive lets only one version be active: the older ones are
+   * switched off before this one is switched on.
+   * @returns {boolean} Whether the version is active
+   */
+  async activate(config) {
+    for (;;) {
+      await AIModelConfig.updateMany(
+        { isActive: true, version: { $lt: config.version } },
+        { isActive: false }
+      );
+
+      try {
+        await AIModelConfig.updateOne({ _id: config._id }, { isActive: true });
+        return true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another save switched its version on in between; only a newer one wins
+        if (await AIModelConfig.exists({ isActive: true, version: { $gt: config.version } })) {
+          return false;
+        }
+      }
+    }
+  }
+
+  /**
+   * Restore an earlier version by saving a copy of it as the newest version
+   */
+  async rollback(version, userId, changeNote) {
+    const target = await AIModelConfig.findOne({ version });
+
+    if (!target) {
+      return null;
+    }
+
+    const changes = {};
+    CONFIG_FIELDS.forEach((field) => {
+      changes[field] = target.toObject()[field];
+    });
+
+    return await this.createVersion(changes, userId, {
+      changeNote: changeNote || `Rollback to version ${version}`,
+      rolledBackFrom: version,
+    });
+  }
+
+  /**
+   * Set the evaluator provider for an activity type
+   */
+  async setProvider(activityType, provider, userId) {
+    return await this.createVersion({ providers: { [activityType]: provider } }, userId, {
+      changeNote: `Set ${activityType} evaluator to ${provider}`,
+    });
+  }
+}
+
+export default new AIModelConfigRepository();
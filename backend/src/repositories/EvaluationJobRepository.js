@@ -0,0 +1,172 @@
+import EvaluationJob from '../models/EvaluationJob.js';
+import { JOB_STATUS } from '../config/constants.js';
+
+// A job still held by the worker that claimed it: the same claim, not a later one by the
+// same worker after the lock expired
+const heldBy = (job) => ({
+  _id: job._id,
+  status: JOB_STATUS.PROCESSING,
+  lockedBy: job.lockedBy,
+  lockedAt: job.lockedAt,
+});
+
+class EvaluationJobRepository {
+  /**
+   * Create new job
+   */
+  async create(jobData) {
+    return await EvaluationJob.create(jobData);
+  }
+
+  /**
+   * Find job by ID
+   */
+  async findById(jobId) {
+    return await EvaluationJob.findById(jobId).populate(
+      'submissionId',
+      'submissionId contentType status'
+    );
+  }
+
+  /**
+   * Find the open (queued or processing) job for a submission
+   */
+  async findActiveBySubmission(submissionId) {
+    return await EvaluationJob.findOne({
+      submissionId,
+      status: { $in: [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING] },
+    });
+  }
+
+  /**
+   * Atomically claim the next due job for a worker
+   */
+  async claimNext(workerId) {
+    const now = new Date();
+
+    return await EvaluationJob.findOneAndUpdate(
+      { status: JOB_STATUS.QUEUED, runAt: { $lte: now } },
+      {
+        $set: { status: JOB_STATUS.PROCESSING, lockedBy: workerId, lockedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Whether the worker still holds the job it claimed
+   */
+  async isHeld(job) {
+    return (await EvaluationJob.exists(heldBy(job))) !== null;
+  }
+
+  /**
+   * Mark job as completed
+   * Returns null if the worker no longer holds the job (its lock expired and it was retried)
+   */
+  async markCompleted(job, evaluationId) {
+    return await EvaluationJob.findOneAndUpdate(
+      heldBy(job),
+      {
+        $set: {
+          status: JOB_STATUS.COMPLETED,
+          evaluationId,
+          completedAt: new Date(),
+          lastError: null,
+        },
+        $unset: { lockedBy: 1, lockedAt: 1 },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record a failed attempt and either reschedule the job or dead-letter it
+   */
+  async markFailed(job, errorMessage, retryAt = null) {
+    // Guard on the lock owner so two workers never settle the same attempt twice
+    return await EvaluationJob.findOneAndUpdate(
+      heldBy(job),
+      {
+        $set: {
+          status: retryAt ? JOB_STATUS.QUEUED : JOB_STATUS.DEAD,
+          runAt: retryAt || job.runAt,
+          lastError: errorMessage,
+        },
+        $unset: { lockedBy: 1, lockedAt: 1 },
+        $push: { errorHistory: { attempt: job.attempts, message: errorMessage } },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find jobs whose worker lock has expired (worker crashed or hung)
+   */
+  async findStale(lockTimeoutMs) {
+    const cutoff = new Date(Date.now() - lockTimeoutMs);
+
+    return await EvaluationJob.find({
+      status: JOB_STATUS.PROCESSING,
+      lockedAt: { $lt: cutoff },
+    });
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue with a fresh set of attempts
+   */
+  async requeue(jobId) {
+    return await EvaluationJob.findOneAndUpdate(
+      { _id: jobId, status: JOB_STATUS.DEAD },
+      {
+        $set: { status: JOB_STATUS.QUEUED, runAt: new Date(), attempts: 0, lastError: null },
+        $unset: { lockedBy: 1, lockedAt: 1 },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Get all jobs with pagination and filtering
+   */
+  async findAll({ page = 1, limit = 20, status = null } = {}) {
+    const query = {};
+
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [jobs, total] = await Promise.all([
+      EvaluationJob.find(query)
+        .populate('submissionId', 'submissionId contentType status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      EvaluationJob.countDocuments(query),
+    ]);
+
+    return { jobs, total, page, limit };
+  }
+
+  /**
+   * Count jobs by status
+   */
+  async getStats() {
+    const stats = await EvaluationJob.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return stats.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+  }
+}
+
+export default new EvaluationJobRepository();
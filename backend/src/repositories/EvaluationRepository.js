@@ -1,4 +1,6 @@
 import Evaluation from '../models/Evaluation.js';
+import Mistake from '../models/Mistake.js';
+import Feedback from '../models/Feedback.js';
 import mongoose from 'mongoose';
 
 class EvaluationRepository {
@@ -19,18 +21,74 @@ class EvaluationRepository {
   }
 
   /**
-   * Find evaluation by submission ID
+   * Find the current evaluation revision for a submission
    */
   async findBySubmission(submissionId) {
-    return await Evaluation.findOne({ submissionId })
+    return await Evaluation.findOne({ submissionId, isCurrent: true })
+      .sort({ revision: -1 })
       .populate('teacherId', 'userId teacherId name');
   }
 
+  /**
+   * List all revisions for a submission (newest first)
+   */
+  async findRevisions(submissionId) {
+    return await Evaluation.find({ submissionId })
+      .sort({ revision: -1 })
+      .populate('teacherId', 'userId teacherId name')
+      .populate('createdBy', 'name email role');
+  }
+
+  /**
+   * Find a specific revision for a submission
+   */
+  async findRevision(submissionId, revision) {
+    return await Evaluation.findOne({ submissionId, revision })
+      .populate('teacherId', 'userId teacherId name')
+      .populate('createdBy', 'name email role');
+  }
+
+  /**
+   * Next revision number for a submission
+   */
+  async getNextRevision(submissionId) {
+    const latest = await Evaluation.findOne({ submissionId })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    return (latest?.revision || 0) + 1;
+  }
+
+  /**
+   * Make a revision the current one for its submission
+   */
+  async setCurrent(evaluation) {
+    await Evaluation.updateMany(
+      { submissionId: evaluation.submissionId, _id: { $ne: evaluation._id }, isCurrent: true },
+      { isCurrent: false }
+    );
+
+    return await Evaluation.findByIdAndUpdate(evaluation._id, { isCurrent: true }, { new: true });
+  }
+
+  /**
+   * Delete a revision that never became current, with its mistakes and feedback
+   */
+  async discard(evaluationId) {
+    await Promise.all([
+      Mistake.deleteMany({ evaluationId }),
+      Feedback.deleteMany({ evaluationId }),
+    ]);
+
+    return await Evaluation.deleteOne({ _id: evaluationId, isCurrent: false });
+  }
+
   /**
    * Find evaluations by date range
    */
   async findByDateRange(startDate, endDate, { studentId = null } = {}) {
     const query = {
+      isCurrent: true,
       evaluatedAt: {
         $gte: startDate,
         $lte: endDate,
@@ -46,7 +104,7 @@ class EvaluationRepository {
         });
 
       // Filter out evaluations where submission didn't match
-      return evaluations.filter(eval => eval.submissionId !== null);
+      return evaluations.filter((evaluation) => evaluation.submissionId !== null);
     }
 
     return await Evaluation.find(query).sort({ evaluatedAt: -1 });
@@ -56,7 +114,7 @@ class EvaluationRepository {
    * Find evaluations pending teacher review
    */
   async findPendingReview({ page = 1, limit = 10 } = {}) {
-    const query = { reviewedByTeacher: false };
+    const query = { reviewedByTeacher: false, isCurrent: true };
     const skip = (page - 1) * limit;
 
     const [evaluations, total] = await Promise.all([
@@ -106,6 +164,7 @@ class EvaluationRepository {
    */
   async getStudentAverageScores(studentId) {
     const result = await Evaluation.aggregate([
+      { $match: { isCurrent: true } },
       {
         $lookup: {
           from: 'submissions',
@@ -141,6 +200,7 @@ class EvaluationRepository {
    */
   async getStats() {
     const stats = await Evaluation.aggregate([
+      { $match: { isCurrent: true } },
       {
         $group: {
           _id: null,
@@ -0,0 +1,172 @@
+import GrammarRule from '../models/GrammarRule.js';
+import GrammarRuleVersion from '../models/GrammarRuleVersion.js';
+
+// Fields saved with each version of a rule
+export const RULE_FIELDS = [
+  'name',
+  'description',
+  'pattern',
+  'flags',
+  'errorType',
+  'severity',
+  'suggestion',
+  'correctionTemplate',
+  'language',
+  'appliesTo',
+  'weight',
+  'aggregate',
+  'minMatches',
+  'isEnabled',
+];
+
+const pickFields = (source) =>
+  Object.fromEntries(
+    RULE_FIELDS.filter((field) => source[field] !== undefined).map((field) => [
+      field,
+      source[field],
+    ])
+  );
+
+class GrammarRuleRepository {
+  /**
+   * Create a rule and save it as version 1
+   */
+  async create(ruleData, userId, { isBuiltIn = false, changeNote } = {}) {
+    const rule = await GrammarRule.create({
+      ...pickFields(ruleData),
+      version: 1,
+      isBuiltIn,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+
+    await this.saveVersion(rule, userId, { changeNote: changeNote || 'Created' });
+
+    return rule;
+  }
+
+  /**
+   * Find rule by ID
+   */
+  async findById(id) {
+    return await GrammarRule.findOne({ _id: id, isActive: true })
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+  }
+
+  /**
+   * Rules with filters and pagination
+   * @param {Object} filters - { errorType, language, isEnabled, search }
+   */
+  async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    const query = { isActive: true };
+    const { errorType, language, isEnabled, search } = filters;
+
+    if (errorType) query.errorType = errorType;
+    if (language) query.language = language;
+    if (isEnabled !== undefined) query.isEnabled = isEnabled;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { ruleId: pattern }, { suggestion: pattern }];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [rules, total] = await Promise.all([
+      GrammarRule.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ errorType: 1, ruleId: 1 })
+        .skip(skip)
+        .limit(limit),
+      GrammarRule.countDocuments(query),
+    ]);
+
+    return { rules, total, page, limit };
+  }
+
+  /**
+   * Enabled rules for the engine
+   */
+  async findEnabled() {
+    return await GrammarRule.find({ isActive: true, isEnabled: true }).sort({ ruleId: 1 }).lean();
+  }
+
+  /**
+   * Whether rules were ever stored, deleted ones included
+   */
+  async hasAny() {
+    return (await GrammarRule.exists({})) !== null;
+  }
+
+  /**
+   * Apply changes as a new version of the rule
+   * Rules are edited in place, but every version is also kept in GrammarRuleVersion
+   */
+  async update(rule, changes, userId, { changeNote, rolledBackFrom } = {}) {
+    rule.set(pickFields(changes));
+    rule.version += 1;
+    rule.updatedBy = userId;
+    await rule.save();
+
+    await this.saveVersion(rule, userId, { changeNote, rolledBackFrom });
+
+    return rule;
+  }
+
+  /**
+   * Restore an earlier version by saving a copy of it as the newest version
+   */
+  async rollback(rule, version, userId, changeNote) {
+    const target = await GrammarRuleVersion.findOne({ rule: rule._id, version });
+
+    if (!target) {
+      return null;
+    }
+
+    return await this.update(rule, pickFields(target.toObject()), userId, {
+      changeNote: changeNote || `Rollback to version ${version}`,
+      rolledBackFrom: version,
+    });
+  }
+
+  /**
+   * Soft delete: the rule stops running, its versions are kept
+   */
+  async softDelete(rule, userId) {
+    rule.isActive = false;
+    rule.isEnabled = false;
+    rule.updatedBy = userId;
+    return await rule.save();
+  }
+
+  async saveVersion(rule, userId, { changeNote, rolledBackFrom } = {}) {
+    return await GrammarRuleVersion.create({
+      rule: rule._id,
+      version: rule.version,
+      ...pickFields(rule.toObject()),
+      changeNote,
+      rolledBackFrom,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Version history of a rule with pagination (newest first)
+   */
+  async findVersions(ruleId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [versions, total] = await Promise.all([
+      GrammarRuleVersion.find({ rule: ruleId })
+        .populate('createdBy', 'name email')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit),
+      GrammarRuleVersion.countDocuments({ rule: ruleId }),
+    ]);
+
+    return { versions, total, page, limit };
+  }
+}
+
+export default new GrammarRuleRepository();
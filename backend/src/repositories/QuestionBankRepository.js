@@ -0,0 +1,108 @@
+import QuestionBank from '../models/QuestionBank.js';
+
+// Text searches match anywhere in the question or its tags, so regex characters are escaped
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class QuestionBankRepository {
+  /**
+   * Create new bank item
+   */
+  async create(itemData) {
+    return await QuestionBank.create(itemData);
+  }
+
+  /**
+   * Find bank item by ID
+   */
+  async findById(id) {
+    return await QuestionBank.findById(id).populate('createdBy', 'teacherId');
+  }
+
+  /**
+   * Active items among the given IDs that a teacher may use
+   */
+  async findUsable(ids, teacherId = null) {
+    return await QuestionBank.find({ _id: { $in: ids }, ...this.visibleTo(teacherId) });
+  }
+
+  /**
+   * Filter for the items a teacher can see: their own and shared ones (every item for admins)
+   */
+  visibleTo(teacherId) {
+    const query = { isActive: true };
+
+    if (teacherId) {
+      query.$or = [{ createdBy: teacherId }, { isShared: true }];
+    }
+
+    return query;
+  }
+
+  /**
+   * Search and filter bank items
+   * @param {Object} filters - { search, tags, skill, cefrLevel, difficulty, questionType, mine }
+   * @param {Object} options - { teacherId (null for admins), page, limit }
+   */
+  async search(filters = {}, { teacherId = null, page = 1, limit = 20 } = {}) {
+    const query = this.visibleTo(teacherId);
+    const { search, tags, skill, cefrLevel, difficulty, questionType, mine } = filters;
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      query.$and = [{ $or: [{ questionText: pattern }, { tags: pattern }] }];
+    }
+
+    if (tags?.length) query.tags = { $all: tags };
+    if (skill) query.skill = skill;
+    if (cefrLevel) query.cefrLevel = cefrLevel;
+    if (difficulty) query.difficulty = difficulty;
+    if (questionType) query.questionType = questionType;
+    if (mine && teacherId) query.createdBy = teacherId;
+
+    const skip = (page - 1) * limit;
+
+    const [items, total] = await Promise.all([
+      QuestionBank.find(query)
+        .populate('createdBy', 'teacherId')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      QuestionBank.countDocuments(query),
+    ]);
+
+    return { items, total, page, limit };
+  }
+
+  /**
+   * Tags, skills, levels and types in use among the visible items, with counts, for filters
+   */
+  async facets(teacherId = null) {
+    const count = (field) => [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } },
+    ];
+
+    const [result] = await QuestionBank.aggregate([
+      { $match: this.visibleTo(teacherId) },
+      {
+        $facet: {
+          tags: [{ $unwind: '$tags' }, ...count('tags')],
+          skills: count('skill'),
+          cefrLevels: count('cefrLevel'),
+          difficulties: count('difficulty'),
+          questionTypes: count('questionType'),
+        },
+      },
+    ]);
+
+    return Object.fromEntries(
+      Object.entries(result).map(([facet, values]) => [
+        facet,
+        values.map(({ _id, count }) => ({ value: _id, count })),
+      ])
+    );
+  }
+}
+
+export default new QuestionBankRepository();
@@ -0,0 +1,139 @@
+import QuizSession from '../models/QuizSession.js';
+import { QUIZ_SESSION_STATUS } from '../config/constants.js';
+
+class QuizSessionRepository {
+  /**
+   * Create new session
+   */
+  async create(sessionData) {
+    return await QuizSession.create(sessionData);
+  }
+
+  /**
+   * Find session by ID
+   */
+  async findById(sessionId) {
+    return await QuizSession.findById(sessionId);
+  }
+
+  /**
+   * Find a student's latest session for an activity
+   */
+  async findLatest(activityId, studentId) {
+    return await QuizSession.findOne({ activityId, studentId }).sort({ startedAt: -1 });
+  }
+
+  /**
+   * Merge answers into an open session, replacing earlier answers to the same questions
+   */
+  async saveAnswers(sessionId, answers) {
+    const savedAt = new Date();
+    const questionIds = answers.map((item) => item.questionId);
+
+    await QuizSession.updateOne(
+      { _id: sessionId, status: QUIZ_SESSION_STATUS.IN_PROGRESS },
+      { $pull: { savedAnswers: { questionId: { $in: questionIds } } } }
+    );
+
+    return await QuizSession.findOneAndUpdate(
+      { _id: sessionId, status: QUIZ_SESSION_STATUS.IN_PROGRESS },
+      {
+        $push: {
+          savedAnswers: {
+            $each: answers.map(({ questionId, answer }) => ({ questionId, answer, savedAt })),
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record the answer to an adaptive session's current question, with the updated estimate
+   * Returns null if the session closed or the question was already answered, so concurrent
+   * requests cannot answer the same question twice
+   */
+  async recordResponse(sessionId, questionId, answer, { ability, standardError, next, stoppedBy }) {
+    const update = {
+      $push: { savedAnswers: { questionId, answer, savedAt: new Date() } },
+      $set: { 'adaptive.ability': ability, 'adaptive.standardError': standardError },
+    };
+
+    if (next) {
+      update.$set['adaptive.currentQuestionId'] = next;
+      update.$push['adaptive.administered'] = next;
+    } else {
+      update.$set['adaptive.stoppedBy'] = stoppedBy;
+      update.$unset = { 'adaptive.currentQuestionId': 1 };
+    }
+
+    return await QuizSession.findOneAndUpdate(
+      {
+        _id: sessionId,
+        status: QUIZ_SESSION_STATUS.IN_PROGRESS,
+        'adaptive.currentQuestionId': questionId,
+      },
+      update,
+      { new: true }
+    );
+  }
+
+  /**
+   * Atomically close an open session, replacing its saved answers if answers are given
+   * Returns null if it was already closed, so a session is only ever submitted once
+   */
+  async close(sessionId, status, answers = null) {
+    const closedAt = new Date();
+    const update = { status, closedAt };
+
+    if (answers) {
+      update.savedAnswers = answers.map(({ questionId, answer }) => ({
+        questionId,
+        answer,
+        savedAt: closedAt,
+      }));
+    }
+
+    return await QuizSession.findOneAndUpdate(
+      { _id: sessionId, status: QUIZ_SESSION_STATUS.IN_PROGRESS },
+      { $set: update },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record the submission created when a session closed
+   * null records that there is nothing to submit (its activity was deleted)
+   */
+  async setSubmission(sessionId, submissionId) {
+    return await QuizSession.findByIdAndUpdate(
+      sessionId,
+      { $set: { submissionId } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find sessions closed before the cutoff that never got their submission
+   * (submissionId unset; null means there was nothing to submit)
+   */
+  async findUnsubmitted(cutoff) {
+    return await QuizSession.find({
+      status: { $ne: QUIZ_SESSION_STATUS.IN_PROGRESS },
+      submissionId: { $exists: false },
+      closedAt: { $lt: cutoff },
+    });
+  }
+
+  /**
+   * Find open sessions whose deadline passed before the cutoff
+   */
+  async findExpired(cutoff) {
+    return await QuizSession.find({
+      status: QUIZ_SESSION_STATUS.IN_PROGRESS,
+      deadline: { $lt: cutoff },
+    });
+  }
+}
+
+export default new QuizSessionRepository();
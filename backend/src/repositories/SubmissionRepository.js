@@ -96,6 +96,20 @@ class SubmissionRepository {
     return await Submission.findByIdAndDelete(submissionId);
   }
 
+  /**
+   * Find the submission created for a quiz session
+   */
+  async findBySession(sessionId) {
+    return await Submission.findOne({ 'content.sessionId': sessionId });
+  }
+
+  /**
+   * Count a student's submissions for an activity
+   */
+  async countByStudentAndActivity(studentId, activityId) {
+    return await Submission.countDocuments({ studentId, activityId });
+  }
+
   /**
    * Get student submission statistics
    */
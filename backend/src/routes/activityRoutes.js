@@ -6,19 +6,46 @@ import {
   updateActivity,
   deleteActivity,
   getTeacherActivities,
+  getStudentQuiz,
+  getQuizItemAnalysis,
+  calibrateQuiz,
+  exportQtiPackage,
+  importQtiPackage,
 } from '../controllers/activityController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+import { activityValidation } from '../utils/validators.js';
+import { uploadPackage, handleUploadError } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
 // Public routes (protected but accessible by authenticated users)
-router.get('/', protect, getAllActivities);
-router.get('/:id', protect, getActivityById);
+router.get('/', authenticate, getAllActivities);
+router.get('/:id', authenticate, getActivityById);
+
+// Student routes
+router.get('/:id/quiz', authenticate, authorize('student'), getStudentQuiz);
 
 // Teacher routes
-router.post('/', protect, authorize('teacher', 'admin'), createActivity);
-router.put('/:id', protect, authorize('teacher', 'admin'), updateActivity);
-router.delete('/:id', protect, authorize('teacher', 'admin'), deleteActivity);
-router.get('/teacher/:teacherId', protect, authorize('teacher', 'admin'), getTeacherActivities);
+router.post('/', authenticate, authorize('teacher', 'admin'), activityValidation, createActivity);
+router.post(
+  '/import/qti',
+  authenticate,
+  authorize('teacher', 'admin'),
+  uploadPackage,
+  handleUploadError,
+  importQtiPackage
+);
+router.put('/:id', authenticate, authorize('teacher', 'admin'), activityValidation, updateActivity);
+router.delete('/:id', authenticate, authorize('teacher', 'admin'), deleteActivity);
+router.get('/:id/item-analysis', authenticate, authorize('teacher', 'admin'), getQuizItemAnalysis);
+router.post('/:id/calibrate', authenticate, authorize('teacher', 'admin'), calibrateQuiz);
+router.get('/:id/export/qti', authenticate, authorize('teacher', 'admin'), exportQtiPackage);
+router.get(
+  '/teacher/:teacherId',
+  authenticate,
+  authorize('teacher', 'admin'),
+  getTeacherActivities
+);
 
 export default router;
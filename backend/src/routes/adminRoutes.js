@@ -4,6 +4,7 @@ import {
   getUserById,
   createUser,
   updateUser,
+  updateStudentAccommodations,
   deleteUser,
   getAuditLogs,
   getAuditStats,
@@ -13,6 +14,15 @@ import {
   getTeacherPerformance,
   getPerformanceDistribution,
   exportAnalytics,
+  getEvaluationJobs,
+  requeueEvaluationJob,
+  getEvaluators,
+  setEvaluatorProvider,
+  getAIModelConfig,
+  saveAIModelConfig,
+  getAIModelHistory,
+  rollbackAIModelConfig,
+  testAIModel,
   retrainModel,
 } from '../controllers/adminController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
@@ -21,7 +31,11 @@ import {
   registerValidation,
   mongoIdValidation,
   updateUserValidation,
+  accommodationsValidation,
   retrainModelValidation,
+  evaluatorProviderValidation,
+  aiModelConfigValidation,
+  aiModelTestValidation,
 } from '../utils/validators.js';
 import { auditLog } from '../middleware/auditMiddleware.js';
 import { AUDIT_ACTIONS } from '../config/constants.js';
@@ -59,6 +73,15 @@ router.put(
   updateUser
 );
 
+// Set a student's extra-time accommodations
+router.put(
+  '/users/:id/accommodations',
+  mongoIdValidation,
+  accommodationsValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'User'),
+  updateStudentAccommodations
+);
+
 // Delete user
 router.delete(
   '/users/:id',
@@ -99,10 +122,55 @@ router.get('/analytics/distribution', getPerformanceDistribution);
 // Export analytics data (FR15)
 router.get('/analytics/export', exportAnalytics);
 
+/**
+ * Evaluation Queue Routes
+ */
+
+// Get evaluation jobs (filter by status, e.g. dead)
+router.get('/evaluation-jobs', getEvaluationJobs);
+
+// Requeue dead-lettered job
+router.post('/evaluation-jobs/:id/requeue', mongoIdValidation, requeueEvaluationJob);
+
 /**
  * Model Management Routes (FR17)
  */
 
+// Get evaluator providers and per-activity assignments
+router.get('/evaluators', getEvaluators);
+
+// Set evaluator provider for an activity type
+router.put(
+  '/evaluators/:activityType',
+  evaluatorProviderValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'AIModelConfig'),
+  setEvaluatorProvider
+);
+
+// Get active AI model configuration
+router.get('/ai-models', getAIModelConfig);
+
+// Save AI model configuration (creates a new version)
+router.post(
+  '/ai-models',
+  aiModelConfigValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'AIModelConfig'),
+  saveAIModelConfig
+);
+
+// Get AI model configuration history
+router.get('/ai-models/history', getAIModelHistory);
+
+// Roll back to an earlier configuration version
+router.post(
+  '/ai-models/rollback/:version',
+  auditLog(AUDIT_ACTIONS.UPDATE, 'AIModelConfig'),
+  rollbackAIModelConfig
+);
+
+// Test configured evaluator on sample input (nothing is saved)
+router.post('/ai-models/test', aiModelTestValidation, testAIModel);
+
 // Mock AI model retraining
 router.post(
   '/model/retrain',
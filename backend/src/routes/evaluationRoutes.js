@@ -7,10 +7,17 @@ import {
   getPendingReviews,
   triggerEvaluation,
   retryEvaluation,
+  getEvaluationRevisions,
+  diffEvaluationRevisions,
+  restoreEvaluationRevision,
 } from '../controllers/evaluationController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import { isTeacherOrAdmin } from '../middleware/roleMiddleware.js';
-import { mongoIdValidation, reviewEvaluationValidation } from '../utils/validators.js';
+import {
+  mongoIdValidation,
+  reviewEvaluationValidation,
+  evaluationRevisionValidation,
+} from '../utils/validators.js';
 import { auditLog } from '../middleware/auditMiddleware.js';
 import { AUDIT_ACTIONS } from '../config/constants.js';
 
@@ -25,7 +32,8 @@ router.get('/pending-review', authenticate, isTeacherOrAdmin, getPendingReviews)
 
 /**
  * @route   POST /api/evaluations/evaluate/:submissionId
- * @desc    Manually trigger evaluation for submission
+ * @desc    Manually trigger evaluation for submission (quizzes keep their scoring policy
+ *          unless the body sets applyCurrentPolicy)
  * @access  Private (Teacher, Admin)
  */
 router.post(
@@ -49,6 +57,44 @@ router.post(
   retryEvaluation
 );
 
+/**
+ * @route   GET /api/evaluations/submission/:submissionId/revisions
+ * @desc    List evaluation revisions for submission
+ * @access  Private
+ */
+router.get(
+  '/submission/:submissionId/revisions',
+  authenticate,
+  evaluationRevisionValidation,
+  getEvaluationRevisions
+);
+
+/**
+ * @route   GET /api/evaluations/submission/:submissionId/revisions/diff
+ * @desc    Compare two evaluation revisions (?from=&to=)
+ * @access  Private
+ */
+router.get(
+  '/submission/:submissionId/revisions/diff',
+  authenticate,
+  evaluationRevisionValidation,
+  diffEvaluationRevisions
+);
+
+/**
+ * @route   POST /api/evaluations/submission/:submissionId/revisions/:revision/restore
+ * @desc    Restore an earlier evaluation revision as the current one
+ * @access  Private (Teacher, Admin)
+ */
+router.post(
+  '/submission/:submissionId/revisions/:revision/restore',
+  authenticate,
+  isTeacherOrAdmin,
+  evaluationRevisionValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'Evaluation'),
+  restoreEvaluationRevision
+);
+
 /**
  * @route   GET /api/evaluations/submission/:submissionId
  * @desc    Get evaluation by submission ID
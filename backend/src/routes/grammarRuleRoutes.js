@@ -0,0 +1,139 @@
+import express from 'express';
+import {
+  createGrammarRule,
+  getGrammarRules,
+  getGrammarRule,
+  updateGrammarRule,
+  deleteGrammarRule,
+  getGrammarRuleVersions,
+  rollbackGrammarRule,
+  testDraftGrammarRule,
+  testGrammarRule,
+} from '../controllers/grammarRuleController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { isTeacherOrAdmin } from '../middleware/roleMiddleware.js';
+import {
+  mongoIdValidation,
+  paginationValidation,
+  grammarRuleValidation,
+  updateGrammarRuleValidation,
+  grammarRuleTestValidation,
+} from '../utils/validators.js';
+import { auditLog } from '../middleware/auditMiddleware.js';
+import { AUDIT_ACTIONS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/grammar-rules
+ * @desc    Create grammar rule (disabled until isEnabled is set)
+ * @access  Private (Teacher, Admin)
+ */
+router.post(
+  '/',
+  authenticate,
+  isTeacherOrAdmin,
+  grammarRuleValidation,
+  auditLog(AUDIT_ACTIONS.CREATE, 'GrammarRule'),
+  createGrammarRule
+);
+
+/**
+ * @route   GET /api/grammar-rules
+ * @desc    Get grammar rules (?errorType, ?language, ?isEnabled, ?search)
+ * @access  Private (Teacher, Admin)
+ */
+router.get('/', authenticate, isTeacherOrAdmin, paginationValidation, getGrammarRules);
+
+/**
+ * @route   POST /api/grammar-rules/test
+ * @desc    Show the matches of a draft rule on sample text
+ * @access  Private (Teacher, Admin)
+ */
+router.post(
+  '/test',
+  authenticate,
+  isTeacherOrAdmin,
+  grammarRuleTestValidation,
+  testDraftGrammarRule
+);
+
+/**
+ * @route   GET /api/grammar-rules/:id
+ * @desc    Get grammar rule by ID
+ * @access  Private (Teacher, Admin)
+ */
+router.get('/:id', authenticate, isTeacherOrAdmin, mongoIdValidation, getGrammarRule);
+
+/**
+ * @route   PUT /api/grammar-rules/:id
+ * @desc    Update grammar rule (saved as a new version)
+ * @access  Private (Teacher - own, Admin - all)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  updateGrammarRuleValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'GrammarRule'),
+  updateGrammarRule
+);
+
+/**
+ * @route   DELETE /api/grammar-rules/:id
+ * @desc    Delete grammar rule (soft delete)
+ * @access  Private (Teacher - own, Admin - all)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  auditLog(AUDIT_ACTIONS.DELETE, 'GrammarRule'),
+  deleteGrammarRule
+);
+
+/**
+ * @route   GET /api/grammar-rules/:id/versions
+ * @desc    Version history of a grammar rule
+ * @access  Private (Teacher, Admin)
+ */
+router.get(
+  '/:id/versions',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  paginationValidation,
+  getGrammarRuleVersions
+);
+
+/**
+ * @route   POST /api/grammar-rules/:id/rollback/:version
+ * @desc    Restore an earlier version (saved as a new version)
+ * @access  Private (Teacher - own, Admin - all)
+ */
+router.post(
+  '/:id/rollback/:version',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'GrammarRule'),
+  rollbackGrammarRule
+);
+
+/**
+ * @route   POST /api/grammar-rules/:id/test
+ * @desc    Show the matches of a saved rule on sample text, enabled or not
+ * @access  Private (Teacher, Admin)
+ */
+router.post(
+  '/:id/test',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  grammarRuleTestValidation,
+  testGrammarRule
+);
+
+export default router;
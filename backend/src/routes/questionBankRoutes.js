@@ -0,0 +1,87 @@
+import express from 'express';
+import {
+  createBankQuestion,
+  getBankQuestions,
+  getBankFacets,
+  getBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+} from '../controllers/questionBankController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { isTeacherOrAdmin } from '../middleware/roleMiddleware.js';
+import {
+  mongoIdValidation,
+  paginationValidation,
+  questionBankValidation,
+} from '../utils/validators.js';
+import { auditLog } from '../middleware/auditMiddleware.js';
+import { AUDIT_ACTIONS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/question-bank
+ * @desc    Add a question to the bank
+ * @access  Private (Teacher, Admin)
+ */
+router.post(
+  '/',
+  authenticate,
+  isTeacherOrAdmin,
+  questionBankValidation,
+  auditLog(AUDIT_ACTIONS.CREATE, 'QuestionBank'),
+  createBankQuestion
+);
+
+/**
+ * @route   GET /api/question-bank
+ * @desc    Search and filter bank questions
+ *          (?search, ?tags=a,b, ?skill, ?cefrLevel, ?difficulty, ?questionType, ?mine=true)
+ * @access  Private (Teacher, Admin)
+ */
+router.get('/', authenticate, isTeacherOrAdmin, paginationValidation, getBankQuestions);
+
+/**
+ * @route   GET /api/question-bank/facets
+ * @desc    Filter values in use, with counts
+ * @access  Private (Teacher, Admin)
+ */
+router.get('/facets', authenticate, isTeacherOrAdmin, getBankFacets);
+
+/**
+ * @route   GET /api/question-bank/:id
+ * @desc    Get bank question by ID
+ * @access  Private (Teacher - own and shared, Admin - all)
+ */
+router.get('/:id', authenticate, isTeacherOrAdmin, mongoIdValidation, getBankQuestion);
+
+/**
+ * @route   PUT /api/question-bank/:id
+ * @desc    Replace a bank question (bumps its version)
+ * @access  Private (Teacher - own, Admin - all)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  questionBankValidation,
+  auditLog(AUDIT_ACTIONS.UPDATE, 'QuestionBank'),
+  updateBankQuestion
+);
+
+/**
+ * @route   DELETE /api/question-bank/:id
+ * @desc    Delete bank question (soft delete)
+ * @access  Private (Teacher - own, Admin - all)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  isTeacherOrAdmin,
+  mongoIdValidation,
+  auditLog(AUDIT_ACTIONS.DELETE, 'QuestionBank'),
+  deleteBankQuestion
+);
+
+export default router;
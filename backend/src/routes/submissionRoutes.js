@@ -2,6 +2,9 @@ import express from 'express';
 import {
   submitSpeakingActivity,
   submitWritingActivity,
+  startQuizAttempt,
+  saveQuizAnswers,
+  answerAdaptiveQuestion,
   submitQuizActivity,
   getSubmission,
   getMySubmissions,
@@ -45,6 +48,39 @@ router.post(
   submitWritingActivity
 );
 
+/**
+ * @route   POST /api/submissions/quiz/start
+ * @desc    Start or resume a timed (server-side deadline) or adaptive quiz attempt
+ * @access  Private (Student)
+ */
+router.post('/quiz/start', authenticate, isStudent, startQuizAttempt);
+
+/**
+ * @route   PUT /api/submissions/quiz/sessions/:id/answers
+ * @desc    Save answers to a timed quiz attempt
+ * @access  Private (Student)
+ */
+router.put(
+  '/quiz/sessions/:id/answers',
+  authenticate,
+  isStudent,
+  mongoIdValidation,
+  saveQuizAnswers
+);
+
+/**
+ * @route   POST /api/submissions/quiz/sessions/:id/responses
+ * @desc    Answer the current question of an adaptive quiz; returns the next one
+ * @access  Private (Student)
+ */
+router.post(
+  '/quiz/sessions/:id/responses',
+  authenticate,
+  isStudent,
+  mongoIdValidation,
+  answerAdaptiveQuestion
+);
+
 /**
  * @route   POST /api/submissions/quiz
  * @desc    Submit quiz activity (FR4)
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDatabase from '../config/database.js';
+import GrammarRule from '../models/GrammarRule.js';
+import GrammarRuleRepository from '../repositories/GrammarRuleRepository.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Built-in rules that chose the article by the first letter of the next word
+const LETTER_ARTICLE_RULES = ["'a' before a vowel", "'an' before a consonant"];
+
+/**
+ * One-off migration for the pronunciation-based article check
+ * GrammarRuleService now chooses between "a" and "an" by pronunciation. The built-in
+ * pattern rules it replaces flag "a university" or "an hour" and would report every
+ * article mistake twice, so each one still enabled is saved disabled as a new version
+ * (rolling back restores it). Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await connectDatabase();
+
+    const rules = await GrammarRule.find({
+      isBuiltIn: true,
+      isActive: true,
+      isEnabled: true,
+      name: { $in: LETTER_ARTICLE_RULES },
+    });
+
+    for (const rule of rules) {
+      await GrammarRuleRepository.update(rule, { isEnabled: false }, null, {
+        changeNote: 'Replaced by the pronunciation-based article check',
+      });
+      logger.info(`Grammar rule ${rule.ruleId} (${rule.name}) disabled`);
+    }
+    logger.info(`Disabled ${rules.length} built-in article rules`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Article rule migration failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDatabase from '../config/database.js';
+import Evaluation from '../models/Evaluation.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * One-off migration for evaluation revisions
+ * Drops the old one-evaluation-per-submission unique index and marks existing
+ * evaluations as revision 1 and current. Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await connectDatabase();
+
+    const indexes = await Evaluation.collection.indexes();
+    const legacyIndex = indexes.find(
+      (index) => index.unique && Object.keys(index.key).join(',') === 'submissionId'
+    );
+
+    if (legacyIndex) {
+      await Evaluation.collection.dropIndex(legacyIndex.name);
+      logger.info(`Dropped unique index ${legacyIndex.name}`);
+    }
+
+    const result = await Evaluation.collection.updateMany(
+      { revision: { $exists: false } },
+      { $set: { revision: 1, isCurrent: true, revisionType: 'ai' } }
+    );
+    logger.info(`Marked ${result.modifiedCount} existing evaluations as revision 1`);
+
+    await Evaluation.syncIndexes();
+    logger.info('Evaluation indexes synced');
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Evaluation revision migration failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDatabase from '../config/database.js';
+import GrammarRuleRepository from '../repositories/GrammarRuleRepository.js';
+import { DEFAULT_RULES } from '../services/GrammarRuleService.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Stores the built-in grammar rules (DEFAULT_RULES) so admins can edit them
+ * Run once per database, before the API and the evaluation worker score with stored rules;
+ * until then both use the built-in rules as they are. Nothing is stored when any rule
+ * exists already, deleted ones included. Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await connectDatabase();
+
+    if (await GrammarRuleRepository.hasAny()) {
+      logger.info('Grammar rules are stored already, nothing to seed');
+    } else {
+      for (const rule of DEFAULT_RULES) {
+        await GrammarRuleRepository.create(rule, null, {
+          isBuiltIn: true,
+          changeNote: 'Built-in rule',
+        });
+      }
+      logger.info(`Seeded ${DEFAULT_RULES.length} built-in grammar rules`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Grammar rule migration failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+migrate();
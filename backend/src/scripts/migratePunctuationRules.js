@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDatabase from '../config/database.js';
+import GrammarRule from '../models/GrammarRule.js';
+import GrammarRuleRepository from '../repositories/GrammarRuleRepository.js';
+import { DEFAULT_RULES } from '../services/GrammarRuleService.js';
+import { ERROR_TYPES } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * One-off migration for punctuation mistakes
+ * Built-in spacing rules seeded before they were reclassified still report grammar
+ * errors; each is saved as a new version with the punctuation error type, description,
+ * pattern and correction of the current defaults.
+ * Rules an admin has reclassified already are left alone. Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await connectDatabase();
+
+    const punctuationRules = DEFAULT_RULES.filter(
+      (rule) => rule.errorType === ERROR_TYPES.PUNCTUATION
+    );
+
+    const rules = await GrammarRule.find({
+      isBuiltIn: true,
+      isActive: true,
+      errorType: ERROR_TYPES.GRAMMAR,
+      name: { $in: punctuationRules.map((rule) => rule.name) },
+    });
+
+    for (const rule of rules) {
+      const { errorType, description, pattern, correctionTemplate } = punctuationRules.find(
+        (defaults) => defaults.name === rule.name
+      );
+      await GrammarRuleRepository.update(
+        rule,
+        { errorType, description, pattern, correctionTemplate },
+        null,
+        { changeNote: 'Reclassified as punctuation' }
+      );
+      logger.info(`Grammar rule ${rule.ruleId} (${rule.name}) now reports punctuation errors`);
+    }
+    logger.info(`Reclassified ${rules.length} built-in rules as punctuation`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Punctuation rule migration failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDatabase from '../config/database.js';
+import Activity from '../models/Activity.js';
+import User from '../models/User.js';
+import QtiService from '../services/QtiService.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run qti -- export <activity id> [output.zip]
+  npm run qti -- import <package.zip> <owner email>`;
+
+/**
+ * Quiz exchange with other systems as IMS QTI 2.1 packages (see QtiService)
+ * export writes a quiz, found by its database ID or activity ID, to a zip.
+ * import creates a quiz owned by a teacher or admin and prints the import report.
+ */
+const exportQuiz = async (id, output) => {
+  const activity = await Activity.findOne(
+    mongoose.isValidObjectId(id) ? { _id: id } : { activityId: id }
+  );
+  if (!activity) {
+    throw new Error(`Activity ${id} not found`);
+  }
+
+  const { buffer, fileName, itemCount, warnings } = QtiService.exportActivity(activity);
+  const target = output || fileName;
+
+  fs.writeFileSync(target, buffer);
+  warnings.forEach((warning) => logger.warn(warning));
+  logger.info(`Exported ${itemCount} questions of "${activity.title}" to ${target}`);
+};
+
+const importQuiz = async (file, email) => {
+  const owner = await User.findOne({ email: email?.toLowerCase() });
+  if (!owner || !['teacher', 'admin'].includes(owner.role)) {
+    throw new Error(`No teacher or admin with email ${email}`);
+  }
+
+  const { activity: fields, report } = QtiService.importPackage(fs.readFileSync(file), {
+    fileName: path.basename(file),
+  });
+
+  report.skipped.forEach(({ item, title, reason }) =>
+    logger.warn(`Skipped ${item}${title ? ` (${title})` : ''}: ${reason}`)
+  );
+  Object.entries(report.unsupportedInteractions).forEach(([name, count]) =>
+    logger.warn(`Unsupported interaction ${name}: ${count} item(s)`)
+  );
+
+  if (report.imported === 0) {
+    throw new Error('The package has no questions that can be imported');
+  }
+
+  const activity = await Activity.create({
+    ...fields,
+    createdBy: owner._id,
+    activityId: `ACT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+  });
+
+  logger.info(
+    `Imported ${report.imported} of ${report.total} questions into "${activity.title}" (${activity._id})`
+  );
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['export', 'import'].includes(command) || !args[0] || (command === 'import' && !args[1])) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await connectDatabase();
+
+    if (command === 'export') {
+      await exportQuiz(args[0], args[1]);
+    } else {
+      await importQuiz(args[0], args[1]);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`QTI ${command} failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+run();
@@ -1,5 +1,7 @@
 import app from './app.js';
 import connectDatabase from './config/database.js';
+import EvaluationQueueService from './services/EvaluationQueueService.js';
+import QuizSessionService from './services/QuizSessionService.js';
 import { logger } from './utils/logger.js';
 import dotenv from 'dotenv';
 
@@ -22,6 +24,14 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDatabase();
 
+    // Start in-process evaluation worker (disable when running dedicated workers)
+    if (process.env.EVALUATION_WORKER_ENABLED !== 'false') {
+      EvaluationQueueService.start();
+    }
+
+    // Close timed quiz attempts that ran out without being submitted
+    QuizSessionService.start();
+
     // Start server
     const server = app.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
@@ -42,16 +52,20 @@ const startServer = async () => {
     });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
       logger.info('SIGTERM received. Closing server gracefully...');
+      QuizSessionService.stop();
+      await EvaluationQueueService.stop();
       server.close(() => {
         logger.info('Server closed');
         process.exit(0);
       });
     });
 
-    process.on('SIGINT', () => {
+    process.on('SIGINT', async () => {
       logger.info('SIGINT received. Closing server gracefully...');
+      QuizSessionService.stop();
+      await EvaluationQueueService.stop();
       server.close(() => {
         logger.info('Server closed');
         process.exit(0);
@@ -0,0 +1,313 @@
+import QuizSessionRepository from '../repositories/QuizSessionRepository.js';
+import AnalyticsService from './AnalyticsService.js';
+import IRTService from './IRTService.js';
+import QuizDeliveryService from './QuizDeliveryService.js';
+import QuizGradingService from './QuizGradingService.js';
+import QuizSessionService from './QuizSessionService.js';
+import { ADAPTIVE_QUIZ, IRT_MODELS, QUIZ_MODES, QUIZ_SESSION_STATUS } from '../config/constants.js';
+import { seededShuffle } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Starting difficulty for an uncalibrated question is bounded like a calibrated one
+const PROPORTION_RANGE = [0.02, 0.98];
+
+/**
+ * Adaptive Quiz Service
+ * Computerised adaptive testing over a quiz's question pool. Each question is chosen to be
+ * the most informative at the student's current ability estimate, and the quiz stops once
+ * the estimate is precise enough. Question parameters come from calibrating the pool on
+ * past responses; questions with too few responses use provisional parameters from their
+ * difficulty label.
+ */
+class AdaptiveQuizService {
+  /**
+   * Stopping rules for an activity, with defaults filled in
+   */
+  settings(activity) {
+    const adaptive = activity.adaptive || {};
+    const poolSize = activity.questions.length;
+
+    return {
+      model: adaptive.model || IRT_MODELS.TWO_PL,
+      minQuestions: Math.min(adaptive.minQuestions || ADAPTIVE_QUIZ.MIN_QUESTIONS, poolSize),
+      maxQuestions: Math.min(adaptive.maxQuestions || poolSize, poolSize),
+      standardErrorThreshold:
+        adaptive.standardErrorThreshold || ADAPTIVE_QUIZ.STANDARD_ERROR_THRESHOLD,
+    };
+  }
+
+  /**
+   * Provisional difficulty from a question's (or the activity's) difficulty label
+   */
+  priorDifficulty(question, activity) {
+    const label = question.difficulty || activity.difficulty;
+    return ADAPTIVE_QUIZ.DIFFICULTY_PRIORS[label] ?? 0;
+  }
+
+  /**
+   * Current parameters of every question in the pool
+   * The 1PL model ignores discrimination even when the pool was calibrated under 2PL
+   */
+  itemParameters(activity, model = this.settings(activity).model) {
+    return activity.questions.map((question) => {
+      const irt = question.irt || {};
+      const hasParameters = typeof irt.difficulty === 'number';
+
+      return {
+        questionId: question._id,
+        a: model === IRT_MODELS.ONE_PL || !hasParameters ? 1 : (irt.discrimination ?? 1),
+        b: hasParameters ? irt.difficulty : this.priorDifficulty(question, activity),
+      };
+    });
+  }
+
+  /**
+   * The unadministered question with the most information at the ability estimate
+   * Candidates are shuffled with the session seed first, so ties (common before calibration)
+   * do not always go to the same question
+   */
+  selectNext(session, theta) {
+    const administered = new Set(session.adaptive.administered.map(String));
+    const candidates = seededShuffle(
+      session.adaptive.itemParameters.filter((item) => !administered.has(String(item.questionId))),
+      `${session.seed}:adaptive:${administered.size}`
+    );
+
+    let best = null;
+    let bestInformation = -Infinity;
+    candidates.forEach((item) => {
+      const information = IRTService.information(theta, item);
+      if (information > bestInformation) {
+        best = item;
+        bestInformation = information;
+      }
+    });
+
+    return best?.questionId || null;
+  }
+
+  /**
+   * Start an adaptive attempt; timed when the activity has a time limit
+   */
+  async startAttempt(activity, student) {
+    const { model } = this.settings(activity);
+    const startedAt = new Date();
+    const timing = {};
+
+    if (activity.timeLimit) {
+      const { seconds, accommodation } = QuizSessionService.timeAllowed(activity, student);
+      timing.deadline = new Date(startedAt.getTime() + seconds * 1000);
+      timing.timeAllowed = seconds;
+      timing.accommodation = accommodation;
+    }
+
+    const draft = {
+      seed: QuizDeliveryService.createSeed(activity._id, student._id),
+      adaptive: {
+        model,
+        itemParameters: this.itemParameters(activity, model),
+        administered: [],
+        ability: 0,
+        standardError: 1, // The prior: the population's spread
+      },
+    };
+    const first = this.selectNext(draft, 0);
+
+    const session = await QuizSessionRepository.create({
+      activityId: activity._id,
+      studentId: student._id,
+      mode: QUIZ_MODES.ADAPTIVE,
+      seed: draft.seed,
+      startedAt,
+      ...timing,
+      adaptive: { ...draft.adaptive, administered: [first], currentQuestionId: first },
+    });
+
+    logger.info(
+      `Adaptive quiz session ${session.sessionId} started for student ${student.studentId}`
+    );
+
+    return session;
+  }
+
+  /**
+   * The question awaiting an answer, as the student sees it
+   */
+  currentQuestion(activity, session) {
+    const question = activity.questions.id(session.adaptive?.currentQuestionId);
+    if (!question) {
+      return null;
+    }
+
+    const [view] = QuizDeliveryService.present([question], {
+      seed: session.seed,
+      shuffleOptions: activity.questionPool?.shuffleOptions !== false,
+    });
+
+    return { ...view, number: session.adaptive.administered.length };
+  }
+
+  /**
+   * Why the quiz should stop after this many answers, or null to go on
+   */
+  stopReason(settings, answered, standardError, remaining) {
+    if (answered >= settings.maxQuestions) return 'max-questions';
+    if (remaining === 0) return 'pool-exhausted';
+    if (answered >= settings.minQuestions && standardError <= settings.standardErrorThreshold) {
+      return 'standard-error';
+    }
+    return null;
+  }
+
+  /**
+   * Answer the current question, re-estimate the ability and pick the next question
+   * Returns { session, submission } - submission is set once the quiz has stopped - or null
+   * if the question was no longer current (already answered, or the session closed)
+   */
+  async respond(session, activity, answer) {
+    const questionId = session.adaptive.currentQuestionId;
+    const question = activity.questions.id(questionId);
+    const parameters = new Map(
+      session.adaptive.itemParameters.map((item) => [String(item.questionId), item])
+    );
+
+    // Only full credit counts as correct, as in calibration
+    const responses = [
+      ...session.savedAnswers.map((saved) => ({
+        questionId: saved.questionId,
+        answer: saved.answer,
+      })),
+      { questionId, answer },
+    ].map((response) => {
+      const answered = activity.questions.id(response.questionId);
+      const { a, b } = parameters.get(String(response.questionId));
+      return {
+        a,
+        b,
+        correct:
+          !!answered &&
+          QuizGradingService.gradeAnswer(answered, response.answer, activity.scoringPolicy)
+            .score === 1,
+      };
+    });
+
+    const { theta, standardError } = IRTService.estimateAbility(responses);
+    const settings = this.settings(activity);
+    const remaining = session.adaptive.itemParameters.length - responses.length;
+
+    const stoppedBy = question
+      ? this.stopReason(settings, responses.length, standardError, remaining)
+      : 'pool-exhausted'; // The question was deleted mid-attempt
+    const next = stoppedBy ? null : this.selectNext(session, theta);
+
+    const updated = await QuizSessionRepository.recordResponse(session._id, questionId, answer, {
+      ability: theta,
+      standardError,
+      next,
+      stoppedBy,
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    if (next) {
+      return { session: updated, submission: null };
+    }
+
+    const submission = await this.finish(updated, activity);
+    return { session: updated, submission };
+  }
+
+  /**
+   * Close a finished adaptive session and submit its answers
+   * Returns null if the session had already been closed
+   */
+  async finish(session, activity, metadata = {}) {
+    const closed = await QuizSessionRepository.close(session._id, QUIZ_SESSION_STATUS.SUBMITTED);
+
+    if (!closed) {
+      return null;
+    }
+
+    const submission = await QuizSessionService.submitSession(closed, activity, metadata);
+
+    logger.info(
+      `Adaptive quiz session ${closed.sessionId} stopped (${closed.adaptive.stoppedBy}) after ` +
+        `${closed.savedAnswers.length} questions, ability ${closed.adaptive.ability.toFixed(2)}`
+    );
+
+    return submission;
+  }
+
+  /**
+   * Calibrate the question pool from students' past responses and save the parameters
+   * Questions answered by fewer than MIN_CALIBRATION_RESPONSES students keep provisional
+   * parameters from their difficulty label, but their responses still inform abilities.
+   */
+  async calibrate(activity, { model = this.settings(activity).model } = {}) {
+    const respondents = await AnalyticsService.gradeQuizResponses(activity);
+    const scored = respondents.map(({ items }) =>
+      items.map((item) => ({ key: item.questionId, correct: item.score === 1 }))
+    );
+
+    const initial = {};
+    const counts = {};
+    const fixed = new Set();
+
+    activity.questions.forEach((question) => {
+      const key = String(question._id);
+      const responses = scored.flat().filter((response) => response.key === key);
+      counts[key] = responses.length;
+
+      if (responses.length < ADAPTIVE_QUIZ.MIN_CALIBRATION_RESPONSES) {
+        fixed.add(key);
+        initial[key] = { a: 1, b: this.priorDifficulty(question, activity) };
+        return;
+      }
+
+      // Start from the logit of the proportion correct
+      const proportion = Math.min(
+        PROPORTION_RANGE[1],
+        Math.max(
+          PROPORTION_RANGE[0],
+          responses.filter((response) => response.correct).length / responses.length
+        )
+      );
+      initial[key] = { a: 1, b: Math.log((1 - proportion) / proportion) };
+    });
+
+    const parameters = IRTService.calibrate(scored, initial, { model, fixed });
+    const calibratedAt = new Date();
+
+    activity.questions.forEach((question) => {
+      const key = String(question._id);
+      question.irt = {
+        difficulty: parameters[key].b,
+        discrimination: parameters[key].a,
+        model,
+        calibrated: !fixed.has(key),
+        responseCount: counts[key],
+        calibratedAt,
+      };
+    });
+
+    await activity.save();
+
+    const calibrated = activity.questions.length - fixed.size;
+    logger.info(
+      `Calibrated ${calibrated}/${activity.questions.length} questions of activity ` +
+        `${activity.activityId} (${model}, ${respondents.length} students)`
+    );
+
+    return {
+      model,
+      respondents: respondents.length,
+      calibrated,
+      provisional: fixed.size,
+      minResponses: ADAPTIVE_QUIZ.MIN_CALIBRATION_RESPONSES,
+    };
+  }
+}
+
+export default new AdaptiveQuizService();
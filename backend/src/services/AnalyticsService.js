@@ -4,8 +4,38 @@ import Evaluation from '../models/Evaluation.js';
 import Student from '../models/Student.js';
 import Teacher from '../models/Teacher.js';
 import ProgressReport from '../models/ProgressReport.js';
+import QuizDeliveryService from './QuizDeliveryService.js';
+import QuizGradingService from './QuizGradingService.js';
+import { EVALUATION_REVISION_TYPES, ITEM_ANALYSIS, QUESTION_TYPES } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
 
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Pearson correlation between item scores and rest scores (point-biserial for items scored
+ * right or wrong); null when either side does not vary
+ */
+const pointBiserial = (itemScores, restScores) => {
+  if (itemScores.length < 2) return null;
+
+  const itemMean = mean(itemScores);
+  const restMean = mean(restScores);
+  let covariance = 0;
+  let itemVariance = 0;
+  let restVariance = 0;
+
+  itemScores.forEach((itemScore, i) => {
+    covariance += (itemScore - itemMean) * (restScores[i] - restMean);
+    itemVariance += (itemScore - itemMean) ** 2;
+    restVariance += (restScores[i] - restMean) ** 2;
+  });
+
+  if (itemVariance === 0 || restVariance === 0) return null;
+  return covariance / Math.sqrt(itemVariance * restVariance);
+};
+
 /**
  * Analytics Service (FR20)
  * System-wide analytics and reporting
@@ -28,7 +58,7 @@ class AnalyticsService {
         Student.countDocuments(),
         Teacher.countDocuments(),
         Submission.countDocuments(),
-        Evaluation.countDocuments(),
+        Evaluation.countDocuments({ isCurrent: true }),
         User.countDocuments({ isActive: true }),
       ]);
 
@@ -44,6 +74,7 @@ class AnalyticsService {
 
       // Get average scores
       const avgScores = await Evaluation.aggregate([
+        { $match: { isCurrent: true } },
         {
           $group: {
             _id: null,
@@ -177,6 +208,7 @@ class AnalyticsService {
           const reviewedCount = await Evaluation.countDocuments({
             teacherId: teacher._id,
             reviewedByTeacher: true,
+            revisionType: { $ne: EVALUATION_REVISION_TYPES.RESTORE }, // Restored copies are not new reviews
           });
 
           // Count activities created
@@ -263,12 +295,235 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Each student's latest quiz submission, graded question by question
+   * Shared by item analysis and IRT calibration (AdaptiveQuizService)
+   * @returns {Array} [{ items: [{ questionId, answer, points, score }], totalPoints, earnedPoints }]
+   */
+  async gradeQuizResponses(activity) {
+    const submissions = await Submission.find({
+      activityId: activity._id,
+      contentType: 'quiz',
+    }).sort({ submittedAt: -1 });
+
+    // Latest submission per student
+    const latest = new Map();
+    submissions.forEach((submission) => {
+      const key = String(submission.studentId);
+      if (!latest.has(key)) latest.set(key, submission);
+    });
+
+    return [...latest.values()].map((submission) => {
+      const questions = QuizDeliveryService.deliveredQuestions(activity, submission);
+      const items = QuizGradingService.matchAnswers(questions, submission.content.answers).map(
+        ({ question, answer }) => ({
+          questionId: String(question._id),
+          answer,
+          points: question.points || 1,
+          score: QuizGradingService.gradeAnswer(question, answer, activity.scoringPolicy).score,
+        })
+      );
+
+      return {
+        items,
+        totalPoints: items.reduce((sum, item) => sum + item.points, 0),
+        earnedPoints: items.reduce((sum, item) => sum + item.score * item.points, 0),
+      };
+    });
+  }
+
+  /**
+   * Quiz item analysis: difficulty, discrimination and distractor statistics per question
+   * Each student's latest submission is graded the way evaluateQuiz grades it. Partial credit
+   * counts as its fraction, so a p-value is the mean score on the question (the proportion
+   * correct when there is no partial credit). Discrimination is the point-biserial
+   * correlation between the question and the student's score on the rest of the quiz.
+   */
+  async getQuizItemAnalysis(activity) {
+    try {
+      const respondents = await this.gradeQuizResponses(activity);
+
+      const items = activity.questions.map((question, index) =>
+        this.analyzeQuizItem(question, index, respondents)
+      );
+      const scores = respondents.map(({ earnedPoints, totalPoints }) =>
+        totalPoints ? earnedPoints / totalPoints : 0
+      );
+
+      return {
+        activity: {
+          id: activity._id,
+          activityId: activity.activityId,
+          title: activity.title,
+          quizMode: activity.quizMode || 'fixed',
+        },
+        respondents: respondents.length,
+        averageScore: scores.length ? roundTo(mean(scores) * 100, 2) : null,
+        flaggedItems: items.filter((item) => item.flags.length > 0).length,
+        items,
+      };
+    } catch (error) {
+      logger.error(`Failed to get quiz item analysis: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Statistics for one question across the students who were given it
+   */
+  analyzeQuizItem(question, index, respondents) {
+    const questionId = String(question._id);
+    const responses = [];
+
+    respondents.forEach(({ items, totalPoints, earnedPoints }) => {
+      const item = items.find((candidate) => candidate.questionId === questionId);
+      if (!item) return; // Not drawn for this student
+
+      // Rest-of-quiz score, so the question is not correlated with itself
+      const restPoints = totalPoints - item.points;
+      responses.push({
+        answer: item.answer,
+        score: item.score,
+        restScore: restPoints > 0 ? (earnedPoints - item.score * item.points) / restPoints : null,
+      });
+    });
+
+    const paired = responses.filter((response) => response.restScore !== null);
+    const pValue = responses.length ? mean(responses.map((response) => response.score)) : null;
+    const discrimination = pointBiserial(
+      paired.map((response) => response.score),
+      paired.map((response) => response.restScore)
+    );
+
+    const analysis = {
+      questionId: question._id,
+      questionIndex: index,
+      questionText: question.questionText,
+      questionType: question.questionType,
+      responses: responses.length,
+      pValue: pValue === null ? null : roundTo(pValue, 3),
+      discrimination: discrimination === null ? null : roundTo(discrimination, 3),
+      flags: this.flagQuizItem(responses.length, pValue, discrimination),
+      irt:
+        typeof question.irt?.difficulty === 'number'
+          ? {
+              difficulty: roundTo(question.irt.difficulty, 3),
+              discrimination: roundTo(question.irt.discrimination ?? 1, 3),
+              model: question.irt.model,
+              calibrated: !!question.irt.calibrated,
+              responseCount: question.irt.responseCount ?? 0,
+              calibratedAt: question.irt.calibratedAt,
+            }
+          : null,
+    };
+
+    switch (question.questionType) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+      case QUESTION_TYPES.TRUE_FALSE:
+      case QUESTION_TYPES.MULTI_SELECT:
+        analysis.options = this.analyzeQuizOptions(question, responses);
+        break;
+      case QUESTION_TYPES.SHORT_ANSWER:
+      case QUESTION_TYPES.NUMERIC:
+      case QUESTION_TYPES.CLOZE:
+        analysis.commonWrongAnswers = this.commonWrongAnswers(question, responses);
+        break;
+    }
+
+    return analysis;
+  }
+
+  /**
+   * How often each option was chosen, and how well the students who chose it did elsewhere
+   * A distractor whose choosers outscore the correct option's usually means a flawed key
+   */
+  analyzeQuizOptions(question, responses) {
+    const multiSelect = question.questionType === QUESTION_TYPES.MULTI_SELECT;
+    const options =
+      question.questionType === QUESTION_TYPES.TRUE_FALSE && !question.options?.length
+        ? ['True', 'False']
+        : question.options;
+
+    const chose = (response, option) =>
+      multiSelect
+        ? Array.isArray(response.answer) &&
+          response.answer.some((selected) =>
+            QuizGradingService.sameText(question, selected, option)
+          )
+        : QuizGradingService.sameText(question, response.answer, option);
+
+    return options.map((option) => {
+      const choosers = responses.filter((response) => chose(response, option));
+      const restScores = choosers
+        .map((response) => response.restScore)
+        .filter((score) => score !== null);
+
+      return {
+        option,
+        isCorrect: multiSelect
+          ? (question.correctAnswers || []).some((correct) =>
+              QuizGradingService.sameText(question, correct, option)
+            )
+          : QuizGradingService.sameText(question, question.correctAnswer, option),
+        count: choosers.length,
+        proportion: responses.length ? roundTo(choosers.length / responses.length, 3) : 0,
+        meanRestScore: restScores.length ? roundTo(mean(restScores) * 100, 2) : null,
+      };
+    });
+  }
+
+  /**
+   * Most frequent answers without full credit on a free-response question, to spot missing
+   * answer variants
+   */
+  commonWrongAnswers(question, responses, limit = 5) {
+    const counts = new Map();
+
+    responses
+      .filter((response) => response.score < 1)
+      .forEach((response) => {
+        const text = QuizGradingService.formatAnswer(question, response.answer);
+        if (text) counts.set(text, (counts.get(text) || 0) + 1);
+      });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([answer, count]) => ({ answer, count }));
+  }
+
+  /**
+   * Flags for questions that need a teacher's attention
+   */
+  flagQuizItem(responseCount, pValue, discrimination) {
+    if (responseCount < ITEM_ANALYSIS.MIN_RESPONSES) {
+      return [];
+    }
+
+    const flags = [];
+
+    if (discrimination !== null && discrimination < 0) {
+      flags.push('negative-discrimination');
+    } else if (discrimination !== null && discrimination < ITEM_ANALYSIS.LOW_DISCRIMINATION) {
+      flags.push('low-discrimination');
+    }
+
+    if (pValue >= ITEM_ANALYSIS.EASY_P_VALUE) {
+      flags.push('too-easy');
+    } else if (pValue <= ITEM_ANALYSIS.HARD_P_VALUE) {
+      flags.push('too-hard');
+    }
+
+    return flags;
+  }
+
   /**
    * Get performance distribution
    */
   async getPerformanceDistribution() {
     try {
       const distribution = await Evaluation.aggregate([
+        { $match: { isCurrent: true } },
         {
           $bucket: {
             groupBy: '$overallScore',
@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import { isVowel, parseLexicon } from '../utils/cmudict.js';
+import { logger } from '../utils/logger.js';
+
+// Bundled lexicon: only the words the spelling rules below get wrong
+const BUNDLED_LEXICON = new URL('../data/articleLexicon.dict', import.meta.url);
+
+// An article and the word after it; a hyphenated word is decided by its first part
+// ("a one-time fee") and a number by its leading digits ("an 18,000 pound fine")
+const ARTICLE_PATTERN =
+  /(?<![\p{L}\p{N}'’-])(a|an)(\s+)(["'“‘(]*)([\p{L}\p{N}](?:[\p{L}\p{M}\p{N}]|['’](?=\p{L}))*)/giu;
+
+// Words that cannot follow an article, so "a" before them is a letter ("options a or b")
+const NOT_AFTER_ARTICLE = new Set(['and', 'or', 'nor', 'but', 'of', 'is', 'are', 'was', 'were']);
+
+// Letters whose names start with a vowel sound: "an F", "an MRI scan"
+const VOWEL_LETTERS = 'AEFHILMNORSX';
+
+// Short acronyms that are read as words, not letter by letter ("a RAM upgrade")
+const READ_AS_WORDS = new Set(['HUD', 'LAN', 'LOL', 'MAC', 'NAT', 'RAM', 'ROM', 'SIM']);
+
+const isUpperCase = (word) => word === word.toUpperCase() && word !== word.toLowerCase();
+
+/**
+ * Whether a word is an initialism, read letter by letter: capitals, and up to three letters
+ * or without vowels ("UN", "FBI", "HTML")
+ */
+const isInitialism = (word) =>
+  isUpperCase(word) && (word.length <= 3 || !/[AEIOUY]/.test(word)) && !READ_AS_WORDS.has(word);
+
+/**
+ * Whether a number starts with a vowel sound when read aloud: eight, eighty, eight hundred,
+ * eleven and eighteen (also 11,000 and 18 million, and years such as 1800)
+ */
+const numberStartsWithVowel = (digits) =>
+  digits.startsWith('8') ||
+  (/^1[18]/.test(digits) && (digits.length % 3 === 2 || digits.length === 4));
+
+/**
+ * Article Service
+ * Chooses between "a" and "an" by the first sound of the next word, not its first letter:
+ * "a university", "a one-time offer", "an hour", "an FBI agent". Pronunciations come from a
+ * CMU Pronouncing Dictionary lexicon (src/data/articleLexicon.dict, or the file set in
+ * PRONUNCIATION_LEXICON); words it does not list are read by their spelling. Initialisms
+ * (capitals, up to three letters or without vowels) are read letter by letter. Where
+ * readings disagree either article is accepted.
+ */
+class ArticleService {
+  constructor() {
+    this.loading = new Map(); // lexicon file -> Promise of Map
+  }
+
+  /**
+   * Lexicon of this process, read once per file
+   */
+  load() {
+    const file = process.env.PRONUNCIATION_LEXICON || BUNDLED_LEXICON;
+    if (!this.loading.has(file)) {
+      this.loading.set(file, this.read(file));
+    }
+    return this.loading.get(file);
+  }
+
+  async read(file) {
+    try {
+      const lexicon = parseLexicon(await fs.readFile(file, 'utf8'));
+      logger.info(`Pronunciation lexicon loaded: ${lexicon.size} words`);
+      return lexicon;
+    } catch (error) {
+      if (file !== BUNDLED_LEXICON) {
+        logger.warn(
+          `Pronunciation lexicon ${file} unreadable, using the bundled one: ${error.message}`
+        );
+        return this.read(BUNDLED_LEXICON);
+      }
+      logger.warn(`Pronunciation lexicon unreadable, articles follow spelling: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Whether a word starts with a vowel sound
+   * @returns {boolean|null} null when its readings disagree ("herb"): either article is fine
+   */
+  startsWithVowel(lexicon, word, { allCaps = false } = {}) {
+    const digits = word.match(/^\d+/);
+    if (digits) return numberStartsWithVowel(digits[0]);
+
+    // Possessives and plural acronyms sound like the word: "an hour's", "an MRIs"
+    const base = word.replace(/['’]s$/i, '').replace(/^(\p{Lu}{2,})s$/u, '$1');
+
+    // Initialisms by the name of their first letter ("a UN report", "an FBI agent"); in text
+    // written in capitals, short words are just words ("A HAT")
+    if (!allCaps && isInitialism(base)) {
+      return VOWEL_LETTERS.includes(base.charAt(0));
+    }
+
+    const sounds = new Set(
+      (lexicon.get(base.toLowerCase()) || []).map(([first]) => isVowel(first))
+    );
+
+    if (sounds.size === 0) return /^[aeiou]/i.test(base.normalize('NFD'));
+    return sounds.size === 1 ? sounds.has(true) : null;
+  }
+
+  /**
+   * Articles that do not fit the next word, in the shape of grammar rule matches:
+   * [{ index, text, groups: [correct article, text after the article] }]
+   */
+  async findMatches(text) {
+    if (!text) return [];
+
+    const lexicon = await this.load();
+    const matches = [];
+
+    for (const match of text.matchAll(ARTICLE_PATTERN)) {
+      const [whole, article, space, , word] = match;
+      if (NOT_AFTER_ARTICLE.has(word.toLowerCase())) continue;
+
+      // Text around the article without lower-case letters is written in capitals
+      const around = text.slice(Math.max(0, match.index - 20), match.index + whole.length + 20);
+      const vowel = this.startsWithVowel(lexicon, word, { allCaps: !/\p{Ll}/u.test(around) });
+      if (vowel === null || vowel === (article.toLowerCase() === 'an')) continue;
+
+      const correct = vowel ? 'an' : 'a';
+      matches.push({
+        index: match.index,
+        text: whole,
+        groups: [
+          article === 'AN' ? correct.toUpperCase() : article.charAt(0) + correct.slice(1),
+          whole.slice(article.length + space.length),
+        ],
+      });
+    }
+
+    return matches;
+  }
+}
+
+export default new ArticleService();
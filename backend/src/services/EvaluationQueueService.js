@@ -0,0 +1,214 @@
+import os from 'os';
+import EvaluationJobRepository from '../repositories/EvaluationJobRepository.js';
+import SubmissionRepository from '../repositories/SubmissionRepository.js';
+import AIEvaluationService from './AIEvaluationService.js';
+import { EVALUATION_QUEUE, SUBMISSION_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Evaluation Queue Service
+ * Persistent MongoDB-backed job queue that runs AI evaluation in the background
+ */
+class EvaluationQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.polling = false;
+    this.activeJobs = 0;
+  }
+
+  /**
+   * Queue a submission for evaluation
+   * Returns the existing job if the submission is already queued or processing
+   */
+  async enqueue(submissionId) {
+    const existingJob = await EvaluationJobRepository.findActiveBySubmission(submissionId);
+
+    if (existingJob) {
+      return existingJob;
+    }
+
+    const job = await EvaluationJobRepository.create({
+      submissionId,
+      maxAttempts: EVALUATION_QUEUE.MAX_ATTEMPTS,
+    });
+
+    logger.info(`Evaluation job ${job.jobId} queued for submission ${submissionId}`);
+
+    // Pick the job up straight away if this process runs a worker
+    if (this.running) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.timer = setInterval(() => this.poll(), EVALUATION_QUEUE.POLL_INTERVAL_MS);
+    this.poll();
+
+    logger.info(
+      `Evaluation worker ${this.workerId} started (concurrency: ${EVALUATION_QUEUE.CONCURRENCY})`
+    );
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to finish
+   */
+  async stop(timeoutMs = 30000) {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.activeJobs > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    logger.info(`Evaluation worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Claim due jobs up to the concurrency limit
+   */
+  async poll() {
+    if (!this.running || this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      await this.recoverStaleJobs();
+
+      while (this.running && this.activeJobs < EVALUATION_QUEUE.CONCURRENCY) {
+        const job = await EvaluationJobRepository.claimNext(this.workerId);
+
+        if (!job) {
+          break;
+        }
+
+        this.activeJobs++;
+        this.processJob(job).finally(() => {
+          this.activeJobs--;
+        });
+      }
+    } catch (error) {
+      logger.error(`Evaluation queue poll failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run evaluation for a claimed job
+   */
+  async processJob(job) {
+    try {
+      // A job whose lock expired is being retried: its result must not replace the current one
+      const evaluation = await AIEvaluationService.evaluateSubmission(job.submissionId, {
+        canCommit: () => EvaluationJobRepository.isHeld(job),
+      });
+
+      if (!evaluation) {
+        logger.warn(
+          `Evaluation job ${job.jobId} lost its lock before finishing; its revision was discarded and the retry will evaluate the submission`
+        );
+        return;
+      }
+
+      const completed = await EvaluationJobRepository.markCompleted(job, evaluation._id);
+
+      if (!completed) {
+        logger.warn(
+          `Evaluation job ${job.jobId} lost its lock while finishing; revision ${evaluation.revision} is current and the retry will add another`
+        );
+        return;
+      }
+
+      logger.info(`Evaluation job ${job.jobId} completed (attempt ${job.attempts})`);
+    } catch (error) {
+      try {
+        await this.handleFailure(job, error.message);
+      } catch (recordError) {
+        logger.error(`Failed to record failure for job ${job.jobId}: ${recordError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Reschedule a failed job with exponential backoff, or dead-letter it
+   */
+  async handleFailure(job, errorMessage) {
+    if (job.attempts < job.maxAttempts) {
+      const retryAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+
+      await EvaluationJobRepository.markFailed(job, errorMessage, retryAt);
+      await SubmissionRepository.updateStatus(job.submissionId, SUBMISSION_STATUS.PENDING);
+
+      logger.warn(
+        `Evaluation job ${job.jobId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${retryAt.toISOString()}: ${errorMessage}`
+      );
+      return;
+    }
+
+    await EvaluationJobRepository.markFailed(job, errorMessage);
+    await SubmissionRepository.updateStatus(job.submissionId, SUBMISSION_STATUS.FAILED);
+
+    logger.error(
+      `Evaluation job ${job.jobId} moved to dead-letter after ${job.attempts} attempts: ${errorMessage}`
+    );
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempt - 1), capped
+   */
+  getBackoffDelay(attempt) {
+    const delay = EVALUATION_QUEUE.BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1);
+    return Math.min(EVALUATION_QUEUE.BACKOFF_MAX_MS, delay);
+  }
+
+  /**
+   * Treat jobs locked by a crashed or hung worker as failed attempts
+   */
+  async recoverStaleJobs() {
+    const staleJobs = await EvaluationJobRepository.findStale(EVALUATION_QUEUE.LOCK_TIMEOUT_MS);
+
+    for (const job of staleJobs) {
+      await this.handleFailure(job, `Worker ${job.lockedBy} lock expired`);
+    }
+  }
+
+  /**
+   * Move a dead-lettered job back onto the queue
+   */
+  async requeue(jobId) {
+    const job = await EvaluationJobRepository.requeue(jobId);
+
+    if (job) {
+      await SubmissionRepository.updateStatus(job.submissionId, SUBMISSION_STATUS.PENDING);
+      logger.info(`Evaluation job ${job.jobId} requeued`);
+
+      if (this.running) {
+        setImmediate(() => this.poll());
+      }
+    }
+
+    return job;
+  }
+}
+
+export default new EvaluationQueueService();
@@ -0,0 +1,257 @@
+import Mistake from '../models/Mistake.js';
+import Feedback from '../models/Feedback.js';
+import EvaluationRepository from '../repositories/EvaluationRepository.js';
+import { EVALUATION_REVISION_TYPES } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// Evaluation fields carried over when a revision is copied (override, restore)
+const COPIED_FIELDS = [
+  'overallScore',
+  'grammarScore',
+  'vocabularyScore',
+  'pronunciationScore',
+  'logicScore',
+  'aiConfidence',
+  'evaluatedAt',
+  'provider',
+  'scorerVersion',
+  'rulesetVersion',
+  'scoreBreakdown',
+  'fluencyMetrics',
+  'readAloud',
+  'scoringPolicy',
+  'abilityEstimate',
+  'rubricId',
+  'criteriaScores',
+  'reviewedByTeacher',
+  'teacherId',
+  'teacherNotes',
+];
+
+// Fields compared when diffing two revisions
+const DIFF_FIELDS = [
+  'overallScore',
+  'grammarScore',
+  'vocabularyScore',
+  'pronunciationScore',
+  'logicScore',
+  'aiConfidence',
+  'provider',
+  'scorerVersion',
+  'rulesetVersion',
+  'reviewedByTeacher',
+  'teacherNotes',
+];
+
+// Generated fields that must not be copied onto cloned documents
+const GENERATED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'evaluationId'];
+
+/**
+ * Evaluation Revision Service
+ * Every AI run, re-run, teacher override and restore is stored as a new Evaluation
+ * revision with its own mistakes and feedback; one revision per submission is current
+ */
+class EvaluationRevisionService {
+  /**
+   * List revisions for a submission (newest first)
+   */
+  async listRevisions(submissionId) {
+    return await EvaluationRepository.findRevisions(submissionId);
+  }
+
+  /**
+   * Create a new current revision copied from an existing one
+   * @param {Object} source - Evaluation document to copy
+   * @param {Object} options - { revisionType, createdBy, note, overrides }
+   */
+  async createRevisionFrom(source, { revisionType, createdBy, note, overrides = {} }) {
+    const sourceData = source.toObject();
+    const submissionId = sourceData.submissionId?._id || sourceData.submissionId;
+
+    const data = {};
+    COPIED_FIELDS.forEach((field) => {
+      if (sourceData[field] !== undefined) data[field] = sourceData[field];
+    });
+
+    const revision = await EvaluationRepository.create({
+      ...data,
+      ...overrides,
+      submissionId,
+      revision: await EvaluationRepository.getNextRevision(submissionId),
+      isCurrent: false,
+      revisionType,
+      basedOnRevision: source.revision,
+      revisionNote: note,
+      createdBy,
+    });
+
+    try {
+      await this.copyMistakesAndFeedback(source._id, revision._id);
+    } catch (error) {
+      await EvaluationRepository.discard(revision._id);
+      throw error;
+    }
+
+    const current = await EvaluationRepository.setCurrent(revision);
+
+    logger.info(
+      `Evaluation revision ${current.revision} (${revisionType}) created for submission ${submissionId} from revision ${source.revision}`
+    );
+
+    return current;
+  }
+
+  /**
+   * Clone mistakes and feedback from one revision onto another
+   */
+  async copyMistakesAndFeedback(fromEvaluationId, toEvaluationId) {
+    const [mistakes, feedback] = await Promise.all([
+      Mistake.find({ evaluationId: fromEvaluationId }),
+      Feedback.findOne({ evaluationId: fromEvaluationId }),
+    ]);
+
+    const clone = (document, idField) => {
+      const data = document.toObject();
+      [...GENERATED_FIELDS, idField].forEach((field) => delete data[field]);
+      return { ...data, evaluationId: toEvaluationId };
+    };
+
+    // Sequential creates keep the count-based IDs unique
+    for (const mistake of mistakes) {
+      await Mistake.create(clone(mistake, 'mistakeId'));
+    }
+
+    if (feedback) {
+      await Feedback.create(clone(feedback, 'feedbackId'));
+    }
+  }
+
+  /**
+   * Restore an earlier revision by copying it as the newest current revision
+   */
+  async restore(submissionId, revision, userId, note) {
+    const target = await EvaluationRepository.findRevision(submissionId, revision);
+
+    if (!target) {
+      return null;
+    }
+
+    return await this.createRevisionFrom(target, {
+      revisionType: EVALUATION_REVISION_TYPES.RESTORE,
+      createdBy: userId,
+      note: note || `Restored revision ${revision}`,
+    });
+  }
+
+  /**
+   * Compare two revisions of a submission
+   * Returns null if either revision does not exist
+   */
+  async diff(submissionId, fromRevision, toRevision) {
+    const [from, to] = await Promise.all([
+      EvaluationRepository.findRevision(submissionId, fromRevision),
+      EvaluationRepository.findRevision(submissionId, toRevision),
+    ]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    const changes = [];
+    const addChange = (field, before, after) => {
+      if (before === after) return;
+
+      const change = { field, from: before ?? null, to: after ?? null };
+      if (typeof before === 'number' && typeof after === 'number') {
+        change.delta = Math.round((after - before) * 1000) / 1000;
+      }
+      changes.push(change);
+    };
+
+    DIFF_FIELDS.forEach((field) => addChange(field, from[field], to[field]));
+
+    const fromBreakdown = Object.fromEntries(from.scoreBreakdown || []);
+    const toBreakdown = Object.fromEntries(to.scoreBreakdown || []);
+    new Set([...Object.keys(fromBreakdown), ...Object.keys(toBreakdown)]).forEach((key) =>
+      addChange(`scoreBreakdown.${key}`, fromBreakdown[key], toBreakdown[key])
+    );
+
+    // A re-run under a different scoring policy explains its score changes
+    const policySettings = (evaluation) => {
+      const policy = evaluation.scoringPolicy?.toObject?.() || evaluation.scoringPolicy || {};
+      const { shortAnswerThresholds = {}, ...settings } = policy;
+      return {
+        ...settings,
+        ...Object.fromEntries(
+          Object.entries(shortAnswerThresholds).map(([key, value]) => [
+            `shortAnswerThresholds.${key}`,
+            value,
+          ])
+        ),
+      };
+    };
+    const fromPolicy = policySettings(from);
+    const toPolicy = policySettings(to);
+    new Set([...Object.keys(fromPolicy), ...Object.keys(toPolicy)]).forEach((key) =>
+      addChange(`scoringPolicy.${key}`, fromPolicy[key], toPolicy[key])
+    );
+
+    const criterionScores = (evaluation) =>
+      Object.fromEntries((evaluation.criteriaScores || []).map((c) => [c.criterion, c.score]));
+    const fromCriteria = criterionScores(from);
+    const toCriteria = criterionScores(to);
+    new Set([...Object.keys(fromCriteria), ...Object.keys(toCriteria)]).forEach((criterion) =>
+      addChange(`criteriaScores.${criterion}`, fromCriteria[criterion], toCriteria[criterion])
+    );
+
+    return {
+      from: this.summarize(from),
+      to: this.summarize(to),
+      changes,
+      mistakes: await this.diffMistakes(from._id, to._id),
+    };
+  }
+
+  /**
+   * Compare mistake counts by error type between two revisions
+   */
+  async diffMistakes(fromEvaluationId, toEvaluationId) {
+    const countByType = async (evaluationId) => {
+      const mistakes = await Mistake.find({ evaluationId }).select('errorType');
+      return mistakes.reduce((counts, mistake) => {
+        counts[mistake.errorType] = (counts[mistake.errorType] || 0) + 1;
+        return counts;
+      }, {});
+    };
+
+    const [fromCounts, toCounts] = await Promise.all([
+      countByType(fromEvaluationId),
+      countByType(toEvaluationId),
+    ]);
+
+    const byType = {};
+    new Set([...Object.keys(fromCounts), ...Object.keys(toCounts)]).forEach((errorType) => {
+      byType[errorType] = { from: fromCounts[errorType] || 0, to: toCounts[errorType] || 0 };
+    });
+
+    const total = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return { from: total(fromCounts), to: total(toCounts), byType };
+  }
+
+  /**
+   * Revision header used in diffs
+   */
+  summarize(evaluation) {
+    return {
+      _id: evaluation._id,
+      revision: evaluation.revision,
+      revisionType: evaluation.revisionType,
+      isCurrent: evaluation.isCurrent,
+      evaluatedAt: evaluation.evaluatedAt,
+      createdAt: evaluation.createdAt,
+    };
+  }
+}
+
+export default new EvaluationRevisionService();
@@ -0,0 +1,58 @@
+import SubmissionRepository from '../repositories/SubmissionRepository.js';
+import QuizSessionService from './QuizSessionService.js';
+import { EXPLANATION_REVEAL } from '../config/constants.js';
+
+/**
+ * Explanation Reveal Service
+ * Decides when a student may read the explanations of the quiz questions they missed.
+ * Explanations are saved with mistakes and feedback as soon as a submission is evaluated;
+ * the activity's reveal policy is applied whenever they are read, so a due date passing or
+ * a final attempt being made reveals them without re-evaluating anything.
+ */
+class ExplanationRevealService {
+  /**
+   * Whether a student may see an activity's explanations now
+   * @returns {Object} { revealed, reveal, revealAt } - revealAt is set for due-date reveals
+   */
+  async status(activity, studentId, now = new Date()) {
+    const reveal = activity.explanationReveal || EXPLANATION_REVEAL.IMMEDIATELY;
+
+    switch (reveal) {
+      case EXPLANATION_REVEAL.AFTER_DUE_DATE:
+        return {
+          reveal,
+          revealed: !!activity.dueDate && now >= activity.dueDate,
+          revealAt: activity.dueDate || null,
+        };
+
+      case EXPLANATION_REVEAL.AFTER_FINAL_ATTEMPT: {
+        const limit = QuizSessionService.attemptLimit(activity);
+        const attempts = limit
+          ? await SubmissionRepository.countByStudentAndActivity(studentId, activity._id)
+          : 0;
+        return { reveal, revealed: !!limit && attempts >= limit, revealAt: null };
+      }
+
+      default:
+        return { reveal, revealed: true, revealAt: null };
+    }
+  }
+
+  /**
+   * Mistakes as a student may see them: without explanations until they are revealed
+   */
+  redactMistakes(mistakes, revealed) {
+    if (revealed) {
+      return mistakes;
+    }
+
+    return mistakes.map((mistake) => {
+      const redacted = mistake.toObject ? mistake.toObject() : { ...mistake };
+      delete redacted.explanation;
+      delete redacted.reference;
+      return redacted;
+    });
+  }
+}
+
+export default new ExplanationRevealService();
@@ -5,6 +5,7 @@ import Submission from '../models/Submission.js';
 import FeedbackRepository from '../repositories/FeedbackRepository.js';
 import NotificationService from './NotificationService.js';
 import { logger } from '../utils/logger.js';
+import { countWords } from '../utils/nlp.js';
 
 /**
  * Feedback Generation Service (FR8)
@@ -128,6 +129,7 @@ class FeedbackGenerationService {
     const grammar = evaluation.grammarScore;
     const vocabulary = evaluation.vocabularyScore;
     const structure = evaluation.scoreBreakdown?.structure || 70;
+    const wordCount = countWords(submission.content.text);
 
     const strengths = [];
     const improvements = [];
@@ -137,12 +139,12 @@ class FeedbackGenerationService {
     if (grammar >= 80) strengths.push('Excellent grammar and sentence structure');
     if (vocabulary >= 80) strengths.push('Sophisticated vocabulary choices');
     if (structure >= 80) strengths.push('Well-organized and coherent writing');
-    if (submission.content.wordCount >= 200)
-      strengths.push('Comprehensive response with good detail');
+    if (wordCount >= 200) strengths.push('Comprehensive response with good detail');
 
     // Analyze areas for improvement
     const grammarErrors = mistakes.filter((m) => m.errorType === 'grammar');
     const spellingErrors = mistakes.filter((m) => m.errorType === 'spelling');
+    const punctuationErrors = mistakes.filter((m) => m.errorType === 'punctuation');
     const vocabularyIssues = mistakes.filter((m) => m.errorType === 'vocabulary');
 
     if (grammarErrors.length > 5) {
@@ -155,12 +157,17 @@ class FeedbackGenerationService {
       recommendations.push('Use spell-check and practice common spelling patterns');
     }
 
+    if (punctuationErrors.length > 3) {
+      improvements.push(`Punctuation: ${punctuationErrors.length} issues found`);
+      recommendations.push('Review sentence endings, comma use and quotation marks');
+    }
+
     if (vocabularyIssues.length > 0) {
       improvements.push('Vocabulary variety could be enhanced');
       recommendations.push('Use synonyms to avoid repetition');
     }
 
-    if (submission.content.wordCount < 100) {
+    if (wordCount < 100) {
       improvements.push('Response is too brief');
       recommendations.push('Develop ideas more fully with examples and explanations');
     }
@@ -174,6 +181,7 @@ class FeedbackGenerationService {
       mistakeCounts: {
         grammar: grammarErrors.length,
         spelling: spellingErrors.length,
+        punctuation: punctuationErrors.length,
       },
     });
 
@@ -230,6 +238,20 @@ class FeedbackGenerationService {
       }
     }
 
+    // Worked solutions for missed questions; students see them once the activity's reveal
+    // policy allows (see ExplanationRevealService)
+    const explanations = mistakes
+      .filter((mistake) => mistake.explanation)
+      .map(({ questionNumber, explanation, reference }) => ({
+        questionNumber,
+        explanation,
+        reference,
+      }));
+
+    if (explanations.length > 0) {
+      recommendations.push('Read the explanations for the questions you missed');
+    }
+
     // Generate main feedback text
     const feedbackText = this.generateQuizFeedbackText(score, {
       correctAnswers,
@@ -244,6 +266,7 @@ class FeedbackGenerationService {
       strengths,
       improvements,
       recommendations,
+      explanations,
       isSummarized: true,
       tone: score >= 80 ? 'encouraging' : score >= 60 ? 'constructive' : 'constructive',
     };
@@ -304,6 +327,7 @@ class FeedbackGenerationService {
         text += '\n\nError Analysis:\n';
         text += `• Grammar errors: ${details.mistakeCounts.grammar}\n`;
         text += `• Spelling errors: ${details.mistakeCounts.spelling}\n`;
+        text += `• Punctuation errors: ${details.mistakeCounts.punctuation}\n`;
       }
     }
 
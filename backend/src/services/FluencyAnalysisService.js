@@ -0,0 +1,121 @@
+/**
+ * Fluency Analysis Service
+ * Temporal fluency measures from a word-timestamped transcript (see TranscriptionService)
+ */
+
+// Silence between words at or above this length counts as a pause (seconds)
+const PAUSE_THRESHOLD = 0.25;
+
+// Pauses at or above this length count as long (hesitation) pauses (seconds)
+const LONG_PAUSE_THRESHOLD = 1;
+
+// Comfortable speaking rate for learners, in words per minute
+const IDEAL_WPM = { min: 110, max: 160 };
+
+const FILLED_PAUSES = new Set(['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'mm']);
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+class FluencyAnalysisService {
+  /**
+   * Compute fluency metrics
+   * @param {Array} words - [{ word, start, end }] with times in seconds
+   * @param {number} duration - Recording length in seconds (falls back to the last word end)
+   */
+  analyze(words, duration) {
+    const timed = words.filter((w) => Number.isFinite(w.start) && Number.isFinite(w.end));
+    const tokens = timed.map((w) => normalize(w.word));
+
+    const totalTime = duration > 0 ? duration : timed[timed.length - 1]?.end || 0;
+
+    // Gaps between consecutive words
+    const pauses = [];
+    for (let i = 1; i < timed.length; i++) {
+      const gap = timed[i].start - timed[i - 1].end;
+      if (gap >= PAUSE_THRESHOLD) pauses.push(gap);
+    }
+
+    const totalPauseTime = pauses.reduce((sum, pause) => sum + pause, 0);
+    const filledPauseCount = tokens.filter((token) => FILLED_PAUSES.has(token)).length;
+    const wordCount = tokens.filter((token) => token && !FILLED_PAUSES.has(token)).length;
+
+    // Leading and trailing silence is not speaking time either
+    const speakingStart = timed[0]?.start || 0;
+    const speakingEnd = timed[timed.length - 1]?.end || 0;
+    const phonationTime = Math.max(0, speakingEnd - speakingStart - totalPauseTime);
+
+    return {
+      wordCount,
+      totalTime: round(totalTime),
+      phonationTime: round(phonationTime),
+      speechRate: totalTime > 0 ? round(wordCount / (totalTime / 60), 1) : 0,
+      articulationRate: phonationTime > 0 ? round(wordCount / (phonationTime / 60), 1) : 0,
+      pauseCount: pauses.length,
+      longPauseCount: pauses.filter((pause) => pause >= LONG_PAUSE_THRESHOLD).length,
+      totalPauseTime: round(totalPauseTime),
+      meanPauseLength: pauses.length ? round(totalPauseTime / pauses.length) : 0,
+      longestPause: pauses.length ? round(Math.max(...pauses)) : 0,
+      filledPauseCount,
+      repetitionCount: this.countRepetitions(tokens.filter((t) => t && !FILLED_PAUSES.has(t))),
+    };
+  }
+
+  /**
+   * Count self-repetitions: a word or two-word phrase said again straight away
+   * ("I I think", "in the in the")
+   */
+  countRepetitions(tokens) {
+    let count = 0;
+
+    for (let i = 1; i < tokens.length; i++) {
+      if (tokens[i] === tokens[i - 1]) {
+        count++;
+      } else if (
+        i >= 3 &&
+        tokens[i] === tokens[i - 2] &&
+        tokens[i - 1] === tokens[i - 3] &&
+        tokens[i - 2] !== tokens[i - 3]
+      ) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Fluency score (40-95): penalise long pauses, filled pauses and repetitions per minute
+   * of speech, and unusually long pauses on average
+   */
+  scoreFluency(metrics) {
+    const minutes = Math.max(metrics.totalTime / 60, 0.25);
+
+    const penalty =
+      (metrics.longPauseCount / minutes) * 4 +
+      (metrics.filledPauseCount / minutes) * 3 +
+      (metrics.repetitionCount / minutes) * 3 +
+      Math.max(0, metrics.meanPauseLength - 0.5) * 10;
+
+    return Math.round(Math.max(40, Math.min(95, 95 - penalty)));
+  }
+
+  /**
+   * Pace score (40-95) from speech rate against the ideal band
+   * Loses a point for every 2 wpm outside it
+   */
+  scorePace(metrics) {
+    const wpm = metrics.speechRate;
+
+    if (wpm >= IDEAL_WPM.min && wpm <= IDEAL_WPM.max) {
+      return 95;
+    }
+
+    const distance = wpm < IDEAL_WPM.min ? IDEAL_WPM.min - wpm : wpm - IDEAL_WPM.max;
+
+    return Math.round(Math.max(40, 95 - distance / 2));
+  }
+}
+
+export default new FluencyAnalysisService();
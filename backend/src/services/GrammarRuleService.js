@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import GrammarRuleRepository from '../repositories/GrammarRuleRepository.js';
+import ArticleService from './ArticleService.js';
+import { ERROR_TYPES, SEVERITY_LEVELS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { findPatternMatches } from '../utils/patterns.js';
+
+// Matches kept per rule and text
+const MAX_MATCHES = 200;
+
+// Enabled rules are re-read at most this often; the API and the evaluation worker
+// run in separate processes, so edits reach the worker within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+// Grammar score: 2 points off per weighted match, at most 40 (scores stay within 60-100)
+const POINTS_PER_ERROR = 2;
+const MAX_DEDUCTION = 40;
+
+const BOTH = ['writing', 'speaking'];
+
+/**
+ * Rules stored by migrate:grammar-rules, and used as they are until then or when the database
+ * cannot be read
+ */
+export const DEFAULT_RULES = [
+  {
+    name: 'He/she/it with am/are',
+    description: 'Grammar error: subject-verb agreement',
+    pattern: '\\b(he|she|it)\\s+(am|are)\\b',
+    errorType: ERROR_TYPES.GRAMMAR,
+    severity: SEVERITY_LEVELS.CRITICAL,
+    suggestion: "Use 'is' with third-person singular (he/she/it)",
+    correctionTemplate: '$1 is',
+    appliesTo: BOTH,
+    weight: 3,
+  },
+  {
+    name: 'I/you/we/they with is',
+    description: 'Grammar error: subject-verb agreement',
+    pattern: '\\b(I|you|we|they)\\s+is\\b',
+    errorType: ERROR_TYPES.GRAMMAR,
+    severity: SEVERITY_LEVELS.CRITICAL,
+    suggestion: "Use 'am' with I, 'are' with you/we/they",
+    appliesTo: BOTH,
+    weight: 3,
+  },
+  {
+    name: "'there is' with a plural verb",
+    description: 'Grammar error: there is/there are',
+    pattern: '\\bthere\\s+is\\s+\\w+\\s+(are|were)\\b',
+    errorType: ERROR_TYPES.GRAMMAR,
+    severity: SEVERITY_LEVELS.MAJOR,
+    suggestion: "Use 'there are' with plural nouns",
+    appliesTo: BOTH,
+    weight: 2,
+  },
+  {
+    name: 'Past form after a negative auxiliary',
+    description: 'Grammar error: verb form after negative',
+    pattern: "\\b(don't|doesn't|didn't|won't)\\s+\\w+ed\\b",
+    errorType: ERROR_TYPES.GRAMMAR,
+    severity: SEVERITY_LEVELS.MAJOR,
+    suggestion: 'Use base form after negative auxiliary verbs',
+    appliesTo: BOTH,
+    weight: 3,
+  },
+  {
+    name: 'Double comparative',
+    description: 'Grammar error: double comparative',
+    pattern: '\\bmore\\s+\\w+er\\b',
+    errorType: ERROR_TYPES.GRAMMAR,
+    severity: SEVERITY_LEVELS.MAJOR,
+    suggestion: "Use either 'more' or '-er', not both",
+    appliesTo: BOTH,
+  },
+  {
+    name: 'Missing space after a period',
+    description: 'Punctuation error: missing space after a period',
+    pattern: '([a-z])\\.([A-Z])',
+    flags: 'g',
+    errorType: ERROR_TYPES.PUNCTUATION,
+    severity: SEVERITY_LEVELS.MINOR,
+    suggestion: 'Add space after period',
+    correctionTemplate: '$1. $2',
+    weight: 2,
+  },
+  {
+    name: 'Extra spacing',
+    description: 'Punctuation error: extra spacing',
+    pattern: '\\s{2,}',
+    flags: 'g',
+    errorType: ERROR_TYPES.PUNCTUATION,
+    severity: SEVERITY_LEVELS.MINOR,
+    suggestion: 'Use single space between words',
+    correctionTemplate: ' ',
+    weight: 1,
+  },
+  ...[
+    ['recieve', 'receive'],
+    ['occured', 'occurred'],
+    ['seperate', 'separate'],
+    ['definately', 'definitely'],
+    ['thier', 'their'],
+  ].map(([wrong, correct]) => ({
+    name: `${wrong} / ${correct}`,
+    description: 'Spelling error',
+    pattern: `\\b${wrong}\\b`,
+    errorType: ERROR_TYPES.SPELLING,
+    severity: SEVERITY_LEVELS.MAJOR,
+    suggestion: `Correct spelling: "${correct}"`,
+    correctionTemplate: correct,
+  })),
+  {
+    name: "your / you're",
+    description: 'Spelling error',
+    pattern: '\\byour\\s+(a|an|the|is|are)\\b',
+    errorType: ERROR_TYPES.SPELLING,
+    severity: SEVERITY_LEVELS.MAJOR,
+    suggestion: 'Correct spelling: "you\'re"',
+    correctionTemplate: "you're $1",
+  },
+  ...[
+    [
+      'TH sound pronunciation',
+      '\\b(th|the|that|this)\\b',
+      SEVERITY_LEVELS.MAJOR,
+      "Practice 'th' sound - tongue between teeth",
+    ],
+    [
+      'R sound clarity',
+      '\\b(r|right|read|run)\\b',
+      SEVERITY_LEVELS.MINOR,
+      "Ensure clear 'r' sound without 'l' substitution",
+    ],
+    [
+      'V sound pronunciation',
+      '\\b(v|very|have|voice)\\b',
+      SEVERITY_LEVELS.MINOR,
+      "Distinguish 'v' from 'w' - teeth touch lower lip",
+    ],
+  ].map(([name, pattern, severity, suggestion]) => ({
+    name,
+    description: `Possible issue with ${name}`,
+    pattern,
+    errorType: ERROR_TYPES.PRONUNCIATION,
+    severity,
+    suggestion,
+    appliesTo: ['speaking'],
+    // Words that are often mispronounced: only worth a hint when they come up a lot
+    aggregate: true,
+    minMatches: 4,
+  })),
+].map((rule) => ({
+  flags: 'gi',
+  language: 'en',
+  appliesTo: ['writing'],
+  weight: 0,
+  aggregate: false,
+  minMatches: 1,
+  isEnabled: true,
+  ...rule,
+}));
+
+// "a" or "an": decided by pronunciation (ArticleService), which a pattern cannot do. Built
+// in, not stored: it runs with the enabled rules and reports mistakes the way they do.
+const ARTICLE_RULE = {
+  name: "'a' or 'an'",
+  description: 'Grammar error: article usage',
+  errorType: ERROR_TYPES.GRAMMAR,
+  severity: SEVERITY_LEVELS.MAJOR,
+  suggestion: "Use 'an' before a vowel sound and 'a' before a consonant sound",
+  correctionTemplate: '$1 $2',
+  language: 'en',
+  appliesTo: BOTH,
+  weight: 2,
+};
+
+const label = (errorType) => errorType.charAt(0).toUpperCase() + errorType.slice(1);
+
+/**
+ * Grammar Rule Service
+ * One rule engine for text checks: grammar, spelling and pronunciation patterns are rules
+ * stored in MongoDB (see GrammarRule) that report mistakes (MistakeDetectionService) and
+ * weigh on the rule-based grammar score (RuleBasedEvaluator). Rules are versioned; a
+ * reported mistake records the rule and version that found it, and an evaluation the
+ * version of the whole enabled set (rulesetVersion). The a/an check is built in
+ * (ARTICLE_RULE) since it needs a pronunciation lexicon.
+ */
+class GrammarRuleService {
+  constructor() {
+    this.cache = null;
+  }
+
+  /**
+   * Check that a pattern compiles with its flags, throws an Error with a readable message
+   */
+  compile(pattern, flags = 'gi') {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+  }
+
+  /**
+   * Matches of a rule in a text: [{ index, text, groups }]
+   * Throws when the pattern is invalid or runs too long
+   */
+  findMatches(rule, text) {
+    this.compile(rule.pattern, rule.flags);
+
+    // A slow pattern is skipped, not the evaluation (see analyze)
+    return findPatternMatches(rule.pattern, rule.flags, text, { limit: MAX_MATCHES });
+  }
+
+  /**
+   * Correction for a match from the rule's template: $1..$9 insert groups, $& the match
+   */
+  correct(rule, match) {
+    if (!rule.correctionTemplate) return undefined;
+
+    return rule.correctionTemplate.replace(/\$(\d|&)/g, (token, group) =>
+      group === '&' ? match.text : (match.groups[Number(group) - 1] ?? '')
+    );
+  }
+
+  /**
+   * Enabled rules and the version of that set: { rules, version }
+   * Until the built-in rules are stored (npm run migrate:grammar-rules), and when the
+   * database cannot be read, the built-in rules run as they are.
+   */
+  async loadRuleset() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+      return this.cache.ruleset;
+    }
+
+    const builtIn = { rules: DEFAULT_RULES, version: 'built-in' };
+    let ruleset;
+    try {
+      if (await GrammarRuleRepository.hasAny()) {
+        const rules = await GrammarRuleRepository.findEnabled();
+        ruleset = { rules, version: this.rulesetVersion(rules) };
+      } else {
+        logger.warn('No grammar rules stored, using built-in rules; run migrate:grammar-rules');
+        ruleset = builtIn;
+      }
+    } catch (error) {
+      logger.warn(`Grammar rules could not be loaded, using built-in rules: ${error.message}`);
+      ruleset = builtIn;
+    }
+
+    this.cache = { ruleset, loadedAt: Date.now() };
+    return ruleset;
+  }
+
+  /**
+   * Version of a set of stored rules: a hash of their rule IDs and versions, so any edit,
+   * rollback, enabling or disabling gives a new one
+   */
+  rulesetVersion(rules) {
+    const entries = rules.map((rule) => `${rule.ruleId}@${rule.version}`).sort();
+    return crypto.createHash('sha256').update(entries.join(',')).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Forget the loaded rules, after a rule was changed
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Whether a rule runs on a text of the given activity type and language
+   * A rule for "en" runs on every English text; one for "en-GB" only on British English.
+   */
+  applies(rule, { activityType = 'writing', language = 'en' } = {}) {
+    return (
+      (rule.appliesTo || []).includes(activityType) &&
+      (language === rule.language || language.startsWith(`${rule.language}-`))
+    );
+  }
+
+  /**
+   * Matches of every applicable enabled rule: [{ rule, matches }]
+   * @param {Object} options - { activityType, language, ruleset }: a ruleset from
+   *   loadRuleset() pins the rules, so scores and mistakes of one evaluation use the same ones
+   */
+  async analyze(text, { ruleset, ...options } = {}) {
+    const { rules: enabled } = ruleset || (await this.loadRuleset());
+    const rules = enabled.filter((rule) => this.applies(rule, options));
+
+    const results = rules.map((rule) => {
+      try {
+        return { rule, matches: this.findMatches(rule, text) };
+      } catch (error) {
+        logger.warn(`Grammar rule ${rule.ruleId || rule.name} skipped: ${error.message}`);
+        return { rule, matches: [] };
+      }
+    });
+
+    if (this.applies(ARTICLE_RULE, options)) {
+      results.push({ rule: ARTICLE_RULE, matches: await ArticleService.findMatches(text) });
+    }
+
+    return results.filter(({ matches }) => matches.length > 0);
+  }
+
+  /**
+   * Mistakes a rule reports for its matches
+   */
+  buildMistakes(rule, matches) {
+    const source = { rule: rule._id, ruleVersion: rule.version };
+
+    if (rule.aggregate) {
+      return matches.length >= (rule.minMatches || 1)
+        ? [
+            {
+              errorType: rule.errorType,
+              description: rule.description || `Possible issue with ${rule.name}`,
+              suggestion: rule.suggestion,
+              severity: rule.severity,
+              isPossibleError: true,
+              ...source,
+            },
+          ]
+        : [];
+    }
+
+    return matches.map((match) => ({
+      errorType: rule.errorType,
+      description: rule.description || `${label(rule.errorType)} error: ${rule.name}`,
+      suggestion: rule.suggestion,
+      positionStart: match.index,
+      positionEnd: match.index + match.text.length,
+      severity: rule.severity,
+      originalText: match.text,
+      correctedText: this.correct(rule, match),
+      isPossibleError: false,
+      ...source,
+    }));
+  }
+
+  /**
+   * Mistakes found in a text by the enabled rules
+   * @param {string} text - Essay or transcript
+   * @param {Object} options - { activityType: 'writing' | 'speaking', language, ruleset }
+   */
+  async detect(text, options = {}) {
+    const results = await this.analyze(text, options);
+    return results.flatMap(({ rule, matches }) => this.buildMistakes(rule, matches));
+  }
+
+  /**
+   * Grammar score (60-100) from the weighted matches of the enabled rules
+   */
+  async grammarScore(text, options = {}) {
+    const results = await this.analyze(text, options);
+    const errorCount = results.reduce(
+      (sum, { rule, matches }) => sum + matches.length * (rule.weight || 0),
+      0
+    );
+
+    return Math.max(
+      100 - MAX_DEDUCTION,
+      100 - Math.min(MAX_DEDUCTION, errorCount * POINTS_PER_ERROR)
+    );
+  }
+
+  /**
+   * Try a rule, saved or not, on sample text, whether or not it is enabled
+   * @returns {Object} { matches: [{ start, end, text, correction }], mistakes, truncated }
+   */
+  test(rule, text) {
+    const matches = this.findMatches(rule, text);
+
+    return {
+      matches: matches.map((match) => ({
+        start: match.index,
+        end: match.index + match.text.length,
+        text: match.text,
+        correction: this.correct(rule, match),
+      })),
+      mistakes: this.buildMistakes(rule, matches),
+      truncated: matches.length >= MAX_MATCHES,
+    };
+  }
+}
+
+export default new GrammarRuleService();
@@ -0,0 +1,226 @@
+import { IRT_MODELS } from '../config/constants.js';
+
+// Ability grid for numerical integration: -4 to 4 logits in steps of 0.1
+const ABILITY_GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+
+// Parameter bounds, so questions everyone (or no one) got right stay finite
+const DIFFICULTY_RANGE = [-4, 4];
+const DISCRIMINATION_RANGE = [0.2, 3];
+
+const CALIBRATION_ITERATIONS = 100;
+const CALIBRATION_TOLERANCE = 0.001;
+const NEWTON_STEPS = 5; // Per question per EM iteration
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17)
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const density = Math.exp((-x * x) / 2) / Math.sqrt(2 * Math.PI);
+  const tail =
+    density *
+    t *
+    (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Standard normal quantile, by bisection on normalCdf
+ */
+const normalQuantile = (p) => {
+  let low = -10;
+  let high = 10;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Item Response Theory Service
+ * Logistic 1PL and 2PL models for adaptive quizzes. The probability of a correct answer is
+ * 1 / (1 + e^(-a(θ - b))), where θ is the student's ability, b the question's difficulty and
+ * a its discrimination (fixed at 1 in the 1PL model). Abilities and difficulties share one
+ * logit scale on which the student population has mean 0 and standard deviation 1.
+ */
+class IRTService {
+  /**
+   * Probability that a student of ability theta answers the question correctly
+   */
+  probability(theta, { a = 1, b = 0 }) {
+    return 1 / (1 + Math.exp(-a * (theta - b)));
+  }
+
+  /**
+   * Fisher information a question gives about ability theta
+   * Highest where the student has an even chance of answering correctly
+   */
+  information(theta, item) {
+    const p = this.probability(theta, item);
+    return item.a ** 2 * p * (1 - p);
+  }
+
+  /**
+   * Posterior weights of each ABILITY_GRID point given scored responses (standard normal prior)
+   * @param {Array} responses - [{ a, b, correct }]
+   */
+  posterior(responses) {
+    const logWeights = ABILITY_GRID.map((theta) => {
+      let logLikelihood = (-theta * theta) / 2;
+      responses.forEach((response) => {
+        const p = this.probability(theta, response);
+        logLikelihood += Math.log(response.correct ? p : 1 - p);
+      });
+      return logLikelihood;
+    });
+
+    // Normalise in log space to avoid underflow on long quizzes
+    const peak = Math.max(...logWeights);
+    const weights = logWeights.map((weight) => Math.exp(weight - peak));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map((weight) => weight / total);
+  }
+
+  /**
+   * Expected a posteriori ability from scored responses, with a standard normal prior
+   * The prior keeps the estimate finite when every answer so far is right (or wrong).
+   * @param {Array} responses - [{ a, b, correct }]
+   * @returns {Object} { theta, standardError }
+   */
+  estimateAbility(responses) {
+    const posterior = this.posterior(responses);
+
+    const theta = ABILITY_GRID.reduce((sum, value, i) => sum + value * posterior[i], 0);
+    const variance = ABILITY_GRID.reduce(
+      (sum, value, i) => sum + (value - theta) ** 2 * posterior[i],
+      0
+    );
+
+    return { theta, standardError: Math.sqrt(variance) };
+  }
+
+  /**
+   * Two-sided confidence interval around an ability estimate
+   */
+  confidenceInterval(theta, standardError, level) {
+    const z = normalQuantile(1 - (1 - level) / 2);
+    return { level, lower: theta - z * standardError, upper: theta + z * standardError };
+  }
+
+  /**
+   * Ability as a 0-100 score: the share of the population the student is expected to outscore
+   */
+  abilityToScore(theta) {
+    return Math.round(normalCdf(theta) * 100);
+  }
+
+  /**
+   * Estimate question parameters from past responses
+   * Marginal maximum likelihood by EM (Bock and Aitkin): each student's ability is spread over
+   * ABILITY_GRID by its posterior, which gives every question an expected count of students,
+   * and of correct answers, at each ability; each question's parameters are then refitted to
+   * those counts. Questions listed in `fixed` keep the parameters given for them but still
+   * inform the ability posteriors.
+   * @param {Array} respondents - [[{ key, correct }]], one list of scored answers per student
+   * @param {Object} initial - { [key]: { a, b } } starting parameters
+   * @param {Object} options - { model, fixed: Set of keys not to re-estimate }
+   * @returns {Object} { [key]: { a, b } }
+   */
+  calibrate(respondents, initial, { model = IRT_MODELS.TWO_PL, fixed = new Set() } = {}) {
+    const items = Object.fromEntries(
+      Object.entries(initial).map(([key, item]) => [
+        key,
+        { a: model === IRT_MODELS.ONE_PL ? 1 : item.a, b: item.b },
+      ])
+    );
+
+    for (let iteration = 0; iteration < CALIBRATION_ITERATIONS; iteration++) {
+      // Expected students (n) and correct answers (r) per question at each grid point
+      const expected = Object.fromEntries(
+        Object.keys(items).map((key) => [
+          key,
+          { n: ABILITY_GRID.map(() => 0), r: ABILITY_GRID.map(() => 0) },
+        ])
+      );
+
+      respondents.forEach((responses) => {
+        const posterior = this.posterior(
+          responses.map(({ key, correct }) => ({ ...items[key], correct }))
+        );
+        responses.forEach(({ key, correct }) => {
+          posterior.forEach((weight, k) => {
+            expected[key].n[k] += weight;
+            if (correct) expected[key].r[k] += weight;
+          });
+        });
+      });
+
+      let largestChange = 0;
+
+      Object.keys(items).forEach((key) => {
+        if (fixed.has(key)) return;
+
+        const updated = this.updateItem(items[key], expected[key], model);
+        largestChange = Math.max(
+          largestChange,
+          Math.abs(updated.a - items[key].a),
+          Math.abs(updated.b - items[key].b)
+        );
+        items[key] = updated;
+      });
+
+      if (largestChange < CALIBRATION_TOLERANCE) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Refit one question to expected counts at each grid point
+   * Newton-Raphson on the logistic regression P = 1 / (1 + e^-(a·θ + c)), where c = -a·b;
+   * the 1PL model fits the intercept only
+   */
+  updateItem(item, { n, r }, model) {
+    let a = item.a;
+    let c = -item.a * item.b;
+
+    for (let step = 0; step < NEWTON_STEPS; step++) {
+      let gradientA = 0;
+      let gradientC = 0;
+      let hessianAA = 0;
+      let hessianAC = 0;
+      let hessianCC = 0;
+
+      ABILITY_GRID.forEach((theta, k) => {
+        if (!n[k]) return;
+        const p = 1 / (1 + Math.exp(-(a * theta + c)));
+        const residual = r[k] - n[k] * p;
+        const weight = n[k] * p * (1 - p);
+        gradientA += residual * theta;
+        gradientC += residual;
+        hessianAA += weight * theta * theta;
+        hessianAC += weight * theta;
+        hessianCC += weight;
+      });
+
+      if (model === IRT_MODELS.TWO_PL) {
+        const determinant = hessianAA * hessianCC - hessianAC * hessianAC;
+        if (determinant <= 0) break;
+        a += (hessianCC * gradientA - hessianAC * gradientC) / determinant;
+        c += (hessianAA * gradientC - hessianAC * gradientA) / determinant;
+        a = clamp(a, DISCRIMINATION_RANGE);
+      } else {
+        if (hessianCC <= 0) break;
+        c += gradientC / hessianCC;
+      }
+    }
+
+    return { a, b: clamp(-c / a, DIFFICULTY_RANGE) };
+  }
+}
+
+export default new IRTService();
@@ -1,8 +1,19 @@
 import Mistake from '../models/Mistake.js';
 import Evaluation from '../models/Evaluation.js';
 import Submission from '../models/Submission.js';
+import Activity from '../models/Activity.js';
+import ReadAloudService from './ReadAloudService.js';
+import QuizGradingService from './QuizGradingService.js';
+import QuizDeliveryService from './QuizDeliveryService.js';
+import GrammarRuleService from './GrammarRuleService.js';
+import SpellCheckService from './SpellCheckService.js';
+import PunctuationService from './PunctuationService.js';
 import { ERROR_TYPES, SEVERITY_LEVELS } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
+import { analyze } from '../utils/nlp.js';
+
+// Nouns, verbs, adjectives and adverbs: words whose overuse shows a narrow vocabulary
+const CONTENT_TAGS = new Set(['NOUN', 'VERB', 'ADJ', 'ADV']);
 
 /**
  * Mistake Detection Service (FR6 & FR7)
@@ -11,8 +22,9 @@ import { logger } from '../utils/logger.js';
 class MistakeDetectionService {
   /**
    * Detect mistakes in evaluation (FR6)
+   * @param {Object} options - { ruleset }: grammar rules pinned for this evaluation
    */
-  async detectMistakes(evaluationId) {
+  async detectMistakes(evaluationId, { ruleset } = {}) {
     try {
       const evaluation = await Evaluation.findById(evaluationId).populate('submissionId');
 
@@ -26,10 +38,10 @@ class MistakeDetectionService {
       // Detect mistakes based on content type
       switch (submission.contentType) {
         case 'speaking':
-          mistakes = await this.detectSpeakingMistakes(submission, evaluation);
+          mistakes = await this.detectSpeakingMistakes(submission, evaluation, ruleset);
           break;
         case 'writing':
-          mistakes = await this.detectWritingMistakes(submission, evaluation);
+          mistakes = await this.detectWritingMistakes(submission, evaluation, ruleset);
           break;
         case 'quiz':
           mistakes = await this.detectQuizMistakes(submission, evaluation);
@@ -60,10 +72,17 @@ class MistakeDetectionService {
   /**
    * Detect speaking mistakes (pronunciation, fluency)
    */
-  async detectSpeakingMistakes(submission, evaluation) {
+  async detectSpeakingMistakes(submission, evaluation, ruleset) {
     const mistakes = [];
     const transcript = submission.content.transcript || '';
 
+    // Read-aloud: one mistake per misread or skipped word of the reference passage
+    const activity = await Activity.findById(submission.activityId).select('speakingMode prompt');
+    if (activity?.speakingMode === 'read-aloud' && activity.prompt && transcript) {
+      const { operations } = ReadAloudService.analyze(activity.prompt, submission);
+      return ReadAloudService.buildMistakes(operations);
+    }
+
     if (!transcript) {
       // If no transcript, generate generic pronunciation feedback
       if (evaluation.pronunciationScore < 70) {
@@ -89,158 +108,57 @@ class MistakeDetectionService {
       return mistakes;
     }
 
-    // Detect common pronunciation issues based on transcript
-    const pronunciationPatterns = [
-      {
-        pattern: /\b(th|the|that|this)\b/gi,
-        error: 'TH sound pronunciation',
-        suggestion: "Practice 'th' sound - tongue between teeth",
-        severity: SEVERITY_LEVELS.MAJOR,
-      },
-      {
-        pattern: /\b(r|right|read|run)\b/gi,
-        error: 'R sound clarity',
-        suggestion: "Ensure clear 'r' sound without 'l' substitution",
-        severity: SEVERITY_LEVELS.MINOR,
-      },
-      {
-        pattern: /\b(v|very|have|voice)\b/gi,
-        error: 'V sound pronunciation',
-        suggestion: "Distinguish 'v' from 'w' - teeth touch lower lip",
-        severity: SEVERITY_LEVELS.MINOR,
-      },
-    ];
-
-    pronunciationPatterns.forEach((pattern) => {
-      const matches = transcript.match(pattern.pattern);
-      if (matches && matches.length > 3 && evaluation.pronunciationScore < 75) {
-        mistakes.push({
-          errorType: ERROR_TYPES.PRONUNCIATION,
-          description: `Possible issue with ${pattern.error}`,
-          suggestion: pattern.suggestion,
-          severity: pattern.severity,
-          isPossibleError: true,
-        });
-      }
+    // Pronunciation patterns in a transcript are only hints, reported when the score is low
+    const found = await GrammarRuleService.detect(transcript, {
+      activityType: 'speaking',
+      ruleset,
     });
+    mistakes.push(
+      ...found.filter(
+        (mistake) =>
+          mistake.errorType !== ERROR_TYPES.PRONUNCIATION || evaluation.pronunciationScore < 75
+      )
+    );
 
     return mistakes;
   }
 
   /**
-   * Detect writing mistakes (grammar, vocabulary, spelling)
+   * Detect writing mistakes (grammar, vocabulary, spelling, punctuation)
    */
-  async detectWritingMistakes(submission, evaluation) {
-    const mistakes = [];
+  async detectWritingMistakes(submission, evaluation, ruleset) {
     const text = submission.content.text;
 
-    // Grammar error patterns
-    const grammarPatterns = [
-      {
-        pattern: /\b(he|she|it)\s+(am|are)\b/gi,
-        error: 'subject-verb agreement',
-        suggestion: "Use 'is' with third-person singular (he/she/it)",
-        severity: SEVERITY_LEVELS.CRITICAL,
-      },
-      {
-        pattern: /\b(I|you|we|they)\s+is\b/gi,
-        error: 'subject-verb agreement',
-        suggestion: "Use 'am' with I, 'are' with you/we/they",
-        severity: SEVERITY_LEVELS.CRITICAL,
-      },
-      {
-        pattern: /\ba\s+([aeiou]\w*)/gi,
-        error: 'article usage',
-        suggestion: "Use 'an' before vowel sounds",
-        severity: SEVERITY_LEVELS.MAJOR,
-      },
-      {
-        pattern: /\ban\s+([^aeiou]\w*)/gi,
-        error: 'article usage',
-        suggestion: "Use 'a' before consonant sounds",
-        severity: SEVERITY_LEVELS.MAJOR,
-      },
-      {
-        pattern: /\b(don't|doesn't|won't)\s+\w+ed\b/gi,
-        error: 'verb form after negative',
-        suggestion: 'Use base form after negative auxiliary verbs',
-        severity: SEVERITY_LEVELS.MAJOR,
-      },
-      {
-        pattern: /\bmore\s+\w+er\b/gi,
-        error: 'double comparative',
-        suggestion: "Use either 'more' or '-er', not both",
-        severity: SEVERITY_LEVELS.MAJOR,
-      },
-      {
-        pattern: /[a-z]\.[A-Z]/g,
-        error: 'punctuation spacing',
-        suggestion: 'Add space after period',
-        severity: SEVERITY_LEVELS.MINOR,
-      },
-      {
-        pattern: /\s{2,}/g,
-        error: 'extra spacing',
-        suggestion: 'Use single space between words',
-        severity: SEVERITY_LEVELS.MINOR,
-      },
-    ];
-
-    grammarPatterns.forEach((pattern) => {
-      let match;
-      const regex = new RegExp(pattern.pattern.source, pattern.pattern.flags);
-
-      while ((match = regex.exec(text)) !== null) {
-        mistakes.push({
-          errorType: ERROR_TYPES.GRAMMAR,
-          description: `Grammar error: ${pattern.error}`,
-          suggestion: pattern.suggestion,
-          positionStart: match.index,
-          positionEnd: match.index + match[0].length,
-          severity: pattern.severity,
-          originalText: match[0],
-          correctedText: this.generateCorrection(match[0], pattern.error),
-          isPossibleError: false,
-        });
-      }
-    });
+    // Grammar, spelling and other pattern rules (see GrammarRuleService)
+    const mistakes = await GrammarRuleService.detect(text, { activityType: 'writing', ruleset });
 
-    // Spelling patterns (common mistakes)
-    const spellingPatterns = [
-      { wrong: /\brecieve\b/gi, correct: 'receive' },
-      { wrong: /\boccured\b/gi, correct: 'occurred' },
-      { wrong: /\bseperate\b/gi, correct: 'separate' },
-      { wrong: /\bdefinately\b/gi, correct: 'definitely' },
-      { wrong: /\bthier\b/gi, correct: 'their' },
-      { wrong: /\byour\s+(a|an|the|is|are)\b/gi, correct: "you're" },
-    ];
-
-    spellingPatterns.forEach((pattern) => {
-      let match;
-      const regex = new RegExp(pattern.wrong.source, pattern.wrong.flags);
-
-      while ((match = regex.exec(text)) !== null) {
-        mistakes.push({
-          errorType: ERROR_TYPES.SPELLING,
-          description: 'Spelling error',
-          suggestion: `Correct spelling: "${pattern.correct}"`,
-          positionStart: match.index,
-          positionEnd: match.index + match[0].length,
-          severity: SEVERITY_LEVELS.MAJOR,
-          originalText: match[0],
-          correctedText: pattern.correct,
-          isPossibleError: false,
-        });
-      }
+    // Dictionary spell check; words a spelling rule already reported are left to the rule
+    const activity = await Activity.findById(submission.activityId).select('spellingAllowList');
+    const misspellings = await SpellCheckService.check(text, {
+      allowList: activity?.spellingAllowList || [],
     });
-
-    // Check for repetitive vocabulary
-    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
+    const ruleSpellings = mistakes.filter((mistake) => mistake.errorType === ERROR_TYPES.SPELLING);
+    mistakes.push(
+      ...misspellings.filter(
+        (misspelling) =>
+          !ruleSpellings.some(
+            (mistake) =>
+              mistake.positionStart < misspelling.positionEnd &&
+              misspelling.positionStart < mistake.positionEnd
+          )
+      )
+    );
+
+    // Sentence punctuation, commas, quotes and brackets, its/it's
+    mistakes.push(...PunctuationService.detect(text));
+
+    // Check for repetitive vocabulary; the forms of a word ("study", "studies") count together
+    const words = analyze(text).tokens.filter((token) => token.type === 'word');
     const wordFrequency = {};
-    words.forEach((word) => {
-      if (word.length > 4) {
+    words.forEach((token) => {
+      if (CONTENT_TAGS.has(token.pos) && token.lemma.length > 4) {
         // Only count substantial words
-        wordFrequency[word] = (wordFrequency[word] || 0) + 1;
+        wordFrequency[token.lemma] = (wordFrequency[token.lemma] || 0) + 1;
       }
     });
 
@@ -266,24 +184,34 @@ class MistakeDetectionService {
   async detectQuizMistakes(submission, evaluation) {
     const mistakes = [];
     const activity = await submission.populate('activityId');
-    const questions = activity.activityId.questions;
+    const questions = QuizDeliveryService.deliveredQuestions(activity.activityId, submission);
     const answers = submission.content.answers;
 
-    answers.forEach((studentAnswer, index) => {
-      const question = questions[index];
-      const isCorrect =
-        studentAnswer.answer.toLowerCase().trim() ===
-        question.correctAnswer.toLowerCase().trim();
+    QuizGradingService.matchAnswers(questions, answers).forEach(({ question, answer, index }) => {
+      // Graded under the policy the evaluation was scored with (defaults for older ones)
+      const { score, detail } = QuizGradingService.gradeAnswer(
+        question,
+        answer,
+        evaluation.scoringPolicy
+      );
+
+      if (score < 1) {
+        const correctAnswer = QuizGradingService.formatCorrectAnswer(question);
+        const partial = score > 0;
 
-      if (!isCorrect) {
         mistakes.push({
           errorType: ERROR_TYPES.LOGIC,
-          description: `Incorrect answer to question ${index + 1}`,
-          suggestion: `Correct answer: ${question.correctAnswer}`,
-          severity: SEVERITY_LEVELS.MAJOR,
-          originalText: studentAnswer.answer,
-          correctedText: question.correctAnswer,
+          description: `${partial ? 'Partly correct' : 'Incorrect'} answer to question ${index + 1}${
+            detail ? ` (${detail})` : ''
+          }`,
+          suggestion: `Correct answer: ${correctAnswer}`.slice(0, 500), // Model limit
+          severity: partial ? SEVERITY_LEVELS.MINOR : SEVERITY_LEVELS.MAJOR,
+          originalText: QuizGradingService.formatAnswer(question, answer),
+          correctedText: correctAnswer,
           isPossibleError: false,
+          questionNumber: index + 1,
+          explanation: question.explanation,
+          reference: question.reference,
         });
       }
     });
@@ -291,19 +219,6 @@ class MistakeDetectionService {
     return mistakes;
   }
 
-  /**
-   * Generate correction suggestion
-   */
-  generateCorrection(originalText, errorType) {
-    // Simple correction suggestions based on error type
-    const corrections = {
-      'subject-verb agreement': originalText.replace(/\b(he|she|it)\s+(am|are)\b/gi, '$1 is'),
-      'article usage': originalText.replace(/\ba\s+([aeiou])/gi, 'an $1'),
-    };
-
-    return corrections[errorType] || originalText;
-  }
-
   /**
    * Detect recurring challenges (FR7)
    * Analyze patterns across multiple submissions
@@ -317,8 +232,8 @@ class MistakeDetectionService {
 
       const evaluationIds = await Promise.all(
         submissions.map(async (sub) => {
-          const eval = await Evaluation.findOne({ submissionId: sub._id });
-          return eval?._id;
+          const evaluation = await Evaluation.findOne({ submissionId: sub._id, isCurrent: true });
+          return evaluation?._id;
         })
       );
 
@@ -55,7 +55,10 @@ class ProgressTrackingService {
 
       // Get evaluations for these submissions
       const submissionIds = submissions.map((s) => s._id);
-      const evaluations = await Evaluation.find({ submissionId: { $in: submissionIds } });
+      const evaluations = await Evaluation.find({
+        submissionId: { $in: submissionIds },
+        isCurrent: true,
+      });
 
       // Calculate metrics
       const metrics = await this.calculateWeeklyMetrics(
@@ -0,0 +1,598 @@
+import { ERROR_TYPES, SEVERITY_LEVELS } from '../config/constants.js';
+import { analyze } from '../utils/nlp.js';
+
+/**
+ * Punctuation Service
+ * Punctuation checks for writing submissions: sentence-final punctuation, comma splices,
+ * commas after introductory words and clauses, unbalanced quotes and brackets, repeated
+ * punctuation and its/it's. Every finding has the offsets of the text to change and the
+ * replacement. The checks are heuristics; the uncertain ones are marked as possible errors.
+ */
+
+// Paragraphs shorter than this are taken as titles or headings, which need no full stop
+const MIN_SENTENCE_WORDS = 4;
+
+// Words opening a subordinate clause
+const SUBORDINATORS = [
+  'when',
+  'if',
+  'although',
+  'though',
+  'because',
+  'while',
+  'since',
+  'after',
+  'before',
+  'unless',
+  'once',
+  'whenever',
+  'as',
+];
+
+const AUXILIARIES =
+  '(?:am|is|are|was|were|have|has|had|do|does|did|will|would|can|could|should|shall|may|might|must)';
+
+// Transitions followed by a comma at the start of a sentence
+const TRANSITIONS = [
+  'however',
+  'therefore',
+  'moreover',
+  'furthermore',
+  'nevertheless',
+  'consequently',
+  'meanwhile',
+  'additionally',
+  'unfortunately',
+  'fortunately',
+  'firstly',
+  'secondly',
+  'thirdly',
+  'lastly',
+  'in addition',
+  'for example',
+  'for instance',
+  'in conclusion',
+  'in fact',
+  'on the other hand',
+  'as a result',
+  'in my opinion',
+  'to sum up',
+  'first of all',
+];
+
+// "In addition to" and "as a result of" are not transitions
+const TRANSITION_PATTERN = new RegExp(
+  `^(${TRANSITIONS.join('|')})(?=\\s+\\p{L})(?!\\s+(?:to|of)\\b)`,
+  'iu'
+);
+
+// "Because I think it is good": a subject after these verbs (by lemma) starts a reported clause
+const REPORTING_VERBS = new Set([
+  'think',
+  'know',
+  'believe',
+  'say',
+  'tell',
+  'hope',
+  'feel',
+  'mean',
+  'guess',
+  'realize',
+  'see',
+  'hear',
+  'find',
+  'notice',
+  'understand',
+  'remember',
+  'forget',
+  'decide',
+  'learn',
+  'wish',
+  'suppose',
+  'expect',
+]);
+
+const SUBJECT_PRONOUNS = new Set([
+  'i',
+  'you',
+  'he',
+  'she',
+  'it',
+  'we',
+  'they',
+  'there',
+  'everyone',
+  'everybody',
+  'someone',
+  'somebody',
+  'nobody',
+  'everything',
+  'something',
+  'nothing',
+]);
+
+const OBJECT_PRONOUNS = new Set(['me', 'you', 'him', 'her', 'us', 'them']);
+
+// Marks that end an introductory clause, or show the writer has split the sentence already
+const CLAUSE_BREAK = /^[,;:()\-–—]/;
+
+/**
+ * Number of words of the subject starting at index (a subject pronoun, a name, or a
+ * determiner with its adjectives and noun: "the old teacher"), or 0
+ */
+const subjectLength = (words, index) => {
+  const word = words[index];
+
+  if (SUBJECT_PRONOUNS.has(word.normal) && ['PRON', 'ADV'].includes(word.pos)) return 1;
+
+  let end = index;
+  if (word.pos === 'DET') {
+    end++;
+    while (['ADJ', 'NUM'].includes(words[end]?.pos)) end++;
+  }
+  if (!['NOUN', 'PROPN'].includes(words[end]?.pos)) return 0;
+
+  // A noun without a determiner must not be the end of a longer noun phrase ("the | test")
+  if (end === index && ['DET', 'ADJ', 'NUM', 'NOUN', 'PROPN'].includes(words[index - 1]?.pos)) {
+    return 0;
+  }
+  while (words[end + 1]?.pos === words[end].pos) end++;
+
+  return end - index + 1;
+};
+
+/**
+ * Whether the word at index is a finite verb, with an adverb allowed before it ("we finally
+ * went")
+ */
+const isFiniteVerb = (words, index) => {
+  const word = words[index]?.pos === 'ADV' ? words[index + 1] : words[index];
+  return word?.pos === 'AUX' || (word?.pos === 'VERB' && !word.normal.endsWith('ing'));
+};
+
+/**
+ * Whether the clause starting at index is reported by the verb before it ("I think it is",
+ * "she told me it was", "so that we can")
+ */
+const isReported = (words, index) => {
+  const previous = words[index - 1];
+  const reports = (word) => word?.pos === 'VERB' && REPORTING_VERBS.has(word.lemma);
+
+  return (
+    previous.normal === 'that' ||
+    reports(previous) ||
+    (OBJECT_PRONOUNS.has(previous.normal) && reports(words[index - 2]))
+  );
+};
+
+/**
+ * Index of the word where the main clause starts after an introductory subordinate clause,
+ * or -1: the first subject followed by a finite verb once the subordinate clause has a verb
+ * of its own ("When I arrived | I saw him", "Because he was late | the teacher was angry")
+ */
+const mainClauseStart = (words) => {
+  let hasVerb = false;
+
+  for (let index = 1; index < words.length; index++) {
+    const length = hasVerb ? subjectLength(words, index) : 0;
+    if (length > 0 && isFiniteVerb(words, index + length) && !isReported(words, index)) {
+      return index;
+    }
+    if (['VERB', 'AUX'].includes(words[index].pos)) hasVerb = true;
+  }
+
+  return -1;
+};
+
+/**
+ * Clauses of a sentence between the writer's commas and other breaks: the words of each
+ * (punctuation left out), the break that ends it, and whether it opens with a quotation mark
+ */
+const clauses = (tokens) => {
+  const found = [{ words: [], quoted: false }];
+
+  tokens.forEach((token, index) => {
+    const clause = found[found.length - 1];
+    if (CLAUSE_BREAK.test(token.text)) {
+      clause.break = token;
+      found.push({ words: [], quoted: /^["“‘']/.test(tokens[index + 1]?.text || '') });
+    } else if (token.pos !== 'PUNCT') {
+      clause.words.push(token);
+    }
+  });
+
+  return found;
+};
+
+/**
+ * Whether the words make a sentence of their own: a subject followed by a finite verb,
+ * without a subordinator in front ("the weather was cold", not "when it was cold")
+ */
+const isMainClause = (words) =>
+  words.length > 0 &&
+  !SUBORDINATORS.includes(words[0].normal) &&
+  words.some((word, index) => {
+    const length = subjectLength(words, index);
+    return length > 0 && isFiniteVerb(words, index + length);
+  });
+
+/**
+ * Whether the words open with a subject and a finite verb ("we stayed inside", "his sister
+ * is", "this is", not "laughing loudly" or "who lives in Paris")
+ */
+const opensClause = (words) => {
+  if (words.length === 0) return false;
+
+  // "This" is tagged as a determiner even when it stands alone
+  const length = subjectLength(words, 0) || (words[0].normal === 'this' ? 1 : 0);
+  return length > 0 && isFiniteVerb(words, length);
+};
+
+const QUESTION_PATTERN = new RegExp(
+  `^(?:(?:what|why|how|where|who|which)\\s+${AUXILIARIES}|${AUXILIARIES}\\s+(?:I|you|he|she|it|we|they))\\b`,
+  'i'
+);
+
+const ITS_CHECKS = [
+  {
+    pattern: /\bit['’]s\s+own\b/gi,
+    fix: (match) => match.replace(/['’]/, ''),
+    suggestion: '"Its" (no apostrophe) is the possessive: "its own"',
+  },
+  {
+    pattern: /\bit['’]s\s+(?=(?:name|size|shape|colou?r|owner|tail|purpose|place|way of)\b)/gi,
+    fix: (match) => match.replace(/['’]/, ''),
+    suggestion: '"Its" (no apostrophe) is the possessive; "it\'s" means "it is"',
+    isPossibleError: true,
+  },
+  {
+    pattern:
+      /\bits\s+(?=(?:a|an|the|not|been|being|going|getting|very|too|so|really|just|also|always|never|still|important|true|hard|easy|difficult|possible|impossible|time\s+to)\b)/gi,
+    fix: (match) => match.replace(/its/i, (its) => `${its.slice(0, 2)}'${its.slice(2)}`),
+    suggestion: '"It\'s" is short for "it is" or "it has"; "its" is the possessive',
+  },
+  {
+    pattern: /\bits['’](?!\p{L})/giu,
+    fix: (match) => match.slice(0, 3),
+    suggestion: '"Its\'" is not a word: use "its" (possessive) or "it\'s" (it is)',
+  },
+];
+
+const BRACKETS = { '(': ')', '[': ']', '{': '}', '“': '”' };
+const CLOSERS = Object.fromEntries(Object.entries(BRACKETS).map(([open, close]) => [close, open]));
+
+/**
+ * Paragraphs of a text with their offsets
+ */
+const paragraphs = (text) =>
+  Array.from(text.matchAll(/[^\n]+/g), (match) => ({ text: match[0], start: match.index })).filter(
+    (paragraph) => paragraph.text.trim()
+  );
+
+/**
+ * Sentences of a text with their offsets, leading spaces excluded; a paragraph end also
+ * ends a sentence
+ */
+const sentences = (text) =>
+  paragraphs(text).flatMap((paragraph) =>
+    Array.from(paragraph.text.matchAll(/[^.!?\s][^.!?]*(?:[.!?]+["'”’)\]]*|$)/g), (match) => ({
+      text: match[0],
+      start: paragraph.start + match.index,
+    }))
+  );
+
+// List items ("- milk", "1) eggs") need no sentence punctuation
+const LIST_ITEM = /^\s*(?:[-*•]|\w{1,2}[.)])\s/u;
+
+const finding = (check, start, original, replacement, suggestion, options = {}) => ({
+  check,
+  start,
+  end: start + original.length,
+  original,
+  replacement,
+  suggestion,
+  severity: options.severity || SEVERITY_LEVELS.MINOR,
+  isPossibleError: options.isPossibleError || false,
+});
+
+const DESCRIPTIONS = {
+  'sentence-end': 'missing sentence-final punctuation',
+  'question-mark': 'question without a question mark',
+  'comma-splice': 'comma splice',
+  'introductory-comma': 'missing comma after an introduction',
+  unbalanced: 'unbalanced quotation mark or bracket',
+  repeated: 'repeated punctuation',
+  its: "its / it's",
+};
+
+class PunctuationService {
+  /**
+   * Paragraphs that end without sentence punctuation, and questions that end with a full stop
+   */
+  checkSentenceEnds(text) {
+    const findings = [];
+
+    paragraphs(text).forEach((paragraph) => {
+      const trimmed = paragraph.text.trimEnd();
+      const lastWord = trimmed.match(/[\p{L}\p{N}]+$/u);
+
+      if (
+        lastWord &&
+        !LIST_ITEM.test(paragraph.text) &&
+        trimmed.split(/\s+/).length >= MIN_SENTENCE_WORDS
+      ) {
+        findings.push(
+          finding(
+            'sentence-end',
+            paragraph.start + lastWord.index,
+            lastWord[0],
+            `${lastWord[0]}.`,
+            'End the sentence with a full stop, question mark or exclamation mark',
+            { severity: SEVERITY_LEVELS.MAJOR }
+          )
+        );
+      }
+    });
+
+    sentences(text).forEach((sentence) => {
+      const end = sentence.text.match(/\.(?!\.)["'”’)\]]*$/);
+      if (end && !sentence.text.endsWith('..') && QUESTION_PATTERN.test(sentence.text)) {
+        findings.push(
+          finding(
+            'question-mark',
+            sentence.start + end.index,
+            '.',
+            '?',
+            'End a question with a question mark',
+            { isPossibleError: true }
+          )
+        );
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Two independent clauses joined by a comma alone: a clause with a subject and a finite
+   * verb, a comma, then another subject and finite verb ("She smiled, he laughed")
+   */
+  checkCommaSplices(text) {
+    const findings = [];
+
+    sentences(text).forEach((sentence) => {
+      const parts = clauses(analyze(sentence.text).tokens);
+
+      parts.slice(1).forEach((after, index) => {
+        const before = parts[index];
+
+        // Quoted or reported speech is not a second sentence ("He said, I am coming")
+        if (
+          before.break.text !== ',' ||
+          after.quoted ||
+          !isMainClause(before.words) ||
+          !opensClause(after.words) ||
+          isReported([...before.words, ...after.words], before.words.length)
+        ) {
+          return;
+        }
+
+        findings.push(
+          finding(
+            'comma-splice',
+            sentence.start + before.break.start,
+            ',',
+            ';',
+            'Two complete sentences are joined by a comma: use a semicolon, a full stop, or add "and", "but" or "so"',
+            { severity: SEVERITY_LEVELS.MAJOR, isPossibleError: true }
+          )
+        );
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Missing comma after an introductory word, phrase or subordinate clause
+   */
+  checkIntroductoryCommas(text) {
+    const findings = [];
+
+    sentences(text).forEach((sentence) => {
+      const transition = sentence.text.match(TRANSITION_PATTERN);
+      if (transition) {
+        findings.push(
+          finding(
+            'introductory-comma',
+            sentence.start,
+            transition[1],
+            `${transition[1]},`,
+            `Put a comma after "${transition[1]}" at the start of a sentence`
+          )
+        );
+        return;
+      }
+
+      const firstWord = sentence.text.match(/^\p{L}+/u)?.[0].toLowerCase();
+      if (!SUBORDINATORS.includes(firstWord)) return;
+
+      // The subordinate clause runs up to the writer's first comma or other break
+      const { tokens } = analyze(sentence.text);
+      const breakAt = tokens.findIndex((token) => CLAUSE_BREAK.test(token.text));
+      const words = tokens
+        .slice(0, breakAt === -1 ? tokens.length : breakAt)
+        .filter((token) => token.pos !== 'PUNCT');
+
+      const main = mainClauseStart(words);
+      if (main > 0) {
+        const lastWord = words[main - 1];
+        findings.push(
+          finding(
+            'introductory-comma',
+            sentence.start + lastWord.start,
+            lastWord.text,
+            `${lastWord.text},`,
+            'Put a comma after an introductory clause, before the main clause',
+            { isPossibleError: true }
+          )
+        );
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Brackets and quotation marks without a partner, per paragraph
+   * An unclosed one is closed at the end of its sentence; a stray closing one is removed.
+   */
+  checkBalance(text) {
+    const findings = [];
+
+    const closeAtSentenceEnd = (index, closer, label) => {
+      const rest = text
+        .slice(index)
+        .match(/^[^\n.!?]*/)[0]
+        .trimEnd();
+      findings.push(
+        finding('unbalanced', index, rest, `${rest}${closer}`, `Close the ${label} opened here`, {
+          severity: SEVERITY_LEVELS.MAJOR,
+        })
+      );
+    };
+
+    const removeStray = (index, character, label) =>
+      findings.push(
+        finding(
+          'unbalanced',
+          index,
+          character,
+          '',
+          `This ${label} closes nothing: remove it or add the opening one`,
+          {
+            severity: SEVERITY_LEVELS.MAJOR,
+          }
+        )
+      );
+
+    paragraphs(text).forEach((paragraph) => {
+      const open = [];
+      const quotes = [];
+
+      Array.from(paragraph.text).forEach((character, offset) => {
+        const index = paragraph.start + offset;
+
+        if (character === '"') {
+          quotes.push(index);
+        } else if (BRACKETS[character]) {
+          open.push({ character, index });
+        } else if (CLOSERS[character]) {
+          if (/^\s*\w{1,2}$/.test(paragraph.text.slice(0, offset))) {
+            // List label such as "a)"
+          } else if (open.length > 0 && open[open.length - 1].character === CLOSERS[character]) {
+            open.pop();
+          } else {
+            removeStray(index, character, character === '”' ? 'quotation mark' : 'bracket');
+          }
+        }
+      });
+
+      open.forEach(({ character, index }) =>
+        closeAtSentenceEnd(
+          index,
+          BRACKETS[character],
+          character === '“' ? 'quotation mark' : 'bracket'
+        )
+      );
+
+      // Straight quotes pair up in order; an odd one out opens or closes a quote on its own
+      if (quotes.length % 2 === 1) {
+        const index = quotes[quotes.length - 1];
+        if (/\S/.test(text.charAt(index + 1)) && !/[.,;:!?]/.test(text.charAt(index + 1))) {
+          closeAtSentenceEnd(index, '"', 'quotation mark');
+        } else {
+          removeStray(index, '"', 'quotation mark');
+        }
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * The same mark twice, such as ",," or "!!", and more than three dots
+   */
+  checkRepeated(text) {
+    const findings = [];
+
+    for (const match of text.matchAll(/([,;:!?])\1+|(?<!\.)\.\.(?!\.)|\.{4,}/g)) {
+      const replacement = match[0].startsWith('...') ? '...' : match[0].charAt(0);
+      findings.push(
+        finding(
+          'repeated',
+          match.index,
+          match[0],
+          replacement,
+          replacement === '...' ? 'An ellipsis has three dots' : `Use a single "${replacement}"`
+        )
+      );
+    }
+
+    return findings;
+  }
+
+  /**
+   * "its" (possessive) and "it's" (it is / it has) mixed up
+   */
+  checkIts(text) {
+    return ITS_CHECKS.flatMap((check) =>
+      Array.from(text.matchAll(check.pattern), (match) =>
+        finding(
+          'its',
+          match.index,
+          match[0].trimEnd(),
+          check.fix(match[0].trimEnd()),
+          check.suggestion,
+          { severity: SEVERITY_LEVELS.MAJOR, isPossibleError: check.isPossibleError }
+        )
+      )
+    );
+  }
+
+  /**
+   * All findings in a text, in text order: [{ check, start, end, original, replacement, ... }]
+   */
+  analyze(text) {
+    if (!text) return [];
+
+    return [
+      ...this.checkSentenceEnds(text),
+      ...this.checkCommaSplices(text),
+      ...this.checkIntroductoryCommas(text),
+      ...this.checkBalance(text),
+      ...this.checkRepeated(text),
+      ...this.checkIts(text),
+    ].sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Punctuation mistakes in a text
+   * @returns {Array} Mistake data with positions and the fixed text as correctedText
+   */
+  detect(text) {
+    return this.analyze(text).map((item) => ({
+      errorType: ERROR_TYPES.PUNCTUATION,
+      description: `Punctuation error: ${DESCRIPTIONS[item.check]}`,
+      suggestion: item.suggestion,
+      positionStart: item.start,
+      positionEnd: item.end,
+      severity: item.severity,
+      originalText: item.original,
+      correctedText: item.replacement,
+      isPossibleError: item.isPossibleError,
+    }));
+  }
+}
+
+export default new PunctuationService();
@@ -0,0 +1,1061 @@
+import path from 'path';
+import { createZip, readZip } from '../utils/zip.js';
+import {
+  createElement as el,
+  parseXml,
+  serializeXml,
+  localName,
+  childElements,
+  childElement,
+  findElements,
+  textContent,
+} from '../utils/xml.js';
+import { validateQuestion } from '../utils/validators.js';
+import { QUESTION_TYPES } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const CP_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const CP_SCHEMA = 'http://www.imsglobal.org/xsd/imscp_v1p1.xsd';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const RESPONSE_TEMPLATES = {
+  MATCH_CORRECT: 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct',
+  MAP_RESPONSE: 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response',
+};
+
+const MANIFEST_FILE = 'imsmanifest.xml';
+const TEST_FILE = 'assessmentTest.xml';
+
+// Interactions quiz questions are built from; any other interaction in an item is reported
+const SUPPORTED_INTERACTIONS = [
+  'choiceInteraction',
+  'textEntryInteraction',
+  'matchInteraction',
+  'orderInteraction',
+];
+
+// Body elements that are not part of the question text
+const HIDDEN_ELEMENTS = ['feedbackInline', 'feedbackBlock', 'modalFeedback', 'rubricBlock'];
+
+const BLOCK_ELEMENTS = [
+  'p',
+  'div',
+  'br',
+  'li',
+  'ul',
+  'ol',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'blockquote',
+  'pre',
+  'table',
+  'tr',
+  'prompt',
+];
+
+// Packages are read in memory, so their unpacked size is capped
+const PACKAGE_LIMITS = { maxEntries: 2000, maxSize: 50 * 1024 * 1024 };
+
+const BLANK = /_{3,}/;
+
+const isInteraction = (element) => localName(element).endsWith('Interaction');
+
+const uniqueTexts = (texts) => [...new Set(texts.map((text) => text.trim()).filter(Boolean))];
+
+/**
+ * Plain text of item content: block elements become lines, inline text entries become ___
+ * when `blanks` is set and other interactions are left out
+ */
+const plainText = (element, { blanks = false } = {}) => {
+  const walk = (node) => {
+    if (typeof node === 'string') return node;
+
+    const name = localName(node);
+    if (node !== element && HIDDEN_ELEMENTS.includes(name)) return '';
+    if (isInteraction(node)) return blanks && name === 'textEntryInteraction' ? '___' : '';
+
+    const inner = node.children.map(walk).join('');
+    return BLOCK_ELEMENTS.includes(name) ? `\n${inner}\n` : inner;
+  };
+
+  return walk(element)
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Element containing `target` among the descendants of `root`
+ */
+const findParent = (root, target) => {
+  for (const child of childElements(root)) {
+    if (child === target) return root;
+    const parent = findParent(child, target);
+    if (parent) return parent;
+  }
+  return null;
+};
+
+const values = (element) =>
+  element ? childElements(element, 'value').map((value) => textContent(value).trim()) : [];
+
+const correctResponse = (declaration) =>
+  values(declaration && childElement(declaration, 'correctResponse'));
+
+/**
+ * QTI 2.1 Service
+ * Exchanges quiz activities with other systems as IMS QTI 2.1 content packages: a zip with an
+ * imsmanifest.xml, an assessmentTest and one assessmentItem per question. Each question type
+ * maps to one interaction:
+ *   multiple-choice, true-false  choiceInteraction (one choice)
+ *   multi-select                 choiceInteraction (several choices)
+ *   short-answer, numeric        textEntryInteraction on its own line
+ *   cloze                        textEntryInteraction in place of each ___
+ *   matching                     matchInteraction
+ *   ordering                     orderInteraction
+ * Explanations and references travel as modalFeedback. Items built on any other
+ * interaction, or combining several, are skipped on import and listed in the import report.
+ */
+class QtiService {
+  /**
+   * Build the QTI package of a quiz activity
+   * @returns {Object} { buffer, fileName, itemCount, warnings } - warnings name what QTI cannot hold
+   */
+  exportActivity(activity) {
+    if (activity.activityType !== 'quiz') {
+      throw new Error('Only quiz activities can be exported as QTI');
+    }
+
+    const warnings = [];
+    const items = [];
+
+    (activity.questions || []).forEach((question, index) => {
+      const number = index + 1;
+      const identifier = `ITEM_${String(number).padStart(3, '0')}`;
+      const interaction = this.exportInteraction(question, number, warnings);
+
+      if (!interaction) return;
+
+      items.push({
+        identifier,
+        href: `items/${identifier}.xml`,
+        xml: serializeXml(this.buildItem(identifier, question, interaction)),
+      });
+    });
+
+    if (items.length === 0) {
+      throw new Error('The quiz has no questions to export');
+    }
+
+    const files = [
+      { name: MANIFEST_FILE, data: serializeXml(this.buildManifest(activity, items)) },
+      { name: TEST_FILE, data: serializeXml(this.buildTest(activity, items)) },
+      ...items.map((item) => ({ name: item.href, data: item.xml })),
+    ];
+
+    return {
+      buffer: createZip(files),
+      fileName: `${activity.activityId || activity._id}-qti.zip`,
+      itemCount: items.length,
+      warnings,
+    };
+  }
+
+  /**
+   * Response declarations, body and response processing for one question
+   * Returns null, with a warning, when the question cannot be exported
+   */
+  exportInteraction(question, number, warnings) {
+    const text = question.questionText || '';
+    const paragraphs = text
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => el('p', {}, [line.trim()]));
+    const choiceIds = (list) => list.map((_, index) => `CHOICE_${index + 1}`);
+    const idOf = (list, ids, value) =>
+      ids[
+        list.findIndex(
+          (option) => option.trim().toLowerCase() === String(value).trim().toLowerCase()
+        )
+      ];
+
+    switch (question.questionType) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+      case QUESTION_TYPES.TRUE_FALSE:
+      case QUESTION_TYPES.MULTI_SELECT: {
+        const multiple = question.questionType === QUESTION_TYPES.MULTI_SELECT;
+        const options =
+          question.questionType === QUESTION_TYPES.TRUE_FALSE
+            ? ['True', 'False']
+            : question.options || [];
+        const ids = choiceIds(options);
+        const correct = (multiple ? question.correctAnswers || [] : [question.correctAnswer])
+          .map((answer) => idOf(options, ids, answer))
+          .filter(Boolean);
+
+        if (correct.length === 0) {
+          warnings.push(
+            `Question ${number}: the correct answer is not one of the options; exported without one`
+          );
+        }
+
+        return {
+          declarations: [
+            this.responseDeclaration(
+              'RESPONSE',
+              multiple ? 'multiple' : 'single',
+              'identifier',
+              correct
+            ),
+          ],
+          body: [
+            ...paragraphs,
+            el(
+              'choiceInteraction',
+              {
+                responseIdentifier: 'RESPONSE',
+                shuffle: 'false',
+                maxChoices: multiple ? '0' : '1',
+              },
+              options.map((option, index) =>
+                el('simpleChoice', { identifier: ids[index] }, [option])
+              )
+            ),
+          ],
+          processing: el('responseProcessing', { template: RESPONSE_TEMPLATES.MATCH_CORRECT }),
+        };
+      }
+
+      case QUESTION_TYPES.SHORT_ANSWER: {
+        const answers = uniqueTexts([
+          question.correctAnswer || '',
+          ...(question.acceptedAnswers || []),
+        ]);
+
+        if (question.answerPatterns?.length) {
+          warnings.push(
+            `Question ${number}: answer patterns have no QTI equivalent and were left out`
+          );
+        }
+
+        return {
+          declarations: [
+            this.responseDeclaration(
+              'RESPONSE',
+              'single',
+              'string',
+              answers.slice(0, 1),
+              this.textMapping(answers, question.caseSensitive)
+            ),
+          ],
+          body: [
+            ...paragraphs,
+            el('p', {}, [el('textEntryInteraction', { responseIdentifier: 'RESPONSE' })]),
+          ],
+          processing: el('responseProcessing', { template: RESPONSE_TEMPLATES.MAP_RESPONSE }),
+        };
+      }
+
+      case QUESTION_TYPES.NUMERIC: {
+        const {
+          value,
+          tolerance = 0,
+          toleranceType = 'absolute',
+          unit,
+        } = question.numericAnswer || {};
+
+        if (unit) {
+          warnings.push(
+            `Question ${number}: the unit (${unit}) has no QTI equivalent and was left out`
+          );
+        }
+
+        const comparison = tolerance
+          ? {
+              toleranceMode: toleranceType === 'percent' ? 'relative' : 'absolute',
+              tolerance: `${tolerance} ${tolerance}`,
+            }
+          : { toleranceMode: 'exact' };
+
+        return {
+          declarations: [this.responseDeclaration('RESPONSE', 'single', 'float', [value])],
+          body: [
+            ...paragraphs,
+            el('p', {}, [el('textEntryInteraction', { responseIdentifier: 'RESPONSE' })]),
+          ],
+          processing: el('responseProcessing', {}, [
+            el('responseCondition', {}, [
+              el('responseIf', {}, [
+                el('equal', comparison, [
+                  el('variable', { identifier: 'RESPONSE' }),
+                  el('correct', { identifier: 'RESPONSE' }),
+                ]),
+                this.setScore(el('baseValue', { baseType: 'float' }, ['1'])),
+              ]),
+            ]),
+          ]),
+        };
+      }
+
+      case QUESTION_TYPES.CLOZE: {
+        const blanks = question.blanks || [];
+        let blank = 0;
+
+        // Each ___ becomes a text entry with its own response, scored by its mapping
+        const body = text
+          .split('\n')
+          .filter((line) => line.trim())
+          .map((line) =>
+            el(
+              'p',
+              {},
+              line
+                .trim()
+                .split(BLANK)
+                .flatMap((part, index) =>
+                  index === 0
+                    ? [part]
+                    : [
+                        el('textEntryInteraction', { responseIdentifier: `RESPONSE_${++blank}` }),
+                        part,
+                      ]
+                )
+                .filter((part) => part !== '')
+            )
+          );
+
+        const answers = blanks.map((variants) => uniqueTexts(String(variants).split('|')));
+
+        return {
+          declarations: answers.map((variants, index) =>
+            this.responseDeclaration(
+              `RESPONSE_${index + 1}`,
+              'single',
+              'string',
+              variants.slice(0, 1),
+              this.textMapping(variants, question.caseSensitive)
+            )
+          ),
+          body,
+          processing: el(
+            'responseProcessing',
+            {},
+            answers.map((_, index) =>
+              this.setScore(
+                el('sum', {}, [
+                  el('variable', { identifier: 'SCORE' }),
+                  el('mapResponse', { identifier: `RESPONSE_${index + 1}` }),
+                ])
+              )
+            )
+          ),
+        };
+      }
+
+      case QUESTION_TYPES.MATCHING: {
+        const pairs = question.pairs || [];
+        const rights = uniqueTexts(pairs.map((pair) => pair.right));
+        const rightId = (right) => `RIGHT_${rights.indexOf(right.trim()) + 1}`;
+
+        return {
+          declarations: [
+            this.responseDeclaration(
+              'RESPONSE',
+              'multiple',
+              'directedPair',
+              pairs.map((pair, index) => `LEFT_${index + 1} ${rightId(pair.right)}`)
+            ),
+          ],
+          body: [
+            ...paragraphs,
+            el(
+              'matchInteraction',
+              {
+                responseIdentifier: 'RESPONSE',
+                shuffle: 'true',
+                maxAssociations: String(pairs.length),
+              },
+              [
+                el(
+                  'simpleMatchSet',
+                  {},
+                  pairs.map((pair, index) =>
+                    el(
+                      'simpleAssociableChoice',
+                      { identifier: `LEFT_${index + 1}`, matchMax: '1' },
+                      [pair.left]
+                    )
+                  )
+                ),
+                el(
+                  'simpleMatchSet',
+                  {},
+                  rights.map((right) =>
+                    el('simpleAssociableChoice', { identifier: rightId(right), matchMax: '0' }, [
+                      right,
+                    ])
+                  )
+                ),
+              ]
+            ),
+          ],
+          processing: el('responseProcessing', { template: RESPONSE_TEMPLATES.MATCH_CORRECT }),
+        };
+      }
+
+      case QUESTION_TYPES.ORDERING: {
+        const sequence = question.sequence || [];
+        const ids = choiceIds(sequence);
+
+        return {
+          declarations: [this.responseDeclaration('RESPONSE', 'ordered', 'identifier', ids)],
+          body: [
+            ...paragraphs,
+            el(
+              'orderInteraction',
+              { responseIdentifier: 'RESPONSE', shuffle: 'true' },
+              sequence.map((entry, index) =>
+                el('simpleChoice', { identifier: ids[index] }, [entry])
+              )
+            ),
+          ],
+          processing: el('responseProcessing', { template: RESPONSE_TEMPLATES.MATCH_CORRECT }),
+        };
+      }
+
+      default:
+        warnings.push(
+          `Question ${number}: type ${question.questionType} cannot be exported; skipped`
+        );
+        return null;
+    }
+  }
+
+  responseDeclaration(identifier, cardinality, baseType, correct = [], mapping = null) {
+    return el('responseDeclaration', { identifier, cardinality, baseType }, [
+      correct.length > 0 &&
+        el(
+          'correctResponse',
+          {},
+          correct.map((value) => el('value', {}, [String(value)]))
+        ),
+      mapping,
+    ]);
+  }
+
+  /**
+   * Mapping giving full credit for any of the accepted texts
+   */
+  textMapping(answers, caseSensitive = false) {
+    return el(
+      'mapping',
+      { defaultValue: '0', upperBound: '1' },
+      answers.map((answer) =>
+        el('mapEntry', { mapKey: answer, mappedValue: '1', caseSensitive: String(!!caseSensitive) })
+      )
+    );
+  }
+
+  setScore(expression) {
+    return el('setOutcomeValue', { identifier: 'SCORE' }, [expression]);
+  }
+
+  outcomeDeclaration(identifier, value) {
+    return el('outcomeDeclaration', { identifier, cardinality: 'single', baseType: 'float' }, [
+      el('defaultValue', {}, [el('value', {}, [String(value)])]),
+    ]);
+  }
+
+  /**
+   * Explanation and reference of a question as modal feedback
+   * The FEEDBACK outcome is never set, so with showHide="hide" both are shown after every
+   * attempt; the identifiers tell them apart on import
+   */
+  buildFeedback(question) {
+    const paragraphs = (text) =>
+      text
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => el('p', {}, [line.trim()]));
+
+    return [
+      ['EXPLANATION', question.explanation],
+      ['REFERENCE', question.reference],
+    ]
+      .filter(([, text]) => text?.trim())
+      .map(([identifier, text]) =>
+        el(
+          'modalFeedback',
+          { outcomeIdentifier: 'FEEDBACK', identifier, showHide: 'hide' },
+          paragraphs(text)
+        )
+      );
+  }
+
+  buildItem(identifier, question, { declarations, body, processing }) {
+    const title = (question.questionText || identifier).replace(/\s+/g, ' ').trim();
+    const feedback = this.buildFeedback(question);
+
+    return el(
+      'assessmentItem',
+      {
+        xmlns: QTI_NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        'xsi:schemaLocation': `${QTI_NAMESPACE} ${QTI_SCHEMA}`,
+        identifier,
+        title: title.length > 80 ? `${title.slice(0, 77)}...` : title,
+        adaptive: 'false',
+        timeDependent: 'false',
+      },
+      [
+        ...declarations,
+        this.outcomeDeclaration('SCORE', 0),
+        // Points of the question; the score above runs from 0 to 1
+        this.outcomeDeclaration('MAXSCORE', question.points ?? 1),
+        feedback.length > 0 &&
+          el('outcomeDeclaration', {
+            identifier: 'FEEDBACK',
+            cardinality: 'single',
+            baseType: 'identifier',
+          }),
+        el('itemBody', {}, body),
+        processing,
+        ...feedback,
+      ]
+    );
+  }
+
+  buildTest(activity, items) {
+    const instructions = [activity.description, activity.instructions]
+      .filter(Boolean)
+      .flatMap((text) => text.split('\n'))
+      .filter((line) => line.trim())
+      .map((line) => el('p', {}, [line.trim()]));
+
+    return el(
+      'assessmentTest',
+      {
+        xmlns: QTI_NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        'xsi:schemaLocation': `${QTI_NAMESPACE} ${QTI_SCHEMA}`,
+        identifier: 'TEST',
+        title: activity.title,
+      },
+      [
+        el(
+          'testPart',
+          { identifier: 'PART_1', navigationMode: 'linear', submissionMode: 'simultaneous' },
+          [
+            activity.timeLimit && el('timeLimits', { maxTime: String(activity.timeLimit * 60) }),
+            el(
+              'assessmentSection',
+              { identifier: 'SECTION_1', title: activity.title, visible: 'true' },
+              [
+                instructions.length > 0 && el('rubricBlock', { view: 'candidate' }, instructions),
+                ...items.map((item) =>
+                  el('assessmentItemRef', { identifier: item.identifier, href: item.href })
+                ),
+              ]
+            ),
+          ]
+        ),
+      ]
+    );
+  }
+
+  buildManifest(activity, items) {
+    return el(
+      'manifest',
+      {
+        xmlns: CP_NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        'xsi:schemaLocation': `${CP_NAMESPACE} ${CP_SCHEMA}`,
+        identifier: `MANIFEST_${activity.activityId || activity._id}`,
+      },
+      [
+        el('metadata', {}, [
+          el('schema', {}, ['QTIv2.1 Package']),
+          el('schemaversion', {}, ['1.0.0']),
+        ]),
+        el('organizations'),
+        el('resources', {}, [
+          el('resource', { identifier: 'RES_TEST', type: 'imsqti_test_xmlv2p1', href: TEST_FILE }, [
+            el('file', { href: TEST_FILE }),
+            ...items.map((item) => el('dependency', { identifierref: `RES_${item.identifier}` })),
+          ]),
+          ...items.map((item) =>
+            el(
+              'resource',
+              {
+                identifier: `RES_${item.identifier}`,
+                type: 'imsqti_item_xmlv2p1',
+                href: item.href,
+              },
+              [el('file', { href: item.href })]
+            )
+          ),
+        ]),
+      ]
+    );
+  }
+
+  /**
+   * Read a QTI 2.x package into the fields of a new quiz activity
+   * @param {Buffer} buffer - Zip package
+   * @param {Object} options - { fileName } used for the title when the package has no test
+   * @returns {Object} { activity: { title, description, activityType, questions, timeLimit? }, report }
+   *   report: { total, imported, skipped: [{ item, title, reason, interactions }],
+   *             unsupportedInteractions: { name: count } }
+   */
+  importPackage(buffer, { fileName = 'QTI package' } = {}) {
+    const files = readZip(buffer, PACKAGE_LIMITS);
+    const structure = this.readStructure(files, fileName);
+    const questions = [];
+    const skipped = [];
+
+    structure.items.forEach(({ href, weight }) => {
+      const skip = (reason, extra = {}) =>
+        skipped.push({
+          item: href,
+          title: extra.title || null,
+          reason,
+          interactions: extra.interactions || [],
+        });
+
+      const file = files.get(href);
+      if (!file) return skip('File listed in the package is missing');
+
+      let item;
+      try {
+        item = parseXml(file);
+      } catch (error) {
+        return skip(`Not valid XML: ${error.message}`);
+      }
+
+      if (localName(item) !== 'assessmentItem') return skip('Not a QTI assessment item');
+
+      const title = item.attributes.title || item.attributes.identifier || null;
+      const result = this.importItem(item);
+      if (result.reason) return skip(result.reason, { title, interactions: result.interactions });
+
+      const question = {
+        ...result.question,
+        ...this.itemFeedback(item),
+        points: this.itemPoints(item) ?? weight ?? 1,
+      };
+
+      const errors = validateQuestion(question);
+      if (errors.length > 0) {
+        return skip(errors.map((error) => error.message).join('; '), { title });
+      }
+
+      questions.push(question);
+    });
+
+    const unsupportedInteractions = {};
+    skipped.forEach(({ interactions }) =>
+      interactions.forEach((name) => {
+        unsupportedInteractions[name] = (unsupportedInteractions[name] || 0) + 1;
+      })
+    );
+
+    logger.info(
+      `QTI import of ${fileName}: ${questions.length} of ${structure.items.length} items imported`
+    );
+
+    return {
+      activity: {
+        // Activity titles need at least 3 characters
+        title: structure.title.trim().length >= 3 ? structure.title.trim() : 'Imported QTI quiz',
+        description: structure.description || `Imported from ${fileName}`,
+        activityType: 'quiz',
+        questions,
+        ...(structure.timeLimit && { timeLimit: structure.timeLimit }),
+      },
+      report: {
+        total: structure.items.length,
+        imported: questions.length,
+        skipped,
+        unsupportedInteractions,
+      },
+    };
+  }
+
+  /**
+   * Title, instructions, time limit and item files of a package, in test order
+   * Uses the assessmentTest when the manifest has one, else the manifest's item resources,
+   * else every XML file in the package.
+   */
+  readStructure(files, fileName) {
+    const fallbackTitle = path.basename(fileName, path.extname(fileName)).slice(0, 200);
+    const resolve = (base, href) => {
+      try {
+        return path.posix.normalize(
+          path.posix.join(path.posix.dirname(base), decodeURIComponent(href))
+        );
+      } catch {
+        return path.posix.normalize(path.posix.join(path.posix.dirname(base), href));
+      }
+    };
+
+    const manifestFile = files.get(MANIFEST_FILE);
+    const resources = manifestFile ? findElements(parseXml(manifestFile), 'resource') : [];
+    const ofType = (kind) =>
+      resources.filter((resource) =>
+        (resource.attributes.type || '').startsWith(`imsqti_${kind}_xmlv2p`)
+      );
+
+    const testResource = ofType('test')[0];
+    if (testResource) {
+      const testHref = resolve(MANIFEST_FILE, testResource.attributes.href);
+      const testFile = files.get(testHref);
+      if (!testFile) {
+        throw new Error(`Assessment test ${testHref} listed in the manifest is missing`);
+      }
+
+      const test = parseXml(testFile);
+      const maxTime = parseFloat(findElements(test, 'timeLimits')[0]?.attributes.maxTime);
+      const description = findElements(test, 'rubricBlock')
+        .map((block) => plainText(block))
+        .filter(Boolean)
+        .join('\n');
+
+      return {
+        title: (test.attributes.title || fallbackTitle).slice(0, 200),
+        description: description.slice(0, 2000),
+        timeLimit: maxTime > 0 ? Math.max(1, Math.round(maxTime / 60)) : null,
+        items: findElements(test, 'assessmentItemRef').map((ref) => ({
+          href: resolve(testHref, ref.attributes.href),
+          weight: parseFloat(childElement(ref, 'weight')?.attributes.value) || null,
+        })),
+      };
+    }
+
+    const itemResources = ofType('item');
+    if (itemResources.length > 0) {
+      return {
+        title: fallbackTitle,
+        items: itemResources.map((resource) => ({
+          href: resolve(MANIFEST_FILE, resource.attributes.href),
+          weight: null,
+        })),
+      };
+    }
+
+    return {
+      title: fallbackTitle,
+      items: [...files.keys()]
+        .filter((name) => name.toLowerCase().endsWith('.xml') && name !== MANIFEST_FILE)
+        .sort()
+        .map((href) => ({ href, weight: null })),
+    };
+  }
+
+  /**
+   * Points of an item from its MAXSCORE outcome
+   */
+  itemPoints(item) {
+    const outcome = childElements(item, 'outcomeDeclaration').find(
+      (declaration) => declaration.attributes.identifier === 'MAXSCORE'
+    );
+    if (!outcome) return null;
+
+    const points = parseFloat(values(childElement(outcome, 'defaultValue'))[0]);
+    return points > 0 ? points : null;
+  }
+
+  /**
+   * Explanation and reference of an item from its modal feedback
+   * Feedback identified as REFERENCE (as exported) is the reference; any other is explanation
+   */
+  itemFeedback(item) {
+    const feedback = childElements(item, 'modalFeedback');
+    const textOf = (blocks) =>
+      blocks
+        .map((block) => plainText(block))
+        .filter(Boolean)
+        .join('\n');
+
+    const explanation = textOf(
+      feedback.filter((block) => block.attributes.identifier !== 'REFERENCE')
+    );
+    const reference = textOf(
+      feedback.filter((block) => block.attributes.identifier === 'REFERENCE')
+    );
+
+    return {
+      ...(explanation && { explanation: explanation.slice(0, 2000) }),
+      ...(reference && { reference: reference.slice(0, 500) }),
+    };
+  }
+
+  /**
+   * Quiz question fields of an assessment item
+   * @returns {Object} { question } or { reason, interactions } when it cannot be imported
+   */
+  importItem(item) {
+    const body = childElement(item, 'itemBody');
+    if (!body) return { reason: 'Item has no body' };
+
+    const interactions = this.interactionsOf(body);
+    const names = [...new Set(interactions.map(localName))];
+    const unsupported = names.filter((name) => !SUPPORTED_INTERACTIONS.includes(name));
+
+    if (names.length === 0) return { reason: 'Item has no interaction' };
+    if (unsupported.length > 0) {
+      return {
+        reason: `Unsupported interaction type: ${unsupported.join(', ')}`,
+        interactions: unsupported,
+      };
+    }
+    if (names.length > 1 || (interactions.length > 1 && names[0] !== 'textEntryInteraction')) {
+      return {
+        reason: `Items combining several interactions are not supported (${names.join(', ')})`,
+      };
+    }
+
+    const declarations = new Map(
+      childElements(item, 'responseDeclaration').map((declaration) => [
+        declaration.attributes.identifier,
+        declaration,
+      ])
+    );
+    const declarationOf = (interaction) =>
+      declarations.get(interaction.attributes.responseIdentifier) || null;
+    const [interaction] = interactions;
+    const prompt = childElement(interaction, 'prompt');
+    const questionText = [plainText(body), prompt ? plainText(prompt) : '']
+      .filter(Boolean)
+      .join('\n');
+
+    switch (names[0]) {
+      case 'choiceInteraction':
+        return this.importChoice(interaction, declarationOf(interaction), questionText);
+      case 'matchInteraction':
+        return this.importMatch(interaction, declarationOf(interaction), questionText);
+      case 'orderInteraction':
+        return this.importOrder(interaction, declarationOf(interaction), questionText);
+      default:
+        return this.importTextEntry(item, body, interactions, declarationOf, questionText);
+    }
+  }
+
+  interactionsOf(body) {
+    return childElements(body).flatMap((child) =>
+      isInteraction(child) ? [child] : this.interactionsOf(child)
+    );
+  }
+
+  /**
+   * Correct values of a response, from its correct response or else its best mapped keys
+   */
+  correctValues(declaration) {
+    const correct = correctResponse(declaration);
+    return correct.length > 0 ? correct : this.mappedKeys(declaration).map((entry) => entry.key);
+  }
+
+  /**
+   * Mapping entries that earn credit, best first
+   */
+  mappedKeys(declaration) {
+    const mapping = declaration && childElement(declaration, 'mapping');
+    if (!mapping) return [];
+
+    return childElements(mapping, 'mapEntry')
+      .map((entry) => ({
+        key: entry.attributes.mapKey,
+        value: parseFloat(entry.attributes.mappedValue),
+        caseSensitive: entry.attributes.caseSensitive,
+      }))
+      .filter((entry) => entry.key && entry.value > 0)
+      .sort((a, b) => b.value - a.value);
+  }
+
+  choicesOf(element, name) {
+    return childElements(element, name).map((choice) => ({
+      id: choice.attributes.identifier,
+      text: plainText(choice),
+    }));
+  }
+
+  importChoice(interaction, declaration, questionText) {
+    const choices = this.choicesOf(interaction, 'simpleChoice');
+    if (choices.some((choice) => !choice.text)) {
+      return { reason: 'Choices without text (e.g. images) are not supported' };
+    }
+
+    const byId = new Map(choices.map((choice) => [choice.id, choice.text]));
+    const correct = this.correctValues(declaration)
+      .map((id) => byId.get(id))
+      .filter(Boolean);
+    if (correct.length === 0) return { reason: 'No correct response is declared' };
+
+    const options = choices.map((choice) => choice.text);
+    const single =
+      (interaction.attributes.maxChoices ?? '1') === '1' &&
+      (declaration?.attributes.cardinality || 'single') === 'single';
+
+    if (!single) {
+      return {
+        question: {
+          questionText,
+          questionType: QUESTION_TYPES.MULTI_SELECT,
+          options,
+          correctAnswers: correct,
+        },
+      };
+    }
+
+    const trueFalse =
+      options.length === 2 &&
+      options
+        .map((option) => option.toLowerCase())
+        .sort()
+        .join() === 'false,true';
+
+    if (trueFalse) {
+      return {
+        question: {
+          questionText,
+          questionType: QUESTION_TYPES.TRUE_FALSE,
+          correctAnswer: correct[0].toLowerCase() === 'true' ? 'True' : 'False',
+        },
+      };
+    }
+
+    return {
+      question: {
+        questionText,
+        questionType: QUESTION_TYPES.MULTIPLE_CHOICE,
+        options,
+        correctAnswer: correct[0],
+      },
+    };
+  }
+
+  importMatch(interaction, declaration, questionText) {
+    const sets = childElements(interaction, 'simpleMatchSet');
+    if (sets.length !== 2) return { reason: 'Match interactions need exactly two sets' };
+
+    const [left, right] = sets.map(
+      (set) =>
+        new Map(
+          this.choicesOf(set, 'simpleAssociableChoice').map((choice) => [choice.id, choice.text])
+        )
+    );
+
+    const pairs = this.correctValues(declaration)
+      .map((value) => value.split(/\s+/))
+      .map(([source, target]) =>
+        left.has(source) && right.has(target)
+          ? { left: left.get(source), right: right.get(target) }
+          : left.has(target) && right.has(source)
+            ? { left: left.get(target), right: right.get(source) }
+            : null
+      )
+      .filter(Boolean);
+
+    if (pairs.length === 0) return { reason: 'No correct response is declared' };
+
+    return { question: { questionText, questionType: QUESTION_TYPES.MATCHING, pairs } };
+  }
+
+  importOrder(interaction, declaration, questionText) {
+    const choices = this.choicesOf(interaction, 'simpleChoice');
+    const byId = new Map(choices.map((choice) => [choice.id, choice.text]));
+    const sequence = this.correctValues(declaration)
+      .map((id) => byId.get(id))
+      .filter(Boolean);
+
+    if (sequence.length === 0) return { reason: 'No correct response is declared' };
+    if (sequence.length !== choices.length) {
+      return { reason: 'The correct order does not include every item' };
+    }
+
+    return { question: { questionText, questionType: QUESTION_TYPES.ORDERING, sequence } };
+  }
+
+  /**
+   * Text entries: numeric or short answer when alone on a line, otherwise cloze blanks
+   */
+  importTextEntry(item, body, interactions, declarationOf, questionText) {
+    const [interaction] = interactions;
+    const declaration = declarationOf(interaction);
+    const parent = findParent(body, interaction);
+    const alone =
+      interactions.length === 1 &&
+      parent &&
+      parent.children.every(
+        (child) => child === interaction || (typeof child === 'string' && !child.trim())
+      );
+
+    const answersOf = (entryDeclaration) =>
+      uniqueTexts([
+        ...correctResponse(entryDeclaration),
+        ...this.mappedKeys(entryDeclaration).map((entry) => entry.key),
+      ]);
+    const caseSensitive = interactions.some((entry) => {
+      const entries = this.mappedKeys(declarationOf(entry));
+      // Without a mapping QTI compares strings exactly
+      return entries.length === 0 || entries.some((mapped) => mapped.caseSensitive !== 'false');
+    });
+
+    if (alone && ['float', 'integer'].includes(declaration?.attributes.baseType)) {
+      const value = parseFloat(this.correctValues(declaration)[0]);
+      if (!Number.isFinite(value)) return { reason: 'No correct response is declared' };
+
+      const processing = childElement(item, 'responseProcessing');
+      const equal = processing && findElements(processing, 'equal')[0];
+      const tolerance = parseFloat((equal?.attributes.tolerance || '').split(/\s+/)[0]) || 0;
+      const mode = equal?.attributes.toleranceMode;
+
+      return {
+        question: {
+          questionText,
+          questionType: QUESTION_TYPES.NUMERIC,
+          numericAnswer: {
+            value,
+            tolerance: ['absolute', 'relative'].includes(mode) ? tolerance : 0,
+            toleranceType: mode === 'relative' ? 'percent' : 'absolute',
+          },
+        },
+      };
+    }
+
+    if (alone) {
+      const [correctAnswer, ...acceptedAnswers] = answersOf(declaration);
+      if (!correctAnswer) return { reason: 'No correct response is declared' };
+
+      return {
+        question: {
+          questionText,
+          questionType: QUESTION_TYPES.SHORT_ANSWER,
+          correctAnswer,
+          ...(acceptedAnswers.length > 0 && { acceptedAnswers }),
+          caseSensitive,
+        },
+      };
+    }
+
+    const blanks = interactions.map((entry) => answersOf(declarationOf(entry)).join('|'));
+    if (blanks.some((answers) => !answers)) return { reason: 'A blank has no correct response' };
+
+    return {
+      question: {
+        questionText: plainText(body, { blanks: true }),
+        questionType: QUESTION_TYPES.CLOZE,
+        blanks,
+        caseSensitive,
+      },
+    };
+  }
+}
+
+export default new QtiService();
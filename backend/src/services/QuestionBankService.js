@@ -0,0 +1,106 @@
+import QuestionBankRepository from '../repositories/QuestionBankRepository.js';
+import { logger } from '../utils/logger.js';
+
+// Fields copied from a bank item into a quiz question
+const SNAPSHOT_FIELDS = [
+  'questionText',
+  'questionType',
+  'options',
+  'correctAnswer',
+  'acceptedAnswers',
+  'answerPatterns',
+  'caseSensitive',
+  'accentSensitive',
+  'correctAnswers',
+  'numericAnswer',
+  'blanks',
+  'pairs',
+  'sequence',
+  'tags',
+  'difficulty',
+  'points',
+  'explanation',
+  'reference',
+];
+
+/**
+ * Question Bank Service
+ * Quizzes reference bank items by ID when they are authored, and each reference is replaced
+ * by a copy of the item when the quiz is saved. Grading, delivery and analysis only ever
+ * read the copy, so editing a bank item later changes no published quiz or past grade; the
+ * copy records the item and version it came from.
+ */
+class QuestionBankService {
+  /**
+   * Whether a quiz question is a bank reference still to be copied in
+   */
+  isReference(question) {
+    return !!question?.bankItemId && !question.questionText;
+  }
+
+  /**
+   * A quiz question copied from a bank item; a reference may override the item's points
+   */
+  snapshot(item, { points } = {}) {
+    const source = item.toObject ? item.toObject() : item;
+    const question = {};
+
+    SNAPSHOT_FIELDS.forEach((field) => {
+      if (source[field] !== undefined) {
+        question[field] = source[field];
+      }
+    });
+
+    if (points !== undefined && points !== null) {
+      question.points = points;
+    }
+
+    question.bankItem = { item: source._id, version: source.version, snapshotAt: new Date() };
+
+    return question;
+  }
+
+  /**
+   * Replace the bank references among a quiz's questions with copies of the items
+   * Other questions, including earlier copies, are left as they are.
+   * @param {Array} questions - Quiz questions; references are { bankItemId, points? }
+   * @param {ObjectId} teacherId - Only the teacher's own and shared items can be used (null: any)
+   * @returns {Object} { questions, missing } - missing lists references to unusable items
+   */
+  async snapshotQuestions(questions, teacherId = null) {
+    const references = questions.filter((question) => this.isReference(question));
+
+    if (references.length === 0) {
+      return { questions, missing: [] };
+    }
+
+    const items = await QuestionBankRepository.findUsable(
+      references.map((question) => question.bankItemId),
+      teacherId
+    );
+    const byId = new Map(items.map((item) => [String(item._id), item]));
+    const missing = [];
+
+    const resolved = questions.map((question) => {
+      if (!this.isReference(question)) {
+        return question;
+      }
+
+      const item = byId.get(String(question.bankItemId));
+      if (!item) {
+        missing.push(question.bankItemId);
+        return question;
+      }
+
+      return this.snapshot(item, question);
+    });
+
+    if (missing.length === 0) {
+      logger.info(`Copied ${references.length} question bank items into a quiz`);
+    }
+
+    return { questions: resolved, missing };
+  }
+}
+
+export default new QuestionBankService();
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { QUESTION_TYPES } from '../config/constants.js';
+import { seededShuffle } from '../utils/helpers.js';
+
+/**
+ * Quiz Delivery Service
+ * Decides which questions each student sees and in what order. Everything is derived from a
+ * per-student seed stored on the submission, so the exact quiz a student saw can be rebuilt
+ * for grading and review. Students only ever receive questions without their answer keys.
+ */
+class QuizDeliveryService {
+  /**
+   * Seed for a student's copy of a quiz
+   * Stable per activity and student, so reopening the quiz shows the same questions
+   */
+  createSeed(activityId, studentId) {
+    return crypto
+      .createHash('sha256')
+      .update(`${activityId}:${studentId}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Questions drawn for a seed, in the order the student sees them
+   */
+  drawQuestions(activity, seed) {
+    const pool = activity.questions;
+    const settings = activity.questionPool || {};
+    const drawCount = settings.drawCount;
+
+    let drawn = pool;
+    if (drawCount && drawCount < pool.length) {
+      drawn =
+        settings.stratifyBy && settings.stratifyBy !== 'none'
+          ? this.drawStratified(activity, drawCount, seed)
+          : seededShuffle(pool, `${seed}:draw`).slice(0, drawCount);
+    }
+
+    if (settings.shuffleQuestions === false) {
+      // Keep authoring order
+      return pool.filter((question) => drawn.includes(question));
+    }
+
+    return seededShuffle(drawn, `${seed}:order`);
+  }
+
+  /**
+   * Draw so that each stratum (tag or difficulty) keeps its share of the pool
+   * Seats are shared out by largest remainder; ties go to the larger stratum
+   */
+  drawStratified(activity, drawCount, seed) {
+    const { stratifyBy } = activity.questionPool;
+    const strata = new Map();
+
+    activity.questions.forEach((question) => {
+      const key =
+        stratifyBy === 'tag'
+          ? question.tags?.[0] || 'untagged'
+          : question.difficulty || activity.difficulty || 'unrated';
+      if (!strata.has(key)) strata.set(key, []);
+      strata.get(key).push(question);
+    });
+
+    const total = activity.questions.length;
+    const allocations = [...strata.entries()].map(([key, questions]) => {
+      const exact = (questions.length / total) * drawCount;
+      return { key, questions, seats: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let remaining = drawCount - allocations.reduce((sum, stratum) => sum + stratum.seats, 0);
+    [...allocations]
+      .sort(
+        (a, b) =>
+          b.remainder - a.remainder ||
+          b.questions.length - a.questions.length ||
+          a.key.localeCompare(b.key)
+      )
+      .forEach((stratum) => {
+        if (remaining > 0 && stratum.seats < stratum.questions.length) {
+          stratum.seats++;
+          remaining--;
+        }
+      });
+
+    return allocations.flatMap(({ key, questions, seats }) =>
+      seededShuffle(questions, `${seed}:draw:${key}`).slice(0, seats)
+    );
+  }
+
+  /**
+   * Questions a submission was given, in the order shown
+   * Answers are stored in presentation order with their question IDs, so this holds even
+   * after the pool is edited. Questions deleted since are dropped. Submissions made before
+   * question IDs were recorded were given every question.
+   */
+  deliveredQuestions(activity, submission) {
+    const answers = submission.content?.answers || [];
+
+    if (!answers.length || !answers.every((answer) => answer.questionId)) {
+      return activity.questions;
+    }
+
+    return answers.map((answer) => activity.questions.id(answer.questionId)).filter(Boolean);
+  }
+
+  /**
+   * Student-facing copy of the questions: answer keys removed, options and items shuffled
+   * Option order is seeded per question, so it does not change when the draw does
+   */
+  present(questions, { seed, shuffleOptions = true }) {
+    return questions.map((question) => {
+      const questionSeed = `${seed}:options:${question._id}`;
+      const view = {
+        _id: question._id,
+        questionText: question.questionText,
+        questionType: question.questionType,
+        points: question.points,
+      };
+
+      switch (question.questionType) {
+        case QUESTION_TYPES.MULTIPLE_CHOICE:
+        case QUESTION_TYPES.MULTI_SELECT:
+          view.options = shuffleOptions
+            ? seededShuffle(question.options, questionSeed)
+            : [...question.options];
+          break;
+        case QUESTION_TYPES.TRUE_FALSE:
+          view.options = question.options?.length ? [...question.options] : ['True', 'False'];
+          break;
+        case QUESTION_TYPES.NUMERIC:
+          view.unit = question.numericAnswer?.unit || null;
+          break;
+        case QUESTION_TYPES.CLOZE:
+          view.blankCount = question.blanks.length;
+          break;
+        case QUESTION_TYPES.MATCHING:
+          view.pairs = question.pairs.map((pair) => ({ left: pair.left }));
+          view.choices = seededShuffle(
+            question.pairs.map((pair) => pair.right),
+            questionSeed
+          );
+          break;
+        case QUESTION_TYPES.ORDERING:
+          view.items = seededShuffle(question.sequence, questionSeed);
+          break;
+      }
+
+      return view;
+    });
+  }
+
+  /**
+   * A student's quiz: the drawn questions as they will see them
+   */
+  buildQuiz(activity, seed) {
+    return this.present(this.drawQuestions(activity, seed), {
+      seed,
+      shuffleOptions: activity.questionPool?.shuffleOptions !== false,
+    });
+  }
+
+  /**
+   * Rebuild the quiz exactly as a submission's student saw it
+   */
+  reconstruct(activity, submission) {
+    const seed = submission.content?.seed;
+
+    // Submissions from before per-student seeds saw the options in authoring order
+    return this.present(this.deliveredQuestions(activity, submission), {
+      seed: seed || '',
+      shuffleOptions: !!seed && activity.questionPool?.shuffleOptions !== false,
+    });
+  }
+}
+
+export default new QuizDeliveryService();
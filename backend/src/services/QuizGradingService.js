@@ -0,0 +1,483 @@
+import {
+  DEFAULT_SCORING_POLICY,
+  MULTI_PART_QUESTION_TYPES,
+  QUESTION_TYPES,
+} from '../config/constants.js';
+import { testPattern } from '../utils/patterns.js';
+
+/**
+ * Normalise text for comparison: trim and collapse whitespace, then fold case and strip
+ * accents unless the question asks for them to count
+ */
+const normalize = (value, { caseSensitive = false, accentSensitive = false } = {}) => {
+  let text = String(value ?? '')
+    .trim()
+    .replace(/\s+/g, ' ');
+
+  if (!caseSensitive) text = text.toLowerCase();
+  if (!accentSensitive) text = text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+
+  return text;
+};
+
+// Longest answer patterns are tried on, and how long one pattern may run on it: patterns
+// come from teachers and answers from students, and both the API and the worker grade
+const MAX_PATTERN_ANSWER_LENGTH = 200;
+const PATTERN_TIMEOUT_MS = 50;
+
+// Cloze blanks list accepted variants separated by "|" ("colour|color")
+const VARIANT_SEPARATOR = '|';
+
+// A number with an optional unit after it; grouped digits are tried first, and a number
+// never ends in the middle of a run of digits
+const COMMA_THOUSANDS = /^[1-9]\d{0,2}(?:,\d{3})+(?:\.\d+)?$/;
+const POINT_THOUSANDS = /^[1-9]\d{0,2}(?:\.\d{3})+,\d+$/;
+const NUMBER_PATTERN =
+  /^([-+]?)([1-9]\d{0,2}(?:,\d{3})+(?:\.\d+)?|[1-9]\d{0,2}(?:\.\d{3})+,\d+|\d+(?:[.,]\d+)?|[.,]\d+)(?!\d)(e[-+]?\d+)?\s*(.*)$/i;
+
+const normalizeUnit = (unit) =>
+  String(unit ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, '');
+
+const asList = (answer) => (Array.isArray(answer) ? answer : []);
+
+const isBlank = (answer) =>
+  answer === null ||
+  answer === undefined ||
+  (typeof answer === 'string' && !answer.trim()) ||
+  (Array.isArray(answer) && answer.every((item) => !String(item ?? '').trim()));
+
+/**
+ * Quiz Grading Service
+ * Scores a single answer against its question for every question type. Shared by the
+ * rule-based scorer and mistake detection so both agree on what is correct.
+ *
+ * Answer shapes (submission.content.answers[].answer):
+ *   multiple-choice, true-false, short-answer, numeric: String (numeric may be "12.5 cm")
+ *   multi-select: [String] of ticked options
+ *   cloze: [String], one per blank
+ *   matching: [String], the right item chosen for each pair, in pair order
+ *   ordering: [String], items in the order the student put them
+ *
+ * Text comparisons ignore case and accents unless the question sets caseSensitive or
+ * accentSensitive. Short answers also accept any of acceptedAnswers or answerPatterns
+ * (regular expressions that must match the whole answer).
+ *
+ * Each activity can set a scoring policy (DEFAULT_SCORING_POLICY lists the settings):
+ * negative marking for wrong choices, all-or-nothing credit for multi-part questions and
+ * the similarity thresholds for short answers.
+ */
+class QuizGradingService {
+  /**
+   * A scoring policy with every setting filled in
+   * Accepts a plain object or a Mongoose subdocument; missing settings take the defaults
+   */
+  resolvePolicy(policy) {
+    const plain = typeof policy?.toObject === 'function' ? policy.toObject() : policy || {};
+    const defined = (object) =>
+      Object.fromEntries(
+        Object.entries(object || {}).filter(([, value]) => value !== undefined && value !== null)
+      );
+
+    return {
+      ...DEFAULT_SCORING_POLICY,
+      ...defined(plain),
+      shortAnswerThresholds: {
+        ...DEFAULT_SCORING_POLICY.shortAnswerThresholds,
+        ...defined(plain.shortAnswerThresholds),
+      },
+    };
+  }
+
+  /**
+   * Grade one answer under a scoring policy
+   * @returns {Object} { score: 0-1, penalty, detail } - penalty is the share of the question's
+   *   points deducted under negative marking; detail describes partial credit, if any
+   */
+  gradeAnswer(question, answer, policy = DEFAULT_SCORING_POLICY) {
+    const rules = this.resolvePolicy(policy);
+    const result = this.gradeCredit(question, answer, rules);
+
+    if (
+      rules.multiPartCredit === 'all-or-nothing' &&
+      MULTI_PART_QUESTION_TYPES.includes(question.questionType) &&
+      result.score > 0 &&
+      result.score < 1
+    ) {
+      return { score: 0, detail: `${result.detail}; all parts must be right` };
+    }
+
+    const negativelyMarked =
+      question.questionType === QUESTION_TYPES.MULTIPLE_CHOICE ||
+      question.questionType === QUESTION_TYPES.TRUE_FALSE;
+    if (
+      negativelyMarked &&
+      rules.negativeMarking > 0 &&
+      result.score === 0 &&
+      (rules.penalizeBlank || !isBlank(answer))
+    ) {
+      return {
+        score: 0,
+        penalty: rules.negativeMarking,
+        detail: `${result.detail || 'Wrong answer'}; ${Math.round(
+          rules.negativeMarking * 100
+        )}% of the points deducted`,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Credit for an answer before negative marking and all-or-nothing rules
+   */
+  gradeCredit(question, answer, rules) {
+    if (isBlank(answer)) {
+      return { score: 0, detail: 'No answer given' };
+    }
+
+    switch (question.questionType) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+      case QUESTION_TYPES.TRUE_FALSE:
+        return { score: this.sameText(question, answer, question.correctAnswer) ? 1 : 0 };
+      case QUESTION_TYPES.SHORT_ANSWER:
+        return this.gradeShortAnswer(question, answer, rules.shortAnswerThresholds);
+      case QUESTION_TYPES.MULTI_SELECT:
+        return this.gradeMultiSelect(question, answer);
+      case QUESTION_TYPES.NUMERIC:
+        return this.gradeNumeric(question, answer);
+      case QUESTION_TYPES.CLOZE:
+        return this.gradeCloze(question, answer);
+      case QUESTION_TYPES.MATCHING:
+        return this.gradeMatching(question, answer);
+      case QUESTION_TYPES.ORDERING:
+        return this.gradeOrdering(question, answer);
+      default:
+        return { score: 0 };
+    }
+  }
+
+  /**
+   * Pair each question with the student's answer to it, in question order
+   * Answers are matched by questionId, so reordering or editing the activity after
+   * submission never grades an answer against the wrong question. Answers stored without
+   * a questionId fall back to their questionIndex. Questions without an answer get null.
+   * @returns {Array} [{ question, answer, index }]
+   */
+  matchAnswers(questions, answers = []) {
+    const byId = new Map();
+    const byIndex = new Map();
+
+    answers.forEach((studentAnswer, position) => {
+      if (studentAnswer?.questionId) {
+        byId.set(String(studentAnswer.questionId), studentAnswer.answer);
+      } else {
+        byIndex.set(studentAnswer?.questionIndex ?? position, studentAnswer?.answer);
+      }
+    });
+
+    return questions.map((question, index) => {
+      const id = String(question._id);
+      let answer = null;
+      if (byId.has(id)) answer = byId.get(id);
+      else if (byIndex.has(index)) answer = byIndex.get(index);
+
+      return { question, answer, index };
+    });
+  }
+
+  /**
+   * Text comparison options for a question
+   */
+  textOptions(question) {
+    return {
+      caseSensitive: !!question.caseSensitive,
+      accentSensitive: !!question.accentSensitive,
+    };
+  }
+
+  sameText(question, a, b) {
+    const options = this.textOptions(question);
+    return normalize(a, options) === normalize(b, options);
+  }
+
+  /**
+   * Whether the answer matches one of the question's regex patterns (whole answer)
+   * Patterns run sandboxed with a time limit, on answers of up to MAX_PATTERN_ANSWER_LENGTH
+   * characters. Invalid or too slow patterns are skipped; invalid ones are rejected when the
+   * activity is saved.
+   */
+  matchesPattern(question, answer) {
+    const { caseSensitive, accentSensitive } = this.textOptions(question);
+    const text = normalize(answer, { caseSensitive: true, accentSensitive });
+
+    if (text.length > MAX_PATTERN_ANSWER_LENGTH) return false;
+
+    return (question.answerPatterns || []).some((pattern) => {
+      try {
+        return testPattern(`^(?:${pattern})$`, caseSensitive ? 'u' : 'iu', text, {
+          timeout: PATTERN_TIMEOUT_MS,
+        });
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Short answer: any accepted variant or pattern earns full credit; otherwise fuzzy
+   * match against the closest variant, tolerating small typos
+   */
+  gradeShortAnswer(question, answer, thresholds = DEFAULT_SCORING_POLICY.shortAnswerThresholds) {
+    const variants = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+
+    if (
+      variants.some((variant) => this.sameText(question, answer, variant)) ||
+      this.matchesPattern(question, answer)
+    ) {
+      return { score: 1 };
+    }
+
+    const options = this.textOptions(question);
+    const similarity = Math.max(
+      0,
+      ...variants.map((variant) =>
+        this.calculateStringSimilarity(normalize(answer, options), normalize(variant, options))
+      )
+    );
+
+    if (similarity >= thresholds.full) return { score: 1 }; // Full credit
+    if (similarity >= thresholds.close) {
+      return { score: 0.75, detail: 'Close to the expected answer' };
+    }
+    if (similarity >= thresholds.partial) {
+      return { score: 0.5, detail: 'Partly matches the expected answer' };
+    }
+    return { score: 0 };
+  }
+
+  /**
+   * Multi-select: each correct tick earns its share, each wrong tick cancels one
+   */
+  gradeMultiSelect(question, answer) {
+    const options = this.textOptions(question);
+    const correct = new Set((question.correctAnswers || []).map((o) => normalize(o, options)));
+    const ticked = new Set(
+      asList(answer)
+        .map((o) => normalize(o, options))
+        .filter(Boolean)
+    );
+
+    if (correct.size === 0) return { score: 0 };
+
+    const hits = [...ticked].filter((option) => correct.has(option)).length;
+    const wrong = ticked.size - hits;
+    const score = Math.max(0, (hits - wrong) / correct.size);
+
+    return {
+      score,
+      ...(score < 1 && {
+        detail: `${hits} of ${correct.size} correct options selected${
+          wrong ? `, ${wrong} incorrect` : ''
+        }`,
+      }),
+    };
+  }
+
+  /**
+   * Numeric: value within tolerance; half credit when the unit is missing
+   */
+  gradeNumeric(question, answer) {
+    const expected = question.numericAnswer || {};
+    const parsed = this.parseNumber(answer);
+
+    if (!parsed || !Number.isFinite(expected.value)) {
+      return { score: 0, detail: 'Not a number' };
+    }
+
+    const allowed =
+      expected.toleranceType === 'percent'
+        ? (Math.abs(expected.value) * (expected.tolerance || 0)) / 100
+        : expected.tolerance || 0;
+
+    // Small epsilon so 0.1 + 0.2 style rounding never fails an exact answer
+    if (Math.abs(parsed.value - expected.value) > allowed + 1e-9) {
+      return { score: 0 };
+    }
+
+    if (!expected.unit) {
+      return { score: 1 };
+    }
+
+    if (!parsed.unit) {
+      return { score: 0.5, detail: `Correct value but missing the unit (${expected.unit})` };
+    }
+
+    return normalizeUnit(parsed.unit) === normalizeUnit(expected.unit)
+      ? { score: 1 }
+      : { score: 0, detail: `Wrong unit (expected ${expected.unit})` };
+  }
+
+  /**
+   * Split "12.5 cm" into { value: 12.5, unit: 'cm' }
+   * Accepts a decimal comma ("12,5") as well as a decimal point, and groups of three digits
+   * as thousands: "1,000" and "1,000.5" with commas, "1.000,5" with points before a
+   * decimal comma. "1,234" is read as 1234, not 1.234.
+   */
+  parseNumber(answer) {
+    const match = String(answer).trim().match(NUMBER_PATTERN);
+
+    if (!match) return null;
+
+    const [, sign, digits, exponent = '', unit] = match;
+    let number = digits.replace(',', '.');
+    if (COMMA_THOUSANDS.test(digits)) number = digits.replace(/,/g, '');
+    else if (POINT_THOUSANDS.test(digits)) number = digits.replace(/\./g, '').replace(',', '.');
+
+    return { value: parseFloat(`${sign}${number}${exponent}`), unit: unit.trim() };
+  }
+
+  /**
+   * Cloze: share of blanks filled correctly
+   */
+  gradeCloze(question, answer) {
+    const blanks = question.blanks || [];
+    const filled = asList(answer);
+
+    if (blanks.length === 0) return { score: 0 };
+
+    const correct = blanks.filter((blank, i) =>
+      blank.split(VARIANT_SEPARATOR).some((variant) => this.sameText(question, filled[i], variant))
+    ).length;
+
+    return this.shareResult(correct, blanks.length, 'blanks');
+  }
+
+  /**
+   * Matching: share of pairs matched correctly
+   */
+  gradeMatching(question, answer) {
+    const pairs = question.pairs || [];
+    const chosen = asList(answer);
+
+    if (pairs.length === 0) return { score: 0 };
+
+    const correct = pairs.filter((pair, i) =>
+      this.sameText(question, chosen[i], pair.right)
+    ).length;
+
+    return this.shareResult(correct, pairs.length, 'pairs');
+  }
+
+  /**
+   * Ordering: longest run of items kept in the correct relative order, as a share of all
+   * items. Moving one item out of place costs one item, not every item after it.
+   */
+  gradeOrdering(question, answer) {
+    const options = this.textOptions(question);
+    const sequence = (question.sequence || []).map((item) => normalize(item, options));
+    const positions = asList(answer)
+      .map((item) => sequence.indexOf(normalize(item, options)))
+      .filter((position) => position !== -1);
+
+    if (sequence.length === 0) return { score: 0 };
+
+    // Longest increasing subsequence of the correct positions (patience sorting)
+    const tails = [];
+    positions.forEach((position) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (tails[mid] < position) low = mid + 1;
+        else high = mid;
+      }
+      tails[low] = position;
+    });
+
+    return this.shareResult(tails.length, sequence.length, 'items in the correct order');
+  }
+
+  shareResult(correct, total, label) {
+    const score = correct / total;
+    return { score, ...(score < 1 && { detail: `${correct} of ${total} ${label}` }) };
+  }
+
+  /**
+   * Human-readable student answer, for mistake reports
+   */
+  formatAnswer(question, answer) {
+    if (isBlank(answer)) return '';
+    return Array.isArray(answer) ? answer.join(', ') : String(answer);
+  }
+
+  /**
+   * Human-readable correct answer, for mistake reports
+   */
+  formatCorrectAnswer(question) {
+    switch (question.questionType) {
+      case QUESTION_TYPES.MULTI_SELECT:
+        return (question.correctAnswers || []).join(', ');
+      case QUESTION_TYPES.NUMERIC: {
+        const { value, tolerance, toleranceType, unit } = question.numericAnswer || {};
+        const range = tolerance ? ` (±${tolerance}${toleranceType === 'percent' ? '%' : ''})` : '';
+        return `${value}${unit ? ` ${unit}` : ''}${range}`;
+      }
+      case QUESTION_TYPES.CLOZE:
+        return (question.blanks || []).map((blank) => blank.split(VARIANT_SEPARATOR)[0]).join(', ');
+      case QUESTION_TYPES.MATCHING:
+        return (question.pairs || []).map((pair) => `${pair.left} → ${pair.right}`).join('; ');
+      case QUESTION_TYPES.ORDERING:
+        return (question.sequence || []).join(' → ');
+      default:
+        return question.correctAnswer || '';
+    }
+  }
+
+  /**
+   * Calculate string similarity (simple implementation)
+   */
+  calculateStringSimilarity(str1, str2) {
+    const longer = str1.length > str2.length ? str1 : str2;
+    const shorter = str1.length > str2.length ? str2 : str1;
+
+    if (longer.length === 0) return 1.0;
+
+    const editDistance = this.levenshteinDistance(longer, shorter);
+    return (longer.length - editDistance) / longer.length;
+  }
+
+  /**
+   * Levenshtein distance algorithm
+   */
+  levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+      matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+      matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+      for (let j = 1; j <= str1.length; j++) {
+        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1,
+            matrix[i][j - 1] + 1,
+            matrix[i - 1][j] + 1
+          );
+        }
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+}
+
+export default new QuizGradingService();
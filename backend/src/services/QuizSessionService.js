@@ -0,0 +1,361 @@
+import Activity from '../models/Activity.js';
+import QuizSessionRepository from '../repositories/QuizSessionRepository.js';
+import SubmissionRepository from '../repositories/SubmissionRepository.js';
+import EvaluationQueueService from './EvaluationQueueService.js';
+import QuizDeliveryService from './QuizDeliveryService.js';
+import { QUIZ_MODES, QUIZ_SESSION_STATUS, SUBMISSION_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// How long a closed session may be without its submission before the sweep creates it;
+// long enough for the request that closed it to have finished
+const UNSUBMITTED_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Quiz Session Service
+ * Server-side clock for timed quizzes. Starting an attempt fixes a deadline from the
+ * activity's time limit and the student's accommodations; answers are saved to the session
+ * as the student works, and a session still open after its deadline plus the grace period
+ * is closed and its saved answers submitted, whether or not the student comes back.
+ * A session is closed before its submission is created, so it is submitted at most once.
+ */
+class QuizSessionService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Time accepted after the deadline, for network latency and clock drift
+   */
+  gracePeriodMs() {
+    const seconds = parseInt(process.env.QUIZ_GRACE_PERIOD_SECONDS);
+    return (Number.isNaN(seconds) ? 30 : Math.max(seconds, 0)) * 1000;
+  }
+
+  /**
+   * Attempts a student may make at a quiz, or null for no limit
+   * Timed and adaptive quizzes are taken once; untimed ones up to the activity's maxAttempts
+   */
+  attemptLimit(activity) {
+    if (activity.timeLimit || activity.quizMode === QUIZ_MODES.ADAPTIVE) {
+      return 1;
+    }
+    return activity.maxAttempts || null;
+  }
+
+  /**
+   * Seconds a student gets for an activity, with their extra-time plan applied
+   */
+  timeAllowed(activity, student) {
+    const timeMultiplier = student.accommodations?.timeMultiplier || 1;
+    const extraMinutes = student.accommodations?.extraMinutes || 0;
+
+    return {
+      seconds: Math.round((activity.timeLimit * timeMultiplier + extraMinutes) * 60),
+      accommodation: { timeMultiplier, extraMinutes },
+    };
+  }
+
+  /**
+   * Whether the deadline has passed (answers are still accepted during the grace period)
+   */
+  isOverdue(session, now = new Date()) {
+    return !!session.deadline && now > session.deadline;
+  }
+
+  /**
+   * Whether the deadline and the grace period have both passed
+   */
+  isExpired(session, now = new Date()) {
+    return !!session.deadline && now.getTime() > session.deadline.getTime() + this.gracePeriodMs();
+  }
+
+  /**
+   * Start a timed attempt
+   */
+  async startAttempt(activity, student) {
+    const { seconds, accommodation } = this.timeAllowed(activity, student);
+    const startedAt = new Date();
+
+    const session = await QuizSessionRepository.create({
+      activityId: activity._id,
+      studentId: student._id,
+      seed: QuizDeliveryService.createSeed(activity._id, student._id),
+      startedAt,
+      deadline: new Date(startedAt.getTime() + seconds * 1000),
+      timeAllowed: seconds,
+      accommodation,
+    });
+
+    logger.info(
+      `Quiz session ${session.sessionId} started for student ${student.studentId} (${seconds}s)`
+    );
+
+    return session;
+  }
+
+  /**
+   * Save answers to an open session
+   * Returns null if the session closed in the meantime
+   */
+  async saveAnswers(session, answersById) {
+    const answers = [...answersById].map(([questionId, answer]) => ({ questionId, answer }));
+    return await QuizSessionRepository.saveAnswers(session._id, answers);
+  }
+
+  /**
+   * Close a session with the student's answers
+   * Returns null if the session had already been closed (submitted or expired)
+   */
+  async submit(session, activity, answersById, metadata = {}) {
+    const answers = [...answersById].map(([questionId, answer]) => ({ questionId, answer }));
+    const closed = await QuizSessionRepository.close(
+      session._id,
+      QUIZ_SESSION_STATUS.SUBMITTED,
+      answers
+    );
+
+    if (!closed) {
+      return null;
+    }
+
+    return await this.submitSession(closed, activity, metadata);
+  }
+
+  /**
+   * Close an expired session and submit whatever answers it saved
+   * Returns null if the session had already been closed
+   */
+  async expire(session, activity = null) {
+    const closed = await QuizSessionRepository.close(session._id, QUIZ_SESSION_STATUS.EXPIRED);
+
+    if (!closed) {
+      return null;
+    }
+
+    const quizActivity = activity || (await Activity.findById(closed.activityId));
+    if (!quizActivity) {
+      logger.warn(`Quiz session ${closed.sessionId} expired but its activity no longer exists`);
+      await QuizSessionRepository.setSubmission(closed._id, null);
+      return null;
+    }
+
+    const submission = await this.submitSession(closed, quizActivity);
+
+    logger.info(
+      `Quiz session ${closed.sessionId} expired; ${closed.savedAnswers.length} saved answers auto-submitted`
+    );
+
+    return submission;
+  }
+
+  /**
+   * Create the submission of a closed session from the answers saved on it
+   * The session is closed first, so only one request ever gets here; if creating or queueing
+   * the submission fails, the sweep retries it (see recover).
+   */
+  async submitSession(closed, activity, metadata = {}) {
+    const expired = closed.status === QUIZ_SESSION_STATUS.EXPIRED;
+    const adaptive = closed.mode === QUIZ_MODES.ADAPTIVE;
+
+    const submission = await this.createSubmission(activity, {
+      studentId: closed.studentId,
+      seed: closed.seed,
+      answersById: new Map(
+        closed.savedAnswers.map((item) => [String(item.questionId), item.answer])
+      ),
+      timeTaken: expired ? closed.timeAllowed : this.timeTaken(closed),
+      session: closed,
+      autoSubmitted: expired,
+      // An adaptive student is marked on the questions they were given, the last one unanswered
+      questions: adaptive ? this.administeredQuestions(closed, activity) : null,
+      adaptive: adaptive
+        ? this.adaptiveSnapshot(closed, expired ? 'time-limit' : closed.adaptive.stoppedBy)
+        : null,
+      metadata,
+    });
+
+    await QuizSessionRepository.setSubmission(closed._id, submission._id);
+    return submission;
+  }
+
+  /**
+   * Finish the submission of a session closed without one, after creating or queueing it
+   * failed: queue the submission if it was created, else create it
+   */
+  async recover(closed) {
+    const existing = await SubmissionRepository.findBySession(closed._id);
+
+    if (existing) {
+      if (existing.status === SUBMISSION_STATUS.PENDING) {
+        await EvaluationQueueService.enqueue(existing._id);
+      }
+      await QuizSessionRepository.setSubmission(closed._id, existing._id);
+      logger.info(`Quiz session ${closed.sessionId} linked to submission ${existing.submissionId}`);
+      return existing;
+    }
+
+    const activity = await Activity.findById(closed.activityId);
+    if (!activity) {
+      logger.warn(
+        `Quiz session ${closed.sessionId} has no submission and its activity no longer exists`
+      );
+      await QuizSessionRepository.setSubmission(closed._id, null);
+      return null;
+    }
+
+    const submission = await this.submitSession(closed, activity);
+    logger.info(`Quiz session ${closed.sessionId} submitted after an earlier failure`);
+    return submission;
+  }
+
+  /**
+   * Seconds between the start of a session and its closing, capped at the time allowed
+   */
+  timeTaken(session) {
+    const elapsed = Math.round((session.closedAt - session.startedAt) / 1000);
+    return session.timeAllowed ? Math.min(elapsed, session.timeAllowed) : elapsed;
+  }
+
+  /**
+   * Questions an adaptive session gave the student, in the order given
+   */
+  administeredQuestions(session, activity) {
+    return (session.adaptive?.administered || [])
+      .map((questionId) => activity.questions.id(questionId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Adaptive details stored on the submission, so it can be scored without the session
+   */
+  adaptiveSnapshot(session, stoppedBy) {
+    return {
+      model: session.adaptive.model,
+      stoppedBy,
+      itemParameters: session.adaptive.itemParameters.map(({ questionId, a, b }) => ({
+        questionId,
+        a,
+        b,
+      })),
+    };
+  }
+
+  /**
+   * Create a quiz submission and queue it for evaluation
+   * Used for untimed quizzes too; questions without an answer are recorded as unanswered.
+   * Questions default to the student's draw; adaptive quizzes pass those administered.
+   */
+  async createSubmission(
+    activity,
+    {
+      studentId,
+      seed,
+      answersById,
+      timeTaken = null,
+      session = null,
+      autoSubmitted = false,
+      questions = null,
+      adaptive = null,
+      metadata = {},
+    }
+  ) {
+    const delivered = questions || QuizDeliveryService.drawQuestions(activity, seed);
+
+    const submission = await SubmissionRepository.create({
+      studentId,
+      activityId: activity._id,
+      contentType: 'quiz',
+      content: {
+        // In the order shown, so the submission records what the student saw
+        answers: delivered.map((question, index) => ({
+          questionIndex: index,
+          questionId: question._id,
+          answer: answersById.get(String(question._id)) ?? null,
+          submittedAt: new Date(),
+        })),
+        totalQuestions: delivered.length,
+        seed,
+        timeTaken, // Time in seconds
+        ...(session && { sessionId: session._id, autoSubmitted }),
+        ...(adaptive && { adaptive }),
+      },
+      status: SUBMISSION_STATUS.PENDING,
+      metadata,
+    });
+
+    logger.info(`Quiz submission created: ${submission.submissionId} by student ${studentId}`);
+
+    // Queue for background AI evaluation
+    await EvaluationQueueService.enqueue(submission._id);
+
+    return submission;
+  }
+
+  /**
+   * Close every session past its deadline and grace period, and submit closed sessions
+   * left without a submission
+   */
+  async sweep() {
+    if (this.sweeping) {
+      return;
+    }
+
+    this.sweeping = true;
+
+    try {
+      const cutoff = new Date(Date.now() - this.gracePeriodMs());
+      const sessions = await QuizSessionRepository.findExpired(cutoff);
+
+      for (const session of sessions) {
+        try {
+          await this.expire(session);
+        } catch (error) {
+          logger.error(`Failed to close quiz session ${session.sessionId}: ${error.message}`);
+        }
+      }
+
+      // Sessions closed a while ago whose submission could not be created or queued
+      const unsubmitted = await QuizSessionRepository.findUnsubmitted(
+        new Date(Date.now() - UNSUBMITTED_DELAY_MS)
+      );
+
+      for (const session of unsubmitted) {
+        try {
+          await this.recover(session);
+        } catch (error) {
+          logger.error(`Failed to submit quiz session ${session.sessionId}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Quiz session sweep failed: ${error.message}`);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Start sweeping for expired sessions
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const intervalMs = parseInt(process.env.QUIZ_SESSION_SWEEP_INTERVAL_MS) || 60 * 1000;
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+    this.sweep();
+
+    logger.info(`Quiz session sweep started (every ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new QuizSessionService();
@@ -0,0 +1,178 @@
+import { ERROR_TYPES, SEVERITY_LEVELS } from '../config/constants.js';
+
+// ASR words below this confidence may have been misheard rather than mispronounced
+const LOW_CONFIDENCE = 0.6;
+
+const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Read-Aloud Service
+ * Aligns a transcript to the reference passage of a read-aloud activity and scores it by
+ * word error rate (substitutions, deletions, insertions)
+ */
+class ReadAloudService {
+  /**
+   * Split the reference passage into words with their character offsets
+   */
+  tokenizeReference(reference) {
+    const tokens = [];
+
+    for (const match of reference.matchAll(/\S+/g)) {
+      const normalized = normalize(match[0]);
+      if (!normalized) continue; // Stand-alone punctuation such as "-"
+
+      // Offsets cover the word itself, not surrounding punctuation
+      const leading = match[0].search(/[\p{L}\p{N}]/u);
+      const trailing = match[0].length - match[0].search(/[\p{L}\p{N}'][^\p{L}\p{N}']*$/u) - 1;
+
+      tokens.push({
+        word: match[0].slice(leading, match[0].length - trailing),
+        normalized,
+        start: match.index + leading,
+        end: match.index + match[0].length - trailing,
+      });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Hypothesis words from the timed transcription, or from plain transcript text
+   */
+  tokenizeHypothesis(submission) {
+    const timed = submission.transcription?.words;
+
+    const words = timed?.length
+      ? timed.map((w) => ({ word: w.word, confidence: w.confidence, start: w.start, end: w.end }))
+      : (submission.content.transcript || '').split(/\s+/).map((word) => ({ word }));
+
+    return words.map((w) => ({ ...w, normalized: normalize(w.word) })).filter((w) => w.normalized);
+  }
+
+  /**
+   * Levenshtein alignment at word level
+   * @returns {Array} Operations in reference order:
+   *   { type: 'match'|'substitution'|'deletion'|'insertion', reference, hypothesis }
+   */
+  align(referenceTokens, hypothesisTokens) {
+    const n = referenceTokens.length;
+    const m = hypothesisTokens.length;
+    const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+    for (let i = 0; i <= n; i++) cost[i][0] = i;
+    for (let j = 0; j <= m; j++) cost[0][j] = j;
+
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        const same = referenceTokens[i - 1].normalized === hypothesisTokens[j - 1].normalized;
+        cost[i][j] = Math.min(
+          cost[i - 1][j - 1] + (same ? 0 : 1),
+          cost[i - 1][j] + 1, // Deletion: reference word not read
+          cost[i][j - 1] + 1 // Insertion: extra word read
+        );
+      }
+    }
+
+    // Backtrace, preferring match/substitution so skipped words line up with the reference
+    const operations = [];
+    let i = n;
+    let j = m;
+
+    while (i > 0 || j > 0) {
+      const reference = referenceTokens[i - 1];
+      const hypothesis = hypothesisTokens[j - 1];
+
+      if (i > 0 && j > 0) {
+        const same = reference.normalized === hypothesis.normalized;
+        if (cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+          operations.push({ type: same ? 'match' : 'substitution', reference, hypothesis });
+          i--;
+          j--;
+          continue;
+        }
+      }
+
+      if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+        operations.push({ type: 'deletion', reference });
+        i--;
+      } else {
+        operations.push({ type: 'insertion', hypothesis });
+        j--;
+      }
+    }
+
+    return operations.reverse();
+  }
+
+  /**
+   * Align a submission against the reference passage and compute word error rate
+   */
+  analyze(reference, submission) {
+    const referenceTokens = this.tokenizeReference(reference);
+    const operations = this.align(referenceTokens, this.tokenizeHypothesis(submission));
+
+    const count = (type) => operations.filter((op) => op.type === type).length;
+    const substitutions = count('substitution');
+    const deletions = count('deletion');
+    const insertions = count('insertion');
+    const referenceWordCount = referenceTokens.length;
+
+    const wordErrorRate = referenceWordCount
+      ? (substitutions + deletions + insertions) / referenceWordCount
+      : 0;
+
+    return {
+      operations,
+      metrics: {
+        referenceWordCount,
+        correctWords: count('match'),
+        substitutions,
+        deletions,
+        insertions,
+        wordErrorRate: Math.round(wordErrorRate * 1000) / 1000,
+        // Share of reference words read correctly (insertions do not reduce it)
+        accuracy: referenceWordCount
+          ? Math.round((count('match') / referenceWordCount) * 1000) / 1000
+          : 0,
+      },
+    };
+  }
+
+  /**
+   * One Mistake per mispronounced (substituted) or skipped (deleted) reference word,
+   * positioned in the reference text
+   */
+  buildMistakes(operations) {
+    return operations
+      .filter((op) => op.type === 'substitution' || op.type === 'deletion')
+      .map(({ type, reference, hypothesis }) => {
+        if (type === 'deletion') {
+          return {
+            errorType: ERROR_TYPES.PRONUNCIATION,
+            description: `Skipped word "${reference.word}"`,
+            suggestion: `Read every word of the passage, including "${reference.word}"`,
+            positionStart: reference.start,
+            positionEnd: reference.end,
+            severity: SEVERITY_LEVELS.MINOR,
+            isPossibleError: false,
+            correctedText: reference.word,
+          };
+        }
+
+        return {
+          errorType: ERROR_TYPES.PRONUNCIATION,
+          description: `Mispronounced "${reference.word}" (heard "${hypothesis.word}")`,
+          suggestion: `Practise saying "${reference.word}" slowly, then at normal speed`,
+          positionStart: reference.start,
+          positionEnd: reference.end,
+          severity: SEVERITY_LEVELS.MAJOR,
+          isPossibleError:
+            typeof hypothesis.confidence === 'number' && hypothesis.confidence < LOW_CONFIDENCE,
+          originalText: hypothesis.word,
+          correctedText: reference.word,
+        };
+      });
+  }
+}
+
+export default new ReadAloudService();
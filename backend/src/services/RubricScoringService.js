@@ -0,0 +1,131 @@
+/**
+ * Rubric Scoring Service (FR12)
+ * Maps evaluator sub-scores onto an activity's rubric criteria and computes the
+ * overall score from the rubric weights
+ */
+
+// Criterion name keywords → evaluator fields they are scored from (first match wins).
+// Plain names are top-level sub-scores, `breakdown.` names come from scoreBreakdown.
+const CRITERION_SOURCES = [
+  { keywords: ['grammar', 'language use'], fields: ['grammarScore', 'breakdown.mechanics'] },
+  { keywords: ['vocabulary', 'lexical', 'word choice'], fields: ['vocabularyScore'] },
+  { keywords: ['pronunciation'], fields: ['pronunciationScore', 'breakdown.clarity'] },
+  { keywords: ['fluency'], fields: ['breakdown.fluency'] },
+  { keywords: ['clarity', 'intelligibility'], fields: ['breakdown.clarity'] },
+  { keywords: ['pace', 'speed', 'delivery'], fields: ['breakdown.pace'] },
+  { keywords: ['structure', 'organization', 'organisation'], fields: ['breakdown.structure'] },
+  { keywords: ['coherence', 'cohesion'], fields: ['breakdown.coherence'] },
+  { keywords: ['mechanics', 'spelling', 'punctuation'], fields: ['breakdown.mechanics'] },
+  { keywords: ['content', 'ideas', 'creativity', 'task'], fields: ['breakdown.creativity'] },
+  {
+    keywords: ['logic', 'accuracy', 'correct', 'knowledge'],
+    fields: ['logicScore', 'breakdown.accuracy'],
+  },
+];
+
+class RubricScoringService {
+  /**
+   * Apply a rubric to evaluator output
+   * Returns the evaluation data with overallScore recomputed from the rubric weights
+   * and a per-criterion score and matched level; unchanged if the rubric has no criteria
+   */
+  applyRubric(evaluationData, rubric) {
+    if (!rubric || !rubric.criteria || rubric.criteria.length === 0) {
+      return evaluationData;
+    }
+
+    const criteriaScores = rubric.criteria.map((criterion) =>
+      this.scoreCriterion(criterion, evaluationData)
+    );
+
+    const totalWeight = criteriaScores.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+    // Weights should sum to 1 but normalise anyway so a zero-weighted rubric cannot break scoring
+    const overallScore =
+      totalWeight > 0
+        ? Math.round(
+            criteriaScores.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) /
+              totalWeight
+          )
+        : evaluationData.overallScore;
+
+    return {
+      ...evaluationData,
+      overallScore,
+      rubricId: rubric._id,
+      criteriaScores,
+    };
+  }
+
+  /**
+   * Score a single criterion from the matching evaluator field and pick its level
+   */
+  scoreCriterion(criterion, evaluationData) {
+    const { field, score } = this.findSourceScore(criterion.name, evaluationData);
+    const level = this.matchLevel(criterion.levels, score);
+
+    return {
+      criterion: criterion.name,
+      weight: criterion.weight,
+      score,
+      source: field,
+      level: level?.level,
+      levelScore: level?.score,
+    };
+  }
+
+  /**
+   * Resolve the evaluator score for a criterion name
+   * Criteria with no matching sub-score fall back to the evaluator's overall score
+   */
+  findSourceScore(criterionName, evaluationData) {
+    const name = criterionName.toLowerCase();
+
+    for (const source of CRITERION_SOURCES) {
+      if (!source.keywords.some((keyword) => name.includes(keyword))) {
+        continue;
+      }
+
+      for (const field of source.fields) {
+        const score = this.getField(evaluationData, field);
+        if (Number.isFinite(score)) {
+          return { field, score: Math.round(score) };
+        }
+      }
+    }
+
+    return { field: 'overallScore', score: Math.round(evaluationData.overallScore) };
+  }
+
+  /**
+   * Read a top-level sub-score or a scoreBreakdown entry (plain object or Map)
+   */
+  getField(evaluationData, field) {
+    if (!field.startsWith('breakdown.')) {
+      return evaluationData[field];
+    }
+
+    const key = field.slice('breakdown.'.length);
+    const breakdown = evaluationData.scoreBreakdown;
+
+    return breakdown instanceof Map ? breakdown.get(key) : breakdown?.[key];
+  }
+
+  /**
+   * Pick the highest level the score reaches
+   * Level scores are on the rubric's own scale (e.g. 1-4), so the 0-100 score is
+   * scaled to the top level's score first
+   */
+  matchLevel(levels, score) {
+    if (!levels || levels.length === 0) {
+      return null;
+    }
+
+    const sorted = [...levels].sort((a, b) => a.score - b.score);
+    const scaled = (score / 100) * sorted[sorted.length - 1].score;
+
+    return sorted.filter((level) => level.score <= scaled).pop() || sorted[0];
+  }
+}
+
+export default new RubricScoringService();
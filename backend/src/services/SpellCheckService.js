@@ -0,0 +1,258 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { affixEncoding, createDictionary, decode } from '../utils/hunspell.js';
+import { ERROR_TYPES, SEVERITY_LEVELS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// Suggestions are dictionary words at most this many edits away
+const MAX_EDIT_DISTANCE = 2;
+
+// Suggestions kept per misspelled word
+const MAX_SUGGESTIONS = 5;
+
+// Misspellings reported per text; past this the text is not worth checking word by word
+const MAX_MISSPELLINGS = 50;
+
+// Letters with optional inner apostrophes ("don't", "students'" ends at the s)
+const WORD_PATTERN = /\p{L}[\p{L}\p{M}]*(?:['’]\p{L}[\p{L}\p{M}]*)*/gu;
+
+// Web addresses and emails are not words
+const SKIP_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\S+@\S+\.\w+/gi;
+
+/**
+ * Whether the word at index starts a sentence: only spaces, closing quotes or brackets
+ * stand between it and the start of the text or a sentence end
+ */
+const startsSentence = (text, index) => {
+  let i = index - 1;
+  while (i >= 0 && /[\s"'”’)\]]/.test(text[i])) i--;
+  return i < 0 || /[.!?]/.test(text[i]);
+};
+
+const isCapitalized = (word) =>
+  word.charAt(0) !== word.charAt(0).toLowerCase() && word.slice(1) === word.slice(1).toLowerCase();
+
+const isUpperCase = (word) => word === word.toUpperCase() && word !== word.toLowerCase();
+
+/**
+ * Spelling of a suggestion matching the case of the misspelled word
+ */
+const matchCase = (suggestion, original) => {
+  if (suggestion !== suggestion.toLowerCase()) return suggestion; // Names keep their spelling
+  if (isUpperCase(original) && original.length > 1) return suggestion.toUpperCase();
+  if (isCapitalized(original)) return suggestion.charAt(0).toUpperCase() + suggestion.slice(1);
+  return suggestion;
+};
+
+/**
+ * Spell Check Service
+ * Dictionary spell checking for writing submissions. Loads a Hunspell dictionary
+ * (<SPELLCHECK_LANGUAGE>.aff and .dic in SPELLCHECK_DICTIONARY_DIR) and, if present, a word
+ * frequency list (<SPELLCHECK_LANGUAGE>.freq: one "word count" or just "word" per line, most
+ * frequent first). Without a dictionary the check is skipped; the spelling rules of
+ * GrammarRuleService still run.
+ */
+class SpellCheckService {
+  constructor() {
+    this.loading = new Map(); // language -> Promise of { dictionary, frequency } or null
+  }
+
+  /**
+   * Dictionary location configured for this process (read at call time, after dotenv has loaded)
+   */
+  getConfig() {
+    return {
+      directory: process.env.SPELLCHECK_DICTIONARY_DIR || './dictionaries',
+      language: process.env.SPELLCHECK_LANGUAGE || 'en_US',
+    };
+  }
+
+  /**
+   * Dictionary and word frequencies for a language, read once per process
+   * @returns {Promise<Object|null>} { dictionary, frequency } or null when not installed
+   */
+  load(language = this.getConfig().language) {
+    if (!this.loading.has(language)) {
+      this.loading.set(language, this.read(language));
+    }
+    return this.loading.get(language);
+  }
+
+  async read(language) {
+    const base = path.resolve(this.getConfig().directory, language);
+
+    let aff;
+    let dic;
+    try {
+      [aff, dic] = await Promise.all([fs.readFile(`${base}.aff`), fs.readFile(`${base}.dic`)]);
+    } catch (error) {
+      logger.warn(`Spell checking disabled, no ${language} dictionary: ${error.message}`);
+      return null;
+    }
+
+    try {
+      const encoding = affixEncoding(aff);
+      const dictionary = createDictionary(decode(aff, encoding), decode(dic, encoding));
+      const frequency = await this.readFrequency(`${base}.freq`);
+
+      logger.info(
+        `Spell checker loaded ${language}: ${dictionary.words.size} word forms${
+          frequency.size > 0 ? `, ${frequency.size} word frequencies` : ''
+        }`
+      );
+      return { dictionary, frequency };
+    } catch (error) {
+      logger.error(`Spell checking disabled, ${language} dictionary unreadable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Word frequencies by lower-case word; lines without a count rank by position
+   */
+  async readFrequency(file) {
+    const frequency = new Map();
+
+    let source;
+    try {
+      source = await fs.readFile(file, 'utf8');
+    } catch {
+      return frequency;
+    }
+
+    const lines = source.split(/\r?\n/).filter((line) => line.trim());
+    lines.forEach((line, index) => {
+      const [word, count] = line.trim().split(/\s+/);
+      const key = word.toLowerCase();
+      if (!frequency.has(key)) {
+        frequency.set(key, count !== undefined ? Number(count) || 0 : lines.length - index);
+      }
+    });
+
+    return frequency;
+  }
+
+  /**
+   * Words of a text with their positions: [{ word, start, end, sentenceStart }]
+   * Words joined to digits or underscores ("3rd", "file_name") are left out.
+   */
+  tokenize(text) {
+    const masked = text.replace(SKIP_PATTERN, (match) => ' '.repeat(match.length));
+
+    return Array.from(masked.matchAll(WORD_PATTERN))
+      .filter(
+        (match) =>
+          !/[\p{N}_]/u.test(masked.charAt(match.index - 1)) &&
+          !/[\p{N}_]/u.test(masked.charAt(match.index + match[0].length))
+      )
+      .map((match) => ({
+        word: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        sentenceStart: startsSentence(text, match.index),
+      }));
+  }
+
+  /**
+   * Whether an unknown word is likely a name, an acronym or otherwise not to be checked
+   * Capitalized words are names inside a sentence, and at its start when the text also
+   * uses them capitalized inside a sentence.
+   */
+  isIgnored(token, properNouns) {
+    const { word } = token;
+
+    if (word.length < 2) return true;
+    if (isUpperCase(word)) return true; // Acronyms such as NASA
+    if (!isCapitalized(word)) return false;
+
+    return !token.sentenceStart || properNouns.has(word);
+  }
+
+  /**
+   * Suggestions for a misspelled word, best first
+   * Ranked by edit distance, then by word frequency. Names and acronyms come after
+   * lower-case words for a lower-case misspelling, usual corrections the dictionary lists
+   * before other words at the same distance.
+   */
+  suggest({ dictionary, frequency }, word) {
+    const lowerInput = word === word.toLowerCase();
+
+    return dictionary
+      .candidates(word, MAX_EDIT_DISTANCE)
+      .map((candidate) => ({
+        ...candidate,
+        caseMismatch: lowerInput && candidate.word !== candidate.word.toLowerCase() ? 1 : 0,
+        frequency: frequency.get(candidate.word.toLowerCase()) || 0,
+      }))
+      .sort(
+        (a, b) =>
+          a.distance - b.distance ||
+          a.caseMismatch - b.caseMismatch ||
+          b.listed - a.listed ||
+          b.frequency - a.frequency ||
+          a.word.localeCompare(b.word)
+      )
+      .slice(0, MAX_SUGGESTIONS)
+      .map((candidate) => matchCase(candidate.word, word));
+  }
+
+  /**
+   * Spelling mistakes in a text
+   * @param {string} text - Essay
+   * @param {Object} options - { allowList: words accepted for this activity, language }
+   * @returns {Promise<Array>} Mistake data with positions and the best suggestion as correctedText
+   */
+  async check(text, { allowList = [], language } = {}) {
+    const loaded = text ? await this.load(language) : null;
+    if (!loaded) return [];
+
+    const { dictionary } = loaded;
+    const allowed = new Set(allowList.map((word) => dictionary.normalize(word).toLowerCase()));
+    const tokens = this.tokenize(text);
+
+    // Capitalized inside a sentence somewhere in the text: a name wherever it appears
+    const properNouns = new Set(
+      tokens
+        .filter((token) => !token.sentenceStart && isCapitalized(token.word))
+        .map((token) => token.word)
+    );
+
+    const suggestions = new Map();
+    const mistakes = [];
+
+    for (const token of tokens) {
+      if (mistakes.length >= MAX_MISSPELLINGS) break;
+
+      const { word } = token;
+      const lower = dictionary.normalize(word).toLowerCase();
+      const isAllowed = allowed.has(lower) || allowed.has(lower.replace(/'s$/, ''));
+
+      if (isAllowed || dictionary.check(word) || this.isIgnored(token, properNouns)) continue;
+
+      if (!suggestions.has(word)) {
+        suggestions.set(word, this.suggest(loaded, word));
+      }
+      const [best, ...others] = suggestions.get(word);
+
+      mistakes.push({
+        errorType: ERROR_TYPES.SPELLING,
+        description: `Spelling error: "${word}" is not in the dictionary`,
+        suggestion: best
+          ? `Did you mean "${best}"?${others.length > 0 ? ` Other options: ${others.join(', ')}` : ''}`
+          : 'Check the spelling of this word',
+        positionStart: token.start,
+        positionEnd: token.end,
+        severity: best ? SEVERITY_LEVELS.MAJOR : SEVERITY_LEVELS.MINOR,
+        originalText: word,
+        correctedText: best,
+        // Without a close dictionary word it may be a rare word the dictionary lacks, and a
+        // capitalized word starting a sentence may be a name
+        isPossibleError: !best || isCapitalized(word),
+      });
+    }
+
+    return mistakes;
+  }
+}
+
+export default new SpellCheckService();
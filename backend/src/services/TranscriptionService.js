@@ -0,0 +1,92 @@
+import SubmissionRepository from '../repositories/SubmissionRepository.js';
+import { getTranscriber } from './transcription/index.js';
+import { UntranscribableAudioError } from './transcription/TranscriptionProvider.js';
+import { ASR_ENGINES } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Transcription Service
+ * Speech-to-text stage of the evaluation pipeline. Runs the engine selected by ASR_ENGINE
+ * on speaking submissions and stores the timed transcript on the submission before scoring.
+ */
+class TranscriptionService {
+  /**
+   * Engine configured for this process (read at call time, after dotenv has loaded)
+   */
+  getEngine() {
+    const name = process.env.ASR_ENGINE || ASR_ENGINES.NONE;
+
+    if (name === ASR_ENGINES.NONE) {
+      return null;
+    }
+
+    const transcriber = getTranscriber(name);
+    if (!transcriber) {
+      logger.warn(`Unknown ASR_ENGINE "${name}", transcription disabled`);
+    }
+
+    return transcriber;
+  }
+
+  /**
+   * Make sure a speaking submission has a transcript
+   * Transcribes once per submission (re-evaluations reuse the stored result). A transcript
+   * sent by the client is kept as the text; the engine still supplies word timings.
+   * Audio that can never be transcribed is scored without a transcript; other failures
+   * (timeouts, a missing binary or model) are thrown so the evaluation job is retried.
+   * @returns {Object} The submission, updated in place
+   */
+  async ensureTranscript(submission) {
+    if (submission.contentType !== 'speaking' || submission.transcription?.transcribedAt) {
+      return submission;
+    }
+
+    const engine = this.getEngine();
+    if (!engine) {
+      return submission;
+    }
+
+    let result;
+    try {
+      result = await engine.transcribe(submission.content.audioUrl, {
+        language: process.env.ASR_LANGUAGE || 'en',
+        duration: submission.content.duration,
+      });
+    } catch (error) {
+      if (!(error instanceof UntranscribableAudioError)) {
+        throw error;
+      }
+
+      logger.warn(
+        `Transcription failed for submission ${submission.submissionId}, scoring without transcript: ${error.message}`
+      );
+      return submission;
+    }
+
+    const transcription = {
+      engine: engine.name,
+      language: result.language,
+      text: result.text,
+      confidence: result.confidence,
+      words: result.words,
+      transcribedAt: new Date(),
+    };
+
+    const update = { transcription };
+    if (!submission.content.transcript) {
+      update['content.transcript'] = result.text;
+      submission.content = { ...submission.content, transcript: result.text };
+    }
+
+    await SubmissionRepository.update(submission._id, update);
+    submission.transcription = transcription;
+
+    logger.info(
+      `Submission ${submission.submissionId} transcribed with ${engine.name} (${result.words.length} words)`
+    );
+
+    return submission;
+  }
+}
+
+export default new TranscriptionService();
@@ -0,0 +1,82 @@
+/**
+ * Base Evaluator Provider
+ * Every scoring backend (rule-based, LLM, ...) implements this interface.
+ * evaluate() returns the fields stored on an Evaluation (overallScore, sub-scores,
+ * aiConfidence, scoreBreakdown).
+ * Providers set `version` and bump it whenever their scoring changes.
+ */
+class EvaluatorProvider {
+  constructor(name, label, supportedActivityTypes = []) {
+    this.name = name;
+    this.label = label;
+    this.supportedActivityTypes = supportedActivityTypes;
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Scorer version stamped on each Evaluation this provider produces
+   */
+  getVersion(_settings) {
+    return `${this.name}@${this.version}`;
+  }
+
+  /**
+   * Whether this provider can be assigned to an activity type
+   */
+  supports(activityType) {
+    return this.supportedActivityTypes.includes(activityType);
+  }
+
+  /**
+   * Whether this provider can score this particular submission
+   * (e.g. an LLM cannot score speaking without a transcript)
+   */
+  canEvaluate(submission) {
+    return this.supports(submission.contentType);
+  }
+
+  /**
+   * Evaluate a submission
+   * @param {Object} submission - Submission document
+   * @param {Object} context - { activity, settings, ruleset } (ruleset: grammar rules pinned
+   *   for this evaluation, see GrammarRuleService.loadRuleset)
+   */
+  async evaluate(submission, context = {}) {
+    switch (submission.contentType) {
+      case 'speaking':
+        return await this.evaluateSpeaking(submission, context);
+      case 'writing':
+        return await this.evaluateWriting(submission, context);
+      case 'quiz':
+        return await this.evaluateQuiz(submission, context);
+      default:
+        throw new Error(`Unknown content type: ${submission.contentType}`);
+    }
+  }
+
+  async evaluateSpeaking(_submission, _context) {
+    throw new Error(`${this.name} provider does not support speaking evaluation`);
+  }
+
+  async evaluateWriting(_submission, _context) {
+    throw new Error(`${this.name} provider does not support writing evaluation`);
+  }
+
+  async evaluateQuiz(_submission, _context) {
+    throw new Error(`${this.name} provider does not support quiz evaluation`);
+  }
+
+  /**
+   * Describe provider for admin listings
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      label: this.label,
+      version: this.version,
+      supportedActivityTypes: this.supportedActivityTypes,
+    };
+  }
+}
+
+export default EvaluatorProvider;
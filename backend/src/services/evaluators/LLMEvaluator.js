@@ -0,0 +1,218 @@
+import EvaluatorProvider from './EvaluatorProvider.js';
+import { EVALUATOR_PROVIDERS } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// Fields the model is asked to return, per content type
+const SCORE_FIELDS = {
+  speaking: {
+    scores: ['pronunciationScore', 'vocabularyScore', 'grammarScore'],
+    breakdown: ['fluency', 'clarity', 'pace'],
+  },
+  writing: {
+    scores: ['grammarScore', 'vocabularyScore'],
+    breakdown: ['structure', 'coherence', 'mechanics', 'creativity'],
+  },
+};
+
+/**
+ * LLM Evaluator Provider
+ * Scores submissions through any OpenAI-compatible chat-completions endpoint.
+ * Endpoint and key come from LLM_API_BASE_URL / LLM_API_KEY; sampling parameters
+ * and prompt templates come from the active AI model configuration.
+ */
+class LLMEvaluator extends EvaluatorProvider {
+  constructor() {
+    super(EVALUATOR_PROVIDERS.LLM, 'LLM (OpenAI-compatible)', ['speaking', 'writing']);
+  }
+
+  /**
+   * LLM scores also depend on the configured model
+   */
+  getVersion(settings) {
+    return `${super.getVersion(settings)}+${settings?.config?.model}`;
+  }
+
+  /**
+   * Speaking can only be scored from a transcript
+   */
+  canEvaluate(submission) {
+    if (!super.canEvaluate(submission)) {
+      return false;
+    }
+
+    if (submission.contentType === 'speaking') {
+      return Boolean(submission.content.transcript);
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate speaking submission from its transcript
+   */
+  async evaluateSpeaking(submission, { activity, settings }) {
+    return await this.evaluateText('speaking', submission.content.transcript, activity, settings);
+  }
+
+  /**
+   * Evaluate writing submission
+   */
+  async evaluateWriting(submission, { activity, settings }) {
+    return await this.evaluateText('writing', submission.content.text, activity, settings);
+  }
+
+  /**
+   * Send the response to the model and normalise its scores
+   */
+  async evaluateText(contentType, text, activity, settings) {
+    const messages = this.buildMessages(contentType, text, activity, settings.promptTemplates);
+    const content = await this.complete(messages, settings.config);
+    const result = this.parseResponse(content);
+
+    return this.normalizeResult(contentType, result);
+  }
+
+  /**
+   * Build chat messages: template + output contract as system, response as user
+   */
+  buildMessages(contentType, text, activity, promptTemplates) {
+    const { scores, breakdown } = SCORE_FIELDS[contentType];
+    const breakdownShape = breakdown.map((field) => `"${field}": 0-100`).join(', ');
+    const scoreShape = scores.map((field) => `"${field}": 0-100`).join(', ');
+
+    const system = [
+      promptTemplates?.[contentType] || '',
+      'Respond only with a JSON object of the form:',
+      `{"overallScore": 0-100, ${scoreShape}, "scoreBreakdown": {${breakdownShape}}, "confidence": 0-1}`,
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+
+    const user = [
+      activity?.title && `Activity: ${activity.title}`,
+      activity?.prompt && `Prompt: ${activity.prompt}`,
+      `Student response:\n${text}`,
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+
+    return [
+      { role: 'system', content: system },
+      { role: 'user', content: user },
+    ];
+  }
+
+  /**
+   * Call the chat-completions endpoint and return the message content
+   */
+  async complete(messages, config = {}) {
+    const baseUrl = (process.env.LLM_API_BASE_URL || 'https://api.openai.com/v1').replace(
+      /\/+$/,
+      ''
+    );
+    const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.LLM_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: config.model,
+          messages,
+          temperature: config.temperature,
+          max_tokens: config.maxTokens,
+          top_p: config.topP,
+          frequency_penalty: config.frequencyPenalty,
+          presence_penalty: config.presencePenalty,
+        }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`LLM request timed out after ${timeoutMs}ms`);
+      }
+      throw new Error(`LLM request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`LLM request failed with status ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+
+    if (!content) {
+      throw new Error('LLM response did not contain a message');
+    }
+
+    logger.debug(`LLM evaluation completed with model ${config.model}`);
+
+    return content;
+  }
+
+  /**
+   * Extract the JSON object from the model output (tolerates code fences and prose)
+   */
+  parseResponse(content) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      throw new Error('LLM response did not contain a JSON object');
+    }
+
+    try {
+      return JSON.parse(content.slice(start, end + 1));
+    } catch (error) {
+      throw new Error(`LLM response was not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clamp model output into the Evaluation shape
+   */
+  normalizeResult(contentType, result) {
+    const { scores, breakdown } = SCORE_FIELDS[contentType];
+    const toScore = (value) => {
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.round(Math.min(100, Math.max(0, number))) : undefined;
+    };
+
+    const overallScore = toScore(result.overallScore);
+    if (overallScore === undefined) {
+      throw new Error('LLM response is missing overallScore');
+    }
+
+    const evaluation = {
+      overallScore,
+      aiConfidence: Math.min(1, Math.max(0, Number(result.confidence) || 0.8)),
+      scoreBreakdown: {},
+    };
+
+    scores.forEach((field) => {
+      const score = toScore(result[field]);
+      if (score !== undefined) evaluation[field] = score;
+    });
+
+    breakdown.forEach((field) => {
+      const score = toScore(result.scoreBreakdown?.[field]);
+      if (score !== undefined) evaluation.scoreBreakdown[field] = score;
+    });
+
+    return evaluation;
+  }
+}
+
+export default new LLMEvaluator();
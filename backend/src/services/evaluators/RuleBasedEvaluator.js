@@ -0,0 +1,446 @@
+import EvaluatorProvider from './EvaluatorProvider.js';
+import FluencyAnalysisService from '../FluencyAnalysisService.js';
+import ReadAloudService from '../ReadAloudService.js';
+import QuizGradingService from '../QuizGradingService.js';
+import QuizDeliveryService from '../QuizDeliveryService.js';
+import IRTService from '../IRTService.js';
+import GrammarRuleService from '../GrammarRuleService.js';
+import nlp from '../../utils/nlp.js';
+import { ADAPTIVE_QUIZ, EVALUATOR_PROVIDERS } from '../../config/constants.js';
+
+// Bump whenever a change to this file alters any score, so stored evaluations
+// can always be traced back to the rules that produced them
+export const SCORER_VERSION = '2.9.0';
+
+// Score used for a dimension when the submission carries no evidence for it
+// (e.g. vocabulary of a speaking submission without a transcript)
+const NEUTRAL_SCORE = 70;
+
+const FILLER_PATTERN = /\b(um+|uh+|er+|ah+|hmm+|you know|i mean|like)\b/gi;
+
+const CONNECTIVES = [
+  'however',
+  'therefore',
+  'moreover',
+  'furthermore',
+  'because',
+  'although',
+  'first',
+  'second',
+  'finally',
+  'in addition',
+  'for example',
+  'for instance',
+  'on the other hand',
+  'as a result',
+  'in conclusion',
+  'consequently',
+  'meanwhile',
+  'also',
+  'then',
+];
+
+/**
+ * Rule-Based Evaluator Provider (FR5)
+ * Heuristic scoring simulating AI assessment. Every score is a pure function of the
+ * submission content, the enabled grammar rules (GrammarRuleService) and the bundled
+ * lexicons, so re-evaluating with the same SCORER_VERSION, rules and lexicons gives identical
+ * results. Words, sentences and paragraphs are those of the shared tokenizer (utils/nlp.js).
+ */
+class RuleBasedEvaluator extends EvaluatorProvider {
+  constructor() {
+    super(EVALUATOR_PROVIDERS.RULE_BASED, 'Rule-based scorer', ['speaking', 'writing', 'quiz']);
+    this.version = SCORER_VERSION;
+  }
+
+  /**
+   * Evaluate speaking submission
+   * Pronunciation from duration; vocabulary and grammar from the transcript; fluency and
+   * pace from word timestamps when the submission was transcribed, else from the plain text.
+   * Read-aloud activities are scored against the reference passage instead.
+   */
+  async evaluateSpeaking(submission, { activity, ruleset } = {}) {
+    const content = submission.content;
+    const duration = content.duration || 0;
+    const transcript = content.transcript?.trim() || '';
+    const words = nlp.words(transcript);
+
+    const timedWords = submission.transcription?.words || [];
+    let fluencyMetrics = null;
+    let fluency = NEUTRAL_SCORE;
+    let pace = NEUTRAL_SCORE;
+
+    if (timedWords.length) {
+      fluencyMetrics = FluencyAnalysisService.analyze(timedWords, duration);
+      fluency = FluencyAnalysisService.scoreFluency(fluencyMetrics);
+      pace = FluencyAnalysisService.scorePace(fluencyMetrics);
+    } else if (words.length) {
+      fluency = this.calculateFluencyScore(transcript, words.length);
+      if (duration > 0) {
+        pace = FluencyAnalysisService.scorePace({ speechRate: words.length / (duration / 60) });
+      }
+    }
+
+    if (activity?.speakingMode === 'read-aloud' && activity.prompt && words.length) {
+      return this.evaluateReadAloud(submission, activity.prompt, { fluency, pace, fluencyMetrics });
+    }
+
+    // Pronunciation proxy: longer responses give more evidence of sustained speech
+    const pronunciationScore = Math.round(Math.min(100, (duration / 120) * 50 + 30));
+
+    const vocabularyScore = words.length
+      ? this.calculateVocabularyScore(transcript, words.length)
+      : NEUTRAL_SCORE;
+
+    const grammarScore = words.length
+      ? await this.calculateGrammarScore(transcript, 'speaking', ruleset)
+      : NEUTRAL_SCORE;
+
+    // Calculate overall score
+    const overallScore = Math.round(
+      pronunciationScore * 0.4 + vocabularyScore * 0.3 + grammarScore * 0.3
+    );
+
+    // More evidence (a transcript, a longer recording) means more confidence
+    const aiConfidence = 0.75 + (words.length ? 0.15 : 0) + Math.min(0.05, (duration / 120) * 0.05);
+
+    return {
+      overallScore,
+      pronunciationScore,
+      vocabularyScore,
+      grammarScore,
+      aiConfidence: Math.round(aiConfidence * 1000) / 1000,
+      scoreBreakdown: {
+        fluency,
+        clarity: pronunciationScore,
+        pace,
+      },
+      ...(fluencyMetrics && { fluencyMetrics }),
+    };
+  }
+
+  /**
+   * Evaluate a read-aloud submission
+   * Pronunciation is the share of reference words read correctly; vocabulary and grammar
+   * are not scored because the student did not choose the words
+   */
+  evaluateReadAloud(submission, reference, { fluency, pace, fluencyMetrics }) {
+    const { metrics } = ReadAloudService.analyze(reference, submission);
+
+    const pronunciationScore = Math.round(metrics.accuracy * 100);
+
+    // Extra words lower the overall score but not pronunciation accuracy
+    const insertionPenalty = Math.min(
+      20,
+      (metrics.insertions / Math.max(1, metrics.referenceWordCount)) * 100
+    );
+
+    const overallScore = Math.round(
+      Math.max(0, pronunciationScore * 0.6 + fluency * 0.2 + pace * 0.2 - insertionPenalty)
+    );
+
+    // Confidence grows with passage length, as each word is a separate piece of evidence
+    const aiConfidence = 0.8 + Math.min(0.15, (metrics.referenceWordCount / 100) * 0.15);
+
+    return {
+      overallScore,
+      pronunciationScore,
+      aiConfidence: Math.round(aiConfidence * 1000) / 1000,
+      scoreBreakdown: {
+        fluency,
+        clarity: pronunciationScore,
+        pace,
+      },
+      readAloud: metrics,
+      ...(fluencyMetrics && { fluencyMetrics }),
+    };
+  }
+
+  /**
+   * Evaluate writing submission
+   * Grammar, vocabulary, structure, coherence and creativity heuristics
+   */
+  async evaluateWriting(submission, { ruleset } = {}) {
+    const text = submission.content.text;
+    const wordCount = nlp.countWords(text);
+
+    // Grammar score based on common error patterns
+    const grammarScore = await this.calculateGrammarScore(text, 'writing', ruleset);
+
+    // Vocabulary score based on word diversity and complexity
+    const vocabularyScore = this.calculateVocabularyScore(text, wordCount);
+
+    // Structure score based on length and paragraphs
+    const structureScore = this.calculateStructureScore(text, wordCount);
+
+    // Calculate overall score
+    const overallScore = Math.round(
+      grammarScore * 0.4 + vocabularyScore * 0.35 + structureScore * 0.25
+    );
+
+    // Longer texts give more evidence (0.85-0.97)
+    const aiConfidence = 0.85 + Math.min(1, wordCount / 300) * 0.12;
+
+    return {
+      overallScore,
+      grammarScore,
+      vocabularyScore,
+      aiConfidence: Math.round(aiConfidence * 1000) / 1000,
+      scoreBreakdown: {
+        structure: structureScore,
+        coherence: this.calculateCoherenceScore(text, wordCount),
+        mechanics: grammarScore,
+        creativity: this.calculateCreativityScore(text),
+      },
+    };
+  }
+
+  /**
+   * Evaluate quiz submission
+   * Exact and fuzzy answer matching under the activity's scoring policy. A re-run may pass
+   * the policy of the evaluation it replaces, so editing the policy does not regrade it.
+   */
+  async evaluateQuiz(submission, { activity, scoringPolicy }) {
+    // Only the questions drawn for this student count
+    const questions = QuizDeliveryService.deliveredQuestions(activity, submission);
+    const answers = submission.content.answers;
+    const policy = QuizGradingService.resolvePolicy(scoringPolicy || activity.scoringPolicy);
+
+    let correctCount = 0;
+    let partialCount = 0;
+    let penalizedCount = 0;
+    let totalPoints = 0;
+    let earnedPoints = 0;
+
+    // Evaluate each question against the answer given for it (matched by question ID)
+    QuizGradingService.matchAnswers(questions, answers).forEach(({ question, answer }) => {
+      const points = question.points || 1;
+      totalPoints += points;
+
+      const { score, penalty = 0 } = QuizGradingService.gradeAnswer(question, answer, policy);
+
+      if (score === 1) {
+        correctCount++;
+      } else if (score > 0) {
+        partialCount++;
+      } else if (penalty > 0) {
+        penalizedCount++;
+      }
+      earnedPoints += (score - penalty) * points;
+    });
+
+    const scoreBreakdown = {
+      correctAnswers: correctCount,
+      partialCredit: partialCount,
+      ...(policy.negativeMarking > 0 && { negativeMarks: penalizedCount }),
+      totalQuestions: questions.length,
+      // An empty draw (every question since deleted) scores 0 rather than NaN
+      accuracy: questions.length > 0 ? Math.round((correctCount / questions.length) * 100) : 0,
+    };
+
+    if (submission.content.adaptive) {
+      return this.evaluateAdaptiveQuiz(submission, questions, scoreBreakdown, policy);
+    }
+
+    // Negative marks can outweigh the credit earned, but the score never drops below 0
+    const logicScore =
+      totalPoints > 0 ? Math.max(0, Math.round((earnedPoints / totalPoints) * 100)) : 0;
+    const overallScore = logicScore;
+
+    return {
+      overallScore,
+      logicScore,
+      aiConfidence: 0.95, // High confidence for quiz
+      scoreBreakdown,
+      scoringPolicy: policy,
+    };
+  }
+
+  /**
+   * Score an adaptive quiz from the student's estimated ability
+   * Adaptive students see questions of different difficulty, so the share answered correctly
+   * is not comparable between them. The ability is re-estimated from the item parameters
+   * snapshotted on the submission, so recalibrating the pool later does not change it.
+   */
+  evaluateAdaptiveQuiz(submission, questions, scoreBreakdown, policy) {
+    const { model, stoppedBy, itemParameters = [] } = submission.content.adaptive;
+    const parameters = new Map(itemParameters.map((item) => [String(item.questionId), item]));
+
+    const responses = QuizGradingService.matchAnswers(questions, submission.content.answers)
+      .filter(({ question }) => parameters.has(String(question._id)))
+      .map(({ question, answer }) => {
+        const { a, b } = parameters.get(String(question._id));
+        // Only full credit counts as correct, as in calibration
+        return { a, b, correct: this.evaluateAnswer(answer, question, policy) === 1 };
+      });
+
+    const { theta, standardError } = IRTService.estimateAbility(responses);
+    const { level, lower, upper } = IRTService.confidenceInterval(
+      theta,
+      standardError,
+      ADAPTIVE_QUIZ.CONFIDENCE_LEVEL
+    );
+    const logicScore = IRTService.abilityToScore(theta);
+
+    return {
+      overallScore: logicScore,
+      logicScore,
+      // Less certain than a fixed quiz until the estimate is precise
+      aiConfidence: Math.round(Math.max(0.5, Math.min(0.95, 1 - standardError / 2)) * 100) / 100,
+      scoreBreakdown,
+      scoringPolicy: policy,
+      abilityEstimate: {
+        model,
+        theta: Math.round(theta * 1000) / 1000,
+        standardError: Math.round(standardError * 1000) / 1000,
+        confidenceLevel: level,
+        lower: Math.round(lower * 1000) / 1000,
+        upper: Math.round(upper * 1000) / 1000,
+        itemsAdministered: responses.length,
+        stoppedBy,
+      },
+    };
+  }
+
+  /**
+   * Calculate grammar score from the weighted matches of the grammar rules
+   * (see GrammarRuleService); transcripts of speaking submissions use the speaking rules
+   * @param {Object} ruleset - Rules pinned for this evaluation, else the currently enabled ones
+   */
+  async calculateGrammarScore(text, activityType = 'writing', ruleset) {
+    return await GrammarRuleService.grammarScore(text, { activityType, ruleset });
+  }
+
+  /**
+   * Calculate vocabulary score
+   */
+  calculateVocabularyScore(text, wordCount) {
+    const textWords = nlp.analyze(text).tokens.filter((token) => token.type === 'word');
+
+    // Lexical diversity (different words / total words); forms of a word count once
+    const lexicalDiversity = new Set(textWords.map((token) => token.lemma)).size / wordCount;
+
+    // Check for advanced vocabulary (words > 7 letters)
+    const advancedWords = textWords.filter((token) => token.text.length > 7).length;
+    const advancedRatio = advancedWords / wordCount;
+
+    // Base score
+    let score = 60;
+
+    // Add points for diversity (max 25 points)
+    score += lexicalDiversity * 50;
+
+    // Add points for advanced vocabulary (max 15 points)
+    score += advancedRatio * 100;
+
+    return Math.round(Math.min(95, score));
+  }
+
+  /**
+   * Calculate structure score
+   */
+  calculateStructureScore(text, wordCount) {
+    const paragraphCount = nlp.paragraphs(text).length;
+    const sentenceCount = nlp.sentences(text).length;
+
+    let score = 60;
+
+    // Length adequacy (100-500 words ideal)
+    if (wordCount >= 100 && wordCount <= 500) {
+      score += 15;
+    } else if (wordCount >= 50 && wordCount < 100) {
+      score += 10;
+    }
+
+    // Paragraph structure (2-5 paragraphs ideal)
+    if (paragraphCount >= 2 && paragraphCount <= 5) {
+      score += 15;
+    } else if (paragraphCount >= 1) {
+      score += 8;
+    }
+
+    // Sentence variety
+    const avgSentenceLength = wordCount / sentenceCount;
+    if (avgSentenceLength >= 10 && avgSentenceLength <= 25) {
+      score += 10;
+    }
+
+    return Math.round(Math.min(95, score));
+  }
+
+  /**
+   * Calculate fluency score from filler words and immediate repetitions in a transcript
+   * (used when there are no word timestamps)
+   */
+  calculateFluencyScore(transcript, wordCount) {
+    const fillers = (transcript.match(FILLER_PATTERN) || []).length;
+    const spoken = nlp.words(transcript);
+    const repetitions = spoken.filter(
+      (word, index) => index > 0 && word.normal === spoken[index - 1].normal
+    ).length;
+    const disfluencyRatio = (fillers + repetitions) / wordCount;
+
+    // Every 1% of disfluent words costs 3 points
+    return Math.round(Math.max(40, Math.min(95, 95 - disfluencyRatio * 300)));
+  }
+
+  /**
+   * Calculate coherence score from the density of connectives between sentences
+   */
+  calculateCoherenceScore(text, wordCount) {
+    const lowerText = text.toLowerCase();
+    const sentenceCount = nlp.sentences(text).length;
+
+    const connectiveCount = CONNECTIVES.reduce((count, connective) => {
+      const matches = lowerText.match(new RegExp(`\\b${connective}\\b`, 'g'));
+      return count + (matches ? matches.length : 0);
+    }, 0);
+
+    // Roughly one connective every two or three sentences reads as well linked
+    const perSentence = connectiveCount / Math.max(1, sentenceCount);
+    let score = 60 + Math.min(25, perSentence * 60);
+
+    // Very short texts cannot show much linking
+    if (wordCount >= 50) {
+      score += 10;
+    }
+
+    return Math.round(Math.min(95, score));
+  }
+
+  /**
+   * Calculate creativity score from variety in sentence length and sentence openers
+   */
+  calculateCreativityScore(text) {
+    const sentenceWords = nlp
+      .sentences(text)
+      .map((sentence) => nlp.words(sentence.text))
+      .filter((sentence) => sentence.length > 0);
+
+    if (sentenceWords.length === 0) {
+      return 60;
+    }
+
+    const lengths = sentenceWords.map((sentence) => sentence.length);
+    const mean = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+    const variance =
+      lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length;
+
+    const openers = new Set(sentenceWords.map(([first]) => first.normal));
+    const openerVariety = openers.size / sentenceWords.length;
+
+    // Up to 15 points for varied sentence length, up to 20 for varied openers
+    const score = 60 + Math.min(15, Math.sqrt(variance) * 2) + openerVariety * 20;
+
+    return Math.round(Math.min(95, score));
+  }
+
+  /**
+   * Evaluate quiz answer (0-1, see QuizGradingService for per-type rules)
+   */
+  evaluateAnswer(studentAnswer, question, policy) {
+    return QuizGradingService.gradeAnswer(question, studentAnswer, policy).score;
+  }
+}
+
+export default new RuleBasedEvaluator();
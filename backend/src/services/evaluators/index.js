@@ -0,0 +1,31 @@
+import RuleBasedEvaluator from './RuleBasedEvaluator.js';
+import LLMEvaluator from './LLMEvaluator.js';
+
+/**
+ * Evaluator provider registry
+ * Providers are looked up by name (see EVALUATOR_PROVIDERS)
+ */
+const providers = new Map([RuleBasedEvaluator, LLMEvaluator].map((p) => [p.name, p]));
+
+/**
+ * Get provider by name
+ */
+export const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * List registered providers
+ */
+export const listProviders = () => [...providers.values()];
+
+/**
+ * Register an additional provider (must extend EvaluatorProvider)
+ */
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+export default {
+  getProvider,
+  listProviders,
+  registerProvider,
+};
@@ -0,0 +1,35 @@
+import TranscriptionProvider from './TranscriptionProvider.js';
+import { ASR_ENGINES } from '../../config/constants.js';
+
+const DEFAULT_TRANSCRIPT = 'This is a sample transcript produced by the fake speech recognizer.';
+
+/**
+ * Fake Transcription Provider
+ * Returns ASR_FAKE_TRANSCRIPT (or a fixed sentence) with words spread evenly over the
+ * recording, so the pipeline can be exercised without a speech engine installed
+ */
+class FakeTranscriber extends TranscriptionProvider {
+  constructor() {
+    super(ASR_ENGINES.FAKE, 'Fake transcriber (testing)');
+  }
+
+  async transcribe(_audioPath, { language = 'en', duration } = {}) {
+    const tokens = (process.env.ASR_FAKE_TRANSCRIPT || DEFAULT_TRANSCRIPT)
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const total = duration > 0 ? duration : tokens.length * 0.4;
+    const step = total / Math.max(1, tokens.length);
+
+    const words = tokens.map((word, index) => ({
+      word,
+      start: Math.round(index * step * 1000) / 1000,
+      end: Math.round((index + 1) * step * 1000) / 1000,
+      confidence: 0.9,
+    }));
+
+    return this.buildResult(words, language);
+  }
+}
+
+export default new FakeTranscriber();
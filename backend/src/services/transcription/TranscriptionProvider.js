@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+
+/**
+ * Audio that no engine can transcribe (missing, empty or undecodable), so retrying is
+ * pointless. Engines throw any other error for failures that may pass (timeouts, a missing
+ * binary or model), and the evaluation queue retries those.
+ */
+export class UntranscribableAudioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UntranscribableAudioError';
+  }
+}
+
+/**
+ * Base Transcription Provider
+ * Every speech-to-text engine (whisper.cpp, fake, ...) implements this interface.
+ * transcribe() returns { text, language, confidence, words: [{ word, start, end, confidence }] }
+ * with word times in seconds from the start of the recording.
+ */
+class TranscriptionProvider {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioPath - Path to the uploaded audio file
+   * @param {Object} options - { language, duration }
+   */
+  async transcribe(_audioPath, _options = {}) {
+    throw new Error(`${this.name} transcription provider does not implement transcribe()`);
+  }
+
+  /**
+   * Make sure the audio file exists and is not empty
+   */
+  async checkInput(audioPath) {
+    const stats = audioPath ? await fs.stat(audioPath).catch(() => null) : null;
+
+    if (!stats?.isFile() || stats.size === 0) {
+      throw new UntranscribableAudioError(`Audio file ${audioPath} is missing or empty`);
+    }
+  }
+
+  /**
+   * Build the result shape from word entries, deriving text and overall confidence
+   */
+  buildResult(words, language) {
+    const scored = words.filter((word) => typeof word.confidence === 'number');
+    const confidence = scored.length
+      ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+      : null;
+
+    return {
+      text: words.map((word) => word.word).join(' '),
+      language,
+      confidence: confidence === null ? null : Math.round(confidence * 1000) / 1000,
+      words,
+    };
+  }
+
+  /**
+   * Describe provider for admin listings
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      label: this.label,
+    };
+  }
+}
+
+export default TranscriptionProvider;
@@ -0,0 +1,133 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import TranscriptionProvider, { UntranscribableAudioError } from './TranscriptionProvider.js';
+import { ASR_ENGINES } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * whisper.cpp Transcription Provider
+ * Runs the whisper.cpp CLI locally (ASR_WHISPER_BIN, ASR_WHISPER_MODEL) with one word per
+ * segment and full JSON output, so every word comes back with its offsets and token
+ * probabilities. When ASR_FFMPEG_BIN is set, uploads are converted to 16 kHz mono WAV first
+ * (needed for M4A and for whisper.cpp builds without compressed-audio support).
+ */
+class WhisperCppTranscriber extends TranscriptionProvider {
+  constructor() {
+    super(ASR_ENGINES.WHISPER_CPP, 'whisper.cpp (local)');
+  }
+
+  async transcribe(audioPath, { language = 'en' } = {}) {
+    const binary = process.env.ASR_WHISPER_BIN || 'whisper-cli';
+    const model = process.env.ASR_WHISPER_MODEL;
+    const timeout = parseInt(process.env.ASR_TIMEOUT_MS) || 5 * 60 * 1000;
+
+    if (!model) {
+      throw new Error('ASR_WHISPER_MODEL is not set');
+    }
+
+    await this.checkInput(audioPath);
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'asr-'));
+    const outputBase = path.join(workDir, crypto.randomBytes(8).toString('hex'));
+
+    try {
+      const input = await this.prepareInput(audioPath, workDir, timeout);
+
+      const args = ['-m', model, '-f', input, '-l', language];
+      args.push('-ml', '1', '-sow'); // One word per segment
+      args.push('-ojf', '-of', outputBase, '-np'); // Full JSON with token probabilities, quiet
+
+      await execFileAsync(binary, args, { timeout, maxBuffer: 10 * 1024 * 1024 });
+
+      const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+
+      logger.debug(`whisper.cpp transcribed ${audioPath}`);
+
+      return this.parseOutput(output, language);
+    } catch (error) {
+      if (error instanceof UntranscribableAudioError) {
+        throw error;
+      }
+      if (error.killed) {
+        throw new Error(`whisper.cpp timed out after ${timeout}ms`);
+      }
+      throw new Error(`whisper.cpp transcription failed: ${error.message}`);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Convert to 16 kHz mono WAV with ffmpeg when configured
+   */
+  async prepareInput(audioPath, workDir, timeout) {
+    const ffmpeg = process.env.ASR_FFMPEG_BIN;
+
+    if (!ffmpeg) {
+      return audioPath;
+    }
+
+    const wavPath = path.join(workDir, 'input.wav');
+    const args = ['-nostdin', '-y', '-i', audioPath, '-ar', '16000', '-ac', '1'];
+    args.push('-c:a', 'pcm_s16le', wavPath);
+
+    try {
+      await execFileAsync(ffmpeg, args, { timeout });
+    } catch (error) {
+      // ffmpeg ran and gave up on the file (as opposed to being missing or timing out)
+      if (typeof error.code === 'number' && !error.killed) {
+        throw new UntranscribableAudioError(
+          `ffmpeg could not decode ${audioPath}: ${error.stderr?.trim().split('\n').pop() || error.message}`
+        );
+      }
+      throw error;
+    }
+
+    return wavPath;
+  }
+
+  /**
+   * Map whisper.cpp JSON segments onto timed words
+   * Segments holding several words (older builds ignore -sow) are split evenly
+   */
+  parseOutput(output, language) {
+    const words = [];
+
+    (output.transcription || []).forEach((segment) => {
+      const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+      if (tokens.length === 0) return;
+
+      const start = segment.offsets.from / 1000;
+      const end = segment.offsets.to / 1000;
+      const step = (end - start) / tokens.length;
+
+      // Mean probability of the real (non-special) tokens in the segment
+      const probabilities = (segment.tokens || [])
+        .filter((token) => !token.text.startsWith('[_') && typeof token.p === 'number')
+        .map((token) => token.p);
+      const confidence = probabilities.length
+        ? Math.round((probabilities.reduce((a, b) => a + b, 0) / probabilities.length) * 1000) /
+          1000
+        : null;
+
+      tokens.forEach((word, index) => {
+        words.push({
+          word,
+          start: Math.round((start + index * step) * 1000) / 1000,
+          end: Math.round((start + (index + 1) * step) * 1000) / 1000,
+          confidence,
+        });
+      });
+    });
+
+    return this.buildResult(words, output.result?.language || language);
+  }
+}
+
+export default new WhisperCppTranscriber();
@@ -0,0 +1,31 @@
+import WhisperCppTranscriber from './WhisperCppTranscriber.js';
+import FakeTranscriber from './FakeTranscriber.js';
+
+/**
+ * Transcription provider registry
+ * Providers are looked up by name (see ASR_ENGINES)
+ */
+const transcribers = new Map([WhisperCppTranscriber, FakeTranscriber].map((t) => [t.name, t]));
+
+/**
+ * Get transcriber by name
+ */
+export const getTranscriber = (name) => transcribers.get(name) || null;
+
+/**
+ * List registered transcribers
+ */
+export const listTranscribers = () => [...transcribers.values()];
+
+/**
+ * Register an additional transcriber (must extend TranscriptionProvider)
+ */
+export const registerTranscriber = (transcriber) => {
+  transcribers.set(transcriber.name, transcriber);
+};
+
+export default {
+  getTranscriber,
+  listTranscribers,
+  registerTranscriber,
+};
@@ -0,0 +1,452 @@
+/**
+ * In-process audio metadata parsing for speaking uploads
+ * Reads duration, sample rate, channel count and bitrate from WAV, MP3, OGG (Vorbis/Opus)
+ * and M4A (MP4/AAC) containers without decoding any audio.
+ * Every parser throws an Error with a readable message when the file is empty or corrupt.
+ */
+
+// MP3 bitrate tables in kbps, indexed by [version group][layer][bitrate index]
+const MP3_BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+// MP3 sample rates by version bits (00 = MPEG 2.5, 10 = MPEG 2, 11 = MPEG 1)
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000],
+};
+
+// Opus granule positions always count 48 kHz samples
+const OPUS_GRANULE_RATE = 48000;
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Build the metadata result, rejecting streams that contain no audio
+ */
+const buildMetadata = ({ format, codec, duration, sampleRate, channels, bitrate, audioBytes }) => {
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error(`${format.toUpperCase()} file contains no audio`);
+  }
+
+  if (!sampleRate || !channels) {
+    throw new Error(`${format.toUpperCase()} file is missing its audio format information`);
+  }
+
+  return {
+    format,
+    codec,
+    duration: round(duration),
+    sampleRate,
+    channels,
+    // Average bitrate in bits per second when the container does not state one
+    bitrate: Math.round(bitrate || (audioBytes * 8) / duration),
+  };
+};
+
+/**
+ * WAV: RIFF chunks 'fmt ' and 'data'
+ */
+const parseWav = (buffer) => {
+  let fmt = null;
+  let dataSize = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      if (size < 16 || body + 16 > buffer.length) {
+        throw new Error('WAV format chunk is truncated');
+      }
+
+      fmt = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      // Streamed WAVs may leave the size at 0 or 0xFFFFFFFF; use what is actually there
+      dataSize = Math.min(size || Infinity, buffer.length - body);
+      break;
+    }
+
+    // Chunks are word aligned
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt) {
+    throw new Error('WAV file has no format chunk');
+  }
+
+  if (dataSize === null) {
+    throw new Error('WAV file has no data chunk');
+  }
+
+  if (!fmt.byteRate) {
+    throw new Error('WAV file has an invalid byte rate');
+  }
+
+  return buildMetadata({
+    format: 'wav',
+    codec: fmt.audioFormat === 1 || fmt.audioFormat === 0xfffe ? 'pcm' : `wav-${fmt.audioFormat}`,
+    duration: dataSize / fmt.byteRate,
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    bitrate: fmt.byteRate * 8,
+  });
+};
+
+/**
+ * Parse the MP3 frame header at an offset; null if it is not a valid header
+ */
+const readMp3Frame = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  // Reserved version/layer, free-format or bad bitrate, reserved sample rate
+  if (versionBits === 1 || layerBits === 0) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const layer = 4 - layerBits;
+  const isV1 = versionBits === 3;
+  const bitrate = MP3_BITRATES[isV1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && !isV1 ? 576 : 1152;
+    length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+  }
+
+  return { sampleRate, samples, length, channels: channelMode === 3 ? 1 : 2, layer };
+};
+
+/**
+ * MP3: skip ID3v2, then walk every MPEG frame (handles CBR and VBR alike)
+ */
+const parseMp3 = (buffer) => {
+  let offset = 0;
+
+  if (buffer.toString('ascii', 0, 3) === 'ID3') {
+    if (buffer.length < 10) {
+      throw new Error('MP3 ID3 tag is truncated');
+    }
+    // Synchsafe size, plus the 10 byte header and an optional 10 byte footer
+    const tagSize = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    offset = 10 + tagSize + (buffer[5] & 0x10 ? 10 : 0);
+  }
+
+  // Find the first frame that is followed by another valid frame (or exactly ends the file)
+  let first = null;
+  for (; offset + 4 <= buffer.length; offset++) {
+    const frame = readMp3Frame(buffer, offset);
+    if (!frame) continue;
+
+    const nextOffset = offset + frame.length;
+    if (nextOffset === buffer.length || readMp3Frame(buffer, nextOffset)) {
+      first = frame;
+      break;
+    }
+  }
+
+  if (!first) {
+    throw new Error('MP3 file contains no valid audio frames');
+  }
+
+  let totalSamples = 0;
+  let audioBytes = 0;
+
+  while (offset < buffer.length) {
+    const frame = readMp3Frame(buffer, offset);
+
+    // Trailing ID3v1/APE tags, junk or a cut-off final frame end the stream
+    if (!frame || frame.sampleRate !== first.sampleRate) break;
+    if (offset + frame.length > buffer.length) break;
+
+    totalSamples += frame.samples;
+    audioBytes += frame.length;
+    offset += frame.length;
+  }
+
+  return buildMetadata({
+    format: 'mp3',
+    codec: `mp${first.layer}`,
+    duration: totalSamples / first.sampleRate,
+    sampleRate: first.sampleRate,
+    channels: first.channels,
+    audioBytes,
+  });
+};
+
+/**
+ * OGG: identification header from the first page, duration from the last granule position
+ */
+const parseOgg = (buffer) => {
+  let offset = 0;
+  let stream = null;
+  let lastGranule = null;
+
+  while (offset + 27 <= buffer.length && buffer.toString('ascii', offset, offset + 4) === 'OggS') {
+    const granule = buffer.readBigInt64LE(offset + 6);
+    const serial = buffer.readUInt32LE(offset + 14);
+    const segmentCount = buffer[offset + 26];
+    const headerLength = 27 + segmentCount;
+
+    if (offset + headerLength > buffer.length) break;
+
+    let bodyLength = 0;
+    for (let i = 0; i < segmentCount; i++) {
+      bodyLength += buffer[offset + 27 + i];
+    }
+
+    const body = offset + headerLength;
+
+    // A cut-off final page ends the stream; its granule position was never reached
+    if (body + bodyLength > buffer.length) break;
+
+    if (!stream) {
+      const packet = buffer.subarray(body, body + bodyLength);
+
+      if (packet.length >= 30 && packet.toString('ascii', 1, 7) === 'vorbis' && packet[0] === 1) {
+        stream = {
+          serial,
+          codec: 'vorbis',
+          channels: packet[11],
+          sampleRate: packet.readUInt32LE(12),
+          granuleRate: packet.readUInt32LE(12),
+          preSkip: 0,
+          bitrate: packet.readInt32LE(20) > 0 ? packet.readInt32LE(20) : 0,
+        };
+      } else if (packet.length >= 19 && packet.toString('ascii', 0, 8) === 'OpusHead') {
+        stream = {
+          serial,
+          codec: 'opus',
+          channels: packet[9],
+          sampleRate: packet.readUInt32LE(12) || OPUS_GRANULE_RATE,
+          granuleRate: OPUS_GRANULE_RATE,
+          preSkip: packet.readUInt16LE(10),
+          bitrate: 0,
+        };
+      } else {
+        throw new Error('OGG file does not contain a Vorbis or Opus stream');
+      }
+    }
+
+    // -1 marks pages on which no packet finishes
+    if (serial === stream.serial && granule >= 0n) {
+      lastGranule = granule;
+    }
+
+    offset = body + bodyLength;
+  }
+
+  if (!stream) {
+    throw new Error('OGG file contains no pages');
+  }
+
+  const samples = Number(lastGranule ?? 0n) - stream.preSkip;
+
+  return buildMetadata({
+    format: 'ogg',
+    codec: stream.codec,
+    duration: samples / stream.granuleRate,
+    sampleRate: stream.sampleRate,
+    channels: stream.channels,
+    bitrate: stream.bitrate,
+    audioBytes: buffer.length,
+  });
+};
+
+/**
+ * Iterate the MP4 boxes between start and end
+ */
+const readMp4Boxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset; // Box runs to the end of the file
+    }
+
+    if (size < header) {
+      throw new Error(`M4A box ${type} has an invalid size`);
+    }
+
+    boxes.push({ type, start: offset + header, end: Math.min(end, offset + size), size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const findMp4Box = (buffer, parent, path) =>
+  path.reduce((box, type) => {
+    if (!box) return null;
+    return readMp4Boxes(buffer, box.start, box.end).find((child) => child.type === type) || null;
+  }, parent);
+
+/**
+ * Timescale and duration from an mvhd/mdhd box (version 0 or 1)
+ */
+const readMp4Duration = (buffer, box) => {
+  const version = buffer[box.start];
+
+  if (box.end - box.start < (version === 1 ? 32 : 20)) {
+    throw new Error('M4A media header is truncated');
+  }
+
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.start + 20),
+      duration: Number(buffer.readBigUInt64BE(box.start + 24)),
+    };
+  }
+
+  return {
+    timescale: buffer.readUInt32BE(box.start + 12),
+    duration: buffer.readUInt32BE(box.start + 16),
+  };
+};
+
+/**
+ * M4A: duration from the sound track's mdhd, format from its first sample description
+ */
+const parseM4a = (buffer) => {
+  const root = { start: 0, end: buffer.length };
+  const topLevel = readMp4Boxes(buffer, root.start, root.end);
+  const moov = topLevel.find((box) => box.type === 'moov');
+
+  if (!moov) {
+    throw new Error('M4A file has no movie header (moov box)');
+  }
+
+  const soundTrack = readMp4Boxes(buffer, moov.start, moov.end)
+    .filter((box) => box.type === 'trak')
+    .find((trak) => {
+      const hdlr = findMp4Box(buffer, trak, ['mdia', 'hdlr']);
+      return hdlr && buffer.toString('ascii', hdlr.start + 8, hdlr.start + 12) === 'soun';
+    });
+
+  if (!soundTrack) {
+    throw new Error('M4A file has no audio track');
+  }
+
+  const mdhd = findMp4Box(buffer, soundTrack, ['mdia', 'mdhd']);
+  const stsd = findMp4Box(buffer, soundTrack, ['mdia', 'minf', 'stbl', 'stsd']);
+
+  if (!mdhd || !stsd || stsd.end - stsd.start < 44) {
+    throw new Error('M4A audio track is missing its media header or sample description');
+  }
+
+  const { timescale, duration } = readMp4Duration(buffer, mdhd);
+
+  // First sample entry follows version/flags and the entry count
+  const entry = stsd.start + 8;
+  const codec = buffer.toString('ascii', entry + 4, entry + 8).trim();
+  const channels = buffer.readUInt16BE(entry + 24);
+  const sampleRate = buffer.readUInt32BE(entry + 32) >>> 16; // 16.16 fixed point
+
+  const audioBytes = topLevel
+    .filter((box) => box.type === 'mdat')
+    .reduce((sum, box) => sum + (box.end - box.start), 0);
+
+  return buildMetadata({
+    format: 'm4a',
+    codec: codec === 'mp4a' ? 'aac' : codec,
+    duration: timescale ? duration / timescale : 0,
+    sampleRate: sampleRate || timescale,
+    channels,
+    audioBytes: audioBytes || buffer.length,
+  });
+};
+
+/**
+ * Identify the container from its magic bytes
+ */
+export const detectAudioFormat = (buffer) => {
+  if (buffer.length >= 12) {
+    const riff = buffer.toString('ascii', 0, 4);
+    if (riff === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'm4a';
+  }
+
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+
+  if (buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'mp3';
+
+  return null;
+};
+
+const PARSERS = {
+  wav: parseWav,
+  mp3: parseMp3,
+  ogg: parseOgg,
+  m4a: parseM4a,
+};
+
+/**
+ * Parse audio metadata from a file buffer
+ * @returns {Object} { format, codec, duration (seconds), sampleRate, channels, bitrate (bps) }
+ */
+export const parseAudioMetadata = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Audio file is empty');
+  }
+
+  const format = detectAudioFormat(buffer);
+
+  if (!format) {
+    throw new Error('Unrecognised audio format. Supported formats: wav, mp3, ogg, m4a');
+  }
+
+  try {
+    return PARSERS[format](buffer);
+  } catch (error) {
+    // Reads past the end of a truncated file surface as RangeErrors
+    if (error instanceof RangeError) {
+      throw new Error(`${format.toUpperCase()} file is truncated or corrupt`);
+    }
+    throw error;
+  }
+};
+
+export default {
+  detectAudioFormat,
+  parseAudioMetadata,
+};
@@ -0,0 +1,56 @@
+/**
+ * In-process reader for pronunciation lexicons in the CMU Pronouncing Dictionary format
+ * One "WORD  PH1 ON2 EMES" entry per line, ARPAbet phonemes with stress digits on vowels;
+ * further pronunciations of a word are listed as "WORD(2)". Lines starting with ";;;" and
+ * "#" comments (used by the newer cmudict.dict files) are skipped.
+ */
+
+// ARPAbet vowel phonemes, without their stress digit
+const VOWELS = new Set([
+  'AA',
+  'AE',
+  'AH',
+  'AO',
+  'AW',
+  'AY',
+  'EH',
+  'ER',
+  'EY',
+  'IH',
+  'IY',
+  'OW',
+  'OY',
+  'UH',
+  'UW',
+]);
+
+/**
+ * Whether a phoneme is a vowel ("AH0", "EY1")
+ */
+export const isVowel = (phoneme) => VOWELS.has(phoneme.replace(/\d$/, ''));
+
+/**
+ * Parse a lexicon
+ * @returns {Map<string, string[][]>} Lower-case word -> its pronunciations as phoneme lists
+ */
+export const parseLexicon = (source) => {
+  const lexicon = new Map();
+
+  source.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith(';;;')) return;
+
+    const [entry, ...phonemes] = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (!entry || phonemes.length === 0) return;
+
+    const word = entry.replace(/\(\d+\)$/, '').toLowerCase();
+    if (!lexicon.has(word)) lexicon.set(word, []);
+    lexicon.get(word).push(phonemes);
+  });
+
+  return lexicon;
+};
+
+export default {
+  isVowel,
+  parseLexicon,
+};
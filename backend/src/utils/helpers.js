@@ -105,6 +105,36 @@ export const generateRandomString = (length = 32) => {
   return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
 };
 
+/**
+ * Deterministic pseudo-random generator (mulberry32) seeded from any string
+ * The same seed always yields the same sequence of numbers in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle driven by a seeded generator, returns a new array
+ */
+export const seededShuffle = (items, seed) => {
+  const random = createSeededRandom(seed);
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
 export default {
   generateId,
   getPaginationMeta,
@@ -116,4 +146,6 @@ export default {
   calculatePercentage,
   isValidFileType,
   generateRandomString,
+  createSeededRandom,
+  seededShuffle,
 };
@@ -0,0 +1,374 @@
+/**
+ * In-process reader for Hunspell dictionaries (.aff affix file and .dic word list)
+ * Every stem is expanded with its prefixes and suffixes into a set of word forms, so a
+ * lookup is one set access. Supported: SET, FLAG (char, long, num, UTF-8), AF aliases,
+ * PFX/SFX with cross products and one level of continuation classes, REP, ICONV,
+ * NEEDAFFIX, FORBIDDENWORD, NOSUGGEST and ONLYINCOMPOUND. Compounding is not, so words
+ * that only exist as compounds are unknown.
+ */
+
+/**
+ * Text of a dictionary file in the encoding its affix file declares with SET
+ */
+export const decode = (buffer, encoding = 'UTF-8') => {
+  try {
+    return new TextDecoder(encoding).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    throw new Error(`Unsupported dictionary encoding ${encoding}`);
+  }
+};
+
+/**
+ * Encoding an affix file declares, read before the file is decoded
+ */
+export const affixEncoding = (buffer) =>
+  buffer.toString('latin1').match(/^SET\s+(\S+)/m)?.[1] || 'UTF-8';
+
+const flagParser = (type) => {
+  switch (type) {
+    case 'long':
+      return (flags) => flags.match(/../gs) || [];
+    case 'num':
+      return (flags) => flags.split(',').filter(Boolean);
+    case 'UTF-8':
+      return (flags) => Array.from(flags);
+    default:
+      return (flags) => flags.split('');
+  }
+};
+
+// Hunspell conditions are a regular expression subset: characters, '.', [abc] and [^abc]
+const conditionRegex = (condition, kind) => {
+  if (condition === '.') return null;
+  try {
+    return new RegExp(kind === 'SFX' ? `${condition}$` : `^${condition}`, 'u');
+  } catch {
+    return /$^/; // Never matches
+  }
+};
+
+/**
+ * Parse an affix file
+ * @returns {Object} { flag, aliases, affixes: Map<flag, { kind, cross, rules }>, rep, iconv, flags }
+ */
+export const parseAffix = (source) => {
+  const affix = {
+    flag: 'char',
+    aliases: [],
+    affixes: new Map(),
+    rep: [],
+    iconv: [],
+    flags: {},
+  };
+  const lines = source.split(/\r?\n/);
+  let aliasTable = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const parts = lines[i].replace(/^\s+/, '').split(/\s+/);
+    const [keyword] = parts;
+
+    switch (keyword) {
+      case 'FLAG':
+        affix.flag = parts[1];
+        break;
+      case 'AF':
+        // "AF n" opens the table, the entries follow as "AF flags"
+        if (aliasTable) {
+          affix.aliases.push(parts[1]);
+        } else {
+          aliasTable = true;
+        }
+        break;
+      case 'REP':
+      case 'ICONV':
+        if (parts.length >= 3) {
+          affix[keyword.toLowerCase()].push([parts[1], parts[2]]);
+        }
+        break;
+      case 'NEEDAFFIX':
+      case 'FORBIDDENWORD':
+      case 'NOSUGGEST':
+      case 'ONLYINCOMPOUND':
+        affix.flags[keyword] = parts[1];
+        break;
+      case 'PFX':
+      case 'SFX': {
+        const [, flag, cross, count] = parts;
+        if (affix.affixes.has(flag) || !/^\d+$/.test(count)) break;
+
+        const rules = [];
+        for (let n = 0; n < Number(count) && i + 1 < lines.length; n++) {
+          const [kind, , strip, add = '', condition = '.'] = lines[++i].trim().split(/\s+/);
+          if (kind !== keyword) continue;
+          const [append, continuation] = add.split('/');
+          rules.push({
+            strip: strip === '0' ? '' : strip,
+            append: append === '0' ? '' : append,
+            continuation,
+            condition: conditionRegex(condition, keyword),
+          });
+        }
+        affix.affixes.set(flag, { kind: keyword, cross: cross === 'Y', rules });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  const parseFlags = flagParser(affix.flag);
+  affix.parseFlags = (flags) =>
+    affix.aliases.length > 0 && /^\d+$/.test(flags)
+      ? parseFlags(affix.aliases[Number(flags) - 1] || '')
+      : parseFlags(flags);
+
+  return affix;
+};
+
+const applyRule = (word, rule, kind) => {
+  if (rule.condition && !rule.condition.test(word)) return null;
+
+  if (kind === 'SFX') {
+    if (rule.strip && !word.endsWith(rule.strip)) return null;
+    return word.slice(0, word.length - rule.strip.length) + rule.append;
+  }
+
+  if (rule.strip && !word.startsWith(rule.strip)) return null;
+  return rule.append + word.slice(rule.strip.length);
+};
+
+/**
+ * Forms of a stem: the stem (unless it needs an affix), its suffixed and prefixed forms,
+ * prefixed suffixed forms where both affixes allow cross products, and suffixes added
+ * through the continuation flags of a suffix
+ */
+const expand = (stem, flags, affix) => {
+  const forms = flags.includes(affix.flags.NEEDAFFIX) ? [] : [stem];
+  const suffixed = [];
+
+  const suffixesOf = (word, wordFlags) =>
+    wordFlags.forEach((flag) => {
+      const entry = affix.affixes.get(flag);
+      if (entry?.kind !== 'SFX') return;
+      entry.rules.forEach((rule) => {
+        const form = applyRule(word, rule, 'SFX');
+        if (form === null) return;
+        forms.push(form);
+        if (entry.cross) suffixed.push(form);
+        if (rule.continuation && wordFlags === flags) {
+          suffixesOf(form, affix.parseFlags(rule.continuation));
+        }
+      });
+    });
+
+  suffixesOf(stem, flags);
+
+  flags.forEach((flag) => {
+    const entry = affix.affixes.get(flag);
+    if (entry?.kind !== 'PFX') return;
+    const bases = entry.cross ? [stem, ...suffixed] : [stem];
+    entry.rules.forEach((rule) =>
+      bases.forEach((base) => {
+        const form = applyRule(base, rule, 'PFX');
+        if (form !== null) forms.push(form);
+      })
+    );
+  });
+
+  return forms;
+};
+
+// Rows of the distance table, reused between calls since suggestions compare many words
+let rows = [new Int32Array(32), new Int32Array(32), new Int32Array(32)];
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Stops early and returns max + 1 once the distance is known to exceed max.
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  if (rows[0].length <= b.length) {
+    rows = rows.map(() => new Int32Array(b.length * 2 + 1));
+  }
+  let [previous2, previous, current] = rows;
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    const charA = a.charCodeAt(i - 1);
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const charB = b.charCodeAt(j - 1);
+      let distance = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (charA === charB ? 0 : 1)
+      );
+      if (
+        i > 1 &&
+        j > 1 &&
+        charA === b.charCodeAt(j - 2) &&
+        a.charCodeAt(i - 2) === charB &&
+        previous2[j - 2] + 1 < distance
+      ) {
+        distance = previous2[j - 2] + 1;
+      }
+      current[j] = distance;
+      if (distance < rowMin) rowMin = distance;
+    }
+    if (rowMin > max) return max + 1;
+    [previous2, previous, current] = [previous, current, previous2];
+  }
+
+  return previous[b.length];
+};
+
+const isCapitalized = (word) =>
+  word.charAt(0) !== word.charAt(0).toLowerCase() && word.slice(1) === word.slice(1).toLowerCase();
+
+const isUpperCase = (word) => word === word.toUpperCase() && word !== word.toLowerCase();
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * A loaded dictionary: word lookup and spelling suggestions
+ */
+class Dictionary {
+  constructor(affix) {
+    this.affix = affix;
+    this.words = new Set();
+    this.forbidden = new Set();
+    this.noSuggest = new Set();
+    this.byLength = new Map(); // Suggestible forms by length: [{ word, lower }]
+  }
+
+  add(word, flags) {
+    const { FORBIDDENWORD, NOSUGGEST, ONLYINCOMPOUND } = this.affix.flags;
+
+    if (flags.includes(ONLYINCOMPOUND)) return;
+
+    if (flags.includes(FORBIDDENWORD)) {
+      this.forbidden.add(word);
+      return;
+    }
+
+    expand(word, flags, this.affix).forEach((form) => {
+      this.words.add(form);
+      if (flags.includes(NOSUGGEST)) this.noSuggest.add(form);
+    });
+  }
+
+  index() {
+    this.forbidden.forEach((word) => this.words.delete(word));
+    this.words.forEach((word) => {
+      if (this.noSuggest.has(word)) return;
+      const lower = word.toLowerCase();
+      if (!this.byLength.has(lower.length)) this.byLength.set(lower.length, []);
+      this.byLength.get(lower.length).push({ word, lower });
+    });
+  }
+
+  /**
+   * Word with the affix file's input conversions (ICONV) applied, e.g. curly apostrophes
+   */
+  normalize(word) {
+    return this.affix.iconv.reduce((result, [from, to]) => result.split(from).join(to), word);
+  }
+
+  /**
+   * Whether a word is spelled correctly
+   * Lower-case entries also match capitalized and upper-case words, capitalized entries
+   * (names) also match upper case; an upper-case word never matches a lower-case spelling.
+   */
+  check(input) {
+    const word = this.normalize(input);
+
+    if (this.words.has(word)) return true;
+
+    const lower = word.toLowerCase();
+    if (isCapitalized(word)) return this.words.has(lower);
+    if (isUpperCase(word)) return this.words.has(lower) || this.words.has(capitalize(lower));
+
+    return false;
+  }
+
+  /**
+   * Dictionary words within maxDistance edits of a word: [{ word, distance, listed }]
+   * Case differences do not count as edits. A replacement from the REP table counts as one
+   * and is marked listed: the dictionary names it as a usual correction.
+   */
+  candidates(input, maxDistance = 2) {
+    const lower = this.normalize(input).toLowerCase();
+    const found = new Map();
+    const keep = (word, distance, listed = false) => {
+      const known = found.get(word);
+      if (!known || known.distance > distance || (known.distance === distance && listed)) {
+        found.set(word, { distance, listed });
+      }
+    };
+
+    for (let length = lower.length - maxDistance; length <= lower.length + maxDistance; length++) {
+      (this.byLength.get(length) || []).forEach((entry) => {
+        const distance = editDistance(lower, entry.lower, maxDistance);
+        if (distance <= maxDistance) keep(entry.word, distance);
+      });
+    }
+
+    // Common misspellings the dictionary lists, e.g. "alot" for "a lot" ('_' is a space)
+    this.affix.rep.forEach(([from, to]) => {
+      const pattern = from.replace(/^\^|\$$/g, '');
+      let index = lower.indexOf(pattern);
+      while (index !== -1) {
+        const atStart = !from.startsWith('^') || index === 0;
+        const atEnd = !from.endsWith('$') || index + pattern.length === lower.length;
+        if (atStart && atEnd) {
+          const replaced = (
+            lower.slice(0, index) +
+            to +
+            lower.slice(index + pattern.length)
+          ).replace(/_/g, ' ');
+          if (replaced.split(' ').every((part) => this.check(part))) keep(replaced, 1, true);
+        }
+        index = lower.indexOf(pattern, index + 1);
+      }
+    });
+
+    return Array.from(found, ([word, candidate]) => ({ word, ...candidate }));
+  }
+}
+
+/**
+ * Build a dictionary from the text of an affix file and a word list
+ */
+export const createDictionary = (affSource, dicSource) => {
+  const affix = parseAffix(affSource);
+  const dictionary = new Dictionary(affix);
+  const lines = dicSource.split(/\r?\n/);
+
+  // The first line is the approximate word count
+  const start = /^\s*\d+\s*$/.test(lines[0] || '') ? 1 : 0;
+
+  for (let i = start; i < lines.length; i++) {
+    // "word/FLAGS" optionally followed by morphological fields; "\/" is a literal slash
+    const entry = lines[i].trim().split(/\s+/)[0];
+    if (!entry || entry.startsWith('#')) continue;
+
+    const slash = entry.search(/(?<!\\)\//);
+    const word = (slash > 0 ? entry.slice(0, slash) : entry).replace(/\\\//g, '/');
+    const flags = slash > 0 ? affix.parseFlags(entry.slice(slash + 1)) : [];
+
+    dictionary.add(word, flags);
+  }
+
+  dictionary.index();
+  return dictionary;
+};
+
+export default {
+  decode,
+  affixEncoding,
+  parseAffix,
+  createDictionary,
+  editDistance,
+};
@@ -0,0 +1,446 @@
+import fs from 'fs';
+
+/**
+ * Shared text analysis: tokens, sentences and paragraphs with character offsets into the
+ * original text, and part-of-speech tags and lemmas for English words
+ * Offsets are string indexes of the text as given (never of a normalized copy), so they can
+ * be stored with mistakes and highlighted as they are. Tags are Universal Dependencies
+ * part-of-speech tags (NOUN, VERB, AUX, ADJ, ...) from the lexicon in
+ * src/data/englishLexicon.txt, with suffix guesses for unknown words and a few context rules.
+ */
+
+const TOKEN_PATTERN = new RegExp(
+  [
+    // Web addresses and emails
+    String.raw`(?<url>(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]'’”]|[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,})`,
+    // Dotted abbreviations ("e.g.", "U.S.")
+    String.raw`(?<abbreviation>(?:\p{L}\.){2,})`,
+    // Numbers, with decimals, thousands, times and ordinals ("3.14", "18,000", "10:30", "3rd")
+    String.raw`(?<number>\p{N}+(?:[.,:/]\p{N}+)*(?:st|nd|rd|th|s)?(?![\p{L}\p{N}]))`,
+    // Words with inner apostrophes and hyphens ("don't", "well-known", "COVID-19")
+    String.raw`(?<word>[\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:['’\-‐][\p{L}\p{M}\p{N}]+)*)`,
+    // Punctuation; runs of the same mark ("...", "!!") are one token
+    String.raw`(?<punctuation>(?<mark>\p{P})\k<mark>*)`,
+    String.raw`(?<symbol>\p{S})`,
+  ].join('|'),
+  'gu'
+);
+
+// Abbreviations that do not end a sentence even before a capital ("Dr. Smith", "e.g. Paris")
+const NON_TERMINAL_ABBREVIATIONS = new Set([
+  'mr',
+  'mrs',
+  'ms',
+  'dr',
+  'prof',
+  'sr',
+  'jr',
+  'st',
+  'mt',
+  'gen',
+  'col',
+  'capt',
+  'lt',
+  'sgt',
+  'rev',
+  'gov',
+  'sen',
+  'vs',
+  'cf',
+  'e.g',
+  'i.e',
+  'approx',
+  'fig',
+]);
+
+// Abbreviations that end a sentence only before a capital ("etc. The", "Jan. 5")
+const ABBREVIATIONS = new Set([
+  'etc',
+  'inc',
+  'ltd',
+  'co',
+  'corp',
+  'dept',
+  'est',
+  'al',
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'sept',
+  'oct',
+  'nov',
+  'dec',
+]);
+
+// Sentence end: terminators, closing quotes or brackets, then a space or the end of the text
+const SENTENCE_END_PATTERN = /[.!?…]+["'”’)\]]*(?=\s|$)/gu;
+
+const PARAGRAPH_BREAK_PATTERN = /\n[^\S\n]*\n\s*/g;
+
+/**
+ * Lower-case form of a word for lookups: NFC, curly apostrophes made straight and the casing
+ * rules of the language (Turkish "İ" is "i" and "I" is "ı")
+ */
+export const normalizeWord = (word, language = 'en') =>
+  word.normalize('NFC').replace(/[’‘]/g, "'").toLocaleLowerCase(language);
+
+/**
+ * Tokens of a text: [{ text, normal, type, start, end }]
+ * type is word, number, abbreviation, url, punctuation or symbol; whitespace is skipped.
+ */
+export const tokenize = (text, { language = 'en' } = {}) =>
+  Array.from(text.matchAll(TOKEN_PATTERN), (match) => {
+    const type = ['url', 'abbreviation', 'number', 'word', 'punctuation', 'symbol'].find(
+      (name) => match.groups[name] !== undefined
+    );
+    return {
+      text: match[0],
+      normal:
+        type === 'punctuation' || type === 'symbol' ? match[0] : normalizeWord(match[0], language),
+      type,
+      start: match.index,
+      end: match.index + match[0].length,
+    };
+  });
+
+const COUNTED = new Set(['word', 'number', 'abbreviation', 'url']);
+
+/**
+ * Words and numbers of a text, without punctuation
+ */
+export const words = (text, options) =>
+  tokenize(text, options).filter((token) => COUNTED.has(token.type));
+
+export const countWords = (text, options) => words(text || '', options).length;
+
+/**
+ * Paragraphs of a text, separated by blank lines: [{ text, start, end }]
+ */
+export const paragraphs = (text) => {
+  const found = [];
+  let start = 0;
+
+  const add = (end) => {
+    const slice = text.slice(start, end);
+    const leading = slice.length - slice.trimStart().length;
+    const trimmed = slice.trim();
+    if (trimmed) {
+      found.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+    }
+  };
+
+  for (const match of text.matchAll(PARAGRAPH_BREAK_PATTERN)) {
+    add(match.index);
+    start = match.index + match[0].length;
+  }
+  add(text.length);
+
+  return found;
+};
+
+/**
+ * Whether the terminator at index ends a sentence, given the text after it
+ * Abbreviations, initials ("J. K. Rowling") and an ellipsis before a lower-case word do not.
+ */
+const endsSentence = (text, index, terminator, after) => {
+  if (!terminator.startsWith('.')) return true;
+
+  const next = text.slice(after).trimStart();
+  if (next === '') return true;
+
+  const nextIsCapital = /^["'“‘([]*\p{Lu}/u.test(next);
+  if (/^(?:\.{2,})$/.test(terminator)) return nextIsCapital; // Ellipsis
+
+  const before = text.slice(0, index).match(/(?:\p{L}\.)*\p{L}+$/u)?.[0] || '';
+  const lower = before.toLowerCase();
+
+  if (NON_TERMINAL_ABBREVIATIONS.has(lower)) return false;
+  if (/^\p{Lu}$/u.test(before)) return !nextIsCapital; // An initial
+  if (ABBREVIATIONS.has(lower) || /\p{L}\.\p{L}/u.test(before)) return nextIsCapital;
+
+  return true;
+};
+
+/**
+ * Sentences of a text: [{ text, start, end }]
+ * Sentences end at ".", "!", "?" or "…" followed by a space, and at line breaks.
+ */
+export const sentences = (text) => {
+  const found = [];
+
+  text.split(/(?<=\n)/).reduce((offset, line) => {
+    let start = 0;
+    const add = (end) => {
+      const slice = line.slice(start, end);
+      const leading = slice.length - slice.trimStart().length;
+      const trimmed = slice.trim();
+      if (trimmed) {
+        const from = offset + start + leading;
+        found.push({ text: trimmed, start: from, end: from + trimmed.length });
+      }
+    };
+
+    for (const match of line.matchAll(SENTENCE_END_PATTERN)) {
+      const end = match.index + match[0].length;
+      const terminator = match[0].replace(/["'”’)\]]+$/, '');
+      if (endsSentence(line, match.index, terminator, end)) {
+        add(end);
+        start = end;
+      }
+    }
+    add(line.length);
+
+    return offset + line.length;
+  }, 0);
+
+  return found;
+};
+
+/**
+ * Parse a lexicon: one "word TAG[:lemma] TAG[:lemma]..." entry per line, most likely tag
+ * first; a lemma is only given where the regular rules get it wrong ("went VERB:go").
+ * Lines starting with "#" are comments.
+ * @returns {Map<string, Array<{ tag, lemma }>>}
+ */
+export const parseLexicon = (source) => {
+  const lexicon = new Map();
+
+  source.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.startsWith('#')) return;
+
+    const [word, ...entries] = line.trim().split(/\s+/);
+    lexicon.set(
+      word,
+      entries.map((entry) => {
+        const [tag, lemma] = entry.split(':');
+        return { tag, lemma };
+      })
+    );
+  });
+
+  return lexicon;
+};
+
+let englishLexicon;
+
+/**
+ * The bundled English lexicon, read on first use
+ */
+export const getLexicon = () => {
+  if (!englishLexicon) {
+    englishLexicon = parseLexicon(
+      fs.readFileSync(new URL('../data/englishLexicon.txt', import.meta.url), 'utf8')
+    );
+  }
+  return englishLexicon;
+};
+
+const isConsonant = (char) => /[bcdfghjklmnpqrstvz]/.test(char);
+
+/**
+ * Base of a word whose -ed, -ing, -er or -est ending was removed: "stopp" -> stop,
+ * "hop" -> hope (a single consonant after a short vowel is doubled), "walk" -> walk
+ */
+const restoreStem = (stem, lexicon) => {
+  const last = stem.charAt(stem.length - 1);
+
+  if (stem.length > 2 && last === stem.charAt(stem.length - 2) && isConsonant(last)) {
+    return lexicon.has(stem) ? stem : stem.slice(0, -1);
+  }
+
+  const shortVowel =
+    /[^aeiou][aeiou][bcdfghjklmnpqrstvz]$/.test(stem) || /^[aeiou][bcdfghjklmnpqrstvz]$/.test(stem);
+  if (shortVowel && lexicon.has(`${stem}e`)) return `${stem}e`;
+  if (lexicon.has(stem)) return stem;
+  if (lexicon.has(`${stem}e`)) return `${stem}e`;
+
+  return stem;
+};
+
+const firstKnown = (candidates, lexicon, fallback) =>
+  candidates.find((candidate) => lexicon.has(candidate)) ?? fallback;
+
+/**
+ * Word without its -s or -es ending: "houses" -> house, "boxes" -> box, "misses" -> miss
+ */
+const stripS = (word, lexicon) => {
+  if (!word.endsWith('es')) return word.slice(0, -1);
+
+  return firstKnown(
+    [word.slice(0, -1), word.slice(0, -2)],
+    lexicon,
+    /(?:x|z|ch|sh|ss|o)es$/.test(word) ? word.slice(0, -2) : word.slice(0, -1)
+  );
+};
+
+const REGULAR_LEMMAS = {
+  NOUN: (word, lexicon) => {
+    if (!/[^s]s$/.test(word) || /(?:us|is|ics)$/.test(word)) return word;
+
+    const candidates = [];
+    if (word.endsWith('ies')) candidates.push(`${word.slice(0, -3)}y`);
+    if (word.endsWith('ves')) candidates.push(`${word.slice(0, -3)}f`, `${word.slice(0, -3)}fe`);
+
+    return firstKnown(candidates, lexicon, null) ?? stripS(word, lexicon);
+  },
+  VERB: (word, lexicon) => {
+    if (word.length <= 3) return word;
+    if (/^..ie[sd]$/.test(word)) return word.slice(0, -1); // "ties", "died"
+    if (/ie[sd]$/.test(word)) return `${word.slice(0, -3)}y`;
+    if (/[^s]s$/.test(word)) return stripS(word, lexicon);
+    if (word.endsWith('ed')) return restoreStem(word.slice(0, -2), lexicon);
+    if (word.endsWith('ing') && word.length > 4) return restoreStem(word.slice(0, -3), lexicon);
+    return word;
+  },
+  ADJ: (word, lexicon) => {
+    const ending = word.match(/(?:i?est|i?er)$/)?.[0];
+    if (!ending || word.length <= ending.length + 2) return word;
+
+    const stem = word.slice(0, -ending.length);
+    const base = ending.startsWith('i') ? `${stem}y` : restoreStem(stem, lexicon);
+    return lexicon.has(base) ? base : word;
+  },
+};
+REGULAR_LEMMAS.AUX = REGULAR_LEMMAS.VERB;
+
+/**
+ * Dictionary form of a lower-case word with the given tag ("studies" NOUN -> study,
+ * "hoping" VERB -> hope, "went" VERB -> go, "bigger" ADJ -> big)
+ */
+export const lemmatize = (word, tag, lexicon = getLexicon()) => {
+  const irregular = (lexicon.get(word) || []).find((entry) => entry.tag === tag)?.lemma;
+  if (irregular) return irregular;
+
+  return REGULAR_LEMMAS[tag] ? REGULAR_LEMMAS[tag](word, lexicon) : word;
+};
+
+// Tags guessed from the endings of words missing from the lexicon
+const SUFFIX_TAGS = [
+  [/ly$/, 'ADV'],
+  [/(?:ing|ed|ise|ize|ify|ate)$/, 'VERB'],
+  [/(?:tion|sion|ment|ness|ity|ism|ship|ance|ence|ist|er|or|s)$/, 'NOUN'],
+  [/(?:ous|ful|less|able|ible|al|ive|ic|ish|ary|est)$/, 'ADJ'],
+];
+
+const CLOSED_CLASS = new Set(['PRON', 'DET', 'AUX', 'ADP', 'CCONJ', 'SCONJ', 'PART']);
+
+const SUBJECT_PRONOUNS = new Set(['i', 'you', 'he', 'she', 'it', 'we', 'they']);
+
+/**
+ * Candidate tags of a token, most likely first
+ */
+const candidateTags = (token, lexicon, sentenceStart) => {
+  if (token.type === 'punctuation') return ['PUNCT'];
+  if (token.type === 'symbol') return ['SYM'];
+  if (token.type === 'number') return ['NUM'];
+  if (token.type === 'url') return ['X'];
+
+  const known = lexicon.get(token.normal)?.map((entry) => entry.tag);
+  const capitalized = /^\p{Lu}/u.test(token.text);
+
+  // Capitalized inside a sentence: a name, unless it is a function word ("I", "It's")
+  if (capitalized && !sentenceStart && !(known && CLOSED_CLASS.has(known[0]))) return ['PROPN'];
+  if (known) return known;
+  if (token.type === 'abbreviation' || capitalized) return ['PROPN'];
+
+  return [SUFFIX_TAGS.find(([pattern]) => pattern.test(token.normal))?.[1] || 'NOUN'];
+};
+
+/**
+ * Choose a tag for each word of a sentence: the most likely one, corrected by its
+ * neighbours where the word has several ("the run" NOUN, "to run" and "they run" VERB)
+ */
+const tagSentence = (tokens, lexicon) => {
+  let previous = null;
+
+  tokens.forEach((token, index) => {
+    // Words after an opening quote or a colon may start a quoted sentence
+    const sentenceStart = index === 0 || /^[:"“‘(]$/.test(tokens[index - 1].text);
+    const tags = candidateTags(token, lexicon, sentenceStart);
+    let [tag] = tags;
+
+    if (tags.length > 1 && previous) {
+      if (previous.pos === 'DET' && tags.includes('NOUN')) tag = 'NOUN';
+      else if (
+        tags.includes('VERB') &&
+        (previous.normal === 'to' ||
+          previous.pos === 'AUX' ||
+          (previous.pos === 'PRON' && SUBJECT_PRONOUNS.has(previous.normal)))
+      ) {
+        tag = 'VERB';
+      }
+    }
+
+    token.pos = tag;
+    if (token.pos !== 'PUNCT') previous = token;
+  });
+
+  // "to" before a verb is the infinitive marker
+  tokens.forEach((token, index) => {
+    if (token.normal === 'to' && tokens[index + 1]?.pos === 'VERB') token.pos = 'PART';
+  });
+};
+
+/**
+ * Full analysis of a text
+ * @param {Object} options - { language }: tags and lemmas are only given for English ("en")
+ * @returns {Object} { paragraphs, sentences: [{ text, start, end, paragraph }],
+ *   tokens: [{ text, normal, type, start, end, sentence, pos, lemma }] }
+ */
+export const analyze = (text, { language = 'en' } = {}) => {
+  const source = text || '';
+  const foundParagraphs = paragraphs(source);
+  const foundSentences = [];
+  const tokens = [];
+  const english = language === 'en' || language.startsWith('en-');
+  const lexicon = english ? getLexicon() : null;
+
+  foundParagraphs.forEach((paragraph, paragraphIndex) => {
+    sentences(paragraph.text).forEach((sentence) => {
+      const start = paragraph.start + sentence.start;
+      const sentenceTokens = tokenize(sentence.text, { language }).map((token) => ({
+        ...token,
+        start: start + token.start,
+        end: start + token.end,
+        sentence: foundSentences.length,
+      }));
+
+      if (english) {
+        tagSentence(sentenceTokens, lexicon);
+        sentenceTokens.forEach((token) => {
+          token.lemma = COUNTED.has(token.type)
+            ? lemmatize(token.normal, token.pos, lexicon)
+            : token.normal;
+        });
+      }
+
+      foundSentences.push({
+        text: sentence.text,
+        start,
+        end: start + sentence.text.length,
+        paragraph: paragraphIndex,
+      });
+      tokens.push(...sentenceTokens);
+    });
+  });
+
+  return { paragraphs: foundParagraphs, sentences: foundSentences, tokens };
+};
+
+export default {
+  normalizeWord,
+  tokenize,
+  words,
+  countWords,
+  paragraphs,
+  sentences,
+  parseLexicon,
+  getLexicon,
+  lemmatize,
+  analyze,
+};
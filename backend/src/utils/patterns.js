@@ -0,0 +1,62 @@
+import vm from 'vm';
+
+/**
+ * Running regular expressions written by teachers (grammar rules, short-answer patterns)
+ * They run in a separate context with a time limit: a catastrophically backtracking pattern
+ * times out instead of blocking the API or the evaluation worker.
+ */
+
+// Longest one pattern may run on one text
+export const PATTERN_TIMEOUT_MS = 250;
+
+const sandbox = vm.createContext({});
+
+const matcher = new vm.Script(`(() => {
+  const regex = new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+  const found = [];
+  let match;
+  while (found.length < limit && (match = regex.exec(text)) !== null) {
+    found.push({ index: match.index, text: match[0], groups: match.slice(1) });
+    if (match[0] === '') regex.lastIndex += 1;
+  }
+  return found;
+})()`);
+
+const tester = new vm.Script('new RegExp(source, flags).test(text)');
+
+const run = (script, context, timeout) => {
+  Object.assign(sandbox, context);
+
+  try {
+    return script.runInContext(sandbox, { timeout });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Pattern took longer than ${timeout}ms on this text`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Matches of a pattern in a text, at most limit: [{ index, text, groups }]
+ * Throws when the pattern is invalid or runs too long
+ */
+export const findPatternMatches = (
+  source,
+  flags,
+  text,
+  { limit = Infinity, timeout = PATTERN_TIMEOUT_MS } = {}
+) => run(matcher, { source, flags: flags || '', text: text || '', limit }, timeout);
+
+/**
+ * Whether a pattern matches a text
+ * Throws when the pattern is invalid or runs too long
+ */
+export const testPattern = (source, flags, text, { timeout = PATTERN_TIMEOUT_MS } = {}) =>
+  run(tester, { source, flags: flags || '', text: text || '' }, timeout);
+
+export default {
+  PATTERN_TIMEOUT_MS,
+  findPatternMatches,
+  testPattern,
+};
@@ -1,5 +1,5 @@
 // Simple validators compatible with Vercel serverless
-import { HTTP_STATUS } from '../config/constants.js';
+import { HTTP_STATUS, ERROR_TYPES, SEVERITY_LEVELS } from '../config/constants.js';
 import mongoose from 'mongoose';
 
 /**
@@ -115,12 +115,197 @@ export const submissionValidation = (req, res, next) => {
   next();
 };
 
+/**
+ * Quiz question types (see QUESTION_TYPES in constants)
+ */
+const QUESTION_TYPES = [
+  'multiple-choice',
+  'true-false',
+  'short-answer',
+  'multi-select',
+  'numeric',
+  'cloze',
+  'matching',
+  'ordering',
+];
+
+/**
+ * Type-specific checks for one quiz question, returns error entries
+ * Error fields are prefixed with `field`, e.g. questions[2]; bank items have no prefix
+ */
+export const validateQuestion = (question, field = '') => {
+  const errors = [];
+  const prefix = field ? `${field}.` : '';
+  const filled = (list) => Array.isArray(list) && list.every((item) => typeof item === 'string' && item.trim());
+
+  if (!question.questionText || !question.questionText.trim()) {
+    errors.push({ field: `${prefix}questionText`, message: 'Question text is required' });
+  }
+
+  if (question.tags !== undefined && !filled(question.tags)) {
+    errors.push({ field: `${prefix}tags`, message: 'Tags must be a list of non-empty strings' });
+  }
+
+  if (question.difficulty && !['beginner', 'intermediate', 'advanced'].includes(question.difficulty)) {
+    errors.push({ field: `${prefix}difficulty`, message: 'Difficulty must be beginner, intermediate, or advanced' });
+  }
+
+  if (question.explanation !== undefined && (typeof question.explanation !== 'string' || question.explanation.length > 2000)) {
+    errors.push({ field: `${prefix}explanation`, message: 'Explanation must be text of at most 2000 characters' });
+  }
+
+  if (question.reference !== undefined && (typeof question.reference !== 'string' || question.reference.length > 500)) {
+    errors.push({ field: `${prefix}reference`, message: 'Reference must be text of at most 500 characters' });
+  }
+
+  ['caseSensitive', 'accentSensitive'].forEach((option) => {
+    if (question[option] !== undefined && typeof question[option] !== 'boolean') {
+      errors.push({ field: `${prefix}${option}`, message: `${option} must be true or false` });
+    }
+  });
+
+  if (question.acceptedAnswers !== undefined && !filled(question.acceptedAnswers)) {
+    errors.push({ field: `${prefix}acceptedAnswers`, message: 'Accepted answers must be a list of non-empty strings' });
+  }
+
+  if (question.answerPatterns !== undefined) {
+    if (!filled(question.answerPatterns)) {
+      errors.push({ field: `${prefix}answerPatterns`, message: 'Answer patterns must be a list of non-empty strings' });
+    } else {
+      question.answerPatterns.forEach((pattern, patternIndex) => {
+        try {
+          new RegExp(pattern, 'u');
+        } catch (error) {
+          errors.push({ field: `${prefix}answerPatterns[${patternIndex}]`, message: `Invalid pattern: ${error.message}` });
+        }
+      });
+    }
+  }
+
+  switch (question.questionType) {
+    case 'multiple-choice':
+    case 'true-false':
+    case 'short-answer':
+      if (!question.correctAnswer) {
+        errors.push({ field: `${prefix}correctAnswer`, message: 'Correct answer is required' });
+      }
+      break;
+    case 'multi-select':
+      if (!filled(question.options) || question.options.length < 2) {
+        errors.push({ field: `${prefix}options`, message: 'Multi-select questions need at least 2 options' });
+      } else if (
+        !filled(question.correctAnswers) ||
+        question.correctAnswers.length === 0 ||
+        !question.correctAnswers.every((answer) => question.options.includes(answer))
+      ) {
+        errors.push({ field: `${prefix}correctAnswers`, message: 'Correct answers must be one or more of the options' });
+      }
+      break;
+    case 'numeric': {
+      const { value, tolerance, toleranceType } = question.numericAnswer || {};
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field: `${prefix}numericAnswer.value`, message: 'Numeric answer value must be a number' });
+      }
+      if (tolerance !== undefined && (typeof tolerance !== 'number' || tolerance < 0)) {
+        errors.push({ field: `${prefix}numericAnswer.tolerance`, message: 'Tolerance must be a non-negative number' });
+      }
+      if (toleranceType && !['absolute', 'percent'].includes(toleranceType)) {
+        errors.push({ field: `${prefix}numericAnswer.toleranceType`, message: 'Tolerance type must be absolute or percent' });
+      }
+      break;
+    }
+    case 'cloze': {
+      const blankCount = (question.questionText || '').match(/_{3,}/g)?.length || 0;
+      if (blankCount === 0) {
+        errors.push({ field: `${prefix}questionText`, message: 'Mark each blank in the question text with ___' });
+      } else if (!filled(question.blanks) || question.blanks.length !== blankCount) {
+        errors.push({ field: `${prefix}blanks`, message: `Provide one answer per blank (${blankCount} in the question text)` });
+      }
+      break;
+    }
+    case 'matching':
+      if (
+        !Array.isArray(question.pairs) ||
+        question.pairs.length < 2 ||
+        !question.pairs.every((pair) => pair?.left?.trim() && pair?.right?.trim())
+      ) {
+        errors.push({ field: `${prefix}pairs`, message: 'Matching questions need at least 2 complete pairs' });
+      }
+      break;
+    case 'ordering':
+      if (!filled(question.sequence) || question.sequence.length < 2) {
+        errors.push({ field: `${prefix}sequence`, message: 'Ordering questions need at least 2 items' });
+      } else if (new Set(question.sequence).size !== question.sequence.length) {
+        errors.push({ field: `${prefix}sequence`, message: 'Ordering items must be unique' });
+      }
+      break;
+    default:
+      errors.push({ field: `${prefix}questionType`, message: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` });
+  }
+
+  return errors;
+};
+
+/**
+ * Quiz scoring policy: negative marking, multi-part credit and short-answer thresholds
+ */
+const validateScoringPolicy = (policy, activityType) => {
+  const errors = [];
+  const { negativeMarking, penalizeBlank, multiPartCredit, shortAnswerThresholds } = policy;
+
+  if (activityType !== 'quiz') {
+    return [{ field: 'scoringPolicy', message: 'Scoring policies are only available for quiz activities' }];
+  }
+
+  if (negativeMarking !== undefined && (typeof negativeMarking !== 'number' || negativeMarking < 0 || negativeMarking > 1)) {
+    errors.push({ field: 'scoringPolicy.negativeMarking', message: 'Negative marking must be a share of the points between 0 and 1' });
+  }
+  if (penalizeBlank !== undefined && typeof penalizeBlank !== 'boolean') {
+    errors.push({ field: 'scoringPolicy.penalizeBlank', message: 'Penalize blank must be true or false' });
+  }
+  if (multiPartCredit !== undefined && !['proportional', 'all-or-nothing'].includes(multiPartCredit)) {
+    errors.push({ field: 'scoringPolicy.multiPartCredit', message: 'Multi-part credit must be proportional or all-or-nothing' });
+  }
+
+  if (shortAnswerThresholds) {
+    const { full = 0.9, close = 0.7, partial = 0.5 } = shortAnswerThresholds;
+    const values = { full, close, partial };
+    Object.entries(values).forEach(([name, value]) => {
+      if (typeof value !== 'number' || value < 0 || value > 1) {
+        errors.push({ field: `scoringPolicy.shortAnswerThresholds.${name}`, message: 'Similarity thresholds must be between 0 and 1' });
+      }
+    });
+    if (!(full >= close && close >= partial)) {
+      errors.push({ field: 'scoringPolicy.shortAnswerThresholds', message: 'Thresholds must decrease from full to close to partial credit' });
+    }
+  }
+
+  return errors;
+};
+
 /**
  * Activity validation middleware
  */
 export const activityValidation = (req, res, next) => {
   const errors = [];
-  const { title, description, activityType, difficulty } = req.body;
+  const {
+    title,
+    description,
+    activityType,
+    difficulty,
+    speakingMode,
+    prompt,
+    questions,
+    questionPool,
+    timeLimit,
+    quizMode,
+    adaptive,
+    scoringPolicy,
+    dueDate,
+    maxAttempts,
+    explanationReveal,
+    spellingAllowList,
+  } = req.body;
 
   if (!title || title.length < 3 || title.length > 200) {
     errors.push({ field: 'title', message: 'Title must be between 3 and 200 characters' });
@@ -138,6 +323,159 @@ export const activityValidation = (req, res, next) => {
     errors.push({ field: 'difficulty', message: 'Difficulty must be beginner, intermediate, or advanced' });
   }
 
+  if (speakingMode && !['free', 'read-aloud'].includes(speakingMode)) {
+    errors.push({ field: 'speakingMode', message: 'Speaking mode must be free or read-aloud' });
+  }
+
+  if (activityType === 'quiz') {
+    if (!Array.isArray(questions) || questions.length === 0) {
+      errors.push({ field: 'questions', message: 'Quiz activities need at least one question' });
+    } else {
+      questions.forEach((question, index) => {
+        if (question?.bankItemId && !question.questionText) {
+          // Question bank reference, copied in by the controller
+          if (!isValidMongoId(question.bankItemId)) {
+            errors.push({ field: `questions[${index}].bankItemId`, message: 'Invalid question bank item ID' });
+          }
+          if (question.points !== undefined && (typeof question.points !== 'number' || question.points <= 0)) {
+            errors.push({ field: `questions[${index}].points`, message: 'Points must be positive' });
+          }
+        } else {
+          errors.push(...validateQuestion(question, `questions[${index}]`));
+        }
+      });
+    }
+
+    if (questionPool) {
+      const { drawCount, stratifyBy } = questionPool;
+      if (
+        drawCount !== undefined &&
+        (!Number.isInteger(drawCount) || drawCount < 1 || drawCount > (questions?.length || 0))
+      ) {
+        errors.push({ field: 'questionPool.drawCount', message: 'Draw count must be a whole number between 1 and the number of questions' });
+      }
+      if (stratifyBy && !['none', 'tag', 'difficulty'].includes(stratifyBy)) {
+        errors.push({ field: 'questionPool.stratifyBy', message: 'Stratify by must be none, tag, or difficulty' });
+      }
+    }
+
+    if (quizMode && !['fixed', 'adaptive'].includes(quizMode)) {
+      errors.push({ field: 'quizMode', message: 'Quiz mode must be fixed or adaptive' });
+    }
+
+    if (quizMode === 'adaptive' && adaptive) {
+      const { model, minQuestions, maxQuestions, standardErrorThreshold } = adaptive;
+      const poolSize = questions?.length || 0;
+      if (model && !['1pl', '2pl'].includes(model)) {
+        errors.push({ field: 'adaptive.model', message: 'Model must be 1pl or 2pl' });
+      }
+      if (minQuestions !== undefined && minQuestions !== null && (!Number.isInteger(minQuestions) || minQuestions < 1 || minQuestions > poolSize)) {
+        errors.push({ field: 'adaptive.minQuestions', message: 'Minimum questions must be a whole number between 1 and the number of questions' });
+      }
+      if (maxQuestions !== undefined && maxQuestions !== null && (!Number.isInteger(maxQuestions) || maxQuestions < 1 || maxQuestions > poolSize)) {
+        errors.push({ field: 'adaptive.maxQuestions', message: 'Maximum questions must be a whole number between 1 and the number of questions' });
+      } else if (Number.isInteger(minQuestions) && Number.isInteger(maxQuestions) && maxQuestions < minQuestions) {
+        errors.push({ field: 'adaptive.maxQuestions', message: 'Maximum questions cannot be less than minimum questions' });
+      }
+      if (
+        standardErrorThreshold !== undefined &&
+        standardErrorThreshold !== null &&
+        (typeof standardErrorThreshold !== 'number' || standardErrorThreshold < 0.05 || standardErrorThreshold > 1)
+      ) {
+        errors.push({ field: 'adaptive.standardErrorThreshold', message: 'Standard error threshold must be between 0.05 and 1' });
+      }
+    }
+  } else if (quizMode === 'adaptive') {
+    errors.push({ field: 'quizMode', message: 'Adaptive mode is only available for quiz activities' });
+  }
+
+  if (scoringPolicy) {
+    errors.push(...validateScoringPolicy(scoringPolicy, activityType));
+  }
+
+  if (timeLimit !== undefined && timeLimit !== null) {
+    if (activityType !== 'quiz') {
+      errors.push({ field: 'timeLimit', message: 'Time limits are only available for quiz activities' });
+    } else if (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > 600) {
+      errors.push({ field: 'timeLimit', message: 'Time limit must be a whole number of minutes between 1 and 600' });
+    }
+  }
+
+  if (dueDate !== undefined && dueDate !== null && Number.isNaN(new Date(dueDate).getTime())) {
+    errors.push({ field: 'dueDate', message: 'Due date must be a valid date' });
+  }
+
+  if (maxAttempts !== undefined && maxAttempts !== null) {
+    if (activityType !== 'quiz') {
+      errors.push({ field: 'maxAttempts', message: 'Attempt limits are only available for quiz activities' });
+    } else if (timeLimit || quizMode === 'adaptive') {
+      errors.push({ field: 'maxAttempts', message: 'Timed and adaptive quizzes can only be taken once' });
+    } else if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      errors.push({ field: 'maxAttempts', message: 'Maximum attempts must be a whole number of at least 1' });
+    }
+  }
+
+  if (explanationReveal) {
+    if (activityType !== 'quiz') {
+      errors.push({ field: 'explanationReveal', message: 'Explanation reveal is only available for quiz activities' });
+    } else if (!['immediately', 'after-due-date', 'after-final-attempt'].includes(explanationReveal)) {
+      errors.push({ field: 'explanationReveal', message: 'Explanation reveal must be immediately, after-due-date, or after-final-attempt' });
+    } else if (explanationReveal === 'after-due-date' && !dueDate) {
+      errors.push({ field: 'dueDate', message: 'Set a due date to reveal explanations after it' });
+    } else if (explanationReveal === 'after-final-attempt' && !timeLimit && quizMode !== 'adaptive' && !maxAttempts) {
+      errors.push({ field: 'maxAttempts', message: 'Set a maximum number of attempts to reveal explanations after the final one' });
+    }
+  }
+
+  if (spellingAllowList !== undefined) {
+    if (activityType !== 'writing') {
+      errors.push({ field: 'spellingAllowList', message: 'Allowed spellings are only available for writing activities' });
+    } else if (!Array.isArray(spellingAllowList) || spellingAllowList.length > 500) {
+      errors.push({ field: 'spellingAllowList', message: 'Allowed spellings must be a list of at most 500 words' });
+    } else if (spellingAllowList.some((word) => typeof word !== 'string' || !word.trim() || word.length > 100)) {
+      errors.push({ field: 'spellingAllowList', message: 'Allowed spellings must be words of at most 100 characters' });
+    }
+  }
+
+  if (speakingMode === 'read-aloud') {
+    if (activityType !== 'speaking') {
+      errors.push({ field: 'speakingMode', message: 'Read-aloud mode is only available for speaking activities' });
+    }
+    if (!prompt || !prompt.trim()) {
+      errors.push({ field: 'prompt', message: 'Read-aloud activities need the passage to read as the prompt' });
+    }
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Question bank item validation middleware (create and update)
+ */
+export const questionBankValidation = (req, res, next) => {
+  const errors = validateQuestion(req.body);
+  const { skill, cefrLevel, isShared, points } = req.body;
+
+  if (skill && !['grammar', 'vocabulary', 'reading', 'listening', 'writing', 'speaking'].includes(skill)) {
+    errors.push({ field: 'skill', message: 'Skill must be grammar, vocabulary, reading, listening, writing, or speaking' });
+  }
+
+  if (cefrLevel && !['A1', 'A2', 'B1', 'B2', 'C1', 'C2'].includes(cefrLevel)) {
+    errors.push({ field: 'cefrLevel', message: 'CEFR level must be one of A1, A2, B1, B2, C1, C2' });
+  }
+
+  if (isShared !== undefined && typeof isShared !== 'boolean') {
+    errors.push({ field: 'isShared', message: 'isShared must be true or false' });
+  }
+
+  if (points !== undefined && (typeof points !== 'number' || points <= 0)) {
+    errors.push({ field: 'points', message: 'Points must be positive' });
+  }
+
   if (errors.length > 0) {
     return validationError(res, errors);
   }
@@ -244,6 +582,32 @@ export const updateUserValidation = (req, res, next) => {
   next();
 };
 
+/**
+ * Student accommodations validation middleware
+ */
+export const accommodationsValidation = (req, res, next) => {
+  const errors = [];
+  const { timeMultiplier, extraMinutes, note } = req.body;
+
+  if (timeMultiplier !== undefined && (typeof timeMultiplier !== 'number' || timeMultiplier < 1 || timeMultiplier > 4)) {
+    errors.push({ field: 'timeMultiplier', message: 'Time multiplier must be a number between 1 and 4' });
+  }
+
+  if (extraMinutes !== undefined && (!Number.isInteger(extraMinutes) || extraMinutes < 0 || extraMinutes > 600)) {
+    errors.push({ field: 'extraMinutes', message: 'Extra minutes must be a whole number between 0 and 600' });
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    errors.push({ field: 'note', message: 'Note must be text of at most 500 characters' });
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
 /**
  * Retrain model validation middleware
  */
@@ -257,6 +621,116 @@ export const retrainModelValidation = (req, res, next) => {
   next();
 };
 
+/**
+ * Evaluator provider assignment validation middleware
+ */
+export const evaluatorProviderValidation = (req, res, next) => {
+  const errors = [];
+  const { activityType } = req.params;
+  const { provider } = req.body;
+
+  if (!['speaking', 'writing', 'quiz'].includes(activityType)) {
+    errors.push({ field: 'activityType', message: 'Activity type must be speaking, writing, or quiz' });
+  }
+
+  if (!provider || typeof provider !== 'string') {
+    errors.push({ field: 'provider', message: 'Provider is required' });
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * AI model configuration validation middleware
+ */
+export const aiModelConfigValidation = (req, res, next) => {
+  const errors = [];
+  const { config, promptTemplates, providers, changeNote } = req.body;
+
+  const ranges = {
+    temperature: [0, 2],
+    maxTokens: [100, 4000],
+    topP: [0, 1],
+    frequencyPenalty: [0, 2],
+    presencePenalty: [0, 2],
+  };
+
+  if (config !== undefined) {
+    if (typeof config !== 'object' || config === null) {
+      errors.push({ field: 'config', message: 'Config must be an object' });
+    } else {
+      Object.entries(ranges).forEach(([name, [min, max]]) => {
+        const value = config[name];
+        if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+          errors.push({ field: `config.${name}`, message: `${name} must be between ${min} and ${max}` });
+        }
+      });
+
+      if (config.model !== undefined && (typeof config.model !== 'string' || !config.model.trim())) {
+        errors.push({ field: 'config.model', message: 'Model must be a non-empty string' });
+      }
+    }
+  }
+
+  ['promptTemplates', 'providers'].forEach((field) => {
+    const value = req.body[field];
+    if (value === undefined) return;
+
+    if (typeof value !== 'object' || value === null) {
+      errors.push({ field, message: `${field} must be an object` });
+      return;
+    }
+
+    Object.entries(value).forEach(([activityType, entry]) => {
+      if (!['speaking', 'writing', 'quiz'].includes(activityType)) {
+        errors.push({ field: `${field}.${activityType}`, message: 'Unknown activity type' });
+      } else if (typeof entry !== 'string') {
+        errors.push({ field: `${field}.${activityType}`, message: `${field} entries must be strings` });
+      }
+    });
+  });
+
+  if (!config && !promptTemplates && !providers) {
+    errors.push({ field: 'config', message: 'Nothing to save' });
+  }
+
+  if (changeNote !== undefined && typeof changeNote !== 'string') {
+    errors.push({ field: 'changeNote', message: 'Change note must be a string' });
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * AI model test validation middleware
+ */
+export const aiModelTestValidation = (req, res, next) => {
+  const errors = [];
+  const { input, activityType } = req.body;
+
+  if (!input || typeof input !== 'string' || input.trim().length < 10) {
+    errors.push({ field: 'input', message: 'Test input must be at least 10 characters' });
+  }
+
+  if (activityType !== undefined && !['speaking', 'writing'].includes(activityType)) {
+    errors.push({ field: 'activityType', message: 'Activity type must be speaking or writing' });
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
 /**
  * Rubric validation middleware
  */
@@ -354,18 +828,196 @@ export const reviewEvaluationValidation = (req, res, next) => {
   next();
 };
 
+/**
+ * Evaluation revision validation middleware
+ * Checks :submissionId, :revision (restore) and ?from/?to (diff)
+ */
+export const evaluationRevisionValidation = (req, res, next) => {
+  const errors = [];
+  const { submissionId, revision } = req.params;
+  const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && parseInt(value) >= 1;
+
+  if (!submissionId || !isValidMongoId(submissionId)) {
+    errors.push({ field: 'submissionId', message: 'Invalid ID format' });
+  }
+
+  if (revision !== undefined && !isPositiveInteger(revision)) {
+    errors.push({ field: 'revision', message: 'Revision must be a positive integer' });
+  }
+
+  if (req.path.endsWith('/diff')) {
+    ['from', 'to'].forEach((field) => {
+      if (!isPositiveInteger(req.query[field])) {
+        errors.push({ field, message: `${field} must be a positive revision number` });
+      }
+    });
+  }
+
+  const note = req.body?.note;
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    errors.push({ field: 'note', message: 'Note must be a string of at most 500 characters' });
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Grammar rule field checks, shared by create and update
+ * With partial, only the fields present are checked.
+ */
+const checkGrammarRule = (body, errors, { partial = false } = {}) => {
+  const { name, pattern, flags, errorType, severity, suggestion, correctionTemplate, language, appliesTo, weight, minMatches } = body;
+  const present = (value) => !partial || value !== undefined;
+
+  if (present(name) && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    errors.push({ field: 'name', message: 'Name must be between 1 and 100 characters' });
+  }
+
+  if (flags !== undefined && (typeof flags !== 'string' || !/^[gimsuy]*$/.test(flags))) {
+    errors.push({ field: 'flags', message: 'Flags may only contain g, i, m, s, u and y' });
+  }
+
+  if (present(pattern)) {
+    if (!pattern || typeof pattern !== 'string' || pattern.length > 500) {
+      errors.push({ field: 'pattern', message: 'Pattern must be between 1 and 500 characters' });
+    } else {
+      try {
+        new RegExp(pattern);
+        // A pattern matching empty text would report a mistake at every position
+        if (new RegExp(`^(?:${pattern})$`).test('')) {
+          errors.push({ field: 'pattern', message: 'Pattern must not match empty text' });
+        }
+      } catch (error) {
+        errors.push({ field: 'pattern', message: `Invalid pattern: ${error.message}` });
+      }
+    }
+  }
+
+  if (present(errorType) && !Object.values(ERROR_TYPES).includes(errorType)) {
+    errors.push({ field: 'errorType', message: 'Invalid error type' });
+  }
+
+  if (severity !== undefined && !Object.values(SEVERITY_LEVELS).includes(severity)) {
+    errors.push({ field: 'severity', message: 'Invalid severity' });
+  }
+
+  if (present(suggestion) && (typeof suggestion !== 'string' || !suggestion.trim())) {
+    errors.push({ field: 'suggestion', message: 'Suggestion is required' });
+  }
+
+  if (correctionTemplate !== undefined && (typeof correctionTemplate !== 'string' || correctionTemplate.length > 200)) {
+    errors.push({ field: 'correctionTemplate', message: 'Correction template must be a string of at most 200 characters' });
+  }
+
+  if (language !== undefined && (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(language))) {
+    errors.push({ field: 'language', message: 'Language must be a code such as en or en-GB' });
+  }
+
+  if (appliesTo !== undefined && (!Array.isArray(appliesTo) || appliesTo.length < 1 || appliesTo.some((type) => !['writing', 'speaking'].includes(type)))) {
+    errors.push({ field: 'appliesTo', message: 'Applies to must list writing and/or speaking' });
+  }
+
+  if (weight !== undefined && (typeof weight !== 'number' || weight < 0 || weight > 5)) {
+    errors.push({ field: 'weight', message: 'Weight must be between 0 and 5' });
+  }
+
+  if (minMatches !== undefined && (!Number.isInteger(minMatches) || minMatches < 1)) {
+    errors.push({ field: 'minMatches', message: 'Minimum matches must be a positive integer' });
+  }
+
+  ['aggregate', 'isEnabled'].forEach((field) => {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push({ field, message: `${field} must be a boolean` });
+    }
+  });
+
+  if (body.changeNote !== undefined && (typeof body.changeNote !== 'string' || body.changeNote.length > 500)) {
+    errors.push({ field: 'changeNote', message: 'Change note must be a string of at most 500 characters' });
+  }
+};
+
+/**
+ * Grammar rule validation middleware
+ */
+export const grammarRuleValidation = (req, res, next) => {
+  const errors = [];
+
+  checkGrammarRule(req.body, errors);
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Update grammar rule validation middleware
+ */
+export const updateGrammarRuleValidation = (req, res, next) => {
+  const errors = [];
+
+  checkGrammarRule(req.body, errors, { partial: true });
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Grammar rule test validation middleware
+ * The rule fields are only checked for a draft rule (POST /grammar-rules/test)
+ */
+export const grammarRuleTestValidation = (req, res, next) => {
+  const errors = [];
+  const { text, rule } = req.body;
+
+  if (!text || typeof text !== 'string' || text.length > 10000) {
+    errors.push({ field: 'text', message: 'Sample text must be between 1 and 10000 characters' });
+  }
+
+  if (!req.params.id) {
+    if (!rule || typeof rule !== 'object' || !rule.pattern) {
+      errors.push({ field: 'rule.pattern', message: 'A rule with a pattern is required' });
+    } else {
+      checkGrammarRule(rule, errors, { partial: true });
+    }
+  }
+
+  if (errors.length > 0) {
+    return validationError(res, errors);
+  }
+
+  next();
+};
+
 export default {
   registerValidation,
   loginValidation,
   submissionValidation,
   activityValidation,
+  questionBankValidation,
   mongoIdValidation,
   paginationValidation,
   refreshTokenValidation,
   changePasswordValidation,
   updateUserValidation,
+  accommodationsValidation,
   retrainModelValidation,
+  evaluatorProviderValidation,
+  aiModelConfigValidation,
+  aiModelTestValidation,
   rubricValidation,
   updateRubricValidation,
   reviewEvaluationValidation,
+  evaluationRevisionValidation,
+  grammarRuleValidation,
+  updateGrammarRuleValidation,
+  grammarRuleTestValidation,
 };
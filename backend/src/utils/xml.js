@@ -0,0 +1,216 @@
+/**
+ * Minimal XML reading and writing for content packages (QTI)
+ * Elements are plain objects { name, attributes, children }, children being elements or
+ * strings. The parser handles what exchange formats use: namespaces (kept in the name),
+ * attributes, character and predefined entities, CDATA, comments, processing instructions
+ * and a DOCTYPE, which is skipped. Malformed documents throw an Error naming the position.
+ */
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0', // Not XML, but common in XHTML item bodies
+};
+
+const NAME = /[A-Za-z_:][\w.:-]*/y;
+const ATTRIBUTE = /\s*([A-Za-z_:][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+/**
+ * Escape text for use in element content and attribute values
+ */
+export const escapeXml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Entities declared in a DTD are not resolved and are kept as written
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return PREDEFINED_ENTITIES[entity] ?? match;
+  });
+
+/**
+ * Create an element
+ */
+export const createElement = (name, attributes = {}, children = []) => ({
+  name,
+  attributes,
+  children: children.filter((child) => child !== null && child !== undefined && child !== false),
+});
+
+/**
+ * Parse an XML document
+ * @param {string|Buffer} source - Document text (UTF-8 when a Buffer)
+ * @returns {Object} Root element
+ */
+export const parseXml = (source) => {
+  const text = (Buffer.isBuffer(source) ? source.toString('utf8') : String(source)).replace(
+    /^\uFEFF/,
+    ''
+  );
+  const stack = [createElement('#document')];
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} near position ${position}`);
+  };
+
+  const skipPast = (terminator) => {
+    const end = text.indexOf(terminator, position);
+    if (end === -1) fail(`Unterminated markup, expected ${terminator}`);
+    const content = text.slice(position, end);
+    position = end + terminator.length;
+    return content;
+  };
+
+  while (position < text.length) {
+    const current = stack[stack.length - 1];
+
+    if (text[position] !== '<') {
+      const end = text.indexOf('<', position);
+      const raw = text.slice(position, end === -1 ? text.length : end);
+      if (stack.length > 1) current.children.push(decodeEntities(raw));
+      else if (raw.trim()) fail('Text outside the root element');
+      position = end === -1 ? text.length : end;
+    } else if (text.startsWith('<!--', position)) {
+      position += 4;
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', position)) {
+      position += 9;
+      current.children.push(skipPast(']]>'));
+    } else if (text.startsWith('<?', position)) {
+      position += 2;
+      skipPast('?>');
+    } else if (text.startsWith('<!DOCTYPE', position)) {
+      // Skip the declaration, including any internal subset in brackets
+      const subset = text.indexOf('[', position);
+      const close = text.indexOf('>', position);
+      position = subset !== -1 && subset < close ? text.indexOf(']', subset) : position;
+      if (position === -1) fail('Unterminated DOCTYPE');
+      skipPast('>');
+    } else if (text[position + 1] === '/') {
+      position += 2;
+      const name = skipPast('>').trim();
+      if (stack.length === 1 || current.name !== name) {
+        fail(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      if (stack.length === 1) break;
+    } else {
+      position += 1;
+      NAME.lastIndex = position;
+      const name = NAME.exec(text)?.[0];
+      if (!name) fail('Invalid tag name');
+      position += name.length;
+
+      const element = createElement(name);
+      let match;
+      ATTRIBUTE.lastIndex = position;
+      while ((match = ATTRIBUTE.exec(text))) {
+        element.attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+        position = ATTRIBUTE.lastIndex;
+      }
+
+      const close = /\s*(\/?)>/y;
+      close.lastIndex = position;
+      const ending = close.exec(text);
+      if (!ending) fail(`Malformed tag <${name}>`);
+      position = close.lastIndex;
+
+      if (stack.length === 1 && current.children.length > 0) fail('Second root element');
+      current.children.push(element);
+      if (!ending[1]) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  const root = stack[0].children[0];
+  if (!root) fail('Document has no root element');
+
+  return root;
+};
+
+/**
+ * Serialize an element, indenting element-only content; mixed content is written inline
+ */
+export const serializeXml = (element, { declaration = true } = {}) => {
+  const write = (node, depth) => {
+    if (typeof node === 'string') return escapeXml(node);
+
+    const indent = '  '.repeat(depth);
+    const attributes = Object.entries(node.attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+
+    if (node.children.length === 0) return `<${node.name}${attributes}/>`;
+
+    const mixed = node.children.some((child) => typeof child === 'string');
+    const content = mixed
+      ? node.children.map((child) => write(child, 0)).join('')
+      : node.children.map((child) => `\n${indent}  ${write(child, depth + 1)}`).join('') +
+        `\n${indent}`;
+
+    return `<${node.name}${attributes}>${content}</${node.name}>`;
+  };
+
+  return `${declaration ? '<?xml version="1.0" encoding="UTF-8"?>\n' : ''}${write(element, 0)}\n`;
+};
+
+/**
+ * Element name without its namespace prefix
+ */
+export const localName = (element) => element.name.slice(element.name.indexOf(':') + 1);
+
+/**
+ * Child elements, optionally only those with the given local name
+ */
+export const childElements = (element, name) =>
+  element.children.filter(
+    (child) => typeof child !== 'string' && (!name || localName(child) === name)
+  );
+
+/**
+ * First child element with the given local name
+ */
+export const childElement = (element, name) => childElements(element, name)[0] || null;
+
+/**
+ * All descendant elements with the given local name, in document order
+ */
+export const findElements = (element, name) =>
+  childElements(element).flatMap((child) => [
+    ...(localName(child) === name ? [child] : []),
+    ...findElements(child, name),
+  ]);
+
+/**
+ * Text of an element and its descendants
+ */
+export const textContent = (element) =>
+  element.children
+    .map((child) => (typeof child === 'string' ? child : textContent(child)))
+    .join('');
+
+export default {
+  escapeXml,
+  createElement,
+  parseXml,
+  serializeXml,
+  localName,
+  childElements,
+  childElement,
+  findElements,
+  textContent,
+};
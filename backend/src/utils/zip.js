@@ -0,0 +1,221 @@
+import zlib from 'zlib';
+
+/**
+ * In-process zip archives for content packages (QTI)
+ * Writes deflated archives and reads stored or deflated ones. Zip64, encryption and
+ * multi-disk archives are not supported; reading them throws an Error with a readable message.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+// The end record is 22 bytes plus a comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS time and date fields
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a zip archive
+ * @param {Array} entries - [{ name, data }], data a Buffer or string (written as UTF-8)
+ * @returns {Buffer}
+ */
+export const createZip = (entries, { modifiedAt = new Date() } = {}) => {
+  const { time, date } = dosDateTime(modifiedAt);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // Version needed to extract (2.0: deflate)
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(METHOD_DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(METHOD_DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, compressed);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+/**
+ * Locate the end of central directory record, searching back over any archive comment
+ */
+const findEndRecord = (buffer) => {
+  const stop = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+
+  for (let position = buffer.length - 22; position >= stop; position--) {
+    if (buffer.readUInt32LE(position) === END_OF_CENTRAL_DIRECTORY) {
+      return position;
+    }
+  }
+
+  throw new Error('Not a zip archive');
+};
+
+/**
+ * Read the files of a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} limits - { maxEntries, maxSize } guard against zip bombs (maxSize: all files, bytes)
+ * @returns {Map} File name => Buffer, directories left out
+ */
+export const readZip = (buffer, { maxEntries = 5000, maxSize = 100 * 1024 * 1024 } = {}) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new Error('Zip archive is empty or truncated');
+  }
+
+  const end = findEndRecord(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+
+  if (buffer.readUInt16LE(end + 4) !== 0 || buffer.readUInt16LE(end + 6) !== 0) {
+    throw new Error('Multi-disk zip archives are not supported');
+  }
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('Zip64 archives are not supported');
+  }
+  if (entryCount > maxEntries) {
+    throw new Error(`Zip archive has too many files (${entryCount}, limit ${maxEntries})`);
+  }
+
+  const files = new Map();
+  let position = directoryOffset;
+  let totalSize = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('Zip central directory is corrupt');
+    }
+
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer
+      .subarray(position + 46, position + 46 + nameLength)
+      .toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1');
+
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`${name} is encrypted`);
+    }
+
+    totalSize += size;
+    if (totalSize > maxSize) {
+      throw new Error(`Zip archive unpacks to more than ${Math.round(maxSize / 1024 / 1024)}MB`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`${name}: local header is corrupt`);
+    }
+
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (data.length !== compressedSize) {
+      throw new Error(`${name} is truncated`);
+    }
+
+    let content;
+    if (method === METHOD_STORE) {
+      content = Buffer.from(data);
+    } else if (method === METHOD_DEFLATE) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new Error(`${name} could not be decompressed: ${error.message}`);
+      }
+    } else {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`${name} is corrupt (size or checksum mismatch)`);
+    }
+
+    files.set(name, content);
+  }
+
+  return files;
+};
+
+export default {
+  createZip,
+  readZip,
+};
@@ -0,0 +1,35 @@
+import connectDatabase from '../config/database.js';
+import EvaluationQueueService from '../services/EvaluationQueueService.js';
+import { logger } from '../utils/logger.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Standalone evaluation worker
+ * Run one or more of these alongside the API (with EVALUATION_WORKER_ENABLED=false on the API)
+ */
+const startWorker = async () => {
+  try {
+    await connectDatabase();
+
+    EvaluationQueueService.start();
+
+    const shutdown = async (signal) => {
+      logger.info(`${signal} received. Stopping evaluation worker...`);
+      await EvaluationQueueService.stop();
+      process.exit(0);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  } catch (error) {
+    logger.error(`Failed to start evaluation worker: ${error.message}`);
+    logger.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Start the worker
+startWorker();
@@ -0,0 +1,352 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Activity from '../src/models/Activity.js';
+import Student from '../src/models/Student.js';
+import Submission from '../src/models/Submission.js';
+import QuizSession from '../src/models/QuizSession.js';
+import SubmissionRepository from '../src/repositories/SubmissionRepository.js';
+import QuizSessionRepository from '../src/repositories/QuizSessionRepository.js';
+import QuizSessionService from '../src/services/QuizSessionService.js';
+import {
+  getActivityById,
+  getAllActivities,
+  getStudentQuiz,
+} from '../src/controllers/activityController.js';
+import {
+  getSubmission,
+  startQuizAttempt,
+  submitSpeakingActivity,
+} from '../src/controllers/submissionController.js';
+
+const student = { _id: new mongoose.Types.ObjectId(), role: 'student' };
+const teacher = { _id: new mongoose.Types.ObjectId(), role: 'teacher' };
+
+const quiz = (fields = {}) =>
+  new Activity({
+    activityId: 'ACT-1',
+    title: 'Past tense',
+    description: 'Irregular verbs',
+    activityType: 'quiz',
+    difficulty: 'intermediate',
+    createdBy: teacher._id,
+    questions: [
+      {
+        questionText: 'Past tense of "go"?',
+        questionType: 'short-answer',
+        correctAnswer: 'went',
+        acceptedAnswers: ['Went'],
+        explanation: '"Go" is irregular: go, went, gone.',
+        reference: 'Unit 4',
+        irt: { difficulty: -0.4, discrimination: 1.2, model: '2pl', calibrated: true },
+      },
+      {
+        questionText: 'Which are verbs?',
+        questionType: 'multi-select',
+        options: ['run', 'blue', 'eat'],
+        correctAnswers: ['run', 'eat'],
+      },
+    ],
+    ...fields,
+  });
+
+// A mongoose query that resolves to result, whatever it is populated or sorted by
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Run a controller; resolves with the status and JSON body it responded with and rejects
+// with the error it passed on
+const call = (controller, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body: JSON.parse(JSON.stringify(body)) });
+        return this;
+      },
+    };
+    Promise.resolve(controller({ params: {}, query: {}, body: {}, ...req }, res, reject)).catch(
+      reject
+    );
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe('activity details', () => {
+  test('students get an activity without its questions', async () => {
+    const activity = quiz();
+    mock.method(Activity, 'findById', () => query(activity));
+
+    const { status, body } = await call(getActivityById, {
+      user: student,
+      params: { id: String(activity._id) },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.activity.title, 'Past tense');
+    assert.equal(body.data.activity.questions, undefined);
+  });
+
+  test('students get the activity list without questions', async () => {
+    mock.method(Activity, 'find', () => query([quiz(), quiz()]));
+
+    const { body } = await call(getAllActivities, { user: student });
+
+    assert.equal(body.count, 2);
+    body.data.activities.forEach((activity) => assert.equal(activity.questions, undefined));
+  });
+
+  test('teachers get the questions with their answer keys', async () => {
+    const activity = quiz();
+    mock.method(Activity, 'findById', () => query(activity));
+
+    const { body } = await call(getActivityById, {
+      user: teacher,
+      params: { id: String(activity._id) },
+    });
+
+    assert.equal(body.data.activity.questions.length, 2);
+    assert.equal(body.data.activity.questions[0].correctAnswer, 'went');
+  });
+});
+
+describe('timed quizzes', () => {
+  test('students cannot read the questions before starting an attempt', async () => {
+    const activity = quiz({ timeLimit: 20 });
+    mock.method(Activity, 'findById', () => query(activity));
+    mock.method(Student, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+    const details = await call(getActivityById, {
+      user: student,
+      params: { id: String(activity._id) },
+    });
+    assert.equal(details.body.data.activity.questions, undefined);
+
+    const { body } = await call(getStudentQuiz, {
+      user: student,
+      params: { id: String(activity._id) },
+    });
+    assert.equal(body.data.questions, null);
+    assert.equal(body.data.activity.questions, undefined);
+    assert.equal(body.data.timeAllowed, 20 * 60);
+  });
+
+  test('untimed quizzes are shown drawn and without answer keys', async () => {
+    const activity = quiz();
+    mock.method(Activity, 'findById', () => query(activity));
+    mock.method(Student, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+    const { body } = await call(getStudentQuiz, {
+      user: student,
+      params: { id: String(activity._id) },
+    });
+
+    assert.equal(body.data.questions.length, 2);
+    body.data.questions.forEach((question) => {
+      assert.equal(question.correctAnswer, undefined);
+      assert.equal(question.correctAnswers, undefined);
+      assert.equal(question.acceptedAnswers, undefined);
+    });
+  });
+
+  test('a closed attempt does not show the questions again', async () => {
+    const activity = quiz({ timeLimit: 20 });
+    mock.method(Activity, 'findById', async () => activity);
+    mock.method(Student, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(QuizSessionRepository, 'findLatest', async () => ({ status: 'submitted' }));
+
+    await assert.rejects(
+      call(startQuizAttempt, { user: student, body: { activityId: String(activity._id) } }),
+      { statusCode: 409 }
+    );
+  });
+
+  test('an attempt past its deadline is closed instead of resumed', async () => {
+    const activity = quiz({ timeLimit: 20 });
+    const session = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'in-progress',
+      deadline: new Date(Date.now() - 60 * 60 * 1000),
+    };
+    mock.method(Activity, 'findById', async () => activity);
+    mock.method(Student, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(QuizSessionRepository, 'findLatest', async () => session);
+    mock.method(QuizSessionRepository, 'findById', async () => ({ ...session, status: 'expired' }));
+    const expire = mock.method(QuizSessionService, 'expire', async () => ({}));
+
+    await assert.rejects(
+      call(startQuizAttempt, { user: student, body: { activityId: String(activity._id) } }),
+      { statusCode: 409 }
+    );
+    assert.equal(expire.mock.callCount(), 1);
+  });
+});
+
+describe('starting a timed quiz', () => {
+  test('students can have one open attempt per quiz', () => {
+    const [, options] = QuizSession.schema
+      .indexes()
+      .find(([, { name }]) => name === 'one_open_attempt');
+
+    assert.equal(options.unique, true);
+    assert.deepEqual(options.partialFilterExpression, { status: 'in-progress' });
+  });
+
+  test('a request that loses the race to start resumes the attempt started first', async () => {
+    const activity = quiz({ timeLimit: 20 });
+    const studentId = new mongoose.Types.ObjectId();
+    const started = {
+      _id: new mongoose.Types.ObjectId(),
+      sessionId: 'QZS00000001',
+      status: 'in-progress',
+      mode: 'fixed',
+      seed: 'seed',
+      startedAt: new Date(),
+      deadline: new Date(Date.now() + 20 * 60 * 1000),
+      timeAllowed: 20 * 60,
+      savedAnswers: [],
+    };
+    let latest = null;
+    mock.method(Activity, 'findById', async () => activity);
+    mock.method(Student, 'findOne', async () => ({ _id: studentId }));
+    mock.method(QuizSessionRepository, 'findLatest', async () => latest);
+    mock.method(QuizSessionService, 'startAttempt', async () => {
+      latest = started;
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const { status, body } = await call(startQuizAttempt, {
+      user: student,
+      body: { activityId: String(activity._id) },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Quiz attempt resumed');
+    assert.equal(body.data.questions.length, 2);
+  });
+});
+
+describe('adaptive quizzes', () => {
+  test('students do not see the IRT parameters of the questions', async () => {
+    const activity = quiz({ quizMode: 'adaptive' });
+    mock.method(Activity, 'findById', () => query(activity));
+
+    const details = await call(getActivityById, {
+      user: student,
+      params: { id: String(activity._id) },
+    });
+    assert.doesNotMatch(JSON.stringify(details.body), /"irt"|discrimination/);
+
+    const studentId = new mongoose.Types.ObjectId();
+    const submission = new Submission({
+      submissionId: 'SUB-1',
+      studentId,
+      activityId: activity._id,
+      contentType: 'quiz',
+      content: {
+        answers: [],
+        adaptive: {
+          model: '2pl',
+          stoppedBy: 'standard-error',
+          itemParameters: [{ questionId: activity.questions[0]._id, a: 1.2, b: -0.4 }],
+        },
+      },
+    });
+    mock.method(SubmissionRepository, 'findById', async () => submission);
+    mock.method(Student, 'findOne', async () => ({ _id: studentId }));
+
+    const { body } = await call(getSubmission, {
+      user: student,
+      params: { id: String(submission._id) },
+    });
+    assert.equal(body.data.submission.content.adaptive.stoppedBy, 'standard-error');
+    assert.equal(body.data.submission.content.adaptive.itemParameters, undefined);
+    assert.equal(submission.content.adaptive.itemParameters.length, 1);
+  });
+});
+
+describe('question explanations', () => {
+  test('are not sent to students with the questions', async () => {
+    const activity = quiz({ explanationReveal: 'after-due-date', dueDate: new Date(2099, 0, 1) });
+    const studentId = new mongoose.Types.ObjectId();
+    const submission = new Submission({
+      submissionId: 'SUB-2',
+      studentId,
+      activityId: activity._id,
+      contentType: 'quiz',
+      content: {
+        answers: activity.questions.map((question, index) => ({
+          questionIndex: index,
+          questionId: question._id,
+          answer: null,
+        })),
+      },
+    });
+    mock.method(Activity, 'findById', () => query(activity));
+    mock.method(Activity, 'find', () => query([activity]));
+    mock.method(Student, 'findOne', async () => ({ _id: studentId }));
+    mock.method(SubmissionRepository, 'findById', async () => submission);
+
+    const request = { user: student, params: { id: String(activity._id) } };
+    const responses = [
+      await call(getActivityById, request),
+      await call(getAllActivities, request),
+      await call(getStudentQuiz, request),
+      await call(getSubmission, { user: student, params: { id: String(submission._id) } }),
+    ];
+
+    responses.forEach(({ body }) => {
+      assert.doesNotMatch(JSON.stringify(body), /went, gone|Unit 4/);
+    });
+    assert.equal(responses[3].body.data.quizQuestions.length, 2);
+  });
+});
+
+describe('speaking uploads', () => {
+  test('a corrupt audio file is rejected with a 400 and deleted', async () => {
+    const activity = {
+      _id: new mongoose.Types.ObjectId(),
+      isActive: true,
+      activityType: 'speaking',
+    };
+    const file = path.join(os.tmpdir(), `upload-${process.pid}.wav`);
+    // A WAV header cut off in its format chunk
+    await fs.writeFile(
+      file,
+      Buffer.concat([
+        Buffer.from('RIFF'),
+        Buffer.alloc(4),
+        Buffer.from('WAVEfmt '),
+        Buffer.alloc(14),
+      ])
+    );
+    mock.method(Student, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(Activity, 'findById', async () => activity);
+    const create = mock.method(SubmissionRepository, 'create', async () => {
+      throw new Error('should not create');
+    });
+
+    await assert.rejects(
+      call(submitSpeakingActivity, {
+        user: student,
+        body: { activityId: String(activity._id) },
+        file: { path: file, originalname: 'answer.wav', size: 30 },
+      }),
+      { statusCode: 400, message: 'Invalid audio file: WAV format chunk is truncated' }
+    );
+    assert.equal(create.mock.callCount(), 0);
+    await assert.rejects(fs.access(file), { code: 'ENOENT' });
+  });
+});
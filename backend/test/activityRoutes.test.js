@@ -0,0 +1,74 @@
+import { after, afterEach, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Activity from '../src/models/Activity.js';
+import User from '../src/models/User.js';
+import activityRoutes from '../src/routes/activityRoutes.js';
+import { jwtConfig } from '../src/config/jwt.js';
+
+const teacher = { _id: new mongoose.Types.ObjectId(), role: 'teacher', isActive: true };
+const token = jwt.sign({ id: String(teacher._id) }, jwtConfig.secret);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/activities', activityRoutes);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/activities`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+afterEach(() => mock.restoreAll());
+
+const put = (id, body) =>
+  fetch(`${baseUrl}/${id}`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+describe('PUT /activities/:id', () => {
+  test('rejects an update that fails activity validation', async () => {
+    mock.method(User, 'findById', () => ({ select: async () => teacher }));
+    const findById = mock.method(Activity, 'findById', async () => null);
+    const update = mock.method(Activity, 'findByIdAndUpdate', () => {
+      throw new Error('should not update');
+    });
+
+    const response = await put(new mongoose.Types.ObjectId(), {
+      title: 'Past tense',
+      description: 'Irregular verbs in the past tense',
+      activityType: 'quiz',
+      timeLimit: 20,
+      maxAttempts: 3,
+      questions: [
+        {
+          questionText: 'Past tense of "go"?',
+          questionType: 'short-answer',
+          correctAnswer: 'went',
+          answerPatterns: ['(went'],
+        },
+      ],
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(body.errors.map(({ field }) => field).sort(), [
+      'maxAttempts',
+      'questions[0].answerPatterns[0]',
+    ]);
+    assert.equal(findById.mock.callCount(), 0);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,140 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AIModelConfig from '../src/models/AIModelConfig.js';
+import AIModelConfigRepository from '../src/repositories/AIModelConfigRepository.js';
+
+const admin = new mongoose.Types.ObjectId();
+
+const version = (number, fields = {}) =>
+  new AIModelConfig({
+    configId: `AICF${String(number).padStart(6, '0')}`,
+    version: number,
+    ...fields,
+  });
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// The newest version, as found by findOne().sort({ version: -1 })
+const newest = (...results) => {
+  const queue = [...results];
+  return mock.method(AIModelConfig, 'findOne', () => ({
+    sort: async () => (queue.length > 1 ? queue.shift() : queue[0]),
+  }));
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('saving a version', () => {
+  test('is switched on only after the older versions are switched off', async () => {
+    const calls = [];
+    newest(version(3));
+    const create = mock.method(AIModelConfig, 'create', async (data) => new AIModelConfig(data));
+    mock.method(AIModelConfig, 'updateMany', async (filter) => calls.push(['updateMany', filter]));
+    mock.method(AIModelConfig, 'updateOne', async (filter, update) =>
+      calls.push(['updateOne', update])
+    );
+
+    const saved = await AIModelConfigRepository.createVersion(
+      { config: { temperature: 0.2 } },
+      admin,
+      { changeNote: 'Cooler' }
+    );
+
+    const data = create.mock.calls[0].arguments[0];
+    assert.equal(data.version, 4);
+    assert.equal(data.isActive, false);
+    assert.equal(data.config.temperature, 0.2);
+    assert.equal(data.config.model, 'gpt-4');
+    assert.equal(saved.isActive, true);
+    assert.deepEqual(calls, [
+      ['updateMany', { isActive: true, version: { $lt: 4 } }],
+      ['updateOne', { isActive: true }],
+    ]);
+  });
+
+  test('that loses the race for its version number is saved on top of the winner', async () => {
+    newest(version(3), version(4, { providers: { writing: 'llm' } }));
+    let taken = true;
+    const create = mock.method(AIModelConfig, 'create', async (data) => {
+      if (taken) {
+        taken = false;
+        throw duplicateKey();
+      }
+      return new AIModelConfig(data);
+    });
+    mock.method(AIModelConfig, 'updateMany', async () => ({}));
+    mock.method(AIModelConfig, 'updateOne', async () => ({}));
+
+    const saved = await AIModelConfigRepository.createVersion(
+      { providers: { quiz: 'llm' } },
+      admin
+    );
+
+    assert.deepEqual(
+      create.mock.calls.map((call) => call.arguments[0].version),
+      [4, 5]
+    );
+    assert.equal(saved.version, 5);
+    // The winner's change is kept
+    assert.equal(saved.providers.writing, 'llm');
+    assert.equal(saved.providers.quiz, 'llm');
+  });
+
+  test('gives up when it keeps losing the race', async () => {
+    newest(version(3));
+    const create = mock.method(AIModelConfig, 'create', async () => {
+      throw duplicateKey();
+    });
+
+    await assert.rejects(AIModelConfigRepository.createVersion({ config: { topP: 0.9 } }, admin), {
+      code: 11000,
+    });
+    assert.equal(create.mock.callCount(), 5);
+  });
+
+  test('stays inactive when a newer version went live first', async () => {
+    newest(version(3));
+    mock.method(AIModelConfig, 'create', async (data) => new AIModelConfig(data));
+    mock.method(AIModelConfig, 'updateMany', async () => ({}));
+    const updateOne = mock.method(AIModelConfig, 'updateOne', async () => {
+      throw duplicateKey();
+    });
+    const exists = mock.method(AIModelConfig, 'exists', async () => ({ _id: 'newer' }));
+
+    const saved = await AIModelConfigRepository.createVersion({ config: { topP: 0.9 } }, admin);
+
+    assert.equal(saved.isActive, false);
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.deepEqual(exists.mock.calls[0].arguments[0], { isActive: true, version: { $gt: 4 } });
+  });
+
+  test('switches an older version off again if it went live in between', async () => {
+    newest(version(3));
+    mock.method(AIModelConfig, 'create', async (data) => new AIModelConfig(data));
+    const updateMany = mock.method(AIModelConfig, 'updateMany', async () => ({}));
+    let older = true;
+    mock.method(AIModelConfig, 'updateOne', async () => {
+      if (older) {
+        older = false;
+        throw duplicateKey();
+      }
+      return {};
+    });
+    mock.method(AIModelConfig, 'exists', async () => null);
+
+    const saved = await AIModelConfigRepository.createVersion({ config: { topP: 0.9 } }, admin);
+
+    assert.equal(saved.isActive, true);
+    assert.equal(updateMany.mock.callCount(), 2);
+  });
+
+  test('only one version can be active', () => {
+    const [, options] = AIModelConfig.schema
+      .indexes()
+      .find(([, { name }]) => name === 'one_active_version');
+
+    assert.equal(options.unique, true);
+    assert.deepEqual(options.partialFilterExpression, { isActive: true });
+  });
+});
@@ -0,0 +1,364 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAudioFormat, parseAudioMetadata } from '../src/utils/audioMetadata.js';
+
+// Small, valid audio files of each supported container, built byte by byte so the tests
+// know exactly what the parser should read from them
+
+const ascii = (text) => Buffer.from(text, 'ascii');
+
+const uint32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+};
+
+const uint32BE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+/**
+ * PCM WAV of silence
+ */
+const wav = ({ sampleRate = 16000, channels = 1, bitsPerSample = 16, seconds = 1 } = {}) => {
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const dataSize = Math.round(sampleRate * seconds) * blockAlign;
+
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0); // PCM
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 8);
+  fmt.writeUInt16LE(blockAlign, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+
+  const chunks = Buffer.concat([
+    ascii('fmt '),
+    uint32LE(fmt.length),
+    fmt,
+    ascii('data'),
+    uint32LE(dataSize),
+    Buffer.alloc(dataSize),
+  ]);
+
+  return Buffer.concat([ascii('RIFF'), uint32LE(4 + chunks.length), ascii('WAVE'), chunks]);
+};
+
+const MP3_BITRATE_INDEX = { 32: 1, 64: 5, 128: 9, 192: 11, 320: 14 };
+
+/**
+ * MPEG-1 Layer III frame at 44.1 kHz; 1152 samples whatever the bitrate
+ */
+const mp3Frame = (kbps = 128, { mono = false } = {}) => {
+  const length = Math.floor((144 * kbps * 1000) / 44100);
+  const frame = Buffer.alloc(length);
+  frame[0] = 0xff;
+  frame[1] = 0xfb; // MPEG-1, Layer III, no CRC
+  frame[2] = MP3_BITRATE_INDEX[kbps] << 4; // 44.1 kHz, no padding
+  frame[3] = mono ? 0xc0 : 0x00;
+  return frame;
+};
+
+/**
+ * MP3 of one frame per bitrate given (a variable bitrate file when they differ), after an
+ * ID3v2 tag
+ */
+const mp3 = (bitrates = [128, 128, 128, 128], { id3 = true, mono = false } = {}) => {
+  const tag = Buffer.concat([ascii('ID3'), Buffer.from([4, 0, 0, 0, 0, 0, 20]), Buffer.alloc(20)]);
+  const frames = bitrates.map((kbps) => mp3Frame(kbps, { mono }));
+  return Buffer.concat([...(id3 ? [tag] : []), ...frames]);
+};
+
+/**
+ * One OGG page of a stream; granule -1 when no packet ends on it
+ */
+const oggPage = (body, { granule = -1n, serial = 1, sequence = 0 } = {}) => {
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'ascii');
+  header.writeBigInt64LE(granule, 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+
+  const lacing = [];
+  for (let left = body.length; left >= 0; left -= 255) lacing.push(Math.min(left, 255));
+  header[26] = lacing.length;
+
+  return Buffer.concat([header, Buffer.from(lacing), body]);
+};
+
+/**
+ * OGG Vorbis: identification header, then audio pages up to the last granule position
+ */
+const oggVorbis = ({ sampleRate = 44100, channels = 2, seconds = 2, kbps = 96 } = {}) => {
+  const identification = Buffer.alloc(30);
+  identification[0] = 1;
+  identification.write('vorbis', 1, 'ascii');
+  identification[11] = channels;
+  identification.writeUInt32LE(sampleRate, 12);
+  identification.writeInt32LE(kbps * 1000, 20);
+  identification[29] = 1;
+
+  const samples = BigInt(Math.round(sampleRate * seconds));
+  return Buffer.concat([
+    oggPage(identification, { granule: 0n }),
+    oggPage(Buffer.alloc(200), { granule: samples / 2n, sequence: 1 }),
+    oggPage(Buffer.alloc(200), { granule: samples, sequence: 2 }),
+  ]);
+};
+
+/**
+ * OGG Opus: granule positions count 48 kHz samples and start after the pre-skip
+ */
+const oggOpus = ({ inputRate = 16000, channels = 1, seconds = 3, preSkip = 312 } = {}) => {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1;
+  head[9] = channels;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(inputRate, 12);
+
+  return Buffer.concat([
+    oggPage(head, { granule: 0n }),
+    oggPage(Buffer.alloc(300), { granule: BigInt(48000 * seconds + preSkip), sequence: 1 }),
+  ]);
+};
+
+/**
+ * MP4 box of a type around its contents
+ */
+const box = (type, ...contents) => {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([uint32BE(8 + body.length), ascii(type), body]);
+};
+
+/**
+ * Version 0 media header: timescale and duration
+ */
+const mediaHeader = (timescale, duration) => {
+  const mdhd = Buffer.alloc(24);
+  mdhd.writeUInt32BE(timescale, 12);
+  mdhd.writeUInt32BE(duration, 16);
+  return mdhd;
+};
+
+/**
+ * M4A with one AAC sound track; mdhd replaces the body of its media header
+ */
+const m4a = ({
+  sampleRate = 44100,
+  channels = 2,
+  seconds = 2.5,
+  mdatBytes = 40000,
+  mdhd = mediaHeader(sampleRate, Math.round(sampleRate * seconds)),
+} = {}) => {
+  const hdlr = Buffer.concat([Buffer.alloc(8), ascii('soun'), Buffer.alloc(12), ascii('Sound\0')]);
+
+  const entry = Buffer.alloc(28);
+  entry.writeUInt16BE(1, 6); // Data reference index
+  entry.writeUInt16BE(channels, 16);
+  entry.writeUInt16BE(16, 18); // Sample size
+  entry.writeUInt32BE(sampleRate * 65536, 24); // 16.16 fixed point
+  const stsd = Buffer.concat([Buffer.alloc(4), uint32BE(1), box('mp4a', entry)]);
+
+  return Buffer.concat([
+    box('ftyp', ascii('M4A '), uint32BE(0), ascii('isomM4A ')),
+    box(
+      'moov',
+      box(
+        'trak',
+        box(
+          'mdia',
+          box('mdhd', mdhd),
+          box('hdlr', hdlr),
+          box('minf', box('stbl', box('stsd', stsd)))
+        )
+      )
+    ),
+    box('mdat', Buffer.alloc(mdatBytes)),
+  ]);
+};
+
+// Seconds of audio in MPEG-1 Layer III frames at 44.1 kHz
+const mp3Seconds = (frames) => Math.round(((frames * 1152) / 44100) * 1000) / 1000;
+
+describe('valid files', () => {
+  test('WAV', () => {
+    assert.deepEqual(parseAudioMetadata(wav({ sampleRate: 44100, channels: 2, seconds: 0.5 })), {
+      format: 'wav',
+      codec: 'pcm',
+      duration: 0.5,
+      sampleRate: 44100,
+      channels: 2,
+      bitrate: 1411200,
+    });
+  });
+
+  test('MP3 after an ID3 tag', () => {
+    assert.deepEqual(parseAudioMetadata(mp3([128, 128, 128, 128])), {
+      format: 'mp3',
+      codec: 'mp3',
+      duration: mp3Seconds(4),
+      sampleRate: 44100,
+      channels: 2,
+      bitrate: Math.round((4 * 417 * 8) / ((4 * 1152) / 44100)),
+    });
+  });
+
+  test('MP3 without a tag, mono', () => {
+    const metadata = parseAudioMetadata(mp3([128, 128], { id3: false, mono: true }));
+
+    assert.equal(metadata.channels, 1);
+    assert.equal(metadata.duration, mp3Seconds(2));
+  });
+
+  test('VBR MP3: every frame counts, and the bitrate is the average', () => {
+    const bitrates = [32, 320, 128, 64, 192];
+    const bytes = bitrates.reduce((sum, kbps) => sum + mp3Frame(kbps).length, 0);
+    const metadata = parseAudioMetadata(mp3(bitrates));
+
+    assert.equal(metadata.duration, mp3Seconds(5));
+    assert.equal(metadata.bitrate, Math.round((bytes * 8) / ((5 * 1152) / 44100)));
+  });
+
+  test('OGG Vorbis', () => {
+    assert.deepEqual(parseAudioMetadata(oggVorbis({ sampleRate: 44100, seconds: 2 })), {
+      format: 'ogg',
+      codec: 'vorbis',
+      duration: 2,
+      sampleRate: 44100,
+      channels: 2,
+      bitrate: 96000,
+    });
+  });
+
+  test('OGG Opus: 48 kHz granules, less the pre-skip', () => {
+    const metadata = parseAudioMetadata(oggOpus({ inputRate: 16000, seconds: 3 }));
+
+    assert.equal(metadata.codec, 'opus');
+    assert.equal(metadata.duration, 3);
+    assert.equal(metadata.sampleRate, 16000);
+    assert.equal(metadata.channels, 1);
+  });
+
+  test('M4A', () => {
+    assert.deepEqual(parseAudioMetadata(m4a({ seconds: 2.5, mdatBytes: 40000 })), {
+      format: 'm4a',
+      codec: 'aac',
+      duration: 2.5,
+      sampleRate: 44100,
+      channels: 2,
+      bitrate: 128000,
+    });
+  });
+});
+
+describe('unreadable files', () => {
+  test('an empty file', () => {
+    assert.throws(() => parseAudioMetadata(Buffer.alloc(0)), /^Error: Audio file is empty$/);
+    assert.throws(() => parseAudioMetadata(null), /Audio file is empty/);
+  });
+
+  test('a file of another kind', () => {
+    assert.equal(detectAudioFormat(Buffer.from('%PDF-1.7 hello')), null);
+    assert.throws(
+      () => parseAudioMetadata(Buffer.from('%PDF-1.7 hello')),
+      /Unrecognised audio format/
+    );
+  });
+
+  test('a container without any audio', () => {
+    assert.throws(() => parseAudioMetadata(wav({ seconds: 0 })), /WAV file contains no audio/);
+    assert.throws(
+      () => parseAudioMetadata(oggVorbis().subarray(0, 58)),
+      /OGG file contains no audio/
+    );
+  });
+});
+
+describe('truncated files', () => {
+  test('WAV cut in its format chunk or before it', () => {
+    const file = wav();
+
+    assert.throws(() => parseAudioMetadata(file.subarray(0, 30)), /WAV format chunk is truncated/);
+    assert.throws(() => parseAudioMetadata(file.subarray(0, 12)), /WAV file has no format chunk/);
+  });
+
+  test('WAV cut in its audio: the duration of what is there', () => {
+    assert.equal(parseAudioMetadata(wav({ seconds: 1 }).subarray(0, 44 + 16000)).duration, 0.5);
+  });
+
+  test('MP3 cut in its ID3 tag, before any frame, or in its last frame', () => {
+    const file = mp3([128, 128, 128, 128]);
+
+    assert.throws(() => parseAudioMetadata(file.subarray(0, 6)), /MP3 ID3 tag is truncated/);
+    assert.throws(
+      () => parseAudioMetadata(file.subarray(0, 30)),
+      /MP3 file contains no valid audio frames/
+    );
+    assert.equal(parseAudioMetadata(file.subarray(0, file.length - 100)).duration, mp3Seconds(3));
+  });
+
+  test('OGG cut in its first page header, or in a later page', () => {
+    const file = oggVorbis({ seconds: 2 });
+
+    assert.throws(() => parseAudioMetadata(file.subarray(0, 20)), /OGG file contains no pages/);
+    // The last page's granule position is not reached
+    assert.equal(parseAudioMetadata(file.subarray(0, file.length - 100)).duration, 1);
+  });
+
+  test('M4A cut before its movie header, or inside it', () => {
+    const file = m4a();
+    const moov = file.indexOf('moov') - 4;
+
+    assert.throws(() => parseAudioMetadata(file.subarray(0, moov)), /no movie header/);
+    assert.throws(() => parseAudioMetadata(file.subarray(0, moov + 40)), /no audio track/);
+    assert.throws(
+      () => parseAudioMetadata(file.subarray(0, moov + 100)),
+      /missing its media header or sample description/
+    );
+  });
+});
+
+describe('bad M4A box sizes', () => {
+  const ftyp = box('ftyp', Buffer.from('M4A \0\0\0\0isomM4A '));
+
+  test('a box smaller than its own header', () => {
+    const bad = Buffer.from([0, 0, 0, 4, ...Buffer.from('free')]);
+
+    assert.throws(
+      () => parseAudioMetadata(Buffer.concat([ftyp, bad])),
+      /^Error: M4A box free has an invalid size$/
+    );
+  });
+
+  test('a box larger than the file ends with the file', () => {
+    const file = m4a({ seconds: 2, mdatBytes: 1000 });
+    const mdat = file.indexOf('mdat') - 4;
+    file.writeUInt32BE(1000000, mdat);
+
+    assert.equal(parseAudioMetadata(file).duration, 2);
+  });
+
+  test('a 64-bit box size', () => {
+    const file = m4a({ seconds: 2, mdatBytes: 1000 });
+    const mdat = file.indexOf('mdat') - 4;
+    const large = Buffer.alloc(16);
+    large.writeUInt32BE(1, 0);
+    large.write('mdat', 4, 'ascii');
+    large.writeBigUInt64BE(1016n, 8);
+
+    const metadata = parseAudioMetadata(
+      Buffer.concat([file.subarray(0, mdat), large, Buffer.alloc(1000)])
+    );
+    assert.equal(metadata.bitrate, 4000);
+  });
+
+  test('a media header too small for its fields', () => {
+    assert.throws(
+      () => parseAudioMetadata(m4a({ mdhd: Buffer.alloc(12) })),
+      /^Error: M4A media header is truncated$/
+    );
+  });
+});
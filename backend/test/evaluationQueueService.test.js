@@ -0,0 +1,241 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Activity from '../src/models/Activity.js';
+import EvaluationJob from '../src/models/EvaluationJob.js';
+import AIModelConfigRepository from '../src/repositories/AIModelConfigRepository.js';
+import EvaluationJobRepository from '../src/repositories/EvaluationJobRepository.js';
+import EvaluationRepository from '../src/repositories/EvaluationRepository.js';
+import SubmissionRepository from '../src/repositories/SubmissionRepository.js';
+import AIEvaluationService from '../src/services/AIEvaluationService.js';
+import EvaluationQueueService from '../src/services/EvaluationQueueService.js';
+import FeedbackGenerationService from '../src/services/FeedbackGenerationService.js';
+import GrammarRuleService from '../src/services/GrammarRuleService.js';
+import MistakeDetectionService from '../src/services/MistakeDetectionService.js';
+import TranscriptionService from '../src/services/TranscriptionService.js';
+import { EVALUATION_QUEUE } from '../src/config/constants.js';
+
+const claimed = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  jobId: 'JOB00000001',
+  submissionId: new mongoose.Types.ObjectId(),
+  status: 'processing',
+  attempts: 1,
+  maxAttempts: 5,
+  lockedBy: 'host:1',
+  lockedAt: new Date(),
+  runAt: new Date(),
+  ...fields,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('finishing a job', () => {
+  test('completes it while the worker holds its lock', async () => {
+    const job = claimed();
+    const evaluation = { _id: new mongoose.Types.ObjectId(), revision: 1 };
+    const evaluate = mock.method(AIEvaluationService, 'evaluateSubmission', async (id, options) =>
+      (await options.canCommit()) ? evaluation : null
+    );
+    const exists = mock.method(EvaluationJob, 'exists', async () => ({ _id: job._id }));
+    const markCompleted = mock.method(EvaluationJobRepository, 'markCompleted', async () => job);
+
+    await EvaluationQueueService.processJob(job);
+
+    assert.equal(evaluate.mock.calls[0].arguments[0], job.submissionId);
+    assert.deepEqual(exists.mock.calls[0].arguments[0], {
+      _id: job._id,
+      status: 'processing',
+      lockedBy: 'host:1',
+      lockedAt: job.lockedAt,
+    });
+    assert.deepEqual(markCompleted.mock.calls[0].arguments, [job, evaluation._id]);
+  });
+
+  test('discards the revision of a job whose lock expired instead of making it current', async () => {
+    const job = claimed();
+    mock.method(EvaluationJob, 'exists', async () => null);
+    const discard = mock.method(EvaluationRepository, 'discard', async () => {});
+    const setCurrent = mock.method(EvaluationRepository, 'setCurrent', async () => {
+      throw new Error('should not become current');
+    });
+    const markCompleted = mock.method(EvaluationJobRepository, 'markCompleted', async () => job);
+    const markFailed = mock.method(EvaluationJobRepository, 'markFailed', async () => job);
+
+    // Stand-ins for the evaluation pipeline up to the revision being made current
+    const revision = { _id: new mongoose.Types.ObjectId(), revision: 2, isCurrent: false };
+    mock.method(SubmissionRepository, 'updateStatus', async () => ({}));
+    mock.method(SubmissionRepository, 'findById', async () => ({
+      _id: job.submissionId,
+      submissionId: 'WRTS1',
+      contentType: 'writing',
+      activityId: { _id: new mongoose.Types.ObjectId() },
+      content: { text: 'Hello' },
+    }));
+    mock.method(TranscriptionService, 'ensureTranscript', async () => {});
+    mock.method(Activity, 'findById', () => ({ populate: async () => ({ rubricId: null }) }));
+    mock.method(AIModelConfigRepository, 'getActive', async () => ({ providers: {} }));
+    mock.method(GrammarRuleService, 'loadRuleset', async () => ({ rules: [], version: 'test' }));
+    mock.method(EvaluationRepository, 'getNextRevision', async () => 2);
+    mock.method(EvaluationRepository, 'create', async () => revision);
+    mock.method(MistakeDetectionService, 'detectMistakes', async () => []);
+    mock.method(FeedbackGenerationService, 'generateFeedback', async () => ({}));
+
+    await EvaluationQueueService.processJob(job);
+
+    assert.equal(discard.mock.calls[0].arguments[0], revision._id);
+    assert.equal(setCurrent.mock.callCount(), 0);
+    assert.equal(markCompleted.mock.callCount(), 0);
+    assert.equal(markFailed.mock.callCount(), 0);
+  });
+});
+
+describe('enqueueing', () => {
+  test('queues a submission once while its job is queued or processing', async () => {
+    const submissionId = new mongoose.Types.ObjectId();
+    const job = claimed({ submissionId });
+    let active = null;
+    const findOne = mock.method(EvaluationJob, 'findOne', async () => active);
+    const create = mock.method(EvaluationJobRepository, 'create', async (data) => {
+      active = { ...job, ...data, status: 'queued' };
+      return active;
+    });
+
+    const first = await EvaluationQueueService.enqueue(submissionId);
+    const second = await EvaluationQueueService.enqueue(submissionId);
+
+    assert.equal(second, first);
+    assert.equal(create.mock.callCount(), 1);
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+      submissionId,
+      maxAttempts: EVALUATION_QUEUE.MAX_ATTEMPTS,
+    });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      submissionId,
+      status: { $in: ['queued', 'processing'] },
+    });
+  });
+});
+
+describe('failed jobs', () => {
+  const failing = () => {
+    mock.method(AIEvaluationService, 'evaluateSubmission', async () => {
+      throw new Error('LLM request failed with status 503');
+    });
+    return {
+      markFailed: mock.method(EvaluationJobRepository, 'markFailed', async () => ({})),
+      updateStatus: mock.method(SubmissionRepository, 'updateStatus', async () => ({})),
+    };
+  };
+
+  test('are retried with exponential backoff', async () => {
+    const { markFailed, updateStatus } = failing();
+    const job = claimed({ attempts: 3 });
+    const before = Date.now();
+
+    await EvaluationQueueService.processJob(job);
+
+    const [failedJob, message, retryAt] = markFailed.mock.calls[0].arguments;
+    const delay = Math.min(EVALUATION_QUEUE.BACKOFF_MAX_MS, EVALUATION_QUEUE.BACKOFF_BASE_MS * 4);
+    assert.equal(failedJob, job);
+    assert.equal(message, 'LLM request failed with status 503');
+    assert.ok(retryAt.getTime() >= before + delay && retryAt.getTime() <= Date.now() + delay);
+    assert.deepEqual(updateStatus.mock.calls[0].arguments, [job.submissionId, 'pending']);
+  });
+
+  test('wait twice as long after each attempt, up to the maximum', () => {
+    const { BACKOFF_BASE_MS, BACKOFF_MAX_MS } = EVALUATION_QUEUE;
+
+    assert.equal(
+      EvaluationQueueService.getBackoffDelay(1),
+      Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS)
+    );
+    assert.equal(
+      EvaluationQueueService.getBackoffDelay(2),
+      Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2)
+    );
+    assert.equal(EvaluationQueueService.getBackoffDelay(50), BACKOFF_MAX_MS);
+  });
+
+  test('are dead-lettered after their last attempt', async () => {
+    const { markFailed, updateStatus } = failing();
+    const job = claimed({ attempts: 5, maxAttempts: 5 });
+
+    await EvaluationQueueService.processJob(job);
+
+    assert.deepEqual(markFailed.mock.calls[0].arguments, [
+      job,
+      'LLM request failed with status 503',
+    ]);
+    assert.deepEqual(updateStatus.mock.calls[0].arguments, [job.submissionId, 'failed']);
+  });
+
+  test('are settled only by the claim that ran them', async () => {
+    const job = claimed({ attempts: 2 });
+    const findOneAndUpdate = mock.method(EvaluationJob, 'findOneAndUpdate', async () => null);
+
+    await EvaluationJobRepository.markFailed(job, 'Timed out', new Date());
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: job._id,
+      status: 'processing',
+      lockedBy: job.lockedBy,
+      lockedAt: job.lockedAt,
+    });
+    assert.equal(update.$set.status, 'queued');
+    assert.deepEqual(update.$push.errorHistory, { attempt: 2, message: 'Timed out' });
+  });
+});
+
+describe('expired locks', () => {
+  test('count as a failed attempt and put the job back on the queue', async () => {
+    const job = claimed({ lockedAt: new Date(Date.now() - EVALUATION_QUEUE.LOCK_TIMEOUT_MS - 1) });
+    const findStale = mock.method(EvaluationJob, 'find', async () => [job]);
+    const markFailed = mock.method(EvaluationJobRepository, 'markFailed', async () => ({}));
+    mock.method(SubmissionRepository, 'updateStatus', async () => ({}));
+    const before = Date.now();
+
+    await EvaluationQueueService.recoverStaleJobs();
+
+    const { status, lockedAt } = findStale.mock.calls[0].arguments[0];
+    assert.equal(status, 'processing');
+    assert.ok(lockedAt.$lt.getTime() <= before - EVALUATION_QUEUE.LOCK_TIMEOUT_MS + 1000);
+
+    const [failedJob, message, retryAt] = markFailed.mock.calls[0].arguments;
+    assert.equal(failedJob, job);
+    assert.equal(message, 'Worker host:1 lock expired');
+    assert.ok(retryAt instanceof Date);
+  });
+
+  test('let another worker claim the job, with a new lock and attempt', async () => {
+    const findOneAndUpdate = mock.method(EvaluationJob, 'findOneAndUpdate', async () => null);
+
+    await EvaluationJobRepository.claimNext('host:2');
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.status, 'queued');
+    assert.ok(filter.runAt.$lte instanceof Date);
+    assert.equal(update.$set.status, 'processing');
+    assert.equal(update.$set.lockedBy, 'host:2');
+    assert.ok(update.$set.lockedAt instanceof Date);
+    assert.deepEqual(update.$inc, { attempts: 1 });
+    assert.deepEqual(options.sort, { runAt: 1 });
+  });
+
+  test('stop the first worker from completing a job claimed again', async () => {
+    const job = claimed();
+    const findOneAndUpdate = mock.method(EvaluationJob, 'findOneAndUpdate', async () => null);
+
+    assert.equal(
+      await EvaluationJobRepository.markCompleted(job, new mongoose.Types.ObjectId()),
+      null
+    );
+    assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], {
+      _id: job._id,
+      status: 'processing',
+      lockedBy: job.lockedBy,
+      lockedAt: job.lockedAt,
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import GrammarRuleRepository from '../src/repositories/GrammarRuleRepository.js';
+import GrammarRuleService, { DEFAULT_RULES } from '../src/services/GrammarRuleService.js';
+
+const stored = (version = 1) =>
+  DEFAULT_RULES.map((rule, index) => ({
+    ...rule,
+    ruleId: `GRR${String(index + 1).padStart(6, '0')}`,
+    version: index === 0 ? version : 1,
+  }));
+
+afterEach(() => {
+  mock.restoreAll();
+  GrammarRuleService.invalidate();
+});
+
+describe('ruleset version', () => {
+  test('changes when a rule is edited, not when the rules are read in another order', () => {
+    const rules = stored();
+
+    assert.equal(
+      GrammarRuleService.rulesetVersion(rules),
+      GrammarRuleService.rulesetVersion([...rules].reverse())
+    );
+    assert.notEqual(
+      GrammarRuleService.rulesetVersion(rules),
+      GrammarRuleService.rulesetVersion(stored(2))
+    );
+    assert.notEqual(
+      GrammarRuleService.rulesetVersion(rules),
+      GrammarRuleService.rulesetVersion(rules.slice(1))
+    );
+  });
+
+  test('is loaded with the enabled rules', async () => {
+    mock.method(GrammarRuleRepository, 'hasAny', async () => true);
+    mock.method(GrammarRuleRepository, 'findEnabled', async () => stored());
+
+    const ruleset = await GrammarRuleService.loadRuleset();
+
+    assert.equal(ruleset.rules.length, DEFAULT_RULES.length);
+    assert.equal(ruleset.version, GrammarRuleService.rulesetVersion(stored()));
+  });
+
+  test('is "built-in" and nothing is seeded while no rules are stored', async () => {
+    mock.method(GrammarRuleRepository, 'hasAny', async () => false);
+    const create = mock.method(GrammarRuleRepository, 'create', async () => {
+      throw new Error('should not seed');
+    });
+
+    const ruleset = await GrammarRuleService.loadRuleset();
+
+    assert.equal(ruleset.rules, DEFAULT_RULES);
+    assert.equal(ruleset.version, 'built-in');
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('is "built-in" when the database cannot be read', async () => {
+    mock.method(GrammarRuleRepository, 'hasAny', async () => {
+      throw new Error('not connected');
+    });
+
+    const ruleset = await GrammarRuleService.loadRuleset();
+
+    assert.equal(ruleset.rules, DEFAULT_RULES);
+    assert.equal(ruleset.version, 'built-in');
+  });
+
+  test('a pinned ruleset is scored with, whatever is enabled now', async () => {
+    const findEnabled = mock.method(GrammarRuleRepository, 'findEnabled', async () => []);
+    const ruleset = { rules: stored(), version: 'pinned' };
+    const text = 'He are late and they is early.';
+
+    assert.equal(await GrammarRuleService.grammarScore(text, { ruleset }), 88);
+    assert.equal(
+      await GrammarRuleService.grammarScore(text, { ruleset: { rules: [], version: 'none' } }),
+      100
+    );
+    assert.equal(findEnabled.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,177 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import LLMEvaluator from '../src/services/evaluators/LLMEvaluator.js';
+
+// Stub chat-completions server: records each request and answers with the handler set per test
+let server;
+let requests;
+let respond;
+
+const reply = (content) => (res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+};
+
+const settings = {
+  config: {
+    model: 'stub-model',
+    temperature: 0.2,
+    maxTokens: 300,
+    topP: 1,
+    frequencyPenalty: 0,
+    presencePenalty: 0,
+  },
+  promptTemplates: { writing: 'You grade English essays for secondary school students.' },
+};
+
+const submission = {
+  contentType: 'writing',
+  content: { text: 'My summer holiday was great. We went to the sea.' },
+};
+
+const activity = { title: 'My summer', prompt: 'Describe your summer holiday.' };
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      respond(res);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.LLM_API_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+  process.env.LLM_API_KEY = 'test-key';
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  respond = reply('{"overallScore": 80}');
+  delete process.env.LLM_TIMEOUT_MS;
+});
+
+describe('LLMEvaluator', () => {
+  test('sends the model settings and the prompt template to /chat/completions', async () => {
+    await LLMEvaluator.evaluate(submission, { activity, settings });
+
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer test-key');
+
+    const body = JSON.parse(request.body);
+    assert.equal(body.model, 'stub-model');
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_tokens, 300);
+
+    const [system, user] = body.messages;
+    assert.equal(system.role, 'system');
+    assert.ok(system.content.startsWith(settings.promptTemplates.writing));
+    assert.match(system.content, /"scoreBreakdown": \{"structure": 0-100/);
+    assert.equal(user.role, 'user');
+    assert.match(user.content, /Prompt: Describe your summer holiday\./);
+    assert.match(user.content, /We went to the sea\./);
+  });
+
+  test('parses and clamps the scores of a reply', async () => {
+    respond = reply(
+      'Here is the evaluation:\n```json\n' +
+        JSON.stringify({
+          overallScore: 78.6,
+          grammarScore: 120,
+          vocabularyScore: 'n/a',
+          scoreBreakdown: { structure: 70, coherence: -5, mechanics: 88 },
+          confidence: 0.9,
+        }) +
+        '\n```'
+    );
+
+    const result = await LLMEvaluator.evaluate(submission, { activity, settings });
+
+    assert.deepEqual(result, {
+      overallScore: 79,
+      grammarScore: 100,
+      aiConfidence: 0.9,
+      scoreBreakdown: { structure: 70, coherence: 0, mechanics: 88 },
+    });
+  });
+
+  test('rejects a reply without a JSON object', async () => {
+    respond = reply('I cannot grade this response.');
+
+    await assert.rejects(LLMEvaluator.evaluate(submission, { activity, settings }), {
+      message: 'LLM response did not contain a JSON object',
+    });
+  });
+
+  test('rejects a reply that is not valid JSON', async () => {
+    respond = reply('{"overallScore": 80,, }');
+
+    await assert.rejects(LLMEvaluator.evaluate(submission, { activity, settings }), {
+      message: /^LLM response was not valid JSON/,
+    });
+  });
+
+  test('rejects a reply without an overall score', async () => {
+    respond = reply('{"grammarScore": 80}');
+
+    await assert.rejects(LLMEvaluator.evaluate(submission, { activity, settings }), {
+      message: 'LLM response is missing overallScore',
+    });
+  });
+
+  test('rejects a response body that is not a chat completion', async () => {
+    respond = (res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"error": null}');
+    };
+
+    await assert.rejects(LLMEvaluator.evaluate(submission, { activity, settings }), {
+      message: 'LLM response did not contain a message',
+    });
+  });
+
+  test('reports the status and body of a failed request', async () => {
+    respond = (res) => {
+      res.writeHead(429, { 'Content-Type': 'application/json' });
+      res.end('{"error": {"message": "Rate limit reached"}}');
+    };
+
+    await assert.rejects(LLMEvaluator.evaluate(submission, { activity, settings }), {
+      message: /^LLM request failed with status 429: .*Rate limit reached/,
+    });
+  });
+
+  test('aborts a request that takes longer than LLM_TIMEOUT_MS', async () => {
+    process.env.LLM_TIMEOUT_MS = '100';
+    let timer;
+    respond = (res) => {
+      timer = setTimeout(reply('{"overallScore": 80}'), 2000, res);
+    };
+
+    await assert.rejects(LLMEvaluator.evaluate(submission, { activity, settings }), {
+      message: 'LLM request timed out after 100ms',
+    });
+    clearTimeout(timer);
+  });
+
+  test('cannot score speaking without a transcript', () => {
+    assert.equal(
+      LLMEvaluator.canEvaluate({ contentType: 'speaking', content: { audioUrl: 'a.wav' } }),
+      false
+    );
+    assert.equal(
+      LLMEvaluator.canEvaluate({ contentType: 'speaking', content: { transcript: 'Hello' } }),
+      true
+    );
+  });
+});
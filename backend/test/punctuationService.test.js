@@ -0,0 +1,184 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import PunctuationService from '../src/services/PunctuationService.js';
+import { ERROR_TYPES } from '../src/config/constants.js';
+
+// The parts of a finding the tests compare
+const found = (findings) =>
+  findings.map(({ check, start, original, replacement }) => ({
+    check,
+    start,
+    original,
+    replacement,
+  }));
+
+describe('sentence ends', () => {
+  test('a paragraph without final punctuation gets a full stop', () => {
+    assert.deepEqual(found(PunctuationService.checkSentenceEnds('My summer holiday was great')), [
+      { check: 'sentence-end', start: 22, original: 'great', replacement: 'great.' },
+    ]);
+  });
+
+  test('titles and list items are left alone', () => {
+    assert.deepEqual(PunctuationService.checkSentenceEnds('Shopping list'), []);
+    assert.deepEqual(PunctuationService.checkSentenceEnds('- milk and eggs for breakfast'), []);
+  });
+
+  test('a question ending in a full stop may need a question mark', () => {
+    const [question] = PunctuationService.checkSentenceEnds('Why is the sky blue.');
+
+    assert.deepEqual(found([question]), [
+      { check: 'question-mark', start: 19, original: '.', replacement: '?' },
+    ]);
+    assert.equal(question.isPossibleError, true);
+  });
+});
+
+describe('comma splices', () => {
+  const splices = (text) =>
+    PunctuationService.checkCommaSplices(text).map(({ start, replacement }) => [
+      start,
+      replacement,
+    ]);
+
+  test('are found whatever the subject and verb of the second clause', () => {
+    assert.deepEqual(splices('I went home, I ate dinner.'), [[11, ';']]);
+    assert.deepEqual(splices('She smiled, he laughed.'), [[10, ';']]);
+    assert.deepEqual(splices('The weather was cold, we stayed inside.'), [[20, ';']]);
+    assert.deepEqual(splices('The dog barked, the cat ran away.'), [[14, ';']]);
+    assert.deepEqual(splices('Tom is tall, his sister is short.'), [[11, ';']]);
+    assert.deepEqual(splices('I like this book, this is my favourite.'), [[16, ';']]);
+  });
+
+  test('are found after an introductory clause', () => {
+    assert.deepEqual(splices('Because it rained, we stayed inside, we played cards.'), [[35, ';']]);
+  });
+
+  test('are not a comma before a subordinate clause, a list, a phrase or a conjunction', () => {
+    [
+      'When I arrived, I saw him.',
+      'After the rain stopped, we went outside.',
+      'In addition to the rain, it was cold.',
+      'However, we stayed.',
+      'Yes, I am ready.',
+      'I bought apples, oranges and pears.',
+      'My brother, who lives in Paris, is a doctor.',
+      'Paris, the capital, is big.',
+      'We ran, laughing loudly.',
+      'I think, therefore I am.',
+      'I went home, and I ate dinner.',
+    ].forEach((text) => assert.deepEqual(splices(text), [], text));
+  });
+
+  test('are not reported or quoted speech', () => {
+    assert.deepEqual(splices('He said, I am coming.'), []);
+    assert.deepEqual(splices('She asked, "Are you ready?"'), []);
+  });
+});
+
+describe('introductory commas', () => {
+  test('go after a transition', () => {
+    assert.deepEqual(
+      found(PunctuationService.checkIntroductoryCommas('However we stayed at home.')),
+      [{ check: 'introductory-comma', start: 0, original: 'However', replacement: 'However,' }]
+    );
+  });
+
+  test('go after an introductory clause, before the main clause', () => {
+    assert.deepEqual(
+      found(
+        PunctuationService.checkIntroductoryCommas('When I arrived at the station I saw my friend.')
+      ),
+      [{ check: 'introductory-comma', start: 22, original: 'station', replacement: 'station,' }]
+    );
+    assert.deepEqual(
+      found(PunctuationService.checkIntroductoryCommas('Because I think it is good we should go.')),
+      [{ check: 'introductory-comma', start: 22, original: 'good', replacement: 'good,' }]
+    );
+  });
+
+  test('are not asked for twice, or for "in addition to"', () => {
+    assert.deepEqual(
+      PunctuationService.checkIntroductoryCommas('When I arrived at the station, I saw my friend.'),
+      []
+    );
+    assert.deepEqual(
+      PunctuationService.checkIntroductoryCommas('In addition to the rain it was cold.'),
+      []
+    );
+  });
+});
+
+describe('quotes and brackets', () => {
+  test('an unclosed one is closed at the end of its sentence', () => {
+    assert.deepEqual(found(PunctuationService.checkBalance('He said "hello to me.')), [
+      { check: 'unbalanced', start: 8, original: '"hello to me', replacement: '"hello to me"' },
+    ]);
+    assert.deepEqual(found(PunctuationService.checkBalance('She (my sister is a doctor.')), [
+      {
+        check: 'unbalanced',
+        start: 4,
+        original: '(my sister is a doctor',
+        replacement: '(my sister is a doctor)',
+      },
+    ]);
+  });
+
+  test('a stray closing one is removed', () => {
+    assert.deepEqual(found(PunctuationService.checkBalance('It was late) and we left.')), [
+      { check: 'unbalanced', start: 11, original: ')', replacement: '' },
+    ]);
+  });
+
+  test('pairs and list labels are balanced', () => {
+    assert.deepEqual(PunctuationService.checkBalance('He said "hello" (twice).'), []);
+    assert.deepEqual(PunctuationService.checkBalance('a) milk and eggs'), []);
+  });
+});
+
+describe('repeated punctuation', () => {
+  test('is reduced to one mark, or three dots', () => {
+    assert.deepEqual(found(PunctuationService.checkRepeated('Wait!! Really,, now....')), [
+      { check: 'repeated', start: 4, original: '!!', replacement: '!' },
+      { check: 'repeated', start: 13, original: ',,', replacement: ',' },
+      { check: 'repeated', start: 19, original: '....', replacement: '...' },
+    ]);
+    assert.deepEqual(PunctuationService.checkRepeated('Well... maybe.'), []);
+  });
+});
+
+describe("its and it's", () => {
+  test('are told apart', () => {
+    assert.deepEqual(found(PunctuationService.checkIts("The dog wagged it's tail.")), [
+      { check: 'its', start: 15, original: "it's", replacement: 'its' },
+    ]);
+    assert.deepEqual(found(PunctuationService.checkIts('Its a beautiful day.')), [
+      { check: 'its', start: 0, original: 'Its', replacement: "It's" },
+    ]);
+    assert.deepEqual(found(PunctuationService.checkIts("The company lost its' way.")), [
+      { check: 'its', start: 17, original: "its'", replacement: 'its' },
+    ]);
+    assert.deepEqual(PunctuationService.checkIts("It's raining. The cat licked its own paw."), []);
+  });
+});
+
+describe('detect', () => {
+  test('reports every finding as a punctuation mistake, in text order', () => {
+    const mistakes = PunctuationService.detect('She smiled, he laughed!! Its a shame');
+
+    assert.deepEqual(
+      mistakes.map(({ errorType, positionStart, originalText, correctedText }) => [
+        errorType,
+        positionStart,
+        originalText,
+        correctedText,
+      ]),
+      [
+        [ERROR_TYPES.PUNCTUATION, 10, ',', ';'],
+        [ERROR_TYPES.PUNCTUATION, 22, '!!', '!'],
+        [ERROR_TYPES.PUNCTUATION, 25, 'Its', "It's"],
+        [ERROR_TYPES.PUNCTUATION, 31, 'shame', 'shame.'],
+      ]
+    );
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import QtiService from '../src/services/QtiService.js';
+import { createZip, readZip } from '../src/utils/zip.js';
+import { parseXml, serializeXml, textContent } from '../src/utils/xml.js';
+
+const questions = [
+  {
+    questionText: 'Past tense of "go"?',
+    questionType: 'multiple-choice',
+    options: ['goed', 'went', 'gone'],
+    correctAnswer: 'went',
+    points: 2,
+    explanation: 'Irregular: go, went, gone.',
+    reference: 'Unit 4',
+  },
+  { questionText: 'The sun is a star.', questionType: 'true-false', correctAnswer: 'True' },
+  {
+    questionText: 'Capital of France?',
+    questionType: 'short-answer',
+    correctAnswer: 'Paris',
+    acceptedAnswers: ['paris, france'],
+  },
+  {
+    questionText: 'Which are verbs?',
+    questionType: 'multi-select',
+    options: ['run', 'blue', 'eat'],
+    correctAnswers: ['run', 'eat'],
+  },
+  {
+    questionText: 'Speed of sound in air?',
+    questionType: 'numeric',
+    numericAnswer: { value: 343, tolerance: 5, toleranceType: 'absolute' },
+  },
+  {
+    questionText: 'My favourite ___ is ___ & green.',
+    questionType: 'cloze',
+    blanks: ['colour|color', 'blue'],
+  },
+  {
+    questionText: 'Match the words.',
+    questionType: 'matching',
+    pairs: [
+      { left: 'dog', right: 'perro' },
+      { left: 'cat', right: 'gato' },
+    ],
+  },
+  {
+    questionText: 'Put the day in order.',
+    questionType: 'ordering',
+    sequence: ['wake up', 'breakfast', 'school'],
+  },
+];
+
+const activity = {
+  activityId: 'ACT-1',
+  title: 'Mixed quiz',
+  description: 'Every question type',
+  activityType: 'quiz',
+  timeLimit: 15,
+  questions,
+};
+
+// The package of the activity with some of its files replaced
+const repack = (replacements) => {
+  const files = readZip(QtiService.exportActivity(activity).buffer);
+  Object.entries(replacements).forEach(([name, data]) => files.set(name, Buffer.from(data)));
+  return createZip([...files].map(([name, data]) => ({ name, data })));
+};
+
+describe('QTI round trip', () => {
+  test('exports a package with one item per question', () => {
+    const { fileName, itemCount, warnings, buffer } = QtiService.exportActivity(activity);
+
+    assert.equal(fileName, 'ACT-1-qti.zip');
+    assert.equal(itemCount, 8);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(
+      [...readZip(buffer).keys()],
+      [
+        'imsmanifest.xml',
+        'assessmentTest.xml',
+        ...questions.map((_, index) => `items/ITEM_00${index + 1}.xml`),
+      ]
+    );
+  });
+
+  test('imports every question type as it was exported', () => {
+    const { buffer, fileName } = QtiService.exportActivity(activity);
+    const { activity: imported, report } = QtiService.importPackage(buffer, { fileName });
+
+    assert.deepEqual(report, { total: 8, imported: 8, skipped: [], unsupportedInteractions: {} });
+    assert.equal(imported.title, 'Mixed quiz');
+    assert.equal(imported.description, 'Every question type');
+    assert.equal(imported.timeLimit, 15);
+
+    // Points default to 1, and text answers state that they ignore case
+    questions.forEach((question, index) =>
+      assert.deepEqual(
+        imported.questions[index],
+        {
+          ...question,
+          points: question.points ?? 1,
+          ...(['short-answer', 'cloze'].includes(question.questionType) && {
+            caseSensitive: false,
+          }),
+        },
+        question.questionType
+      )
+    );
+  });
+
+  test('warns about what QTI cannot hold', () => {
+    const numeric = { ...questions[4], numericAnswer: { value: 343, unit: 'm/s' } };
+
+    assert.deepEqual(QtiService.exportActivity({ ...activity, questions: [numeric] }).warnings, [
+      'Question 1: the unit (m/s) has no QTI equivalent and was left out',
+    ]);
+  });
+});
+
+describe('zip bomb guards', () => {
+  test('an archive that unpacks to more than the limit is refused', () => {
+    const archive = createZip([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024) }]);
+
+    assert.ok(archive.length < 10 * 1024);
+    assert.throws(
+      () => readZip(archive, { maxSize: 1024 * 1024 }),
+      /^Error: Zip archive unpacks to more than 1MB$/
+    );
+  });
+
+  test('a package over the import limit is refused before anything is unpacked', () => {
+    const archive = repack({});
+    // Claim 60MB for the manifest in the central directory
+    const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    archive.writeUInt32LE(60 * 1024 * 1024, central + 24);
+
+    assert.throws(() => QtiService.importPackage(archive), /unpacks to more than 50MB/);
+  });
+
+  test('a file that inflates past its stated size is cut off', () => {
+    const archive = createZip([{ name: 'zeros.bin', data: Buffer.alloc(1024 * 1024) }]);
+    const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    archive.writeUInt32LE(100, central + 24);
+
+    assert.throws(() => readZip(archive), /^Error: zeros\.bin could not be decompressed/);
+  });
+
+  test('an archive with too many files is refused', () => {
+    const entries = Array.from({ length: 11 }, (_, index) => ({ name: `${index}.txt`, data: '' }));
+
+    assert.throws(
+      () => readZip(createZip(entries), { maxEntries: 10 }),
+      /^Error: Zip archive has too many files \(11, limit 10\)$/
+    );
+  });
+
+  test('what is not a zip archive is refused', () => {
+    assert.throws(() => readZip(Buffer.alloc(0)), /Zip archive is empty or truncated/);
+    assert.throws(() => readZip(Buffer.alloc(100)), /Not a zip archive/);
+  });
+});
+
+describe('malformed XML', () => {
+  test('is refused with the position of the problem', () => {
+    [
+      ['<item><p>Text</item>', /^Error: Unexpected closing tag <\/item> near position \d+$/],
+      ['<item><p>Text</p>', /Unclosed element <item>/],
+      ['<item/><item/>', /Second root element/],
+      ['text<item/>', /Text outside the root element/],
+      ['<item><!-- never closed </item>', /Unterminated markup, expected -->/],
+      ['<item><1p/></item>', /Invalid tag name/],
+      ['<item title="a></item>', /Malformed tag <item>/],
+      ['<?xml version="1.0"?>', /Document has no root element/],
+    ].forEach(([xml, error]) => assert.throws(() => parseXml(xml), error, xml));
+  });
+
+  test('entities declared in a DOCTYPE are not expanded', () => {
+    const root = parseXml(
+      '<!DOCTYPE lolz [<!ENTITY lol "lol"><!ENTITY lol2 "&lol;&lol;&lol;">]><p>&lol2; &amp; &#65;</p>'
+    );
+
+    assert.equal(textContent(root), '&lol2; & A');
+  });
+
+  test('written documents read back the same', () => {
+    const root = parseXml('<p class="a&quot;b">Fish &amp; chips <b>&lt;3</b></p>');
+
+    assert.deepEqual(parseXml(serializeXml(root)), root);
+  });
+
+  test('an item that is not valid XML is skipped and reported', () => {
+    const { activity: imported, report } = QtiService.importPackage(
+      repack({ 'items/ITEM_002.xml': '<assessmentItem identifier="ITEM_002">' })
+    );
+
+    assert.equal(imported.questions.length, 7);
+    assert.equal(report.skipped.length, 1);
+    assert.equal(report.skipped[0].item, 'items/ITEM_002.xml');
+    assert.match(report.skipped[0].reason, /^Not valid XML: Unclosed element <assessmentItem>/);
+  });
+
+  test('a package whose manifest is not valid XML is refused', () => {
+    assert.throws(
+      () => QtiService.importPackage(repack({ 'imsmanifest.xml': '<manifest><resources>' })),
+      /Unclosed element <resources>/
+    );
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import QuizGradingService from '../src/services/QuizGradingService.js';
+
+describe('answer patterns', () => {
+  const question = {
+    questionType: 'short-answer',
+    correctAnswer: 'colour',
+    answerPatterns: ['(a|aa)+', 'colou?rs?'],
+  };
+
+  test('match the whole answer, ignoring case unless the question counts it', () => {
+    assert.equal(QuizGradingService.matchesPattern(question, 'Colors'), true);
+    assert.equal(QuizGradingService.matchesPattern(question, 'colours!'), false);
+    assert.equal(
+      QuizGradingService.matchesPattern({ ...question, caseSensitive: true }, 'Colors'),
+      false
+    );
+  });
+
+  test('a backtracking pattern times out instead of blocking the process', () => {
+    const started = Date.now();
+
+    assert.equal(QuizGradingService.matchesPattern(question, `${'a'.repeat(34)}!`), false);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  test('long answers are not tried on patterns', () => {
+    assert.equal(QuizGradingService.matchesPattern(question, 'a'.repeat(201)), false);
+    assert.equal(QuizGradingService.matchesPattern(question, 'a'.repeat(200)), true);
+  });
+});
+
+const grade = (question, answer, policy) =>
+  QuizGradingService.gradeAnswer(question, answer, policy);
+
+describe('grading', () => {
+  test('multiple choice: the correct option, ignoring case and accents', () => {
+    const question = {
+      questionType: 'multiple-choice',
+      options: ['Café', 'Tea', 'Water'],
+      correctAnswer: 'Café',
+    };
+
+    assert.deepEqual(grade(question, 'cafe'), { score: 1 });
+    assert.deepEqual(grade(question, 'Tea'), { score: 0 });
+    assert.deepEqual(grade({ ...question, accentSensitive: true }, 'cafe'), { score: 0 });
+  });
+
+  test('multiple choice and true/false: negative marking for wrong answers only', () => {
+    const question = { questionType: 'true-false', correctAnswer: 'true' };
+    const policy = { negativeMarking: 0.25 };
+
+    assert.deepEqual(grade(question, 'True', policy), { score: 1 });
+    assert.deepEqual(grade(question, 'false', policy), {
+      score: 0,
+      penalty: 0.25,
+      detail: 'Wrong answer; 25% of the points deducted',
+    });
+    assert.deepEqual(grade(question, '', policy), { score: 0, detail: 'No answer given' });
+    assert.equal(grade(question, '', { ...policy, penalizeBlank: true }).penalty, 0.25);
+  });
+
+  test('short answer: accepted variants in full, near misses in part', () => {
+    const question = {
+      questionType: 'short-answer',
+      correctAnswer: 'photosynthesis',
+      acceptedAnswers: ['photo-synthesis'],
+    };
+
+    assert.deepEqual(grade(question, '  Photosynthesis '), { score: 1 });
+    assert.deepEqual(grade(question, 'photo-synthesis'), { score: 1 });
+    assert.deepEqual(grade(question, 'photosynthesys'), { score: 1 }); // 1 typo in 14 letters
+    assert.deepEqual(grade(question, 'fotosinthesys'), {
+      score: 0.75,
+      detail: 'Close to the expected answer',
+    });
+    assert.deepEqual(grade(question, 'respiration'), { score: 0 });
+    assert.deepEqual(
+      grade(question, 'fotosinthesys', { shortAnswerThresholds: { close: 0.9, partial: 0.8 } }),
+      { score: 0 }
+    );
+  });
+
+  test('multi-select: each wrong tick cancels a right one', () => {
+    const question = {
+      questionType: 'multi-select',
+      options: ['run', 'blue', 'eat', 'sleep'],
+      correctAnswers: ['run', 'eat', 'sleep'],
+    };
+
+    assert.deepEqual(grade(question, ['sleep', 'run', 'eat']), { score: 1 });
+    assert.deepEqual(grade(question, ['run', 'eat']), {
+      score: 2 / 3,
+      detail: '2 of 3 correct options selected',
+    });
+    assert.deepEqual(grade(question, ['run', 'eat', 'blue']), {
+      score: 1 / 3,
+      detail: '2 of 3 correct options selected, 1 incorrect',
+    });
+    assert.deepEqual(grade(question, ['run', 'eat'], { multiPartCredit: 'all-or-nothing' }), {
+      score: 0,
+      detail: '2 of 3 correct options selected; all parts must be right',
+    });
+  });
+
+  test('numeric: value within tolerance, with the unit', () => {
+    const question = {
+      questionType: 'numeric',
+      numericAnswer: { value: 9.81, tolerance: 0.05, toleranceType: 'absolute', unit: 'm/s²' },
+    };
+
+    assert.deepEqual(grade(question, '9.8 m/s²'), { score: 1 });
+    assert.deepEqual(grade(question, '9,85 M/S²'), { score: 1 });
+    assert.deepEqual(grade(question, '9.9 m/s²'), { score: 0 });
+    assert.deepEqual(grade(question, '9.81'), {
+      score: 0.5,
+      detail: 'Correct value but missing the unit (m/s²)',
+    });
+    assert.deepEqual(grade(question, '9.81 km/h'), {
+      score: 0,
+      detail: 'Wrong unit (expected m/s²)',
+    });
+    assert.deepEqual(grade(question, 'about ten'), { score: 0, detail: 'Not a number' });
+  });
+
+  test('numeric: percent tolerance', () => {
+    const question = {
+      questionType: 'numeric',
+      numericAnswer: { value: 200, tolerance: 5, toleranceType: 'percent' },
+    };
+
+    assert.deepEqual(grade(question, '210'), { score: 1 });
+    assert.deepEqual(grade(question, '211'), { score: 0 });
+  });
+
+  test('numeric: thousands separators', () => {
+    const question = { questionType: 'numeric', numericAnswer: { value: 1000, unit: 'm' } };
+
+    assert.deepEqual(grade(question, '1,000 m'), { score: 1 });
+    assert.deepEqual(grade(question, '1000m'), { score: 1 });
+    assert.deepEqual(grade({ ...question, numericAnswer: { value: 1234567.5 } }, '1,234,567.5'), {
+      score: 1,
+    });
+    assert.deepEqual(grade({ ...question, numericAnswer: { value: 1000.5 } }, '1.000,5'), {
+      score: 1,
+    });
+  });
+
+  test('numeric: reading numbers', () => {
+    const read = (answer) => QuizGradingService.parseNumber(answer);
+
+    assert.deepEqual(read('1,000'), { value: 1000, unit: '' });
+    assert.deepEqual(read('1,000 m'), { value: 1000, unit: 'm' });
+    assert.deepEqual(read('12,5 cm'), { value: 12.5, unit: 'cm' });
+    assert.deepEqual(read('0,125'), { value: 0.125, unit: '' });
+    assert.deepEqual(read('1,2345'), { value: 1.2345, unit: '' });
+    assert.deepEqual(read('-2.5e3 kg'), { value: -2500, unit: 'kg' });
+    assert.deepEqual(read('.5'), { value: 0.5, unit: '' });
+    assert.equal(read('m 12'), null);
+  });
+
+  test('cloze: share of blanks, any listed variant', () => {
+    const question = {
+      questionType: 'cloze',
+      questionText: 'My favourite ___ is ___.',
+      blanks: ['colour|color', 'blue'],
+    };
+
+    assert.deepEqual(grade(question, ['Color', 'blue']), { score: 1 });
+    assert.deepEqual(grade(question, ['colour', 'red']), { score: 0.5, detail: '1 of 2 blanks' });
+    assert.deepEqual(grade(question, ['', '']), { score: 0, detail: 'No answer given' });
+  });
+
+  test('matching: share of pairs matched', () => {
+    const question = {
+      questionType: 'matching',
+      pairs: [
+        { left: 'dog', right: 'perro' },
+        { left: 'cat', right: 'gato' },
+        { left: 'bird', right: 'pájaro' },
+      ],
+    };
+
+    assert.deepEqual(grade(question, ['perro', 'gato', 'pajaro']), { score: 1 });
+    assert.deepEqual(grade(question, ['gato', 'perro', 'pájaro']), {
+      score: 1 / 3,
+      detail: '1 of 3 pairs',
+    });
+  });
+
+  test('ordering: one item out of place costs one item', () => {
+    const question = {
+      questionType: 'ordering',
+      sequence: ['wake up', 'shower', 'breakfast', 'bus', 'school'],
+    };
+
+    assert.deepEqual(grade(question, ['wake up', 'shower', 'breakfast', 'bus', 'school']), {
+      score: 1,
+    });
+    assert.deepEqual(grade(question, ['school', 'wake up', 'shower', 'breakfast', 'bus']), {
+      score: 0.8,
+      detail: '4 of 5 items in the correct order',
+    });
+    assert.deepEqual(grade(question, ['school', 'bus', 'breakfast', 'shower', 'wake up']), {
+      score: 0.2,
+      detail: '1 of 5 items in the correct order',
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Activity from '../src/models/Activity.js';
+import QuizSessionRepository from '../src/repositories/QuizSessionRepository.js';
+import SubmissionRepository from '../src/repositories/SubmissionRepository.js';
+import EvaluationQueueService from '../src/services/EvaluationQueueService.js';
+import QuizSessionService from '../src/services/QuizSessionService.js';
+
+const activity = new Activity({
+  activityId: 'ACT-1',
+  title: 'Past tense',
+  description: 'Irregular verbs',
+  activityType: 'quiz',
+  difficulty: 'intermediate',
+  createdBy: new mongoose.Types.ObjectId(),
+  timeLimit: 20,
+  questions: [
+    { questionText: 'Past tense of "go"?', questionType: 'short-answer', correctAnswer: 'went' },
+    { questionText: 'Past tense of "see"?', questionType: 'short-answer', correctAnswer: 'saw' },
+  ],
+});
+
+const [go, see] = activity.questions.map((question) => String(question._id));
+
+const session = (fields = {}) => {
+  const startedAt = new Date(Date.now() - 10 * 60 * 1000);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    sessionId: 'QZS00000001',
+    activityId: activity._id,
+    studentId: new mongoose.Types.ObjectId(),
+    seed: 'seed',
+    mode: 'fixed',
+    status: 'in-progress',
+    startedAt,
+    deadline: new Date(startedAt.getTime() + 20 * 60 * 1000),
+    timeAllowed: 20 * 60,
+    savedAnswers: [],
+    ...fields,
+  };
+};
+
+// Closing sets the status and the answers, like the repository's atomic update
+const closing = () =>
+  mock.method(QuizSessionRepository, 'close', async (id, status, answers) => ({
+    ...session({ _id: id, status, closedAt: new Date() }),
+    ...(answers && { savedAnswers: answers }),
+  }));
+
+afterEach(() => mock.restoreAll());
+
+describe('submitting a timed quiz', () => {
+  test('stores the answers on the session as it closes it', async () => {
+    const close = closing();
+    const create = mock.method(SubmissionRepository, 'create', async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+    }));
+    mock.method(EvaluationQueueService, 'enqueue', async () => ({}));
+    const setSubmission = mock.method(QuizSessionRepository, 'setSubmission', async () => ({}));
+
+    const submission = await QuizSessionService.submit(
+      session(),
+      activity,
+      new Map([
+        [go, 'went'],
+        [see, 'seen'],
+      ])
+    );
+
+    const [, status, answers] = close.mock.calls[0].arguments;
+    assert.equal(status, 'submitted');
+    assert.deepEqual(answers, [
+      { questionId: go, answer: 'went' },
+      { questionId: see, answer: 'seen' },
+    ]);
+
+    const { content } = create.mock.calls[0].arguments[0];
+    assert.equal(content.autoSubmitted, false);
+    assert.deepEqual(
+      content.answers.map(({ questionId, answer }) => [String(questionId), answer]).sort(),
+      [
+        [go, 'went'],
+        [see, 'seen'],
+      ].sort()
+    );
+    assert.equal(setSubmission.mock.calls[0].arguments[1], submission._id);
+  });
+
+  test('a failure after closing leaves the session for the sweep to submit', async () => {
+    closing();
+    mock.method(SubmissionRepository, 'create', async () => {
+      throw new Error('connection lost');
+    });
+    const setSubmission = mock.method(QuizSessionRepository, 'setSubmission', async () => ({}));
+
+    await assert.rejects(
+      QuizSessionService.submit(session(), activity, new Map([[go, 'went']])),
+      /connection lost/
+    );
+    assert.equal(setSubmission.mock.callCount(), 0);
+  });
+});
+
+describe('sweep', () => {
+  test('submits closed sessions left without a submission', async () => {
+    const closed = session({
+      status: 'submitted',
+      closedAt: new Date(Date.now() - 10 * 60 * 1000),
+      savedAnswers: [
+        { questionId: go, answer: 'went' },
+        { questionId: see, answer: 'saw' },
+      ],
+    });
+    mock.method(QuizSessionRepository, 'findExpired', async () => []);
+    const findUnsubmitted = mock.method(QuizSessionRepository, 'findUnsubmitted', async () => [
+      closed,
+    ]);
+    mock.method(SubmissionRepository, 'findBySession', async () => null);
+    mock.method(Activity, 'findById', async () => activity);
+    const create = mock.method(SubmissionRepository, 'create', async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+    }));
+    const enqueue = mock.method(EvaluationQueueService, 'enqueue', async () => ({}));
+    const setSubmission = mock.method(QuizSessionRepository, 'setSubmission', async () => ({}));
+
+    await QuizSessionService.sweep();
+
+    // Only sessions closed long enough ago that their own request has finished
+    assert.ok(findUnsubmitted.mock.calls[0].arguments[0] < new Date(Date.now() - 60 * 1000));
+
+    const { content } = create.mock.calls[0].arguments[0];
+    assert.equal(String(content.sessionId), String(closed._id));
+    assert.deepEqual(content.answers.map(({ answer }) => answer).sort(), ['saw', 'went']);
+    assert.equal(enqueue.mock.callCount(), 1);
+    assert.equal(String(setSubmission.mock.calls[0].arguments[0]), String(closed._id));
+  });
+
+  test('queues a submission that was created but not queued', async () => {
+    const closed = session({ status: 'expired', closedAt: new Date(Date.now() - 10 * 60 * 1000) });
+    const existing = { _id: new mongoose.Types.ObjectId(), status: 'pending' };
+    mock.method(QuizSessionRepository, 'findExpired', async () => []);
+    mock.method(QuizSessionRepository, 'findUnsubmitted', async () => [closed]);
+    mock.method(SubmissionRepository, 'findBySession', async () => existing);
+    const create = mock.method(SubmissionRepository, 'create', async () => {
+      throw new Error('should not create');
+    });
+    const enqueue = mock.method(EvaluationQueueService, 'enqueue', async () => ({}));
+    const setSubmission = mock.method(QuizSessionRepository, 'setSubmission', async () => ({}));
+
+    await QuizSessionService.sweep();
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(enqueue.mock.calls[0].arguments[0], existing._id);
+    assert.equal(setSubmission.mock.calls[0].arguments[1], existing._id);
+  });
+
+  test('gives up on sessions whose activity was deleted', async () => {
+    const closed = session({ status: 'expired', closedAt: new Date(Date.now() - 10 * 60 * 1000) });
+    mock.method(QuizSessionRepository, 'findExpired', async () => []);
+    mock.method(QuizSessionRepository, 'findUnsubmitted', async () => [closed]);
+    mock.method(SubmissionRepository, 'findBySession', async () => null);
+    mock.method(Activity, 'findById', async () => null);
+    const setSubmission = mock.method(QuizSessionRepository, 'setSubmission', async () => ({}));
+
+    await QuizSessionService.sweep();
+
+    assert.deepEqual(setSubmission.mock.calls[0].arguments, [closed._id, null]);
+  });
+});
@@ -0,0 +1,279 @@
+import { useMemo } from 'react';
+import {
+  Box,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  IconButton,
+  MenuItem,
+  Paper,
+  Radio,
+  RadioGroup,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon,
+} from '@mui/icons-material';
+
+// Cloze blanks are written as three or more underscores in the question text
+const BLANK_PATTERN = /_{3,}/;
+
+const optionSx = {
+  mb: 1,
+  p: 1,
+  borderRadius: 1,
+  '&:hover': {
+    backgroundColor: 'action.hover',
+  },
+};
+
+/**
+ * Shuffle deterministically from a seed string, so the order stays put across re-renders
+ * and never simply gives away the answer
+ */
+const seededShuffle = (items, seed) => {
+  let hash = 0;
+  for (let i = 0; i < seed.length; i++) {
+    hash = (hash * 31 + seed.charCodeAt(i)) | 0;
+  }
+
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    hash = (hash * 1103515245 + 12345) | 0;
+    const j = Math.abs(hash) % (i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const questionSeed = (question) => question._id || question.questionText || question.question || '';
+
+/**
+ * Answer submitted for a question the student left untouched. Ordering questions start in
+ * the order shown on screen, so that order counts as the answer.
+ * Delivered quizzes arrive shuffled by the server (items, choices); questions that still
+ * carry their answer key (teacher previews) are shuffled here.
+ */
+export const defaultAnswer = (question) => {
+  if (question.questionType !== 'ordering') return null;
+  return (
+    question.items || seededShuffle(question.sequence || [], `${questionSeed(question)}:sequence`)
+  );
+};
+
+/**
+ * QuestionAnswerInput Component
+ * Answer control for one quiz question, chosen by question type. The value has the shape the
+ * grader expects: a string, or an array for multi-select, cloze, matching and ordering.
+ */
+const QuestionAnswerInput = ({ question, value, onChange }) => {
+  const seed = questionSeed(question);
+
+  const matchingChoices = useMemo(
+    () =>
+      question.choices ||
+      seededShuffle(
+        (question.pairs || []).map((pair) => pair.right),
+        `${seed}:pairs`
+      ),
+    [question.choices, question.pairs, seed]
+  );
+
+  const initialOrder = useMemo(() => defaultAnswer(question), [question]);
+
+  switch (question.questionType) {
+    case 'multi-select': {
+      const selected = Array.isArray(value) ? value : [];
+      const toggle = (option) =>
+        onChange(
+          selected.includes(option)
+            ? selected.filter((item) => item !== option)
+            : [...selected, option]
+        );
+
+      return (
+        <FormGroup>
+          <Typography variant="caption" color="text.secondary" sx={{ mb: 1 }}>
+            Select all that apply
+          </Typography>
+          {question.options?.map((option, optionIndex) => (
+            <FormControlLabel
+              key={optionIndex}
+              control={
+                <Checkbox checked={selected.includes(option)} onChange={() => toggle(option)} />
+              }
+              label={option}
+              sx={optionSx}
+            />
+          ))}
+        </FormGroup>
+      );
+    }
+
+    case 'numeric':
+      return (
+        <TextField
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          label="Your answer"
+          placeholder={
+            question.numericAnswer?.unit ? `e.g. 12.5 ${question.numericAnswer.unit}` : 'e.g. 12.5'
+          }
+          helperText={
+            question.numericAnswer?.unit ? `Include the unit (${question.numericAnswer.unit})` : ''
+          }
+          sx={{ maxWidth: 320 }}
+        />
+      );
+
+    case 'cloze': {
+      const parts = (question.questionText || question.question || '').split(BLANK_PATTERN);
+      const filled = Array.isArray(value) ? value : [];
+      const setBlank = (blankIndex, text) => {
+        const next = [...filled];
+        next[blankIndex] = text;
+        onChange(next);
+      };
+
+      return (
+        <Box sx={{ lineHeight: 3 }}>
+          {parts.map((part, partIndex) => (
+            <Box component="span" key={partIndex}>
+              <Typography component="span" variant="body1">
+                {part}
+              </Typography>
+              {partIndex < parts.length - 1 && (
+                <TextField
+                  size="small"
+                  value={filled[partIndex] || ''}
+                  onChange={(e) => setBlank(partIndex, e.target.value)}
+                  placeholder={`Blank ${partIndex + 1}`}
+                  sx={{ mx: 1, width: 160 }}
+                />
+              )}
+            </Box>
+          ))}
+        </Box>
+      );
+    }
+
+    case 'matching': {
+      const chosen = Array.isArray(value) ? value : [];
+      const choose = (pairIndex, right) => {
+        const next = [...chosen];
+        next[pairIndex] = right;
+        onChange(next);
+      };
+
+      return (
+        <Box>
+          {question.pairs?.map((pair, pairIndex) => (
+            <Box
+              key={pairIndex}
+              sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}
+            >
+              <Typography variant="body1" sx={{ minWidth: 160 }}>
+                {pair.left}
+              </Typography>
+              <TextField
+                select
+                size="small"
+                value={chosen[pairIndex] || ''}
+                onChange={(e) => choose(pairIndex, e.target.value)}
+                label="Matches"
+                sx={{ minWidth: 200 }}
+              >
+                {matchingChoices.map((right, rightIndex) => (
+                  <MenuItem key={rightIndex} value={right}>
+                    {right}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+          ))}
+        </Box>
+      );
+    }
+
+    case 'ordering': {
+      const order = Array.isArray(value) && value.length ? value : initialOrder;
+      const move = (itemIndex, offset) => {
+        const next = [...order];
+        [next[itemIndex], next[itemIndex + offset]] = [next[itemIndex + offset], next[itemIndex]];
+        onChange(next);
+      };
+
+      return (
+        <Box>
+          <Typography variant="caption" color="text.secondary">
+            Use the arrows to put the items in the correct order
+          </Typography>
+          {order.map((item, itemIndex) => (
+            <Paper
+              key={item}
+              variant="outlined"
+              sx={{ display: 'flex', alignItems: 'center', p: 1, mt: 1 }}
+            >
+              <Typography variant="body2" sx={{ width: 32 }} color="text.secondary">
+                {itemIndex + 1}.
+              </Typography>
+              <Typography variant="body1" sx={{ flexGrow: 1 }}>
+                {item}
+              </Typography>
+              <IconButton
+                size="small"
+                onClick={() => move(itemIndex, -1)}
+                disabled={itemIndex === 0}
+              >
+                <ArrowUpwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton
+                size="small"
+                onClick={() => move(itemIndex, 1)}
+                disabled={itemIndex === order.length - 1}
+              >
+                <ArrowDownwardIcon fontSize="small" />
+              </IconButton>
+            </Paper>
+          ))}
+        </Box>
+      );
+    }
+
+    case 'short-answer':
+      return (
+        <TextField
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          label="Your answer"
+          fullWidth
+        />
+      );
+
+    default: {
+      // multiple-choice and true-false
+      const options =
+        question.questionType === 'true-false' && !question.options?.length
+          ? ['True', 'False']
+          : question.options || [];
+
+      return (
+        <RadioGroup value={value || ''} onChange={(e) => onChange(e.target.value)}>
+          {options.map((option, optionIndex) => (
+            <FormControlLabel
+              key={optionIndex}
+              value={option}
+              control={<Radio />}
+              label={option}
+              sx={optionSx}
+            />
+          ))}
+        </RadioGroup>
+      );
+    }
+  }
+};
+
+export default QuestionAnswerInput;
@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import { QUESTION_TYPE_OPTIONS } from './QuestionTypeFields';
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  search: '',
+  skill: '',
+  cefrLevel: '',
+  difficulty: '',
+  questionType: '',
+  mine: false,
+};
+
+const SKILL_OPTIONS = ['grammar', 'vocabulary', 'reading', 'listening', 'writing', 'speaking'];
+const CEFR_OPTIONS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const typeLabel = (value) =>
+  QUESTION_TYPE_OPTIONS.find((option) => option.value === value)?.label || value;
+
+/**
+ * QuestionBankDialog Component
+ * Search the question bank and pick questions to add to a quiz. The quiz keeps references
+ * to the picked items; the server copies them in when the quiz is saved.
+ */
+const QuestionBankDialog = ({ open, onClose, onAdd, excludeIds = [] }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(new Map());
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    // Wait for the teacher to stop typing before searching
+    const timer = setTimeout(() => fetchItems(1), 300);
+    return () => clearTimeout(timer);
+  }, [open, filters]);
+
+  useEffect(() => {
+    if (!open) {
+      setSelected(new Map());
+    }
+  }, [open]);
+
+  const fetchItems = async (nextPage) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page: nextPage, limit: PAGE_SIZE });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await api.get(`/question-bank?${params.toString()}`);
+      const found = response.data?.items || [];
+      setItems((current) => (nextPage === 1 ? found : [...current, ...found]));
+      setTotal(response.data?.pagination?.total || 0);
+      setPage(nextPage);
+    } catch (err) {
+      console.error('Error searching question bank:', err);
+      toast.error(err.response?.data?.message || 'Failed to search the question bank');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setFilter = (name) => (e) =>
+    setFilters((current) => ({
+      ...current,
+      [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+    }));
+
+  const toggle = (item) => {
+    setSelected((current) => {
+      const next = new Map(current);
+      if (next.has(item._id)) next.delete(item._id);
+      else next.set(item._id, item);
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    onAdd([...selected.values()]);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Add Questions from the Bank</DialogTitle>
+      <DialogContent dividers>
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              label="Search questions and tags"
+              value={filters.search}
+              onChange={setFilter('search')}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="Skill"
+              value={filters.skill}
+              onChange={setFilter('skill')}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">Any</MenuItem>
+              {SKILL_OPTIONS.map((skill) => (
+                <MenuItem key={skill} value={skill} sx={{ textTransform: 'capitalize' }}>
+                  {skill}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="CEFR level"
+              value={filters.cefrLevel}
+              onChange={setFilter('cefrLevel')}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">Any</MenuItem>
+              {CEFR_OPTIONS.map((level) => (
+                <MenuItem key={level} value={level}>
+                  {level}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="Difficulty"
+              value={filters.difficulty}
+              onChange={setFilter('difficulty')}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">Any</MenuItem>
+              <MenuItem value="beginner">Beginner</MenuItem>
+              <MenuItem value="intermediate">Intermediate</MenuItem>
+              <MenuItem value="advanced">Advanced</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="Question type"
+              value={filters.questionType}
+              onChange={setFilter('questionType')}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">Any</MenuItem>
+              {QUESTION_TYPE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} md={6} sx={{ display: 'flex', alignItems: 'center' }}>
+            <Checkbox checked={filters.mine} onChange={setFilter('mine')} />
+            <Typography variant="body2">Only my questions</Typography>
+          </Grid>
+        </Grid>
+
+        {items.length === 0 && !loading ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+            No bank questions match these filters
+          </Typography>
+        ) : (
+          <List dense>
+            {items.map((item) => {
+              const alreadyAdded = excludeIds.includes(item._id);
+              return (
+                <ListItem key={item._id} disablePadding>
+                  <ListItemButton onClick={() => toggle(item)} disabled={alreadyAdded}>
+                    <ListItemIcon>
+                      <Checkbox
+                        edge="start"
+                        checked={alreadyAdded || selected.has(item._id)}
+                        tabIndex={-1}
+                        disableRipple
+                      />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={item.questionText}
+                      secondary={
+                        <Box
+                          component="span"
+                          sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}
+                        >
+                          <Chip label={typeLabel(item.questionType)} size="small" />
+                          {item.cefrLevel && (
+                            <Chip label={item.cefrLevel} size="small" color="primary" />
+                          )}
+                          {item.skill && <Chip label={item.skill} size="small" />}
+                          {item.difficulty && <Chip label={item.difficulty} size="small" />}
+                          {(item.tags || []).map((tag) => (
+                            <Chip key={tag} label={tag} size="small" variant="outlined" />
+                          ))}
+                        </Box>
+                      }
+                      secondaryTypographyProps={{ component: 'span' }}
+                    />
+                  </ListItemButton>
+                </ListItem>
+              );
+            })}
+          </List>
+        )}
+
+        {items.length < total && (
+          <Box sx={{ textAlign: 'center', mt: 1 }}>
+            <Button onClick={() => fetchItems(page + 1)} disabled={loading}>
+              {loading ? 'Loading...' : `Show more (${total - items.length} left)`}
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="inherit">
+          Cancel
+        </Button>
+        <Button onClick={handleAdd} variant="contained" disabled={selected.size === 0}>
+          Add {selected.size || ''} {selected.size === 1 ? 'Question' : 'Questions'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QuestionBankDialog;
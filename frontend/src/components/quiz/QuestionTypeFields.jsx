@@ -0,0 +1,427 @@
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { Controller, useFieldArray } from 'react-hook-form';
+
+// Cloze blanks are written as three or more underscores in the question text
+const BLANK_PATTERN = /_{3,}/g;
+
+export const QUESTION_TYPE_OPTIONS = [
+  { value: 'multiple-choice', label: 'Multiple choice' },
+  { value: 'true-false', label: 'True / false' },
+  { value: 'short-answer', label: 'Short answer' },
+  { value: 'multi-select', label: 'Multi-select' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'cloze', label: 'Fill in the blanks' },
+  { value: 'matching', label: 'Matching' },
+  { value: 'ordering', label: 'Ordering' },
+];
+
+/**
+ * Default values for a new question of the given type
+ */
+export const emptyQuestion = (questionType = 'multiple-choice') => ({
+  questionType,
+  question: '',
+  options: ['', '', '', ''],
+  correctAnswer: 0,
+  correctAnswers: [],
+  acceptedAnswers: [],
+  answerPatterns: [],
+  caseSensitive: false,
+  accentSensitive: false,
+  numericAnswer: { value: '', tolerance: 0, toleranceType: 'absolute', unit: '' },
+  blanks: [],
+  pairs: [
+    { left: '', right: '' },
+    { left: '', right: '' },
+  ],
+  sequence: ['', ''],
+  tags: [],
+  difficulty: '',
+  explanation: '',
+  reference: '',
+  points: 1,
+});
+
+/**
+ * Matching pairs editor
+ */
+const PairsFields = ({ control, name }) => {
+  const { fields, append, remove } = useFieldArray({ control, name });
+
+  return (
+    <Grid item xs={12}>
+      {fields.map((field, pairIndex) => (
+        <Box key={field.id} sx={{ display: 'flex', gap: 2, mb: 2, alignItems: 'center' }}>
+          <Controller
+            name={`${name}.${pairIndex}.left`}
+            control={control}
+            render={({ field }) => <TextField {...field} label="Item" fullWidth required />}
+          />
+          <Controller
+            name={`${name}.${pairIndex}.right`}
+            control={control}
+            render={({ field }) => <TextField {...field} label="Matches" fullWidth required />}
+          />
+          <IconButton color="error" onClick={() => remove(pairIndex)} disabled={fields.length <= 2}>
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+      <Button startIcon={<AddIcon />} onClick={() => append({ left: '', right: '' })}>
+        Add Pair
+      </Button>
+    </Grid>
+  );
+};
+
+/**
+ * Ordering items editor, entered in the correct order
+ */
+const SequenceFields = ({ control, name }) => {
+  const { fields, append, remove } = useFieldArray({ control, name });
+
+  return (
+    <Grid item xs={12}>
+      <Typography variant="caption" color="text.secondary">
+        Enter the items in the correct order; students see them shuffled
+      </Typography>
+      {fields.map((field, itemIndex) => (
+        <Box key={field.id} sx={{ display: 'flex', gap: 2, mt: 2, alignItems: 'center' }}>
+          <Controller
+            name={`${name}.${itemIndex}`}
+            control={control}
+            render={({ field }) => (
+              <TextField {...field} label={`Item ${itemIndex + 1}`} fullWidth required />
+            )}
+          />
+          <IconButton color="error" onClick={() => remove(itemIndex)} disabled={fields.length <= 2}>
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+      <Button startIcon={<AddIcon />} onClick={() => append('')} sx={{ mt: 1 }}>
+        Add Item
+      </Button>
+    </Grid>
+  );
+};
+
+/**
+ * Multi-line text field bound to an array of strings, one per line
+ */
+const LinesField = ({ control, name, label, helperText }) => (
+  <Controller
+    name={name}
+    control={control}
+    render={({ field }) => (
+      <TextField
+        value={(field.value || []).join('\n')}
+        onChange={(e) => field.onChange(e.target.value.split('\n'))}
+        onBlur={field.onBlur}
+        label={label}
+        helperText={helperText}
+        multiline
+        minRows={2}
+        fullWidth
+      />
+    )}
+  />
+);
+
+/**
+ * Case and accent sensitivity switches for text answers
+ */
+const TextMatchingFields = ({ control, base }) => (
+  <Grid item xs={12}>
+    {[
+      { name: 'caseSensitive', label: 'Case sensitive' },
+      { name: 'accentSensitive', label: 'Accent sensitive (café ≠ cafe)' },
+    ].map((option) => (
+      <Controller
+        key={option.name}
+        name={`${base}.${option.name}`}
+        control={control}
+        render={({ field }) => (
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={!!field.value}
+                onChange={(e) => field.onChange(e.target.checked)}
+              />
+            }
+            label={option.label}
+          />
+        )}
+      />
+    ))}
+  </Grid>
+);
+
+/**
+ * Answer-key fields for one quiz question, chosen by question type
+ */
+const AnswerKeyFields = ({ control, index, questionType, questionText, options, errors }) => {
+  const base = `questions.${index}`;
+  const questionErrors = errors?.questions?.[index];
+
+  const optionFields = [0, 1, 2, 3].map((optionIndex) => (
+    <Grid item xs={12} md={6} key={optionIndex}>
+      <Controller
+        name={`${base}.options.${optionIndex}`}
+        control={control}
+        render={({ field }) => (
+          <TextField {...field} label={`Option ${optionIndex + 1}`} fullWidth required />
+        )}
+      />
+    </Grid>
+  ));
+
+  switch (questionType) {
+    case 'multi-select':
+      return (
+        <>
+          {optionFields}
+          <Grid item xs={12}>
+            <Controller
+              name={`${base}.correctAnswers`}
+              control={control}
+              render={({ field }) => {
+                const selected = field.value || [];
+                return (
+                  <Box>
+                    <Typography variant="body2" color="text.secondary">
+                      Correct options (students get partial credit)
+                    </Typography>
+                    {(options || []).map((option, optionIndex) => (
+                      <FormControlLabel
+                        key={optionIndex}
+                        control={
+                          <Checkbox
+                            checked={!!option && selected.includes(option)}
+                            disabled={!option}
+                            onChange={(e) =>
+                              field.onChange(
+                                e.target.checked
+                                  ? [...selected, option]
+                                  : selected.filter((item) => item !== option)
+                              )
+                            }
+                          />
+                        }
+                        label={option || `Option ${optionIndex + 1}`}
+                      />
+                    ))}
+                    {questionErrors?.correctAnswers && (
+                      <Typography variant="caption" color="error" display="block">
+                        {questionErrors.correctAnswers.message}
+                      </Typography>
+                    )}
+                  </Box>
+                );
+              }}
+            />
+          </Grid>
+        </>
+      );
+
+    case 'numeric':
+      return (
+        <>
+          <Grid item xs={12} md={3}>
+            <Controller
+              name={`${base}.numericAnswer.value`}
+              control={control}
+              render={({ field }) => (
+                <TextField
+                  {...field}
+                  label="Correct value"
+                  type="number"
+                  fullWidth
+                  required
+                  error={!!questionErrors?.numericAnswer?.value}
+                  helperText={questionErrors?.numericAnswer?.value?.message}
+                />
+              )}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Controller
+              name={`${base}.numericAnswer.tolerance`}
+              control={control}
+              render={({ field }) => (
+                <TextField {...field} label="Tolerance" type="number" fullWidth />
+              )}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Controller
+              name={`${base}.numericAnswer.toleranceType`}
+              control={control}
+              render={({ field }) => (
+                <TextField {...field} select label="Tolerance type" fullWidth>
+                  <MenuItem value="absolute">± value</MenuItem>
+                  <MenuItem value="percent">± percent</MenuItem>
+                </TextField>
+              )}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Controller
+              name={`${base}.numericAnswer.unit`}
+              control={control}
+              render={({ field }) => (
+                <TextField {...field} label="Unit (optional)" placeholder="cm" fullWidth />
+              )}
+            />
+          </Grid>
+        </>
+      );
+
+    case 'cloze': {
+      const blankCount = (questionText || '').match(BLANK_PATTERN)?.length || 0;
+      return (
+        <>
+          <Grid item xs={12}>
+            <Typography variant="caption" color="text.secondary">
+              Mark each blank in the question with ___ (three underscores). Separate accepted
+              variants of an answer with | (colour|color)
+            </Typography>
+          </Grid>
+          {Array.from({ length: blankCount }, (_, blankIndex) => (
+            <Grid item xs={12} md={4} key={blankIndex}>
+              <Controller
+                name={`${base}.blanks.${blankIndex}`}
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    value={field.value || ''}
+                    label={`Blank ${blankIndex + 1} answer`}
+                    fullWidth
+                    required
+                  />
+                )}
+              />
+            </Grid>
+          ))}
+        </>
+      );
+    }
+
+    case 'matching':
+      return <PairsFields control={control} name={`${base}.pairs`} />;
+
+    case 'ordering':
+      return <SequenceFields control={control} name={`${base}.sequence`} />;
+
+    case 'true-false':
+      return (
+        <Grid item xs={12} md={6}>
+          <Controller
+            name={`${base}.correctAnswer`}
+            control={control}
+            render={({ field }) => (
+              <TextField {...field} select label="Correct Answer" fullWidth required>
+                <MenuItem value="True">True</MenuItem>
+                <MenuItem value="False">False</MenuItem>
+              </TextField>
+            )}
+          />
+        </Grid>
+      );
+
+    case 'short-answer':
+      return (
+        <>
+          <Grid item xs={12} md={6}>
+            <Controller
+              name={`${base}.correctAnswer`}
+              control={control}
+              render={({ field }) => (
+                <TextField
+                  {...field}
+                  label="Correct Answer"
+                  helperText="Small typos still earn credit"
+                  fullWidth
+                  required
+                />
+              )}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <LinesField
+              control={control}
+              name={`${base}.acceptedAnswers`}
+              label="Also accept (one per line)"
+              helperText='e.g. "color" alongside "colour"'
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <LinesField
+              control={control}
+              name={`${base}.answerPatterns`}
+              label="Answer patterns (regular expressions, one per line)"
+              helperText="Each pattern must match the whole answer, e.g. colou?r"
+            />
+          </Grid>
+        </>
+      );
+
+    default:
+      // multiple-choice
+      return (
+        <>
+          {optionFields}
+          <Grid item xs={12} md={6}>
+            <Controller
+              name={`${base}.correctAnswer`}
+              control={control}
+              render={({ field }) => (
+                <TextField
+                  {...field}
+                  select
+                  label="Correct Answer"
+                  fullWidth
+                  required
+                  error={!!questionErrors?.correctAnswer}
+                  helperText={questionErrors?.correctAnswer?.message}
+                >
+                  <MenuItem value={0}>Option 1</MenuItem>
+                  <MenuItem value={1}>Option 2</MenuItem>
+                  <MenuItem value={2}>Option 3</MenuItem>
+                  <MenuItem value={3}>Option 4</MenuItem>
+                </TextField>
+              )}
+            />
+          </Grid>
+        </>
+      );
+  }
+};
+
+/**
+ * QuestionTypeFields Component
+ * Answer-key fields for one quiz question, chosen by question type, plus text matching
+ * options for every type compared as text
+ */
+const QuestionTypeFields = (props) => (
+  <>
+    <AnswerKeyFields {...props} />
+    {props.questionType !== 'numeric' && (
+      <TextMatchingFields control={props.control} base={`questions.${props.index}`} />
+    )}
+  </>
+);
+
+export default QuestionTypeFields;
@@ -0,0 +1,2 @@
+export { default as QuestionAnswerInput, defaultAnswer } from './QuestionAnswerInput';
+export { default as QuestionTypeFields } from './QuestionTypeFields';
@@ -20,6 +20,9 @@ export const ENDPOINTS = {
     SPEAKING: '/submissions/speaking',
     WRITING: '/submissions/writing',
     QUIZ: '/submissions/quiz',
+    QUIZ_START: '/submissions/quiz/start',
+    QUIZ_SESSION_ANSWERS: (sessionId) => `/submissions/quiz/sessions/${sessionId}/answers`,
+    QUIZ_SESSION_RESPONSES: (sessionId) => `/submissions/quiz/sessions/${sessionId}/responses`,
     BY_ID: (id) => `/submissions/${id}`,
     STUDENT_ME: '/submissions/student/me',
     BY_ACTIVITY: (activityId) => `/submissions/activity/${activityId}`,
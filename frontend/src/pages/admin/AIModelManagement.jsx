@@ -17,12 +17,17 @@ import {
   Snackbar,
   Paper,
   Chip,
+  List,
+  ListItem,
+  ListItemText,
 } from '@mui/material';
 import {
   Save as SaveIcon,
   PlayArrow as PlayArrowIcon,
   Settings as SettingsIcon,
   Psychology as PsychologyIcon,
+  History as HistoryIcon,
+  Restore as RestoreIcon,
 } from '@mui/icons-material';
 import AdminLayout from '../../components/common/Layout/AdminLayout';
 import CustomCard from '../../components/common/UI/CustomCard';
@@ -45,12 +50,22 @@ const AIModelManagement = () => {
   });
 
   const [promptTemplates, setPromptTemplates] = useState({
-    essay: 'Evaluate the following essay based on clarity, structure, and content...',
-    code: 'Review the following code for correctness, efficiency, and best practices...',
-    math: 'Assess the following mathematical solution for accuracy and methodology...',
+    speaking: 'Evaluate the following transcript of a spoken English response...',
+    writing: 'Evaluate the following essay based on clarity, structure, and content...',
+    quiz: 'Assess the following quiz answers against the expected answers...',
   });
 
+  const [providers, setProviders] = useState({
+    speaking: 'rule-based',
+    writing: 'rule-based',
+    quiz: 'rule-based',
+  });
+  const [availableProviders, setAvailableProviders] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [history, setHistory] = useState([]);
+
   const [testInput, setTestInput] = useState('');
+  const [testActivityType, setTestActivityType] = useState('writing');
   const [testOutput, setTestOutput] = useState('');
 
   useEffect(() => {
@@ -60,9 +75,16 @@ const AIModelManagement = () => {
   const fetchConfig = async () => {
     try {
       setLoading(true);
-      const response = await api.get('/admin/ai-models');
+      const [response, historyResponse] = await Promise.all([
+        api.get('/admin/ai-models'),
+        api.get('/admin/ai-models/history'),
+      ]);
       setConfig(response.data.config || config);
       setPromptTemplates(response.data.promptTemplates || promptTemplates);
+      setProviders(response.data.providers || providers);
+      setAvailableProviders(response.data.availableProviders || []);
+      setVersion(response.data.version || 0);
+      setHistory(historyResponse.data.versions || []);
     } catch (error) {
       console.error('Error fetching AI config:', error);
     } finally {
@@ -73,8 +95,9 @@ const AIModelManagement = () => {
   const handleSaveConfig = async () => {
     try {
       setSaving(true);
-      await api.post('/admin/ai-models', { config, promptTemplates });
+      await api.post('/admin/ai-models', { config, promptTemplates, providers });
       setSnackbar({ open: true, message: 'Configuration saved successfully', severity: 'success' });
+      fetchConfig();
     } catch (error) {
       console.error('Error saving config:', error);
       setSnackbar({ open: true, message: 'Failed to save configuration', severity: 'error' });
@@ -83,14 +106,33 @@ const AIModelManagement = () => {
     }
   };
 
+  const handleRollback = async (targetVersion) => {
+    try {
+      await api.post(`/admin/ai-models/rollback/${targetVersion}`);
+      setSnackbar({ open: true, message: `Rolled back to version ${targetVersion}`, severity: 'success' });
+      fetchConfig();
+    } catch (error) {
+      console.error('Error rolling back config:', error);
+      setSnackbar({ open: true, message: 'Failed to roll back configuration', severity: 'error' });
+    }
+  };
+
   const handleTestModel = async () => {
     try {
       setTesting(true);
-      const response = await api.post('/admin/ai-models/test', { input: testInput, config });
+      const response = await api.post('/admin/ai-models/test', {
+        input: testInput,
+        activityType: testActivityType,
+        config,
+        promptTemplates,
+        providers,
+      });
       setTestOutput(response.data.output || 'Test completed successfully');
     } catch (error) {
       console.error('Error testing model:', error);
-      setTestOutput('Error testing model. Please check your configuration.');
+      setTestOutput(
+        error.response?.data?.message || 'Error testing model. Please check your configuration.'
+      );
     } finally {
       setTesting(false);
     }
@@ -102,7 +144,12 @@ const AIModelManagement = () => {
     <AdminLayout title="AI Model Management">
       <Box>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
-          <Typography variant="h4" component="h1" fontWeight={600}>AI Model Management</Typography>
+          <Box>
+            <Typography variant="h4" component="h1" fontWeight={600}>AI Model Management</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {version ? `Active configuration: version ${version}` : 'Using default configuration'}
+            </Typography>
+          </Box>
           <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSaveConfig} disabled={saving}>
             {saving ? 'Saving...' : 'Save Configuration'}
           </Button>
@@ -113,6 +160,27 @@ const AIModelManagement = () => {
           <Grid item xs={12} md={6}>
             <CustomCard title="Model Configuration" subtitle="Configure AI model parameters">
               <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+                {['speaking', 'writing', 'quiz'].map((activityType) => (
+                  <FormControl fullWidth key={activityType}>
+                    <InputLabel>{`Evaluator (${activityType})`}</InputLabel>
+                    <Select
+                      value={providers[activityType]}
+                      label={`Evaluator (${activityType})`}
+                      onChange={(e) => setProviders({ ...providers, [activityType]: e.target.value })}
+                    >
+                      {availableProviders
+                        .filter((provider) => provider.supportedActivityTypes.includes(activityType))
+                        .map((provider) => (
+                          <MenuItem key={provider.name} value={provider.name}>
+                            {provider.label}
+                          </MenuItem>
+                        ))}
+                    </Select>
+                  </FormControl>
+                ))}
+
+                <Divider />
+
                 <FormControl fullWidth>
                   <InputLabel>AI Model</InputLabel>
                   <Select
@@ -206,27 +274,27 @@ const AIModelManagement = () => {
             <CustomCard title="Prompt Templates" subtitle="Customize evaluation prompts">
               <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
                 <TextField
-                  label="Essay Prompt Template"
+                  label="Speaking Prompt Template"
                   multiline
                   rows={4}
-                  value={promptTemplates.essay}
-                  onChange={(e) => setPromptTemplates({ ...promptTemplates, essay: e.target.value })}
+                  value={promptTemplates.speaking}
+                  onChange={(e) => setPromptTemplates({ ...promptTemplates, speaking: e.target.value })}
                   fullWidth
                 />
                 <TextField
-                  label="Code Prompt Template"
+                  label="Writing Prompt Template"
                   multiline
                   rows={4}
-                  value={promptTemplates.code}
-                  onChange={(e) => setPromptTemplates({ ...promptTemplates, code: e.target.value })}
+                  value={promptTemplates.writing}
+                  onChange={(e) => setPromptTemplates({ ...promptTemplates, writing: e.target.value })}
                   fullWidth
                 />
                 <TextField
-                  label="Math Prompt Template"
+                  label="Quiz Prompt Template"
                   multiline
                   rows={4}
-                  value={promptTemplates.math}
-                  onChange={(e) => setPromptTemplates({ ...promptTemplates, math: e.target.value })}
+                  value={promptTemplates.quiz}
+                  onChange={(e) => setPromptTemplates({ ...promptTemplates, quiz: e.target.value })}
                   fullWidth
                 />
               </Box>
@@ -238,6 +306,17 @@ const AIModelManagement = () => {
             <CustomCard title="Test Model Interface" subtitle="Test your AI model configuration">
               <Grid container spacing={2}>
                 <Grid item xs={12} md={6}>
+                  <FormControl fullWidth sx={{ mb: 2 }}>
+                    <InputLabel>Activity Type</InputLabel>
+                    <Select
+                      value={testActivityType}
+                      label="Activity Type"
+                      onChange={(e) => setTestActivityType(e.target.value)}
+                    >
+                      <MenuItem value="writing">Writing</MenuItem>
+                      <MenuItem value="speaking">Speaking (transcript)</MenuItem>
+                    </Select>
+                  </FormControl>
                   <TextField
                     label="Test Input"
                     multiline
@@ -281,6 +360,44 @@ const AIModelManagement = () => {
             </CustomCard>
           </Grid>
 
+          {/* Configuration History */}
+          <Grid item xs={12}>
+            <CustomCard title="Configuration History" subtitle="Every save creates a new version">
+              {history.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No saved versions yet.
+                </Typography>
+              ) : (
+                <List dense>
+                  {history.map((entry) => (
+                    <ListItem
+                      key={entry._id}
+                      secondaryAction={
+                        entry.isActive ? (
+                          <Chip label="Active" color="success" size="small" />
+                        ) : (
+                          <Button
+                            size="small"
+                            startIcon={<RestoreIcon />}
+                            onClick={() => handleRollback(entry.version)}
+                          >
+                            Roll back
+                          </Button>
+                        )
+                      }
+                    >
+                      <HistoryIcon fontSize="small" sx={{ mr: 2, color: 'text.secondary' }} />
+                      <ListItemText
+                        primary={`Version ${entry.version}${entry.changeNote ? ` — ${entry.changeNote}` : ''}`}
+                        secondary={`${new Date(entry.createdAt).toLocaleString()}${entry.createdBy?.name ? ` by ${entry.createdBy.name}` : ''}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CustomCard>
+          </Grid>
+
           {/* Model Stats */}
           <Grid item xs={12}>
             <Card>
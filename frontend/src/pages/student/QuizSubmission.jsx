@@ -1,13 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Typography,
   Box,
   Button,
   LinearProgress,
-  Radio,
-  RadioGroup,
-  FormControlLabel,
   FormControl,
   FormLabel,
   Paper,
@@ -21,24 +18,31 @@ import {
   ArrowForward as ArrowForwardIcon,
   CheckCircle as CheckCircleIcon,
   Timer as TimerIcon,
+  PlayArrow as PlayArrowIcon,
 } from '@mui/icons-material';
 import StudentLayout from '../../components/common/Layout/StudentLayout';
 import CustomCard from '../../components/common/UI/CustomCard';
 import LoadingSpinner from '../../components/common/UI/LoadingSpinner';
 import ErrorMessage from '../../components/common/UI/ErrorMessage';
 import useApi from '../../hooks/useApi';
-import useAuth from '../../hooks/useAuth';
 import api from '../../services/api';
 import { ENDPOINTS } from '../../config/env';
+import { QuestionAnswerInput, defaultAnswer } from '../../components/quiz';
+
+// Delay before answers to a timed quiz are saved to the server
+const AUTOSAVE_DELAY_MS = 2000;
 
 /**
  * QuizSubmission Component
- * Quiz interface with multiple choice and true/false questions
+ * Quiz interface for every question type (choice, numeric, cloze, matching, ordering).
+ * Timed quizzes run in a server-side session: the deadline comes from the server, answers
+ * are saved as the student works, and anything saved is submitted if time runs out.
+ * Adaptive quizzes are answered one question at a time, each chosen by the server from the
+ * answers so far, until it has measured the student's level.
  */
 const QuizSubmission = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
   const { loading, error, execute } = useApi();
   const [activity, setActivity] = useState(null);
   const [questions, setQuestions] = useState([]);
@@ -46,56 +50,125 @@ const QuizSubmission = () => {
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [timeRemaining, setTimeRemaining] = useState(null);
-  const [timerInterval, setTimerInterval] = useState(null);
+  const [timeAllowed, setTimeAllowed] = useState(null);
+  const [session, setSession] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
   const [showAllQuestions, setShowAllQuestions] = useState(true);
+  const [adaptiveQuestion, setAdaptiveQuestion] = useState(null);
+  const [adaptiveAnswer, setAdaptiveAnswer] = useState(undefined);
+  const [timeUp, setTimeUp] = useState(false);
+
+  // Server clock minus local clock, so the countdown follows the server's deadline
+  const clockOffsetRef = useRef(0);
+  const autoSubmittedRef = useRef(false);
+  const unsavedRef = useRef(new Set());
+  // Latest adaptive answer handler, for the countdown's auto-submit
+  const answerAdaptiveRef = useRef(null);
 
   // Fetch activity details on component mount
   useEffect(() => {
     fetchActivity();
   }, [id]);
 
-  // Timer countdown
+  // Countdown to the session deadline; submits automatically when it passes
   useEffect(() => {
-    if (activity?.timeLimit && timeRemaining === null) {
-      setTimeRemaining(activity.timeLimit * 60); // Convert minutes to seconds
+    if (!session?.deadline) {
+      return undefined;
     }
 
-    if (timeRemaining !== null && timeRemaining > 0) {
-      const interval = setInterval(() => {
-        setTimeRemaining((prev) => {
-          if (prev <= 1) {
-            handleAutoSubmit();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-      setTimerInterval(interval);
-
-      return () => clearInterval(interval);
-    }
+    const tick = () => {
+      const now = Date.now() + clockOffsetRef.current;
+      const remaining = Math.max(0, Math.round((new Date(session.deadline) - now) / 1000));
+      setTimeRemaining(remaining);
 
-    return () => {
-      if (timerInterval) {
-        clearInterval(timerInterval);
+      if (remaining === 0 && !autoSubmittedRef.current) {
+        autoSubmittedRef.current = true;
+        handleAutoSubmit();
       }
     };
-  }, [activity, timeRemaining]);
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [session]);
+
+  // Save changed answers to the session shortly after the student stops typing
+  useEffect(() => {
+    if (!session || unsavedRef.current.size === 0) {
+      return undefined;
+    }
+
+    const timeout = setTimeout(saveAnswers, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [answers, session]);
 
   const fetchActivity = async () => {
+    // The student's own draw of the quiz: questions and options in their order, no answers.
+    // Timed quizzes send no questions until an attempt is started.
     const result = await execute(
-      () => api.get(`/activities/${id}`),
+      () => api.get(`/activities/${id}/quiz`),
       { showErrorToast: true }
     );
 
     if (result.success) {
-      const activityData = result.data.activity || result.data;
-      setActivity(activityData);
-      setQuestions(activityData.questions || []);
+      setActivity(result.data.activity);
+      setQuestions(result.data.questions || []);
+      setTimeAllowed(result.data.timeAllowed);
+    }
+  };
+
+  const handleStartAttempt = async () => {
+    setIsStarting(true);
+
+    try {
+      const response = await api.post(ENDPOINTS.SUBMISSIONS.QUIZ_START, { activityId: id });
+      const { session: started, questions: delivered, question } = response.data;
+
+      clockOffsetRef.current = new Date(started.serverTime) - Date.now();
+
+      if (started.mode === 'adaptive') {
+        setAdaptiveQuestion(question);
+        setSession(started);
+        return;
+      }
+
+      // Resumed attempts pick up the answers saved so far
+      const saved = {};
+      started.savedAnswers.forEach(({ questionId, answer }) => {
+        const index = delivered.findIndex((question) => question._id === questionId);
+        if (index !== -1) saved[index] = answer;
+      });
+
+      setQuestions(delivered);
+      setAnswers(saved);
+      setSession(started);
+    } catch (err) {
+      console.error('Start attempt error:', err);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const saveAnswers = async () => {
+    const changed = [...unsavedRef.current];
+    unsavedRef.current = new Set();
+
+    try {
+      await api.put(ENDPOINTS.SUBMISSIONS.QUIZ_SESSION_ANSWERS(session.id), {
+        answers: changed.map((index) => ({
+          questionId: questions[index]._id,
+          answer: answers[index] ?? null,
+        })),
+      });
+    } catch (err) {
+      // Retry with the next change
+      changed.forEach((index) => unsavedRef.current.add(index));
+      console.error('Autosave error:', err);
     }
   };
 
   const handleAnswerChange = (questionIndex, answer) => {
+    unsavedRef.current.add(questionIndex);
     setAnswers({
       ...answers,
       [questionIndex]: answer,
@@ -115,39 +188,73 @@ const QuizSubmission = () => {
   };
 
   const handleAutoSubmit = async () => {
+    if (session.mode === 'adaptive') {
+      await answerAdaptiveRef.current(true);
+      return;
+    }
     await handleSubmit(true);
   };
 
+  const handleAdaptiveAnswer = async (isAuto = false) => {
+    setIsSubmitting(true);
+
+    try {
+      const response = await api.post(ENDPOINTS.SUBMISSIONS.QUIZ_SESSION_RESPONSES(session.id), {
+        questionId: adaptiveQuestion._id,
+        answer: adaptiveAnswer ?? defaultAnswer(adaptiveQuestion),
+      });
+
+      // The server stops the quiz once it has measured the student's level
+      if (response.data?.submission) {
+        navigate(`/student/submissions/${response.data.submission.id}`);
+        return;
+      }
+
+      if (isAuto) {
+        // Answered within the grace period; the server submits the attempt shortly
+        setTimeUp(true);
+        return;
+      }
+
+      setAdaptiveQuestion(response.data.question);
+      setAdaptiveAnswer(undefined);
+    } catch (err) {
+      if (isAuto) setTimeUp(true);
+      console.error('Answer error:', err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  answerAdaptiveRef.current = handleAdaptiveAnswer;
+
   const handleSubmit = async (isAuto = false) => {
     if (!isAuto && Object.keys(answers).length === 0) {
       return;
     }
 
     setIsSubmitting(true);
-
-    if (timerInterval) {
-      clearInterval(timerInterval);
-    }
+    unsavedRef.current = new Set(); // The submission carries every answer
 
     try {
-      // Format answers for submission
+      // Keyed by question ID so grading survives later edits to the activity
+      // (see QuestionAnswerInput for answer shapes)
       const formattedAnswers = questions.map((question, index) => ({
-        questionId: question._id || index,
-        question: question.question,
-        selectedAnswer: answers[index] || null,
-        correctAnswer: question.correctAnswer,
+        questionId: question._id,
+        answer: answers[index] ?? defaultAnswer(question),
       }));
 
       const response = await api.post(ENDPOINTS.SUBMISSIONS.QUIZ, {
         activityId: id,
-        studentId: user._id,
-        answers: formattedAnswers,
-        timeSpent: activity?.timeLimit ? (activity.timeLimit * 60 - (timeRemaining || 0)) : null,
+        content: {
+          answers: formattedAnswers,
+          timeTaken: null, // Timed attempts are timed by the server
+        },
       });
 
       if (response.success !== false) {
         // Navigate to submission results
-        const submissionId = response.data?.submission?._id || response.data?._id;
+        const submissionId =
+          response.data?.submission?.id || response.data?.submission?._id || response.data?._id;
         navigate(`/student/submissions/${submissionId}`);
       }
     } catch (err) {
@@ -157,6 +264,12 @@ const QuizSubmission = () => {
     }
   };
 
+  // Cloze questions show their text inside the answer input, around the blanks
+  const questionLabel = (question) =>
+    question.questionType === 'cloze'
+      ? 'Fill in the blanks'
+      : question.questionText || question.question;
+
   const getAnsweredCount = () => {
     return Object.keys(answers).length;
   };
@@ -167,6 +280,11 @@ const QuizSubmission = () => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Timed quizzes show their questions once the student starts the clock; adaptive quizzes
+  // pick them during the attempt
+  const isAdaptive = activity?.quizMode === 'adaptive';
+  const awaitingStart = (!!activity?.timeLimit || isAdaptive) && !session;
+
   if (loading && !activity) {
     return (
       <StudentLayout title="Quiz Activity">
@@ -218,14 +336,14 @@ const QuizSubmission = () => {
               <Box sx={{ display: 'flex', gap: 2, mt: 2, flexWrap: 'wrap' }}>
                 <Chip
                   icon={<CheckCircleIcon />}
-                  label={`${questions.length} Questions`}
+                  label={isAdaptive ? 'Adaptive' : `${questions.length} Questions`}
                   color="primary"
                   variant="outlined"
                 />
                 {activity.timeLimit && (
                   <Chip
                     icon={<TimerIcon />}
-                    label={`${activity.timeLimit} Minutes`}
+                    label={`${Math.round((session?.timeAllowed ?? timeAllowed) / 60)} Minutes`}
                     color="warning"
                     variant="outlined"
                   />
@@ -233,183 +351,251 @@ const QuizSubmission = () => {
               </Box>
             </CustomCard>
 
-            {/* Timer and Progress */}
-            <Box sx={{ mb: 3 }}>
-              <Paper sx={{ p: 2 }}>
-                <Box
-                  sx={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    flexWrap: 'wrap',
-                    gap: 2,
-                  }}
+            {awaitingStart ? (
+              <Paper sx={{ p: 3, textAlign: 'center' }}>
+                {isAdaptive && (
+                  <>
+                    <Typography variant="h6" gutterBottom>
+                      This quiz adapts to you
+                    </Typography>
+                    <Typography variant="body1" color="text.secondary" paragraph>
+                      Questions come one at a time and get harder or easier depending on your
+                      answers, so you cannot go back to a question once it is answered. The quiz
+                      ends as soon as it has measured your level.
+                    </Typography>
+                  </>
+                )}
+                {activity.timeLimit && (
+                  <>
+                    <Typography variant="h6" gutterBottom>
+                      This quiz is timed
+                    </Typography>
+                    <Typography variant="body1" color="text.secondary" paragraph>
+                      You will have {Math.round(timeAllowed / 60)} minutes from the moment you
+                      start. Your answers are saved as you go, and whatever you have answered is
+                      submitted automatically when time runs out, even if you close this page.
+                    </Typography>
+                  </>
+                )}
+                <Button
+                  variant="contained"
+                  size="large"
+                  startIcon={<PlayArrowIcon />}
+                  onClick={handleStartAttempt}
+                  disabled={isStarting}
                 >
-                  <Box>
-                    <Typography variant="h6">
-                      Progress: {getAnsweredCount()} / {questions.length}
+                  {isStarting ? 'Starting...' : 'Start Quiz'}
+                </Button>
+              </Paper>
+            ) : session?.mode === 'adaptive' ? (
+              <>
+                {timeRemaining !== null && (
+                  <Paper sx={{ p: 2, mb: 3, textAlign: 'right' }}>
+                    <Typography variant="caption" color="text.secondary">
+                      Time Remaining
                     </Typography>
-                    <LinearProgress
-                      variant="determinate"
-                      value={(getAnsweredCount() / questions.length) * 100}
-                      sx={{ mt: 1, width: 200 }}
-                    />
-                  </Box>
-
-                  {timeRemaining !== null && (
-                    <Box sx={{ textAlign: 'right' }}>
-                      <Typography variant="caption" color="text.secondary">
-                        Time Remaining
-                      </Typography>
-                      <Typography
-                        variant="h5"
-                        color={timeRemaining < 60 ? 'error' : 'primary'}
-                        sx={{ fontFamily: 'monospace' }}
-                      >
-                        {formatTime(timeRemaining)}
-                      </Typography>
-                    </Box>
-                  )}
-                </Box>
+                    <Typography
+                      variant="h5"
+                      color={timeRemaining < 60 ? 'error' : 'primary'}
+                      sx={{ fontFamily: 'monospace' }}
+                    >
+                      {formatTime(timeRemaining)}
+                    </Typography>
+                  </Paper>
+                )}
 
-                {timeRemaining !== null && timeRemaining < 60 && (
-                  <Alert severity="warning" sx={{ mt: 2 }}>
-                    Less than 1 minute remaining! The quiz will auto-submit when time expires.
+                {timeUp ? (
+                  <Alert
+                    severity="info"
+                    action={
+                      <Button color="inherit" onClick={() => navigate('/student/submissions')}>
+                        My Submissions
+                      </Button>
+                    }
+                  >
+                    Time is up. Your answers are being submitted automatically.
                   </Alert>
+                ) : (
+                  adaptiveQuestion && (
+                    <CustomCard title={`Question ${adaptiveQuestion.number}`} sx={{ mb: 3 }}>
+                      <FormControl component="fieldset" fullWidth>
+                        <FormLabel component="legend" sx={{ mb: 2 }}>
+                          <Typography variant="body1">{questionLabel(adaptiveQuestion)}</Typography>
+                        </FormLabel>
+                        <QuestionAnswerInput
+                          key={adaptiveQuestion._id}
+                          question={adaptiveQuestion}
+                          value={adaptiveAnswer}
+                          onChange={setAdaptiveAnswer}
+                        />
+                      </FormControl>
+
+                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3 }}>
+                        <Button
+                          variant="contained"
+                          endIcon={<ArrowForwardIcon />}
+                          onClick={() => handleAdaptiveAnswer(false)}
+                          disabled={adaptiveAnswer === undefined || isSubmitting}
+                        >
+                          {isSubmitting ? 'Saving...' : 'Submit Answer'}
+                        </Button>
+                      </Box>
+                      {isSubmitting && <LinearProgress sx={{ mt: 2 }} />}
+                    </CustomCard>
+                  )
                 )}
-              </Paper>
-            </Box>
+              </>
+            ) : (
+              <>
+                {/* Timer and Progress */}
+                <Box sx={{ mb: 3 }}>
+                  <Paper sx={{ p: 2 }}>
+                    <Box
+                      sx={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        flexWrap: 'wrap',
+                        gap: 2,
+                      }}
+                    >
+                      <Box>
+                        <Typography variant="h6">
+                          Progress: {getAnsweredCount()} / {questions.length}
+                        </Typography>
+                        <LinearProgress
+                          variant="determinate"
+                          value={(getAnsweredCount() / questions.length) * 100}
+                          sx={{ mt: 1, width: 200 }}
+                        />
+                      </Box>
+
+                      {timeRemaining !== null && (
+                        <Box sx={{ textAlign: 'right' }}>
+                          <Typography variant="caption" color="text.secondary">
+                            Time Remaining
+                          </Typography>
+                          <Typography
+                            variant="h5"
+                            color={timeRemaining < 60 ? 'error' : 'primary'}
+                            sx={{ fontFamily: 'monospace' }}
+                          >
+                            {formatTime(timeRemaining)}
+                          </Typography>
+                        </Box>
+                      )}
+                    </Box>
 
-            {/* Questions */}
-            {showAllQuestions ? (
-              // Show all questions at once
-              <Box>
-                {questions.map((question, index) => (
+                    {timeRemaining !== null && timeRemaining < 60 && (
+                      <Alert severity="warning" sx={{ mt: 2 }}>
+                        Less than 1 minute remaining! The quiz will auto-submit when time expires.
+                      </Alert>
+                    )}
+                  </Paper>
+                </Box>
+
+                {/* Questions */}
+                {showAllQuestions ? (
+                  // Show all questions at once
+                  <Box>
+                    {questions.map((question, index) => (
+                      <CustomCard
+                        key={index}
+                        title={`Question ${index + 1}`}
+                        sx={{ mb: 2 }}
+                      >
+                        <FormControl component="fieldset" fullWidth>
+                          <FormLabel component="legend" sx={{ mb: 2 }}>
+                            <Typography variant="body1">{questionLabel(question)}</Typography>
+                          </FormLabel>
+                          <QuestionAnswerInput
+                            question={question}
+                            value={answers[index]}
+                            onChange={(answer) => handleAnswerChange(index, answer)}
+                          />
+                        </FormControl>
+                      </CustomCard>
+                    ))}
+                  </Box>
+                ) : (
+                  // Show one question at a time
                   <CustomCard
-                    key={index}
-                    title={`Question ${index + 1}`}
-                    sx={{ mb: 2 }}
+                    title={`Question ${currentQuestion + 1} of ${questions.length}`}
+                    sx={{ mb: 3 }}
                   >
                     <FormControl component="fieldset" fullWidth>
                       <FormLabel component="legend" sx={{ mb: 2 }}>
-                        <Typography variant="body1">{question.question}</Typography>
+                        <Typography variant="body1">
+                          {questions[currentQuestion] && questionLabel(questions[currentQuestion])}
+                        </Typography>
                       </FormLabel>
-                      <RadioGroup
-                        value={answers[index] || ''}
-                        onChange={(e) => handleAnswerChange(index, e.target.value)}
-                      >
-                        {question.options?.map((option, optionIndex) => (
-                          <FormControlLabel
-                            key={optionIndex}
-                            value={option}
-                            control={<Radio />}
-                            label={option}
-                            sx={{
-                              mb: 1,
-                              p: 1,
-                              borderRadius: 1,
-                              '&:hover': {
-                                backgroundColor: 'action.hover',
-                              },
-                            }}
-                          />
-                        ))}
-                      </RadioGroup>
+                      {questions[currentQuestion] && (
+                        <QuestionAnswerInput
+                          question={questions[currentQuestion]}
+                          value={answers[currentQuestion]}
+                          onChange={(answer) => handleAnswerChange(currentQuestion, answer)}
+                        />
+                      )}
                     </FormControl>
+
+                    {/* Navigation Buttons */}
+                    <Box
+                      sx={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        mt: 3,
+                      }}
+                    >
+                      <Button
+                        variant="outlined"
+                        onClick={handlePreviousQuestion}
+                        disabled={currentQuestion === 0}
+                        startIcon={<ArrowBackIcon />}
+                      >
+                        Previous
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        onClick={handleNextQuestion}
+                        disabled={currentQuestion === questions.length - 1}
+                        endIcon={<ArrowForwardIcon />}
+                      >
+                        Next
+                      </Button>
+                    </Box>
                   </CustomCard>
-                ))}
-              </Box>
-            ) : (
-              // Show one question at a time
-              <CustomCard
-                title={`Question ${currentQuestion + 1} of ${questions.length}`}
-                sx={{ mb: 3 }}
-              >
-                <FormControl component="fieldset" fullWidth>
-                  <FormLabel component="legend" sx={{ mb: 2 }}>
-                    <Typography variant="body1">
-                      {questions[currentQuestion]?.question}
-                    </Typography>
-                  </FormLabel>
-                  <RadioGroup
-                    value={answers[currentQuestion] || ''}
-                    onChange={(e) => handleAnswerChange(currentQuestion, e.target.value)}
-                  >
-                    {questions[currentQuestion]?.options?.map((option, optionIndex) => (
-                      <FormControlLabel
-                        key={optionIndex}
-                        value={option}
-                        control={<Radio />}
-                        label={option}
-                        sx={{
-                          mb: 1,
-                          p: 1,
-                          borderRadius: 1,
-                          '&:hover': {
-                            backgroundColor: 'action.hover',
-                          },
-                        }}
-                      />
-                    ))}
-                  </RadioGroup>
-                </FormControl>
-
-                {/* Navigation Buttons */}
-                <Box
-                  sx={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    mt: 3,
-                  }}
-                >
+                )}
+
+                {/* Submit Button */}
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
                   <Button
                     variant="outlined"
-                    onClick={handlePreviousQuestion}
-                    disabled={currentQuestion === 0}
-                    startIcon={<ArrowBackIcon />}
+                    onClick={() => navigate('/student/activities')}
+                    disabled={isSubmitting}
                   >
-                    Previous
+                    Cancel
                   </Button>
                   <Button
-                    variant="outlined"
-                    onClick={handleNextQuestion}
-                    disabled={currentQuestion === questions.length - 1}
-                    endIcon={<ArrowForwardIcon />}
+                    variant="contained"
+                    color="primary"
+                    size="large"
+                    startIcon={<SendIcon />}
+                    onClick={() => handleSubmit(false)}
+                    disabled={getAnsweredCount() === 0 || isSubmitting}
                   >
-                    Next
+                    {isSubmitting ? 'Submitting...' : 'Submit Quiz'}
                   </Button>
                 </Box>
-              </CustomCard>
-            )}
 
-            {/* Submit Button */}
-            <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
-              <Button
-                variant="outlined"
-                onClick={() => navigate('/student/activities')}
-                disabled={isSubmitting}
-              >
-                Cancel
-              </Button>
-              <Button
-                variant="contained"
-                color="primary"
-                size="large"
-                startIcon={<SendIcon />}
-                onClick={() => handleSubmit(false)}
-                disabled={getAnsweredCount() === 0 || isSubmitting}
-              >
-                {isSubmitting ? 'Submitting...' : 'Submit Quiz'}
-              </Button>
-            </Box>
-
-            {isSubmitting && <LinearProgress sx={{ mt: 2 }} />}
-
-            {getAnsweredCount() < questions.length && !isSubmitting && (
-              <Alert severity="info" sx={{ mt: 2 }}>
-                You have answered {getAnsweredCount()} out of {questions.length} questions.
-                {getAnsweredCount() > 0 && ' You can still submit with unanswered questions.'}
-              </Alert>
+                {isSubmitting && <LinearProgress sx={{ mt: 2 }} />}
+
+                {getAnsweredCount() < questions.length && !isSubmitting && (
+                  <Alert severity="info" sx={{ mt: 2 }}>
+                    You have answered {getAnsweredCount()} out of {questions.length} questions.
+                    {getAnsweredCount() > 0 && ' You can still submit with unanswered questions.'}
+                  </Alert>
+                )}
+              </>
             )}
           </>
         )}
@@ -228,6 +228,18 @@ const SpeakingSubmission = () => {
                 </>
               )}
 
+              {activity.speakingMode === 'read-aloud' && activity.prompt && (
+                <>
+                  <Divider sx={{ my: 2 }} />
+                  <Typography variant="h6" gutterBottom>
+                    Read this passage aloud
+                  </Typography>
+                  <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap', lineHeight: 1.8 }}>
+                    {activity.prompt}
+                  </Typography>
+                </>
+              )}
+
               {activity.prompts && activity.prompts.length > 0 && (
                 <>
                   <Divider sx={{ my: 2 }} />
@@ -47,6 +47,8 @@ const SubmissionResults = () => {
   const { loading, error, execute } = useApi();
   const [submission, setSubmission] = useState(null);
   const [evaluation, setEvaluation] = useState(null);
+  const [mistakes, setMistakes] = useState([]);
+  const [explanations, setExplanations] = useState(null);
 
   // Fetch submission details on component mount
   useEffect(() => {
@@ -78,6 +80,19 @@ const SubmissionResults = () => {
 
     if (result.success) {
       setEvaluation(result.data.evaluation || result.data);
+      fetchMistakes(evaluationId);
+    }
+  };
+
+  const fetchMistakes = async (evaluationId) => {
+    const result = await execute(
+      () => api.get(ENDPOINTS.EVALUATIONS.MISTAKES(evaluationId)),
+      { showErrorToast: false }
+    );
+
+    if (result.success) {
+      setMistakes(result.data.mistakes || []);
+      setExplanations(result.data.explanations || null);
     }
   };
 
@@ -317,8 +332,18 @@ const SubmissionResults = () => {
             )}
 
             {/* Detected Mistakes */}
-            {evaluation?.mistakes && evaluation.mistakes.length > 0 && (
+            {mistakes.length > 0 && (
               <CustomCard title="Detected Issues" sx={{ mt: 3 }}>
+                {explanations && !explanations.revealed && (
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    {explanations.reveal === 'after-due-date' && explanations.revealAt
+                      ? `Explanations for missed questions will be shown after the due date (${format(
+                          new Date(explanations.revealAt),
+                          'MMM dd, yyyy HH:mm'
+                        )}).`
+                      : 'Explanations for missed questions will be shown after your final attempt.'}
+                  </Alert>
+                )}
                 <TableContainer>
                   <Table>
                     <TableHead>
@@ -330,10 +355,10 @@ const SubmissionResults = () => {
                       </TableRow>
                     </TableHead>
                     <TableBody>
-                      {evaluation.mistakes.map((mistake, index) => (
+                      {mistakes.map((mistake, index) => (
                         <TableRow key={index}>
                           <TableCell>
-                            <Chip label={mistake.type} size="small" />
+                            <Chip label={mistake.errorType} size="small" />
                           </TableCell>
                           <TableCell>{mistake.description}</TableCell>
                           <TableCell>
@@ -349,7 +374,19 @@ const SubmissionResults = () => {
                               }
                             />
                           </TableCell>
-                          <TableCell>{mistake.suggestion}</TableCell>
+                          <TableCell>
+                            {mistake.suggestion}
+                            {mistake.explanation && (
+                              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                {mistake.explanation}
+                              </Typography>
+                            )}
+                            {mistake.reference && (
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                See: {mistake.reference}
+                              </Typography>
+                            )}
+                          </TableCell>
                         </TableRow>
                       ))}
                     </TableBody>
@@ -19,6 +19,7 @@ import {
   MoreVert as MoreVertIcon,
   Search as SearchIcon,
   FilterList as FilterIcon,
+  Insights as InsightsIcon,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { format } from 'date-fns';
@@ -115,6 +116,13 @@ const ActivityManagement = () => {
     handleMenuClose();
   };
 
+  const handleItemAnalysis = () => {
+    if (selectedActivity) {
+      navigate(`/teacher/activities/${selectedActivity._id}/item-analysis`);
+    }
+    handleMenuClose();
+  };
+
   const handleDeleteClick = () => {
     if (selectedActivity) {
       setActivityToDelete(selectedActivity);
@@ -340,6 +348,12 @@ const ActivityManagement = () => {
           <EditIcon fontSize="small" sx={{ mr: 1 }} />
           Edit
         </MenuItem>
+        {(selectedActivity?.activityType || selectedActivity?.type) === 'quiz' && (
+          <MenuItem onClick={handleItemAnalysis}>
+            <InsightsIcon fontSize="small" sx={{ mr: 1 }} />
+            Item Analysis
+          </MenuItem>
+        )}
         <MenuItem onClick={handleDeleteClick} sx={{ color: 'error.main' }}>
           <DeleteIcon fontSize="small" sx={{ mr: 1 }} />
           Delete
@@ -9,19 +9,28 @@ import {
   IconButton,
   Divider,
   Paper,
+  Checkbox,
+  FormControlLabel,
 } from '@mui/material';
 import {
   Add as AddIcon,
   Delete as DeleteIcon,
   Save as SaveIcon,
   ArrowBack as ArrowBackIcon,
+  LibraryBooks as LibraryBooksIcon,
 } from '@mui/icons-material';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useForm, Controller, useFieldArray } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
+import { format } from 'date-fns';
 import TeacherLayout from '../../components/common/Layout/TeacherLayout';
 import CustomCard from '../../components/common/UI/CustomCard';
+import QuestionTypeFields, {
+  QUESTION_TYPE_OPTIONS,
+  emptyQuestion,
+} from '../../components/quiz/QuestionTypeFields';
+import QuestionBankDialog from '../../components/quiz/QuestionBankDialog';
 import LoadingSpinner from '../../components/common/UI/LoadingSpinner';
 import ErrorMessage from '../../components/common/UI/ErrorMessage';
 import api from '../../services/api';
@@ -33,10 +42,16 @@ const activitySchema = yup.object({
   description: yup.string().required('Description is required'),
   type: yup.string().oneOf(['speaking', 'writing', 'quiz'], 'Invalid activity type').required('Type is required'),
   instructions: yup.string().required('Instructions are required'),
-  deadline: yup.date().nullable(),
+  dueDate: yup
+    .date()
+    .transform((value, original) => (original === '' ? null : value))
+    .nullable()
+    .typeError('Enter a valid date'),
   duration: yup.number().positive('Duration must be positive').nullable(),
   rubricId: yup.string().nullable(),
   status: yup.string().oneOf(['draft', 'active', 'archived']).required('Status is required'),
+  speakingMode: yup.string().oneOf(['free', 'read-aloud']),
+  prompt: yup.string(),
   prompts: yup.array().of(
     yup.object({
       text: yup.string().required('Prompt text is required'),
@@ -45,14 +60,128 @@ const activitySchema = yup.object({
   ),
   questions: yup.array().of(
     yup.object({
+      questionType: yup.string().required('Question type is required'),
       question: yup.string().required('Question is required'),
-      options: yup.array().of(yup.string()).min(2, 'At least 2 options required'),
-      correctAnswer: yup.number().required('Correct answer is required'),
+      options: yup.array().when('questionType', {
+        is: (type) => type === 'multiple-choice' || type === 'multi-select',
+        then: (schema) => schema.of(yup.string()).min(2, 'At least 2 options required'),
+      }),
+      correctAnswer: yup.mixed().when('questionType', ([type], schema) => {
+        if (type === 'multiple-choice') return yup.number().required('Correct answer is required');
+        if (type === 'true-false' || type === 'short-answer') {
+          return yup.string().required('Correct answer is required');
+        }
+        return schema.strip();
+      }),
+      correctAnswers: yup.array().when('questionType', {
+        is: 'multi-select',
+        then: (schema) => schema.of(yup.string()).min(1, 'Tick at least one correct option'),
+      }),
+      numericAnswer: yup.object().when('questionType', {
+        is: 'numeric',
+        then: () =>
+          yup.object({
+            value: yup.number().typeError('Enter a number').required('Correct value is required'),
+            tolerance: yup.number().min(0, 'Tolerance cannot be negative').default(0),
+            toleranceType: yup.string().oneOf(['absolute', 'percent']),
+            unit: yup.string(),
+          }),
+      }),
       points: yup.number().positive('Points must be positive').required('Points are required'),
     })
   ),
+  // Question bank picks, copied into the quiz by the server when it is saved
+  bankQuestions: yup.array().of(
+    yup.object({
+      bankItemId: yup.string().required(),
+      points: yup.number().positive('Points must be positive').required('Points are required'),
+    })
+  ),
+  timeLimit: yup
+    .number()
+    .transform((value, original) => (original === '' ? null : value))
+    .nullable()
+    .integer('Must be a whole number of minutes')
+    .min(1, 'Allow at least one minute')
+    .max(600, 'Time limit cannot exceed 600 minutes'),
+  maxAttempts: yup
+    .number()
+    .transform((value, original) => (original === '' ? null : value))
+    .nullable()
+    .integer('Must be a whole number')
+    .min(1, 'Allow at least one attempt'),
+  explanationReveal: yup.string().oneOf(['immediately', 'after-due-date', 'after-final-attempt']),
+  spellingAllowList: yup.string(),
+  questionPool: yup.object({
+    drawCount: yup
+      .number()
+      .transform((value, original) => (original === '' ? null : value))
+      .nullable()
+      .integer('Must be a whole number')
+      .min(1, 'Draw at least one question'),
+    stratifyBy: yup.string().oneOf(['none', 'tag', 'difficulty']),
+    shuffleQuestions: yup.boolean(),
+    shuffleOptions: yup.boolean(),
+  }),
+  scoringPolicy: yup.object({
+    negativeMarking: yup.number().min(0).max(1),
+    penalizeBlank: yup.boolean(),
+    multiPartCredit: yup.string().oneOf(['proportional', 'all-or-nothing']),
+    shortAnswerThresholds: yup.object({
+      full: yup
+        .number()
+        .transform((value, original) => (original === '' ? null : value))
+        .nullable()
+        .min(0, 'Must be between 0 and 1')
+        .max(1, 'Must be between 0 and 1'),
+      close: yup
+        .number()
+        .transform((value, original) => (original === '' ? null : value))
+        .nullable()
+        .min(0, 'Must be between 0 and 1')
+        .max(1, 'Must be between 0 and 1'),
+      partial: yup
+        .number()
+        .transform((value, original) => (original === '' ? null : value))
+        .nullable()
+        .min(0, 'Must be between 0 and 1')
+        .max(1, 'Must be between 0 and 1'),
+    }),
+  }),
+  quizMode: yup.string().oneOf(['fixed', 'adaptive']),
+  adaptive: yup.object({
+    model: yup.string().oneOf(['1pl', '2pl']),
+    minQuestions: yup
+      .number()
+      .transform((value, original) => (original === '' ? null : value))
+      .nullable()
+      .integer('Must be a whole number')
+      .min(1, 'Ask at least one question'),
+    maxQuestions: yup
+      .number()
+      .transform((value, original) => (original === '' ? null : value))
+      .nullable()
+      .integer('Must be a whole number')
+      .min(1, 'Ask at least one question'),
+    standardErrorThreshold: yup
+      .number()
+      .transform((value, original) => (original === '' ? null : value))
+      .nullable()
+      .min(0.05, 'Must be at least 0.05')
+      .max(1, 'Must be at most 1'),
+  }),
 }).test('type-specific-fields', 'Invalid fields for activity type', function (value) {
-  const { type, prompts, questions } = value;
+  const { type, speakingMode, prompt, prompts, questions, bankQuestions } = value;
+
+  if (type === 'speaking' && speakingMode === 'read-aloud') {
+    if (!prompt || !prompt.trim()) {
+      return this.createError({
+        path: 'prompt',
+        message: 'Enter the passage students will read aloud',
+      });
+    }
+    return true;
+  }
 
   if ((type === 'speaking' || type === 'writing') && (!prompts || prompts.length === 0)) {
     return this.createError({
@@ -61,7 +190,7 @@ const activitySchema = yup.object({
     });
   }
 
-  if (type === 'quiz' && (!questions || questions.length === 0)) {
+  if (type === 'quiz' && !questions?.length && !bankQuestions?.length) {
     return this.createError({
       path: 'questions',
       message: 'At least one question is required for quiz activities',
@@ -71,6 +200,63 @@ const activitySchema = yup.object({
   return true;
 });
 
+// Answer-key fields kept for each question type; the rest are authoring leftovers
+const ANSWER_KEY_FIELDS = {
+  'multiple-choice': ['options', 'correctAnswer'],
+  'true-false': ['correctAnswer'],
+  'short-answer': ['correctAnswer', 'acceptedAnswers', 'answerPatterns'],
+  'multi-select': ['options', 'correctAnswers'],
+  numeric: ['numericAnswer'],
+  cloze: ['blanks'],
+  matching: ['pairs'],
+  ordering: ['sequence'],
+};
+
+const answerKeyFor = (question) => {
+  const { questionType, question: text, points, _id, difficulty, irt, bankItem } = question;
+  const explanation = question.explanation?.trim();
+  const reference = question.reference?.trim();
+  const tags = (question.tags || []).map((tag) => tag.trim()).filter(Boolean);
+  const kept = {
+    ...(_id && { _id }),
+    questionType,
+    question: text,
+    points,
+    tags,
+    ...(difficulty && { difficulty }),
+    ...(explanation && { explanation }),
+    ...(reference && { reference }),
+    ...(irt && { irt }), // Keep adaptive calibration when the quiz is edited
+    ...(bankItem && { bankItem }), // Which bank item and version the question was copied from
+  };
+
+  if (questionType !== 'numeric') {
+    kept.caseSensitive = !!question.caseSensitive;
+    kept.accentSensitive = !!question.accentSensitive;
+  }
+
+  (ANSWER_KEY_FIELDS[questionType] || []).forEach((field) => {
+    kept[field] = question[field];
+  });
+
+  if (questionType === 'multi-select') {
+    // Ticked options that were later cleared or edited no longer count
+    kept.correctAnswers = question.correctAnswers.filter((answer) =>
+      question.options.includes(answer)
+    );
+  }
+  if (questionType === 'short-answer') {
+    // Drop the empty lines left by the one-per-line editors
+    kept.acceptedAnswers = (question.acceptedAnswers || []).map((a) => a.trim()).filter(Boolean);
+    kept.answerPatterns = (question.answerPatterns || []).map((p) => p.trim()).filter(Boolean);
+  }
+  if (questionType === 'cloze') {
+    kept.blanks = (question.blanks || []).slice(0, (text.match(/_{3,}/g) || []).length);
+  }
+
+  return kept;
+};
+
 /**
  * Create/Edit Activity Page
  * Create new teaching activities with dynamic fields based on type
@@ -84,6 +270,7 @@ const CreateActivity = () => {
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [rubrics, setRubrics] = useState([]);
+  const [bankDialogOpen, setBankDialogOpen] = useState(false);
 
   const {
     control,
@@ -98,12 +285,38 @@ const CreateActivity = () => {
       description: '',
       type: 'speaking',
       instructions: '',
-      deadline: null,
+      dueDate: null,
       duration: null,
       rubricId: '',
       status: 'draft',
+      speakingMode: 'free',
+      prompt: '',
       prompts: [{ text: '', order: 0 }],
       questions: [],
+      bankQuestions: [],
+      timeLimit: null,
+      maxAttempts: null,
+      explanationReveal: 'immediately',
+      spellingAllowList: '',
+      questionPool: {
+        drawCount: null,
+        stratifyBy: 'none',
+        shuffleQuestions: true,
+        shuffleOptions: true,
+      },
+      scoringPolicy: {
+        negativeMarking: 0,
+        penalizeBlank: false,
+        multiPartCredit: 'proportional',
+        shortAnswerThresholds: { full: 0.9, close: 0.7, partial: 0.5 },
+      },
+      quizMode: 'fixed',
+      adaptive: {
+        model: '2pl',
+        minQuestions: null,
+        maxQuestions: null,
+        standardErrorThreshold: null,
+      },
     },
   });
 
@@ -117,7 +330,41 @@ const CreateActivity = () => {
     name: 'questions',
   });
 
+  const {
+    fields: bankFields,
+    append: appendBankQuestions,
+    remove: removeBankQuestion,
+  } = useFieldArray({
+    control,
+    name: 'bankQuestions',
+  });
+
+  const handleAddFromBank = (items) => {
+    appendBankQuestions(
+      items.map((item) => ({
+        bankItemId: item._id,
+        questionText: item.questionText,
+        questionType: item.questionType,
+        cefrLevel: item.cefrLevel,
+        points: item.points || 1,
+      }))
+    );
+  };
+
   const activityType = watch('type');
+  const speakingMode = watch('speakingMode');
+  const watchedQuestions = watch('questions');
+  const quizMode = watch('quizMode');
+  const takenOnce = !!watch('timeLimit') || quizMode === 'adaptive';
+  const isReadAloud = activityType === 'speaking' && speakingMode === 'read-aloud';
+
+  const poolSize = questionFields.length + bankFields.length;
+
+  // Bank items already in the quiz, picked now or copied in when it was last saved
+  const usedBankItemIds = [
+    ...bankFields.map((field) => field.bankItemId),
+    ...(watchedQuestions || []).map((question) => question.bankItem?.item).filter(Boolean),
+  ];
 
   useEffect(() => {
     fetchRubrics();
@@ -147,6 +394,12 @@ const CreateActivity = () => {
         Object.keys(activity).forEach((key) => {
           setValue(key, activity[key]);
         });
+        // Edited as one comma-separated text
+        setValue('spellingAllowList', (activity.spellingAllowList || []).join(', '));
+        if (activity.dueDate) {
+          // datetime-local inputs take local time without a zone
+          setValue('dueDate', format(new Date(activity.dueDate), "yyyy-MM-dd'T'HH:mm"));
+        }
       }
     } catch (err) {
       console.error('Error fetching activity:', err);
@@ -162,11 +415,64 @@ const CreateActivity = () => {
 
       // Clean up data based on activity type
       const cleanedData = { ...data };
+      delete cleanedData.bankQuestions;
+
+      if (!data.dueDate) {
+        delete cleanedData.dueDate;
+      }
 
       if (data.type === 'quiz') {
         delete cleanedData.prompts;
+        cleanedData.questionPool = { ...data.questionPool };
+        cleanedData.questions = [
+          ...data.questions.map(answerKeyFor),
+          ...data.bankQuestions.map(({ bankItemId, points }) => ({ bankItemId, points })),
+        ];
+        if (!data.questionPool.drawCount) {
+          delete cleanedData.questionPool.drawCount; // Every student gets every question
+        }
+        if (!data.timeLimit) {
+          delete cleanedData.timeLimit; // Untimed
+        }
+        if (!data.maxAttempts || takenOnce) {
+          delete cleanedData.maxAttempts; // Unlimited, or taken once
+        }
+        if (data.quizMode === 'adaptive') {
+          // Empty settings fall back to the server defaults
+          cleanedData.adaptive = Object.fromEntries(
+            Object.entries(data.adaptive).filter(([, value]) => value !== null && value !== '')
+          );
+        } else {
+          delete cleanedData.adaptive;
+        }
       } else {
         delete cleanedData.questions;
+        delete cleanedData.questionPool;
+        delete cleanedData.timeLimit;
+        delete cleanedData.quizMode;
+        delete cleanedData.adaptive;
+        delete cleanedData.scoringPolicy;
+        delete cleanedData.maxAttempts;
+        delete cleanedData.explanationReveal;
+      }
+
+      if (data.type === 'writing') {
+        cleanedData.spellingAllowList = data.spellingAllowList
+          .split(/[,\n]/)
+          .map((word) => word.trim())
+          .filter(Boolean);
+      } else {
+        delete cleanedData.spellingAllowList;
+      }
+
+      if (data.type !== 'speaking') {
+        delete cleanedData.speakingMode;
+        delete cleanedData.prompt;
+      } else if (data.speakingMode === 'read-aloud') {
+        // The passage replaces the free-speaking prompts
+        delete cleanedData.prompts;
+      } else {
+        delete cleanedData.prompt;
       }
 
       if (isEditMode) {
@@ -306,17 +612,18 @@ const CreateActivity = () => {
 
             <Grid item xs={12} md={4}>
               <Controller
-                name="deadline"
+                name="dueDate"
                 control={control}
                 render={({ field }) => (
                   <TextField
                     {...field}
-                    label="Deadline"
+                    value={field.value ?? ''}
+                    label="Due date"
                     type="datetime-local"
                     fullWidth
                     InputLabelProps={{ shrink: true }}
-                    error={!!errors.deadline}
-                    helperText={errors.deadline?.message}
+                    error={!!errors.dueDate}
+                    helperText={errors.dueDate?.message}
                   />
                 )}
               />
@@ -388,7 +695,57 @@ const CreateActivity = () => {
         </CustomCard>
 
         {/* Dynamic Fields based on Activity Type */}
-        {(activityType === 'speaking' || activityType === 'writing') && (
+        {activityType === 'speaking' && (
+          <CustomCard title="Speaking Mode" sx={{ mt: 3 }}>
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={6}>
+                <Controller
+                  name="speakingMode"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      select
+                      label="Mode"
+                      fullWidth
+                      helperText={
+                        field.value === 'read-aloud'
+                          ? 'Scored by word error rate against the passage'
+                          : 'Students answer the prompts in their own words'
+                      }
+                    >
+                      <MenuItem value="free">Free speaking</MenuItem>
+                      <MenuItem value="read-aloud">Read aloud</MenuItem>
+                    </TextField>
+                  )}
+                />
+              </Grid>
+
+              {isReadAloud && (
+                <Grid item xs={12}>
+                  <Controller
+                    name="prompt"
+                    control={control}
+                    render={({ field }) => (
+                      <TextField
+                        {...field}
+                        label="Passage to read aloud"
+                        fullWidth
+                        multiline
+                        rows={6}
+                        required
+                        error={!!errors.prompt}
+                        helperText={errors.prompt?.message}
+                      />
+                    )}
+                  />
+                </Grid>
+              )}
+            </Grid>
+          </CustomCard>
+        )}
+
+        {((activityType === 'speaking' && !isReadAloud) || activityType === 'writing') && (
           <CustomCard title="Prompts" sx={{ mt: 3 }}>
             <Box>
               {promptFields.map((field, index) => (
@@ -431,6 +788,356 @@ const CreateActivity = () => {
           </CustomCard>
         )}
 
+        {activityType === 'writing' && (
+          <CustomCard title="Spelling" sx={{ mt: 3 }}>
+            <Controller
+              name="spellingAllowList"
+              control={control}
+              render={({ field }) => (
+                <TextField
+                  {...field}
+                  label="Accepted spellings"
+                  fullWidth
+                  multiline
+                  rows={2}
+                  helperText="Names and course terms the spell checker should accept, separated by commas"
+                />
+              )}
+            />
+          </CustomCard>
+        )}
+
+        {activityType === 'quiz' && (
+          <CustomCard title="Question Pool" sx={{ mt: 3 }}>
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="quizMode"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      select
+                      label="Quiz mode"
+                      fullWidth
+                      helperText={
+                        quizMode === 'adaptive'
+                          ? 'Each question is picked from the answers so far'
+                          : 'Every student answers the questions drawn for them'
+                      }
+                    >
+                      <MenuItem value="fixed">Fixed</MenuItem>
+                      <MenuItem value="adaptive">Adaptive (IRT)</MenuItem>
+                    </TextField>
+                  )}
+                />
+              </Grid>
+              {quizMode === 'adaptive' && (
+                <>
+                  <Grid item xs={12} md={4}>
+                    <Controller
+                      name="adaptive.model"
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          select
+                          label="Model"
+                          fullWidth
+                          helperText="2PL also weighs how well each question separates students"
+                        >
+                          <MenuItem value="1pl">1PL (difficulty)</MenuItem>
+                          <MenuItem value="2pl">2PL (difficulty and discrimination)</MenuItem>
+                        </TextField>
+                      )}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={4}>
+                    <Controller
+                      name="adaptive.standardErrorThreshold"
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          value={field.value ?? ''}
+                          label="Stop at standard error"
+                          type="number"
+                          inputProps={{ step: 0.05 }}
+                          fullWidth
+                          error={!!errors.adaptive?.standardErrorThreshold}
+                          helperText={
+                            errors.adaptive?.standardErrorThreshold?.message ||
+                            'Lower is more precise but asks more questions (default 0.3)'
+                          }
+                        />
+                      )}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={4}>
+                    <Controller
+                      name="adaptive.minQuestions"
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          value={field.value ?? ''}
+                          label="Minimum questions"
+                          type="number"
+                          fullWidth
+                          error={!!errors.adaptive?.minQuestions}
+                          helperText={errors.adaptive?.minQuestions?.message || 'Default 3'}
+                        />
+                      )}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={4}>
+                    <Controller
+                      name="adaptive.maxQuestions"
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          value={field.value ?? ''}
+                          label="Maximum questions"
+                          type="number"
+                          fullWidth
+                          error={!!errors.adaptive?.maxQuestions}
+                          helperText={
+                            errors.adaptive?.maxQuestions?.message ||
+                            `Leave empty to allow all ${poolSize} questions`
+                          }
+                        />
+                      )}
+                    />
+                  </Grid>
+                </>
+              )}
+              {quizMode !== 'adaptive' && (
+                <>
+                  <Grid item xs={12} md={4}>
+                    <Controller
+                      name="questionPool.drawCount"
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          value={field.value ?? ''}
+                          label="Questions per student"
+                          type="number"
+                          fullWidth
+                          error={!!errors.questionPool?.drawCount}
+                          helperText={
+                            errors.questionPool?.drawCount?.message ||
+                            `Leave empty to give every student all ${poolSize} questions`
+                          }
+                        />
+                      )}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={4}>
+                    <Controller
+                      name="questionPool.stratifyBy"
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          select
+                          label="Balance draw by"
+                          fullWidth
+                          helperText="Keep each group's share of the pool in every draw"
+                        >
+                          <MenuItem value="none">Nothing (random draw)</MenuItem>
+                          <MenuItem value="tag">First tag</MenuItem>
+                          <MenuItem value="difficulty">Difficulty</MenuItem>
+                        </TextField>
+                      )}
+                    />
+                  </Grid>
+                </>
+              )}
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="timeLimit"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      value={field.value ?? ''}
+                      label="Time limit (minutes)"
+                      type="number"
+                      fullWidth
+                      error={!!errors.timeLimit}
+                      helperText={
+                        errors.timeLimit?.message ||
+                        'Enforced by the server from when each student starts; leave empty for no limit'
+                      }
+                    />
+                  )}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="maxAttempts"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      value={field.value ?? ''}
+                      label="Maximum attempts"
+                      type="number"
+                      fullWidth
+                      disabled={takenOnce}
+                      error={!!errors.maxAttempts}
+                      helperText={
+                        errors.maxAttempts?.message ||
+                        (takenOnce
+                          ? 'Timed and adaptive quizzes are taken once'
+                          : 'Leave empty for unlimited attempts')
+                      }
+                    />
+                  )}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="explanationReveal"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      select
+                      label="Show explanations"
+                      fullWidth
+                      helperText="When students see the explanations of questions they missed"
+                    >
+                      <MenuItem value="immediately">Immediately</MenuItem>
+                      <MenuItem value="after-due-date">After the due date</MenuItem>
+                      <MenuItem value="after-final-attempt">After the final attempt</MenuItem>
+                    </TextField>
+                  )}
+                />
+              </Grid>
+              <Grid item xs={12} md={8}>
+                {[
+                  { name: 'questionPool.shuffleQuestions', label: 'Shuffle question order' },
+                  { name: 'questionPool.shuffleOptions', label: 'Shuffle answer options' },
+                ].map((option) => (
+                  <Controller
+                    key={option.name}
+                    name={option.name}
+                    control={control}
+                    render={({ field }) => (
+                      <FormControlLabel
+                        control={
+                          <Checkbox
+                            checked={!!field.value}
+                            onChange={(e) => field.onChange(e.target.checked)}
+                          />
+                        }
+                        label={option.label}
+                      />
+                    )}
+                  />
+                ))}
+              </Grid>
+            </Grid>
+          </CustomCard>
+        )}
+
+        {activityType === 'quiz' && (
+          <CustomCard
+            title="Scoring Policy"
+            subtitle="Saved with each grade, so later changes do not regrade past submissions"
+            sx={{ mt: 3 }}
+          >
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="scoringPolicy.negativeMarking"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      select
+                      label="Negative marking"
+                      fullWidth
+                      helperText="Deducted for a wrong multiple-choice or true/false answer"
+                    >
+                      <MenuItem value={0}>None</MenuItem>
+                      <MenuItem value={0.25}>25% of the points</MenuItem>
+                      <MenuItem value={0.33}>33% of the points</MenuItem>
+                      <MenuItem value={0.5}>50% of the points</MenuItem>
+                      <MenuItem value={1}>100% of the points</MenuItem>
+                    </TextField>
+                  )}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="scoringPolicy.multiPartCredit"
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      select
+                      label="Multi-part questions"
+                      fullWidth
+                      helperText="Multi-select, cloze, matching and ordering"
+                    >
+                      <MenuItem value="proportional">Credit for each correct part</MenuItem>
+                      <MenuItem value="all-or-nothing">All or nothing</MenuItem>
+                    </TextField>
+                  )}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Controller
+                  name="scoringPolicy.penalizeBlank"
+                  control={control}
+                  render={({ field }) => (
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={!!field.value}
+                          onChange={(e) => field.onChange(e.target.checked)}
+                        />
+                      }
+                      label="Apply negative marking to blank answers"
+                    />
+                  )}
+                />
+              </Grid>
+              {[
+                { name: 'full', label: 'Short answer: full credit at similarity' },
+                { name: 'close', label: '75% credit at similarity' },
+                { name: 'partial', label: '50% credit at similarity' },
+              ].map((threshold) => (
+                <Grid item xs={12} md={4} key={threshold.name}>
+                  <Controller
+                    name={`scoringPolicy.shortAnswerThresholds.${threshold.name}`}
+                    control={control}
+                    render={({ field }) => (
+                      <TextField
+                        {...field}
+                        value={field.value ?? ''}
+                        label={threshold.label}
+                        type="number"
+                        inputProps={{ step: 0.05, min: 0, max: 1 }}
+                        fullWidth
+                        error={!!errors.scoringPolicy?.shortAnswerThresholds?.[threshold.name]}
+                        helperText={
+                          errors.scoringPolicy?.shortAnswerThresholds?.[threshold.name]?.message ||
+                          'Between 0 and 1'
+                        }
+                      />
+                    )}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+          </CustomCard>
+        )}
+
         {activityType === 'quiz' && (
           <CustomCard title="Questions" sx={{ mt: 3 }}>
             <Box>
@@ -450,6 +1157,22 @@ const CreateActivity = () => {
                   </Box>
 
                   <Grid container spacing={2}>
+                    <Grid item xs={12} md={6}>
+                      <Controller
+                        name={`questions.${index}.questionType`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField {...field} select label="Question Type" fullWidth required>
+                            {QUESTION_TYPE_OPTIONS.map((option) => (
+                              <MenuItem key={option.value} value={option.value}>
+                                {option.label}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                        )}
+                      />
+                    </Grid>
+
                     <Grid item xs={12}>
                       <Controller
                         name={`questions.${index}.question`}
@@ -469,59 +1192,94 @@ const CreateActivity = () => {
                       />
                     </Grid>
 
-                    {[0, 1, 2, 3].map((optionIndex) => (
-                      <Grid item xs={12} md={6} key={optionIndex}>
-                        <Controller
-                          name={`questions.${index}.options.${optionIndex}`}
-                          control={control}
-                          render={({ field }) => (
-                            <TextField
-                              {...field}
-                              label={`Option ${optionIndex + 1}`}
-                              fullWidth
-                              required
-                            />
-                          )}
-                        />
-                      </Grid>
-                    ))}
+                    <QuestionTypeFields
+                      control={control}
+                      index={index}
+                      questionType={watchedQuestions?.[index]?.questionType}
+                      questionText={watchedQuestions?.[index]?.question}
+                      options={watchedQuestions?.[index]?.options}
+                      errors={errors}
+                    />
 
                     <Grid item xs={12} md={6}>
                       <Controller
-                        name={`questions.${index}.correctAnswer`}
+                        name={`questions.${index}.points`}
                         control={control}
                         render={({ field }) => (
                           <TextField
                             {...field}
-                            select
-                            label="Correct Answer"
+                            label="Points"
+                            type="number"
                             fullWidth
                             required
-                            error={!!errors.questions?.[index]?.correctAnswer}
-                            helperText={errors.questions?.[index]?.correctAnswer?.message}
-                          >
-                            <MenuItem value={0}>Option 1</MenuItem>
-                            <MenuItem value={1}>Option 2</MenuItem>
-                            <MenuItem value={2}>Option 3</MenuItem>
-                            <MenuItem value={3}>Option 4</MenuItem>
+                            error={!!errors.questions?.[index]?.points}
+                            helperText={errors.questions?.[index]?.points?.message}
+                          />
+                        )}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12} md={3}>
+                      <Controller
+                        name={`questions.${index}.difficulty`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField {...field} value={field.value || ''} select label="Difficulty" fullWidth>
+                            <MenuItem value="">Same as activity</MenuItem>
+                            <MenuItem value="beginner">Beginner</MenuItem>
+                            <MenuItem value="intermediate">Intermediate</MenuItem>
+                            <MenuItem value="advanced">Advanced</MenuItem>
                           </TextField>
                         )}
                       />
                     </Grid>
 
-                    <Grid item xs={12} md={6}>
+                    <Grid item xs={12} md={3}>
                       <Controller
-                        name={`questions.${index}.points`}
+                        name={`questions.${index}.tags`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField
+                            value={(field.value || []).join(', ')}
+                            onChange={(e) => field.onChange(e.target.value.split(','))}
+                            onBlur={field.onBlur}
+                            label="Tags"
+                            helperText="Comma separated"
+                            fullWidth
+                          />
+                        )}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12} md={8}>
+                      <Controller
+                        name={`questions.${index}.explanation`}
                         control={control}
                         render={({ field }) => (
                           <TextField
                             {...field}
-                            label="Points"
-                            type="number"
+                            value={field.value || ''}
+                            label="Explanation"
+                            helperText="Worked solution shown to students who miss this question"
+                            multiline
+                            rows={2}
+                            fullWidth
+                          />
+                        )}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12} md={4}>
+                      <Controller
+                        name={`questions.${index}.reference`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField
+                            {...field}
+                            value={field.value || ''}
+                            label="Reference"
+                            helperText="e.g. a textbook section or link"
                             fullWidth
-                            required
-                            error={!!errors.questions?.[index]?.points}
-                            helperText={errors.questions?.[index]?.points?.message}
                           />
                         )}
                       />
@@ -529,20 +1287,77 @@ const CreateActivity = () => {
                   </Grid>
                 </Paper>
               ))}
-              <Button
-                startIcon={<AddIcon />}
-                onClick={() =>
-                  appendQuestion({
-                    question: '',
-                    options: ['', '', '', ''],
-                    correctAnswer: 0,
-                    points: 1,
-                  })
-                }
-                variant="outlined"
-              >
-                Add Question
-              </Button>
+              {bankFields.length > 0 && (
+                <Paper sx={{ p: 2, mb: 3, bgcolor: 'background.default' }}>
+                  <Typography variant="subtitle1" fontWeight="bold">
+                    From the Question Bank
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Copied into the quiz when you save it; later changes to the bank do not affect
+                    this quiz
+                  </Typography>
+                  {bankFields.map((field, index) => (
+                    <Box
+                      key={field.id}
+                      sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}
+                    >
+                      <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                        {field.questionText}
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {' '}
+                          ·{' '}
+                          {QUESTION_TYPE_OPTIONS.find((o) => o.value === field.questionType)
+                            ?.label || field.questionType}
+                          {field.cefrLevel && ` · ${field.cefrLevel}`}
+                        </Typography>
+                      </Typography>
+                      <Controller
+                        name={`bankQuestions.${index}.points`}
+                        control={control}
+                        render={({ field: pointsField }) => (
+                          <TextField
+                            {...pointsField}
+                            label="Points"
+                            type="number"
+                            size="small"
+                            sx={{ width: 100 }}
+                            error={!!errors.bankQuestions?.[index]?.points}
+                          />
+                        )}
+                      />
+                      <IconButton
+                        color="error"
+                        size="small"
+                        onClick={() => removeBankQuestion(index)}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </Box>
+                  ))}
+                </Paper>
+              )}
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <Button
+                  startIcon={<AddIcon />}
+                  onClick={() => appendQuestion(emptyQuestion())}
+                  variant="outlined"
+                >
+                  Add Question
+                </Button>
+                <Button
+                  startIcon={<LibraryBooksIcon />}
+                  onClick={() => setBankDialogOpen(true)}
+                  variant="outlined"
+                >
+                  Add from Question Bank
+                </Button>
+              </Box>
+              <QuestionBankDialog
+                open={bankDialogOpen}
+                onClose={() => setBankDialogOpen(false)}
+                onAdd={handleAddFromBank}
+                excludeIds={usedBankItemIds}
+              />
             </Box>
           </CustomCard>
         )}
@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  Quiz as QuizIcon,
+  Tune as TuneIcon,
+} from '@mui/icons-material';
+import { useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import TeacherLayout from '../../components/common/Layout/TeacherLayout';
+import CustomCard from '../../components/common/UI/CustomCard';
+import DataTable from '../../components/common/UI/DataTable';
+import LoadingSpinner from '../../components/common/UI/LoadingSpinner';
+import ErrorMessage from '../../components/common/UI/ErrorMessage';
+import api from '../../services/api';
+
+const FLAG_LABELS = {
+  'negative-discrimination': { label: 'Negative discrimination', color: 'error' },
+  'low-discrimination': { label: 'Low discrimination', color: 'warning' },
+  'too-easy': { label: 'Too easy', color: 'info' },
+  'too-hard': { label: 'Too hard', color: 'info' },
+};
+
+const formatStat = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+/**
+ * Item Analysis Page
+ * Per-question difficulty, discrimination and distractor statistics for a quiz, so teachers
+ * can find and fix questions that do not work. Quizzes can also be calibrated here for
+ * adaptive mode, which fits each question's IRT difficulty and discrimination.
+ */
+const ItemAnalysis = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [calibrating, setCalibrating] = useState(false);
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [id]);
+
+  const fetchAnalysis = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.get(`/activities/${id}/item-analysis`);
+      setAnalysis(response.data);
+    } catch (err) {
+      console.error('Error fetching item analysis:', err);
+      setError(err.response?.data?.message || 'Failed to load item analysis');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCalibrate = async () => {
+    try {
+      setCalibrating(true);
+      const response = await api.post(`/activities/${id}/calibrate`);
+      toast.success(response.message || 'Quiz calibrated');
+      fetchAnalysis();
+    } catch (err) {
+      console.error('Error calibrating quiz:', err);
+      toast.error(err.response?.data?.message || 'Failed to calibrate quiz');
+    } finally {
+      setCalibrating(false);
+    }
+  };
+
+  const columns = [
+    {
+      id: 'questionIndex',
+      label: '#',
+      format: (value) => value + 1,
+    },
+    {
+      id: 'questionText',
+      label: 'Question',
+      minWidth: 240,
+    },
+    {
+      id: 'responses',
+      label: 'Responses',
+      align: 'center',
+    },
+    {
+      id: 'pValue',
+      label: 'p-value',
+      align: 'center',
+      format: formatStat,
+    },
+    {
+      id: 'discrimination',
+      label: 'Discrimination',
+      align: 'center',
+      format: formatStat,
+    },
+    {
+      id: 'irt',
+      label: 'IRT b / a',
+      align: 'center',
+      format: (value) =>
+        value ? (
+          <Box>
+            {formatStat(value.difficulty)} / {formatStat(value.discrimination)}
+            {!value.calibrated && (
+              <Typography variant="caption" color="text.secondary" display="block">
+                provisional
+              </Typography>
+            )}
+          </Box>
+        ) : (
+          '—'
+        ),
+    },
+    {
+      id: 'flags',
+      label: 'Flags',
+      format: (value) => (
+        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+          {value.map((flag) => (
+            <Chip
+              key={flag}
+              label={FLAG_LABELS[flag]?.label || flag}
+              color={FLAG_LABELS[flag]?.color || 'default'}
+              size="small"
+            />
+          ))}
+        </Box>
+      ),
+    },
+  ];
+
+  if (loading) {
+    return (
+      <TeacherLayout title="Item Analysis">
+        <LoadingSpinner message="Loading item analysis..." />
+      </TeacherLayout>
+    );
+  }
+
+  if (error) {
+    return (
+      <TeacherLayout title="Item Analysis">
+        <ErrorMessage title="Error Loading Analysis" message={error} onRetry={fetchAnalysis} />
+      </TeacherLayout>
+    );
+  }
+
+  const itemsWithChoices = analysis.items.filter(
+    (item) => item.options?.length || item.commonWrongAnswers?.length
+  );
+
+  return (
+    <TeacherLayout title="Item Analysis">
+      <Box sx={{ mb: 4 }}>
+        <Button
+          startIcon={<ArrowBackIcon />}
+          onClick={() => navigate('/teacher/activities')}
+          sx={{ mb: 2 }}
+        >
+          Back to Activities
+        </Button>
+        <Typography variant="h4" gutterBottom>
+          {analysis.activity.title}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {analysis.respondents} students · average score{' '}
+          {analysis.averageScore === null ? '—' : `${analysis.averageScore}%`} ·{' '}
+          {analysis.flaggedItems} flagged questions
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<TuneIcon />}
+          onClick={handleCalibrate}
+          disabled={calibrating || analysis.respondents === 0}
+          sx={{ mt: 2 }}
+        >
+          {calibrating ? 'Calibrating...' : 'Calibrate for Adaptive Mode'}
+        </Button>
+      </Box>
+
+      <Alert severity="info" sx={{ mb: 3 }}>
+        The p-value is the share of students who answered correctly (partial credit counts as its
+        fraction). Discrimination compares each question with the rest of the quiz: near 0 means it
+        does not separate stronger from weaker students, and below 0 usually means the answer key or
+        wording needs checking.
+        {analysis.activity.quizMode === 'adaptive' &&
+          ' IRT b is the difficulty on the ability scale (0 is an average student) and a the discrimination; provisional values come from the difficulty label until enough students have answered.'}
+      </Alert>
+
+      <CustomCard title="Questions" sx={{ mb: 4 }}>
+        <DataTable
+          columns={columns}
+          rows={analysis.items}
+          emptyMessage="This quiz has no questions"
+          emptyIcon={QuizIcon}
+          pagination={analysis.items.length > 10}
+        />
+      </CustomCard>
+
+      <Grid container spacing={3}>
+        {itemsWithChoices.map((item) => (
+          <Grid item xs={12} md={6} key={item.questionId}>
+            <CustomCard title={`Question ${item.questionIndex + 1}`} subtitle={item.questionText}>
+              {item.options ? (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Option</TableCell>
+                      <TableCell align="center">Chosen</TableCell>
+                      <TableCell align="center">Rest-of-quiz score</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {item.options.map((option) => (
+                      <TableRow key={option.option}>
+                        <TableCell>
+                          {option.option}
+                          {option.isCorrect && (
+                            <Chip label="Correct" color="success" size="small" sx={{ ml: 1 }} />
+                          )}
+                        </TableCell>
+                        <TableCell align="center">
+                          {option.count} ({Math.round(option.proportion * 100)}%)
+                        </TableCell>
+                        <TableCell align="center">
+                          {option.meanRestScore === null ? '—' : `${option.meanRestScore}%`}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Common answers without full credit</TableCell>
+                      <TableCell align="center">Count</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {item.commonWrongAnswers.map((wrong) => (
+                      <TableRow key={wrong.answer}>
+                        <TableCell>{wrong.answer}</TableCell>
+                        <TableCell align="center">{wrong.count}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CustomCard>
+          </Grid>
+        ))}
+      </Grid>
+    </TeacherLayout>
+  );
+};
+
+export default ItemAnalysis;
@@ -31,6 +31,7 @@ const EvaluationReview = lazy(() => import('../pages/teacher/EvaluationReview'))
 const StudentList = lazy(() => import('../pages/teacher/StudentList'));
 const StudentDetail = lazy(() => import('../pages/teacher/StudentDetail'));
 const TeacherAnalytics = lazy(() => import('../pages/teacher/TeacherAnalytics'));
+const ItemAnalysis = lazy(() => import('../pages/teacher/ItemAnalysis'));
 
 // Admin Pages
 const AdminDashboard = lazy(() => import('../pages/admin/Dashboard'));
@@ -188,6 +189,16 @@ const AppRoutes = () => {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/teacher/activities/:id/item-analysis"
+            element={
+              <PrivateRoute>
+                <RoleBasedRoute allowedRoles={[USER_ROLES.TEACHER]}>
+                  <ItemAnalysis />
+                </RoleBasedRoute>
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/teacher/rubrics"
             element={